@@ -3,20 +3,70 @@
  * This file is a frontend only. A browser cannot talk directly to your MySQL database.
  * You need an API (REST/JSON) in front of your POS database.
  *
- * Default endpoints expected (relative to `data-api-base`):
- * - POST   /auth/login                         body: { username, password } -> { token, user? }
- * - GET    /auth/me                            -> { user }
- * - GET    /dashboard/summary?from&to           -> { kpis, series, byHour, byWeekday, topProducts, topOffers }
+ * Default endpoints expected (relative to `data-api-base`). The API documents them in full (OpenAPI) at
+ * GET /docs (Swagger UI) and /docs/json; this list is only what the dashboard relies on.
+ * - POST   /auth/login                         body: { username, password } -> { token, refreshToken, user, permissions, mustChangePassword }
+ *                                              or { mfaRequired, mfaToken } (429 + retryAfter when throttled)
+ * - POST   /auth/login/totp                    body: { mfaToken, code | recoveryCode } (when login answered { mfaRequired, mfaToken })
+ * - GET    /auth/totp, POST /auth/totp/setup|enable|disable  (two-factor enrolment)
+ * - POST   /auth/refresh                       body: { refreshToken } -> { token, refreshToken } (on 401, then retried)
+ * - POST   /auth/logout
+ * - GET    /auth/me                            -> { user, permissions, totp: { eligible, enabled }, mustChangePassword, passwordPolicy }
+ * - POST   /auth/change-password               body: { currentPassword, newPassword } -> { token } (the only call allowed while mustChangePassword)
+ * - GET    /dashboard/summary?from&to[&compare]  -> { kpis, series, compare?, byHour, byWeekday, topProducts, topOffers, lastSaleId, pendingSaleIds }
  * - GET    /sales?from&to&q&limit&offset        -> { items, total }
- * - GET    /sales/:id                          -> { sale, details }
- * - GET    /products?q&limit&offset             -> { items, total }
- * - POST   /products                            body: { ... } -> { product }
- * - PATCH  /products/:id                         body: { ... } -> { product }
- * - DELETE /products/:id
- * - GET    /offers?q&limit&offset               -> { items, total }
- * - POST   /offers                               body: { name, quantity, price, productIds } -> { offer }
- * - PATCH  /offers/:id                            body: { ... } -> { offer }
- * - DELETE /offers/:id
+ * - GET    /sales/export?format&from&to&q       -> CSV / XLSX file (also /sales/lines/export, one row per sold product)
+ * - GET    /sales/:id                          -> { sale, details, refunds }
+ * - POST   /sales                               body: { items: [{ productId|offerId, quantity, price?, items? }], notes } -> 201 { sale, details, refunds }
+ * - POST   /sales/:id/refund                    body: { reason, lines?: [{ saleDetailId, quantity }], restock? } -> { sale, details, refunds }
+ * - POST   /sales/:id/void                      body: { reason, restock? } -> { sale, details, refunds }
+ * - GET    /products?q&status&limit&offset      -> { items, total } (status: active (default) | archived | all)
+ * - GET    /products/export?format&q&lowStock&status -> CSV / XLSX file
+ * - POST   /products/import                     body: { csv, dryRun } -> { dryRun, applied, summary, rows } (dry run unless dryRun: false)
+ * - GET    /products/low-stock?limit&offset     -> { items, total }
+ * - POST   /products                            body: { name, price, quantity, minStock, ... } -> 201 { id_product, version }
+ * - PATCH  /products/:id                         body: { same fields, all optional } + If-Match -> { ok, version }
+ * - DELETE /products/:id                        + If-Match (409 when sales reference it: archive instead)
+ * - POST   /products/:id/archive, /products/:id/restore -> { id_product, archived_at }
+ * - GET    /products/:id/movements?limit&offset -> { items, total }
+ * - POST   /products/:id/movements              body: { kind, quantity, reason } -> 201 { movement }
+ * - GET    /offers?q&status&limit&offset        -> { items, total }
+ * - POST   /offers                               body: { name, quantity, price, productIds } -> 201 { id_offer, version }
+ * - PATCH  /offers/:id                            body: { same fields, all optional } + If-Match -> { ok, version }
+ * - DELETE /offers/:id                          + If-Match
+ * - POST   /offers/:id/archive, /offers/:id/restore -> { id_offer, archived_at }
+ * - GET    /users?q&limit&offset                -> { items, total } (admin)
+ * - POST   /users                               body: { username, password, roles, isActive? } -> 201 { user }
+ * - PATCH  /users/:id                           body: { username?, roles?, isActive? } -> { user }
+ * - POST   /users/:id/password                  body: { password } (temporary: the user changes it at next sign-in)
+ * - GET    /users/password-report               -> { items, total } (accounts still on plaintext / awaiting a change)
+ * - POST   /users/:id/sessions/revoke           -> { revoked }
+ * - POST   /users/:id/totp/reset
+ * - GET    /login-attempts?username&ip&outcome&limit&offset -> { items, total } (admin)
+ * - GET    /audit?entity&entityId&userId&action&from&to&limit&offset -> { items: [{ user, action, entity, before, after, ... }], total } (admin)
+ * - GET    /sync/status                        -> { pending: { products, offers, offerProducts }, failed, devices } (POS terminals)
+ * - GET    /sync/failures?status&limit&offset   -> { items, total }; POST /sync/failures/:id/dismiss
+ * - GET    /events                             Server-Sent Events: new-sale, stock-change, product-change, offer-change,
+ *                                              sale-change, reset (Last-Event-ID to resume)
+ *
+ * Writes send an Idempotency-Key header (new per write, reused when the same write is sent again after a
+ * network error or a 5xx) so a retried submit is replayed by the API rather than applied twice.
+ *
+ * While the page is open it follows GET /events (data-live="0" turns that off): new sales are added to
+ * the KPIs, charts and sales table as they happen, other changes reload the panel they affect. The
+ * stream reconnects by itself; the "En direct" pill in the top bar shows its state.
+ *
+ * Without network the dashboard keeps working from the last answers of /auth/me, the summary and the product
+ * and offer lists, cached in IndexedDB, under a "hors ligne" banner. Product and offer edits made meanwhile
+ * are queued and sent in order (with their If-Match and Idempotency-Key) once the API answers again; the
+ * ones it refuses or reports as changed (412) stay listed under "Voir" to be merged, retried or dropped.
+ *
+ * Listed products and offers carry a version, sent back in If-Match when they are edited or deleted. A 412
+ * { version, current } means someone else changed the item meanwhile: the form opens a field-by-field merge
+ * dialog and saves the result against the new version.
+ *
+ * Errors come back as { message }; a 400 on invalid input also lists { fields: [{ field, in, message }] },
+ * shown next to the matching inputs of the product and offer forms.
  *
  * Root DIV example:
  * <div
@@ -25,6 +75,8 @@
  *   data-page="dashboard"
  *   data-login-url="/login"
  *   data-after-login-url="/dashboard"
+ *   data-timezone="Europe/Paris"
+ *   data-day-start-hour="2"
  * ></div>
  */
 
@@ -34,6 +86,68 @@
   var APP_VERSION = "1.0.0";
   var ROOT_SELECTOR = '[data-cag="pos-dashboard"]';
 
+  var STOCK_KIND_LABELS = {
+    receipt: "Réception",
+    sale: "Vente",
+    return: "Retour",
+    adjustment: "Ajustement",
+    loss: "Perte / casse",
+    inventory: "Inventaire",
+  };
+
+  var AUDIT_ENTITY_LABELS = {
+    product: "Produit",
+    offer: "Offre",
+    sale: "Vente",
+    user: "Utilisateur",
+    role: "Rôle",
+  };
+
+  var AUDIT_ACTION_LABELS = {
+    create: "Création",
+    update: "Modification",
+    delete: "Suppression",
+    stock: "Mouvement de stock",
+    archive: "Archivage",
+    restore: "Restauration",
+    import_create: "Import (création)",
+    import_update: "Import (mise à jour)",
+    refund: "Remboursement",
+    void: "Annulation",
+    permissions: "Permissions",
+    password_change: "Mot de passe changé",
+    password_reset: "Mot de passe réinitialisé",
+    sessions_revoke: "Sessions fermées",
+    totp_enable: "2FA activée",
+    totp_disable: "2FA désactivée",
+    totp_reset: "2FA réinitialisée",
+  };
+
+  var ARCHIVE_STATUS_LABELS = {
+    active: "Actifs",
+    archived: "Archivés",
+    all: "Tous",
+  };
+
+  var IMPORT_FIELD_LABELS = {
+    barcode: "Code-barres",
+    reference: "Référence",
+    name: "Nom",
+    description: "Description",
+    productType: "Type",
+    quantity: "Stock",
+    minStock: "Stock min",
+    reorderQty: "Qté réappro",
+    purchasePrice: "Prix d'achat",
+    price: "Prix",
+  };
+
+  var IMPORT_ACTION_LABELS = { create: "Création", update: "Mise à jour", unchanged: "Inchangé", error: "Erreur" };
+
+  var SYNC_FAILURE_LABELS = { conflict: "Conflit", error: "Rejeté" };
+
+  var OFFLINE_STATUS_LABELS = { pending: "En attente", conflict: "Conflit", failed: "Refusée" };
+
   function $(sel, root) {
     return (root || document).querySelector(sel);
   }
@@ -89,12 +203,52 @@
     return v === true || v === "true" || v === "1" || v === 1;
   }
 
-  function todayISO() {
-    var d = new Date();
-    var y = d.getFullYear();
-    var m = String(d.getMonth() + 1).padStart(2, "0");
-    var day = String(d.getDate()).padStart(2, "0");
-    return y + "-" + m + "-" + day;
+  var zonedFormatters = {};
+
+  // Wall-clock parts of an instant in `timezone` (browser zone if empty or unknown).
+  function zonedParts(date, timezone) {
+    var key = timezone || "";
+    if (!zonedFormatters[key]) {
+      var opts = {
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      };
+      try {
+        zonedFormatters[key] = new Intl.DateTimeFormat("en-US", Object.assign({ timeZone: timezone || undefined }, opts));
+      } catch (_) {
+        zonedFormatters[key] = new Intl.DateTimeFormat("en-US", opts);
+      }
+    }
+    var parts = {};
+    zonedFormatters[key].formatToParts(date).forEach(function (p) {
+      parts[p.type] = p.value;
+    });
+    return {
+      date: parts.year + "-" + parts.month + "-" + parts.day,
+      time: String(Number(parts.hour) % 24).padStart(2, "0") + ":" + parts.minute + ":" + parts.second,
+      hour: Number(parts.hour) % 24,
+    };
+  }
+
+  // Current business day: in the shop's time zone, and before cfg.dayStartHour it is still "yesterday".
+  function todayISO(cfg) {
+    var p = zonedParts(new Date(), cfg && cfg.timezone);
+    return cfg && p.hour < cfg.dayStartHour ? isoAddDays(p.date, -1) : p.date;
+  }
+
+  // API datetimes are UTC ("2024-05-01T22:10:00.000Z" or "2024-05-01 22:10:00"); shown in the shop's time zone.
+  function fmtDateTime(cfg, value, withSeconds) {
+    if (!value) return "—";
+    var raw = String(value);
+    var d = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(raw) ? raw : raw.replace(" ", "T") + "Z");
+    if (!Number.isFinite(d.getTime())) return raw;
+    var p = zonedParts(d, cfg.timezone);
+    return p.date + " " + (withSeconds ? p.time : p.time.slice(0, 5));
   }
 
   function isoParts(iso) {
@@ -165,6 +319,27 @@
     return diff >= 1 && Number.isFinite(diff) ? diff : null;
   }
 
+  // Relative change in %, null when there is nothing to compare against.
+  function pctDelta(cur, prev) {
+    if (cur == null || prev == null || !Number(prev)) return null;
+    return ((Number(cur) - Number(prev)) / Math.abs(Number(prev))) * 100;
+  }
+
+  // Dense per-day points from `from` to `to` (days without sales count as 0) so two periods line up by index.
+  function fillDailySeries(points, from, to) {
+    var byDate = {};
+    (points || []).forEach(function (p) {
+      if (p && p.date) byDate[String(p.date).slice(0, 10)] = p;
+    });
+    var out = [];
+    var n = daysBetweenInclusive(from, to) || 0;
+    for (var i = 0; i < n; i++) {
+      var d = isoAddDays(from, i);
+      out.push(byDate[d] || { date: d, revenue: 0, salesCount: 0, avgTicket: null });
+    }
+    return out;
+  }
+
   function toNumber(v) {
     if (v == null || v === "") return null;
     var n = Number(v);
@@ -180,6 +355,9 @@
     var currency = (root.getAttribute("data-currency") || "EUR").trim();
     var locale = (root.getAttribute("data-locale") || (navigator.language || "fr-FR")).trim();
     var defaultRangeDays = parseInt(root.getAttribute("data-default-range-days") || "30", 10);
+    // Must match the API's TIMEZONE / DAY_START_HOUR so presets pick the same business days.
+    var timezone = (root.getAttribute("data-timezone") || "Europe/Paris").trim();
+    var dayStartHour = parseInt(root.getAttribute("data-day-start-hour") || "0", 10);
     var loginUrl = (root.getAttribute("data-login-url") || "").trim();
     var afterLoginUrl = (root.getAttribute("data-after-login-url") || "").trim();
     var enforceRoles = isTruthy(root.getAttribute("data-enforce-roles"));
@@ -190,14 +368,33 @@
         return s.trim();
       })
       .filter(Boolean);
+    var saleRolesRaw = (root.getAttribute("data-sale-roles") || "admin,manager,cashier").trim();
+    var saleRoles = saleRolesRaw
+      .split(",")
+      .map(function (s) {
+        return s.trim();
+      })
+      .filter(Boolean);
 
     // Allow override of endpoints if your backend differs.
     var epLogin = (root.getAttribute("data-ep-login") || "/auth/login").trim();
     var epMe = (root.getAttribute("data-ep-me") || "/auth/me").trim();
+    var epLoginTotp = (root.getAttribute("data-ep-login-totp") || "/auth/login/totp").trim();
+    var epTotp = (root.getAttribute("data-ep-totp") || "/auth/totp").trim();
+    var epRefresh = (root.getAttribute("data-ep-refresh") || "/auth/refresh").trim();
+    var epLogout = (root.getAttribute("data-ep-logout") || "/auth/logout").trim();
+    var epChangePassword = (root.getAttribute("data-ep-change-password") || "/auth/change-password").trim();
     var epSummary = (root.getAttribute("data-ep-summary") || "/dashboard/summary").trim();
     var epSales = (root.getAttribute("data-ep-sales") || "/sales").trim();
     var epProducts = (root.getAttribute("data-ep-products") || "/products").trim();
     var epOffers = (root.getAttribute("data-ep-offers") || "/offers").trim();
+    var epUsers = (root.getAttribute("data-ep-users") || "/users").trim();
+    var epLoginAttempts = (root.getAttribute("data-ep-login-attempts") || "/login-attempts").trim();
+    var epAudit = (root.getAttribute("data-ep-audit") || "/audit").trim();
+    var epSync = (root.getAttribute("data-ep-sync") || "/sync").trim();
+    var epEvents = (root.getAttribute("data-ep-events") || "/events").trim();
+    // data-live="0" turns the live stream off (the dashboard then only changes on "Rafraichir").
+    var live = (root.getAttribute("data-live") || "1").trim() !== "0";
 
     return {
       apiBase: apiBase.replace(/\/+$/, ""),
@@ -208,16 +405,30 @@
       currency: currency,
       locale: locale,
       defaultRangeDays: Number.isFinite(defaultRangeDays) ? clamp(defaultRangeDays, 1, 366) : 30,
+      timezone: timezone,
+      dayStartHour: Number.isFinite(dayStartHour) ? clamp(dayStartHour, 0, 23) : 0,
       loginUrl: loginUrl,
       afterLoginUrl: afterLoginUrl,
       enforceRoles: enforceRoles,
       writeRoles: writeRoles,
+      saleRoles: saleRoles,
       epLogin: epLogin,
       epMe: epMe,
+      epLoginTotp: epLoginTotp,
+      epTotp: epTotp,
+      epRefresh: epRefresh,
+      epLogout: epLogout,
+      epChangePassword: epChangePassword,
       epSummary: epSummary,
       epSales: epSales,
       epProducts: epProducts,
       epOffers: epOffers,
+      epUsers: epUsers,
+      epLoginAttempts: epLoginAttempts,
+      epAudit: epAudit,
+      epSync: epSync,
+      epEvents: epEvents,
+      live: live,
     };
   }
 
@@ -307,7 +518,7 @@
     return [];
   }
 
-  function canWrite(cfg, user) {
+  function hasAnyRole(cfg, user, wanted) {
     if (!cfg.enforceRoles) return true;
     var roles = parseRoles(user);
     if (!roles.length) return false;
@@ -315,17 +526,26 @@
     roles.forEach(function (x) {
       roleSet[String(x).toLowerCase()] = true;
     });
-    return cfg.writeRoles.some(function (r) {
+    return wanted.some(function (r) {
       return roleSet[String(r).toLowerCase()] === true;
     });
   }
 
+  // Permissions come from /auth/me. Older APIs don't send them: fall back to the role lists.
+  function can(cfg, user, perm) {
+    if (user && Array.isArray(user.permissions)) return user.permissions.indexOf(perm) !== -1;
+    return hasAnyRole(cfg, user, perm === "sales.create" ? cfg.saleRoles : cfg.writeRoles);
+  }
+
   function normalizeUser(u) {
     if (!u) return null;
     return {
       id: u.id != null ? u.id : u.id_user,
       username: u.username || u.login || u.email || "Utilisateur",
       roles: u.roles,
+      totpEnabled: isTruthy(u.totpEnabled != null ? u.totpEnabled : u.totp_enabled),
+      isActive: u.isActive != null ? u.isActive !== false : String(u.is_active) !== "0",
+      lastLogin: u.lastLogin || u.last_login || null,
       raw: u,
     };
   }
@@ -347,7 +567,14 @@
             : null,
       price: p.price != null ? Number(p.price) : null,
       productType: p.productType || p.product_type || "",
+      minStock: p.minStock != null ? Number(p.minStock) : p.min_stock != null ? Number(p.min_stock) : null,
+      reorderQty: p.reorderQty != null ? Number(p.reorderQty) : p.reorder_qty != null ? Number(p.reorder_qty) : null,
+      lowStock: isTruthy(p.lowStock != null ? p.lowStock : p.low_stock),
+      suggestedOrder:
+        p.suggestedOrder != null ? Number(p.suggestedOrder) : p.suggested_order != null ? Number(p.suggested_order) : null,
       lastUpdated: p.last_updated || p.lastUpdated || null,
+      archivedAt: p.archived_at || p.archivedAt || null,
+      version: p.version || null,
       raw: p,
     };
   }
@@ -373,6 +600,8 @@
       price: o.price != null ? Number(o.price) : null,
       productIds: productIds,
       lastUpdated: o.last_updated || o.lastUpdated || null,
+      archivedAt: o.archived_at || o.archivedAt || null,
+      version: o.version || null,
       raw: o,
     };
   }
@@ -395,6 +624,13 @@
               ? Number(s.detailsCount)
               : null,
       createdAt: s.createdAt || s.created_at || s.last_updated || s.lastUpdated || null,
+      refundedAmount:
+        s.refundedAmount != null
+          ? Number(s.refundedAmount)
+          : s.refunded_amount != null
+            ? Number(s.refunded_amount)
+            : 0,
+      voided: isTruthy(s.voided),
       raw: s,
     };
   }
@@ -410,10 +646,57 @@
       price: d.price != null ? Number(d.price) : null,
       totalPrice:
         d.totalPrice != null ? Number(d.totalPrice) : d.total_price != null ? Number(d.total_price) : null,
+      refundedQuantity:
+        d.refundedQuantity != null
+          ? Number(d.refundedQuantity)
+          : d.refunded_quantity != null
+            ? Number(d.refunded_quantity)
+            : 0,
       raw: d,
     };
   }
 
+  function normalizeRefund(r) {
+    if (!r) return null;
+    return {
+      id: r.id != null ? r.id : r.id_refund,
+      kind: r.kind || "refund",
+      amount: r.amount != null ? Number(r.amount) : null,
+      reason: r.reason || "",
+      restock: isTruthy(r.restock),
+      username: r.username || "",
+      userId: r.userId != null ? r.userId : r.user_id,
+      createdAt: r.createdAt || r.created_at || null,
+      lines: Array.isArray(r.lines) ? r.lines : [],
+      raw: r,
+    };
+  }
+
+  function saleStatusLabel(sale) {
+    if (!sale) return "";
+    if (sale.voided) return "Annulée";
+    if (sale.refundedAmount > 0 && sale.totalAmount != null && sale.refundedAmount >= sale.totalAmount) return "Remboursée";
+    if (sale.refundedAmount > 0) return "Remb. partiel";
+    return "";
+  }
+
+  function normalizeStockMovement(m) {
+    if (!m) return null;
+    return {
+      id: m.id != null ? m.id : m.id_movement,
+      kind: m.kind || "",
+      delta: m.delta != null ? Number(m.delta) : null,
+      quantityAfter:
+        m.quantityAfter != null ? Number(m.quantityAfter) : m.quantity_after != null ? Number(m.quantity_after) : null,
+      reason: m.reason || "",
+      username: m.username || "",
+      userId: m.userId != null ? m.userId : m.user_id,
+      saleId: m.saleId != null ? m.saleId : m.sale_id,
+      createdAt: m.createdAt || m.created_at || null,
+      raw: m,
+    };
+  }
+
   function toastHost(root) {
     var host = $(".cag-toast-stack", root);
     if (host) return host;
@@ -448,6 +731,60 @@
     if (label != null) node.textContent = label;
   }
 
+  // A 400 names its invalid fields ({ fields: [{ field, in, message }] }, see apiFetch): mark the matching
+  // inputs of a form. `inputs` maps API field names ("price", "productIds"...) to inputs; "items.0.x" goes
+  // to "items". Returns true when at least one field was marked.
+  function showFieldErrors(form, inputs, err) {
+    clearFieldErrors(form);
+    var shown = 0;
+    ((err && err.fields) || []).forEach(function (f) {
+      var input = f && f.field ? inputs[f.field] || inputs[String(f.field).split(".")[0]] : null;
+      var box = input && input.closest(".cag-field");
+      if (!box || box.classList.contains("cag-field-invalid")) return;
+      box.classList.add("cag-field-invalid");
+      input.setAttribute("aria-invalid", "true");
+      box.appendChild(el("div", { class: "cag-field-error", text: f.message || "Valeur invalide" }));
+      shown++;
+      input.addEventListener("input", function () {
+        clearFieldError(box);
+      });
+    });
+    return shown > 0;
+  }
+
+  function clearFieldError(box) {
+    box.classList.remove("cag-field-invalid");
+    $all(".cag-field-error", box).forEach(function (n) {
+      n.parentNode.removeChild(n);
+    });
+    $all("[aria-invalid]", box).forEach(function (n) {
+      n.removeAttribute("aria-invalid");
+    });
+  }
+
+  function clearFieldErrors(form) {
+    $all(".cag-field-invalid", form).forEach(clearFieldError);
+  }
+
+  var IDEMPOTENT_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+  var IDEMPOTENCY_REUSE_MS = 10 * 60 * 1000;
+  // Keys of writes still waiting for a usable answer, by "METHOD url body" (see apiFetch).
+  var pendingIdempotencyKeys = {};
+
+  function newIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === "function") return window.crypto.randomUUID();
+    return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+  }
+
+  function idempotencyKeyFor(slot) {
+    var p = pendingIdempotencyKeys[slot];
+    if (!p || Date.now() - p.at > IDEMPOTENCY_REUSE_MS) {
+      p = { key: newIdempotencyKey(), at: Date.now() };
+      pendingIdempotencyKeys[slot] = p;
+    }
+    return p.key;
+  }
+
   async function apiFetch(cfg, path, opts) {
     opts = opts || {};
     if (!cfg.apiBase) throw new Error("data-api-base manquant");
@@ -470,11 +807,40 @@
     var auth = readAuth(cfg);
     if (auth && auth.token) headers.Authorization = "Bearer " + auth.token;
 
-    var res = await fetch(url, {
-      method: opts.method || "GET",
-      headers: headers,
-      body: opts.json !== undefined ? JSON.stringify(opts.json) : undefined,
-    });
+    // Authenticated writes carry an Idempotency-Key. Sending the same write again while the first one got
+    // no answer (network drop, 5xx, second click) reuses its key: the API replays the first result instead
+    // of creating a second row. Login / refresh (noRefresh) are not deduplicated by the API.
+    var method = opts.method || "GET";
+    var body = opts.json !== undefined ? JSON.stringify(opts.json) : undefined;
+    var idemSlot = IDEMPOTENT_METHODS.indexOf(method) !== -1 && !opts.noRefresh ? method + " " + url + " " + (body || "") : null;
+    // Queued offline writes bring their own key (see catalogWrite).
+    if (idemSlot && !headers["Idempotency-Key"]) headers["Idempotency-Key"] = idempotencyKeyFor(idemSlot);
+
+    var res;
+    try {
+      res = await fetch(url, {
+        method: method,
+        headers: headers,
+        body: body,
+        signal: opts.signal,
+      });
+    } catch (fetchErr) {
+      if (fetchErr && fetchErr.name === "AbortError") throw fetchErr;
+      // No answer at all (Wi-Fi down, API unreachable): what the offline cache and queue key on.
+      var offlineErr = new Error("Connexion à l'API impossible");
+      offlineErr.offline = true;
+      offlineErr.idempotencyKey = headers["Idempotency-Key"] || null;
+      setApiReachable(false);
+      throw offlineErr;
+    }
+    setApiReachable(true);
+
+    // Expired access token: trade the refresh token for a new one and replay the request once.
+    if (res.status === 401 && !opts.noRefresh && auth && auth.refreshToken && (await refreshAuth(cfg, auth))) {
+      return apiFetch(cfg, path, Object.assign({}, opts, { noRefresh: true }));
+    }
+    // Downloads (exports) want the Response itself; errors still come back as JSON below.
+    if (opts.raw && res.ok) return res;
 
     var text = await res.text();
     var data = null;
@@ -482,16 +848,369 @@
       data = safeJsonParse(text);
       if (data == null) data = text;
     }
+    if (idemSlot && res.status < 500 && !(data && data.inProgress)) delete pendingIdempotencyKeys[idemSlot];
 
     if (!res.ok) {
       var err = new Error((data && data.message) || ("HTTP " + res.status));
       err.status = res.status;
       err.data = data;
+      err.fields = data && Array.isArray(data.fields) ? data.fields : null;
       throw err;
     }
     return data;
   }
 
+  // One refresh at a time: parallel 401s (overview + low stock...) wait for the same call.
+  var refreshing = null;
+
+  function refreshAuth(cfg, auth) {
+    if (refreshing) return refreshing;
+    refreshing = (async function () {
+      try {
+        var r = await apiFetch(cfg, cfg.epRefresh, { method: "POST", json: { refreshToken: auth.refreshToken }, noRefresh: true });
+        if (!r || !r.token) return false;
+        var current = readAuth(cfg) || auth;
+        writeAuth(cfg, Object.assign({}, current, { token: r.token, refreshToken: r.refreshToken || auth.refreshToken, at: new Date().toISOString() }));
+        return true;
+      } catch (_) {
+        // Another tab may have rotated the token first: use what it stored.
+        var latest = readAuth(cfg);
+        return !!(latest && latest.refreshToken && latest.refreshToken !== auth.refreshToken);
+      } finally {
+        refreshing = null;
+      }
+    })();
+    return refreshing;
+  }
+
+  // ---- Offline ----
+  // The last good answers of /auth/me and of the summary, product and offer lists are kept in IndexedDB and
+  // shown, under a "hors ligne" banner, while the API cannot be reached. Product and offer writes made
+  // meanwhile wait in a queue next to them and are replayed in order once it answers again; a 412 or a
+  // refusal stays queued until the user settles it. Without IndexedDB (private browsing) both only last
+  // as long as the page. Entries are scoped by data-storage-key and dropped on logout.
+  var OFFLINE_DB = "cag_pos_offline";
+  // While offline the dashboard asks the API this often whether it is back.
+  var OFFLINE_PROBE_MS = 15000;
+  var offlineDbOpening = null;
+  var offlineMemory = { responses: {}, queue: {} };
+  var offlineMemorySeq = 0;
+
+  function offlineDb() {
+    if (offlineDbOpening) return offlineDbOpening;
+    offlineDbOpening = new Promise(function (resolve) {
+      var req = null;
+      try {
+        if (window.indexedDB) req = window.indexedDB.open(OFFLINE_DB, 1);
+      } catch (_) {
+        req = null;
+      }
+      if (!req) return resolve(null);
+      req.onupgradeneeded = function () {
+        req.result.createObjectStore("responses", { keyPath: "key" });
+        req.result.createObjectStore("queue", { keyPath: "id", autoIncrement: true });
+      };
+      req.onsuccess = function () {
+        resolve(req.result);
+      };
+      req.onerror = function () {
+        resolve(null);
+      };
+    });
+    return offlineDbOpening;
+  }
+
+  // One get / getAll / put / delete on a store ("responses" by key, "queue" by id), in IndexedDB or in
+  // the in-memory fallback. put resolves the key.
+  async function offlineStore(store, method, arg) {
+    var db = await offlineDb();
+    if (!db) {
+      var mem = offlineMemory[store];
+      if (method === "get") return mem[arg] || null;
+      if (method === "getAll") {
+        return Object.keys(mem).map(function (k) {
+          return mem[k];
+        });
+      }
+      if (method === "delete") {
+        delete mem[arg];
+        return null;
+      }
+      var copy = JSON.parse(JSON.stringify(arg));
+      if (store === "queue" && copy.id == null) copy.id = ++offlineMemorySeq;
+      mem[store === "queue" ? copy.id : copy.key] = copy;
+      return store === "queue" ? copy.id : copy.key;
+    }
+    return new Promise(function (resolve, reject) {
+      var tx = db.transaction(store, method === "get" || method === "getAll" ? "readonly" : "readwrite");
+      var req = tx.objectStore(store)[method](arg);
+      tx.oncomplete = function () {
+        resolve(req.result === undefined ? null : req.result);
+      };
+      tx.onerror = tx.onabort = function () {
+        reject(tx.error || new Error("IndexedDB"));
+      };
+    });
+  }
+
+  // reachable: did the API answer the last request. copyAt: oldest stored answer shown since it stopped.
+  // Listeners (one per dashboard) redraw the banner.
+  var offlineStatus = { reachable: true, copyAt: null };
+  var offlineListeners = [];
+
+  function notifyOffline() {
+    offlineListeners.forEach(function (fn) {
+      fn(offlineStatus);
+    });
+  }
+
+  function setApiReachable(reachable) {
+    if (offlineStatus.reachable === reachable) return;
+    offlineStatus.reachable = reachable;
+    if (reachable) offlineStatus.copyAt = null;
+    notifyOffline();
+  }
+
+  function offlineKey(cfg, path, query) {
+    var usp = new URLSearchParams();
+    Object.keys(query || {})
+      .sort()
+      .forEach(function (k) {
+        if (query[k] == null || query[k] === "") return;
+        usp.set(k, String(query[k]));
+      });
+    return cfg.storageKey + " " + path + "?" + usp.toString();
+  }
+
+  // GET kept for offline use: a good answer is stored, a request that got no answer at all is served the
+  // stored copy. HTTP errors go through untouched.
+  async function cachedFetch(cfg, path, opts) {
+    var key = offlineKey(cfg, path, opts.query);
+    try {
+      var data = await apiFetch(cfg, path, opts);
+      offlineStore("responses", "put", { key: key, scope: cfg.storageKey, at: new Date().toISOString(), data: data }).catch(function () {});
+      return data;
+    } catch (err) {
+      if (!err || !err.offline) throw err;
+      var copy = await offlineStore("responses", "get", key).catch(function () {
+        return null;
+      });
+      if (!copy) throw err;
+      if (!offlineStatus.copyAt || copy.at < offlineStatus.copyAt) {
+        offlineStatus.copyAt = copy.at;
+        notifyOffline();
+      }
+      return copy.data;
+    }
+  }
+
+  // Queue entries: { id, scope, entity: product | offer, op: create | update | delete, itemId, version,
+  // base (item as the form loaded it), payload, key (Idempotency-Key), at, status: pending | conflict |
+  // failed, error, current, currentVersion (from a 412) }. Oldest first.
+  async function offlineQueue(cfg) {
+    var all = await offlineStore("queue", "getAll");
+    return (all || [])
+      .filter(function (e) {
+        return e.scope === cfg.storageKey;
+      })
+      .sort(function (a, b) {
+        return a.id - b.id;
+      });
+  }
+
+  // A second edit of an item still waiting is queued on its own, not merged into the first: that one keeps
+  // the key of an attempt that may have reached the API. It goes out after the first (see followVersion).
+  async function enqueueOffline(cfg, entry) {
+    return offlineStore("queue", "put", Object.assign({ scope: cfg.storageKey, status: "pending" }, entry));
+  }
+
+  async function clearOfflineData(cfg) {
+    var stores = ["responses", "queue"];
+    for (var i = 0; i < stores.length; i++) {
+      var all = (await offlineStore(stores[i], "getAll")) || [];
+      for (var j = 0; j < all.length; j++) {
+        if (all[j].scope === cfg.storageKey) await offlineStore(stores[i], "delete", stores[i] === "queue" ? all[j].id : all[j].key);
+      }
+    }
+  }
+
+  function sendCatalogWrite(cfg, entry) {
+    var ep = entry.entity === "offer" ? cfg.epOffers : cfg.epProducts;
+    // Without a key (first attempt) apiFetch picks one, reused when the same write is sent again.
+    var headers = entry.key ? { "Idempotency-Key": entry.key } : {};
+    if (entry.op === "create") return apiFetch(cfg, ep, { method: "POST", json: entry.payload, headers: headers });
+    Object.assign(headers, ifMatch(entry.version));
+    var path = ep + "/" + encodeURIComponent(String(entry.itemId));
+    if (entry.op === "delete") return apiFetch(cfg, path, { method: "DELETE", headers: headers });
+    return apiFetch(cfg, path, { method: "PATCH", json: entry.payload, headers: headers });
+  }
+
+  // Product / offer create, update and delete: sent at once, or queued when the API cannot be reached
+  // (resolves { queued: true }). The queued entry keeps the Idempotency-Key of this first attempt, so a
+  // write that did reach the API before the link dropped is answered from its stored result on replay.
+  async function catalogWrite(cfg, entry) {
+    try {
+      return await sendCatalogWrite(cfg, entry);
+    } catch (err) {
+      if (!err || !err.offline) throw err;
+      entry = Object.assign({ key: err.idempotencyKey || newIdempotencyKey(), at: new Date().toISOString() }, entry);
+      await enqueueOffline(cfg, entry);
+      notifyOffline();
+      return { queued: true };
+    }
+  }
+
+  // Sends the pending entries in order; resolves { sent, held } (held: entries this run left to the user).
+  // No answer, a 5xx, a 401 the refresh could not fix, a 429 or a key still in progress stop the run (tried
+  // again later); a 412 becomes a conflict and any other refusal a failure, both kept for the user.
+  var replayingQueue = null;
+
+  function queueItemKey(e) {
+    return e.entity + ":" + e.itemId;
+  }
+
+  // Later edits of the item were made on top of `sent` (overlayQueued) but carry the version it started
+  // from: they move to the one it produced.
+  async function followVersion(rest, sent, version) {
+    for (var i = 0; i < rest.length; i++) {
+      var e = rest[i];
+      if (e.status !== "pending" || e.op === "create" || queueItemKey(e) !== queueItemKey(sent)) continue;
+      e.version = version;
+      await offlineStore("queue", "put", e);
+    }
+  }
+
+  function replayOfflineQueue(cfg) {
+    if (replayingQueue) return replayingQueue;
+    replayingQueue = (async function () {
+      var sent = 0;
+      var held = 0;
+      try {
+        var queue = await offlineQueue(cfg);
+        // Items with an entry left to the user: their later edits wait until it is settled.
+        var waiting = {};
+        for (var i = 0; i < queue.length; i++) {
+          var entry = queue[i];
+          if (entry.status !== "pending" && entry.op !== "create") waiting[queueItemKey(entry)] = true;
+          if (entry.status !== "pending" || waiting[queueItemKey(entry)]) continue;
+          try {
+            var res = await sendCatalogWrite(cfg, entry);
+            await offlineStore("queue", "delete", entry.id);
+            sent++;
+            if (res && res.version) await followVersion(queue.slice(i + 1), entry, res.version);
+          } catch (err) {
+            var status = err && err.status;
+            if (!status || status >= 500 || status === 401 || status === 429 || (err.data && err.data.inProgress)) break;
+            entry.status = status === 412 ? "conflict" : "failed";
+            entry.error = err.message;
+            entry.current = (err.data && err.data.current) || null;
+            entry.currentVersion = (err.data && err.data.version) || null;
+            await offlineStore("queue", "put", entry);
+            if (entry.op !== "create") waiting[queueItemKey(entry)] = true;
+            held++;
+          }
+        }
+      } finally {
+        replayingQueue = null;
+      }
+      return { sent: sent, held: held };
+    })();
+    return replayingQueue;
+  }
+
+  var LIVE_RETRY_MS = 2000;
+  var LIVE_RETRY_MAX_MS = 30000;
+  var LIVE_STALE_MS = 60000;
+  // Edits, refunds and stock moves on a shown list reload it once things are quiet for this long.
+  var LIVE_RELOAD_MS = 1500;
+
+  // Reads the GET /events stream with fetch: EventSource cannot send the Authorization header. Reconnects
+  // on its own (backoff up to LIVE_RETRY_MAX_MS) sending the last event id, so the API replays what was
+  // missed. A stream silent for LIVE_STALE_MS (the API pings every 25 s) counts as dropped.
+  // onStatus gets "live", "retry" or "off" (API without /events, session over). Returns { close }.
+  function openLiveStream(cfg, onEvent, onStatus) {
+    var closed = false;
+    var lastId = null;
+    var delay = LIVE_RETRY_MS;
+    var controller = null;
+    var retryTimer = null;
+    var staleTimer = null;
+
+    function watch() {
+      window.clearTimeout(staleTimer);
+      staleTimer = window.setTimeout(function () {
+        if (controller) controller.abort();
+      }, LIVE_STALE_MS);
+    }
+
+    function dispatch(block) {
+      var type = "message";
+      var data = "";
+      block.split(/\r?\n/).forEach(function (line) {
+        if (!line || line.charAt(0) === ":") return;
+        var i = line.indexOf(":");
+        var field = i === -1 ? line : line.slice(0, i);
+        var value = i === -1 ? "" : line.slice(i + 1).replace(/^ /, "");
+        if (field === "event") type = value;
+        else if (field === "data") data += (data ? "\n" : "") + value;
+        else if (field === "id") lastId = value;
+      });
+      if (data) onEvent(type, safeJsonParse(data));
+    }
+
+    async function connect() {
+      if (closed) return;
+      controller = new AbortController();
+      try {
+        var headers = { Accept: "text/event-stream" };
+        if (lastId) headers["Last-Event-ID"] = lastId;
+        var res = await apiFetch(cfg, cfg.epEvents, { method: "GET", raw: true, headers: headers, signal: controller.signal });
+        if (!res.body || !res.body.getReader) {
+          close();
+          onStatus("off");
+          return;
+        }
+        delay = LIVE_RETRY_MS;
+        onStatus("live");
+        watch();
+        var reader = res.body.getReader();
+        var decoder = new TextDecoder();
+        var buffer = "";
+        for (;;) {
+          var chunk = await reader.read();
+          if (chunk.done) break;
+          watch();
+          buffer += decoder.decode(chunk.value, { stream: true });
+          var blocks = buffer.split(/\r?\n\r?\n/);
+          buffer = blocks.pop();
+          blocks.forEach(dispatch);
+        }
+      } catch (err) {
+        // 401 even after a refresh, 403, or an API without /events: retrying will not help.
+        if (err && (err.status === 401 || err.status === 403 || err.status === 404)) {
+          close();
+          onStatus("off");
+          return;
+        }
+      }
+      window.clearTimeout(staleTimer);
+      if (closed) return;
+      onStatus("retry");
+      retryTimer = window.setTimeout(connect, delay);
+      delay = Math.min(delay * 2, LIVE_RETRY_MAX_MS);
+    }
+
+    function close() {
+      closed = true;
+      window.clearTimeout(retryTimer);
+      window.clearTimeout(staleTimer);
+      if (controller) controller.abort();
+    }
+
+    connect();
+    return { close: close };
+  }
+
   function renderAppChrome(root, cfg) {
     var app = el("div", { class: "cag-app" }, el("div", { class: "cag-grid" }), el("div", { class: "cag-shell" }));
     root.innerHTML = "";
@@ -526,7 +1245,63 @@
       required: true,
     });
 
+    // Second step for accounts with two-factor authentication (shown after a valid password).
+    var fCode = el("input", {
+      class: "cag-input",
+      type: "text",
+      name: "code",
+      placeholder: "123456",
+      inputMode: "numeric",
+      autocomplete: "one-time-code",
+    });
+    var codeLabel = el("label", { text: "Code de l'application d'authentification" });
+    var recoveryToggle = el("button", { class: "cag-btn cag-btn-ghost", type: "button", text: "Utiliser un code de secours" });
+
     var submitBtn = el("button", { class: "cag-btn cag-btn-primary", type: "submit", text: "Connexion" });
+    var errorBox = el("div", { class: "cag-login-error", role: "alert", hidden: true });
+
+    var userField = el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Utilisateur" }), fUser);
+    var passField = el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Mot de passe" }), fPass);
+    var codeField = el("div", { class: "cag-field cag-field-full", hidden: true }, codeLabel, fCode, recoveryToggle);
+
+    var mfaToken = null;
+    var useRecovery = false;
+
+    function showCodeStep(token) {
+      mfaToken = token;
+      useRecovery = false;
+      userField.hidden = true;
+      passField.hidden = true;
+      codeField.hidden = false;
+      fUser.required = false;
+      fPass.required = false;
+      fCode.required = true;
+      hint.textContent = "Double authentification activée : saisis le code affiché par ton application.";
+      fCode.value = "";
+      fCode.focus();
+    }
+
+    function showPasswordStep() {
+      mfaToken = null;
+      userField.hidden = false;
+      passField.hidden = false;
+      codeField.hidden = true;
+      fUser.required = true;
+      fPass.required = true;
+      fCode.required = false;
+      fPass.value = "";
+      hint.textContent = "Connecte-toi pour accéder au dashboard et gérer les produits / offres.";
+    }
+
+    recoveryToggle.addEventListener("click", function () {
+      useRecovery = !useRecovery;
+      codeLabel.textContent = useRecovery ? "Code de secours (ex: 4kxd-fg57-m2qa-7bzh)" : "Code de l'application d'authentification";
+      recoveryToggle.textContent = useRecovery ? "Utiliser l'application" : "Utiliser un code de secours";
+      fCode.placeholder = useRecovery ? "xxxx-xxxx-xxxx-xxxx" : "123456";
+      fCode.inputMode = useRecovery ? "text" : "numeric";
+      fCode.value = "";
+      fCode.focus();
+    });
 
     var form = el(
       "form",
@@ -534,8 +1309,10 @@
       el("div", { style: { display: "flex", gap: "10px", alignItems: "center", justifyContent: "space-between" } }, badge),
       title,
       hint,
-      el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Utilisateur" }), fUser),
-      el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Mot de passe" }), fPass),
+      userField,
+      passField,
+      codeField,
+      errorBox,
       el("div", { style: { display: "flex", justifyContent: "flex-end" } }, submitBtn),
       el("div", { class: "cag-small", html: "Version front: <strong>" + APP_VERSION + "</strong>" })
     );
@@ -544,14 +1321,28 @@
       e.preventDefault();
       (async function () {
         setBusy(submitBtn, true, "Connexion...");
+        errorBox.hidden = true;
         try {
-          var payload = { username: fUser.value.trim(), password: fPass.value };
-          var r = await apiFetch(cfg, cfg.epLogin, { method: "POST", json: payload });
+          var r;
+          if (mfaToken) {
+            var second = { mfaToken: mfaToken };
+            if (useRecovery) second.recoveryCode = fCode.value.trim();
+            else second.code = fCode.value.replace(/\s+/g, "");
+            r = await apiFetch(cfg, cfg.epLoginTotp, { method: "POST", json: second, noRefresh: true });
+          } else {
+            var payload = { username: fUser.value.trim(), password: fPass.value };
+            r = await apiFetch(cfg, cfg.epLogin, { method: "POST", json: payload, noRefresh: true });
+            if (r && r.mfaRequired && r.mfaToken) {
+              showCodeStep(r.mfaToken);
+              return;
+            }
+          }
           var token = r && (r.token || (r.data && r.data.token));
           if (!token) throw new Error("Réponse login invalide (token manquant)");
 
           writeAuth(cfg, {
             token: token,
+            refreshToken: r.refreshToken || null,
             user: r.user || (r.data && r.data.user) || null,
             at: new Date().toISOString(),
           });
@@ -570,7 +1361,11 @@
             window.location.reload();
           }, 250);
         } catch (err) {
-          var msg = err && err.message ? err.message : "Erreur de connexion";
+          var msg = loginErrorMessage(err, !!mfaToken);
+          // The code step lasts a few minutes: past that, start over from the password.
+          if (mfaToken && err && err.status === 401 && /expired/i.test(err.message || "")) showPasswordStep();
+          errorBox.textContent = msg;
+          errorBox.hidden = false;
           toast(root, msg, "err", 5200);
         } finally {
           setBusy(submitBtn, false, "Connexion");
@@ -581,6 +1376,130 @@
     shell.appendChild(form);
   }
 
+  function fmtWait(seconds) {
+    if (seconds < 60) return seconds + " s";
+    return Math.ceil(seconds / 60) + " min";
+  }
+
+  function loginErrorMessage(err, codeStep) {
+    if (err && err.status === 401 && codeStep && /expired/i.test(err.message || "")) return "Délai dépassé. Reconnecte-toi.";
+    if (err && err.status === 401) return codeStep ? "Code incorrect ou déjà utilisé." : "Identifiant ou mot de passe incorrect.";
+    if (err && err.status === 429) {
+      var data = err.data || {};
+      var wait = fmtWait(Math.max(1, toNumber(data.retryAfter) || 1));
+      if (data.locked) return "Compte temporairement bloqué après trop d'essais. Réessaie dans " + wait + ".";
+      return "Trop d'essais rapprochés. Réessaie dans " + wait + ".";
+    }
+    return err && err.message ? err.message : "Erreur de connexion";
+  }
+
+  // The API answers with a fresh access token for this session (the others are closed).
+  async function changePassword(cfg, currentPassword, newPassword) {
+    var r = await apiFetch(cfg, cfg.epChangePassword, { method: "POST", json: { currentPassword: currentPassword, newPassword: newPassword } });
+    if (r && r.token) writeAuth(cfg, Object.assign({}, readAuth(cfg) || {}, { token: r.token, at: new Date().toISOString() }));
+    return r;
+  }
+
+  // Current / new / confirm inputs shared by the forced screen and the Sécurité modal.
+  function passwordChangeFields(user) {
+    var minLength = (user && user.passwordPolicy && toNumber(user.passwordPolicy.minLength)) || 8;
+    var fCurrent = el("input", { class: "cag-input", type: "password", autocomplete: "current-password", required: true });
+    var fNext = el("input", { class: "cag-input", type: "password", autocomplete: "new-password", required: true, minLength: minLength });
+    var fConfirm = el("input", { class: "cag-input", type: "password", autocomplete: "new-password", required: true });
+    return {
+      current: fCurrent,
+      next: fNext,
+      confirm: fConfirm,
+      nodes: [
+        el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Mot de passe actuel" }), fCurrent),
+        el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Nouveau mot de passe" }), fNext),
+        el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Confirmation" }), fConfirm),
+        el("div", {
+          class: "cag-small cag-field-full",
+          text: "Au moins " + minLength + " caractères, en mélangeant au moins deux types (minuscules, majuscules, chiffres, symboles), sans ton nom d'utilisateur.",
+        }),
+      ],
+      // Returns an error message, or null when the inputs can be sent.
+      check: function () {
+        if (!fCurrent.value) return "Saisis ton mot de passe actuel.";
+        if (fNext.value.length < minLength) return "Le nouveau mot de passe doit faire au moins " + minLength + " caractères.";
+        if (fNext.value !== fConfirm.value) return "La confirmation ne correspond pas.";
+        if (fNext.value === fCurrent.value) return "Le nouveau mot de passe doit être différent de l'actuel.";
+        return null;
+      },
+    };
+  }
+
+  function passwordChangeErrorMessage(err) {
+    if (err && err.status === 429) return loginErrorMessage(err, false);
+    if (err && err.status === 400 && /current password/i.test(err.message || "")) return "Mot de passe actuel incorrect.";
+    return (err && err.message) || "Erreur changement de mot de passe";
+  }
+
+  // Shown instead of the dashboard while the API refuses everything but the password change
+  // (plaintext password found at sign-in, or temporary password set by an admin).
+  function renderPasswordChange(shell, root, cfg, user) {
+    var fields = passwordChangeFields(user);
+    var submitBtn = el("button", { class: "cag-btn cag-btn-primary", type: "submit", text: "Enregistrer" });
+    var logoutBtn = el("button", { class: "cag-btn cag-btn-ghost", type: "button", text: "Déconnexion" });
+    var errorBox = el("div", { class: "cag-login-error", role: "alert", hidden: true });
+
+    var form = el(
+      "form",
+      { class: "cag-login" },
+      el("div", { style: { display: "flex", gap: "10px", alignItems: "center" } }, el("span", { class: "cag-badge" }, el("span", { class: "cag-status-dot" }), user.username)),
+      el("h1", { text: "Nouveau mot de passe" }),
+      el("p", { text: "Ton mot de passe actuel doit être remplacé avant d'accéder au dashboard." }),
+      fields.nodes[0],
+      fields.nodes[1],
+      fields.nodes[2],
+      fields.nodes[3],
+      errorBox,
+      el("div", { style: { display: "flex", justifyContent: "space-between" } }, logoutBtn, submitBtn)
+    );
+
+    logoutBtn.addEventListener("click", function () {
+      (async function () {
+        try {
+          await apiFetch(cfg, cfg.epLogout, { method: "POST" });
+        } catch (_) {
+          // ignore
+        }
+        clearAuth(cfg);
+        if (cfg.loginUrl) window.location.href = cfg.loginUrl;
+        else window.location.reload();
+      })();
+    });
+
+    form.addEventListener("submit", function (e) {
+      e.preventDefault();
+      var problem = fields.check();
+      if (problem) {
+        errorBox.textContent = problem;
+        errorBox.hidden = false;
+        return;
+      }
+      (async function () {
+        setBusy(submitBtn, true, "Enregistrement...");
+        errorBox.hidden = true;
+        try {
+          await changePassword(cfg, fields.current.value, fields.next.value);
+          toast(root, "Mot de passe modifié.", "ok");
+          window.setTimeout(function () {
+            window.location.reload();
+          }, 250);
+        } catch (err) {
+          errorBox.textContent = passwordChangeErrorMessage(err);
+          errorBox.hidden = false;
+          setBusy(submitBtn, false, "Enregistrer");
+        }
+      })();
+    });
+
+    shell.appendChild(form);
+    fields.current.focus();
+  }
+
   function renderTopbar(cfg, state, fmtMoney, fmtCompact) {
     var left = el(
       "div",
@@ -610,8 +1529,23 @@
       presetBtn("M-1", "lm")
     );
 
+    var compareSelect = el(
+      "select",
+      { class: "cag-select", title: "Comparer les KPIs avec une autre période" },
+      el("option", { value: "", text: "Sans comparaison" }),
+      el("option", { value: "previous", text: "vs période précédente" }),
+      el("option", { value: "yoy", text: "vs année précédente" })
+    );
+    compareSelect.value = state.compare || "";
+
     var refreshBtn = el("button", { class: "cag-btn", type: "button", text: "Rafraichir" });
     var logoutBtn = el("button", { class: "cag-btn cag-btn-ghost", type: "button", text: "Déconnexion" });
+    var securityBtn = el("button", {
+      class: "cag-btn cag-btn-ghost",
+      type: "button",
+      text: "Sécurité",
+      title: "Mot de passe et double authentification",
+    });
 
     var userPill = el(
       "span",
@@ -620,6 +1554,9 @@
       el("span", { text: state.user ? state.user.username : "Session" })
     );
 
+    // State of the live stream (see openLiveStream): hidden until it first answers.
+    var livePill = el("span", { class: "cag-pill", style: { display: "none" } }, el("span", { class: "cag-status-dot" }), el("span", { text: "En direct" }));
+
     var actions = el(
       "div",
       { class: "cag-actions" },
@@ -629,11 +1566,14 @@
         el("label", { text: "Du" }),
         fromInput,
         el("label", { text: "Au" }),
-        toInput
+        toInput,
+        compareSelect
       ),
       presets,
       refreshBtn,
+      livePill,
       userPill,
+      securityBtn,
       logoutBtn
     );
 
@@ -643,18 +1583,26 @@
       fromInput: fromInput,
       toInput: toInput,
       presets: presets,
+      compareSelect: compareSelect,
       refreshBtn: refreshBtn,
+      livePill: livePill,
       logoutBtn: logoutBtn,
+      securityBtn: securityBtn,
     };
   }
 
-  function renderTabs(state) {
+  function renderTabs(cfg, state) {
     var tabs = [
       { id: "overview", label: "Apercu" },
       { id: "sales", label: "Ventes" },
       { id: "products", label: "Produits" },
       { id: "offers", label: "Offres" },
+      { id: "register", label: "Caisse" },
     ];
+    if (can(cfg, state.user, "users.manage")) {
+      tabs.push({ id: "users", label: "Utilisateurs" });
+      tabs.push({ id: "history", label: "Historique" });
+    }
     var wrap = el("div", { class: "cag-tabs", role: "tablist" });
     tabs.forEach(function (t) {
       var btn = el("button", {
@@ -681,13 +1629,17 @@
     });
   }
 
-  function svgLineChart(series, valueKey, fmtMoney) {
+  // opts.ghost: comparison series drawn dashed behind the main one (same x positions by index).
+  function svgLineChart(series, valueKey, fmtMoney, opts) {
+    opts = opts || {};
+    var ghost = Array.isArray(opts.ghost) ? opts.ghost : null;
     var w = 1000;
     var h = 280;
     var padX = 24;
     var padY = 26;
 
     var values = series
+      .concat(ghost || [])
       .map(function (p) {
         var v = p && p[valueKey];
         return v == null ? null : Number(v);
@@ -712,19 +1664,26 @@
       return padY + (1 - t) * usable;
     }
 
-    var n = series.length;
-    var path = "";
-    for (var i = 0; i < n; i++) {
-      var v = series[i] && series[i][valueKey];
-      v = v == null ? null : Number(v);
-      if (!Number.isFinite(v)) continue;
-      var x = xAt(i, n);
-      var y = yAt(v);
-      path += path ? " L " + x.toFixed(2) + " " + y.toFixed(2) : "M " + x.toFixed(2) + " " + y.toFixed(2);
+    var n = Math.max(series.length, ghost ? ghost.length : 0);
+
+    function linePath(points) {
+      var d = "";
+      for (var i = 0; i < points.length; i++) {
+        var v = points[i] && points[i][valueKey];
+        v = v == null ? null : Number(v);
+        if (!Number.isFinite(v)) continue;
+        var x = xAt(i, n);
+        var y = yAt(v);
+        d += d ? " L " + x.toFixed(2) + " " + y.toFixed(2) : "M " + x.toFixed(2) + " " + y.toFixed(2);
+      }
+      return d;
     }
 
+    var path = linePath(series);
+    var ghostPath = ghost ? linePath(ghost) : "";
+
     var last = null;
-    for (var j = n - 1; j >= 0; j--) {
+    for (var j = series.length - 1; j >= 0; j--) {
       var vv = series[j] && series[j][valueKey];
       vv = vv == null ? null : Number(vv);
       if (Number.isFinite(vv)) {
@@ -734,7 +1693,9 @@
     }
 
     var y0 = yAt(minV);
-    var area = path ? path + " L " + xAt(n - 1, n).toFixed(2) + " " + y0.toFixed(2) + " L " + xAt(0, n).toFixed(2) + " " + y0.toFixed(2) + " Z" : "";
+    var area = path
+      ? path + " L " + xAt(series.length - 1, n).toFixed(2) + " " + y0.toFixed(2) + " L " + xAt(0, n).toFixed(2) + " " + y0.toFixed(2) + " Z"
+      : "";
 
     var labelMax = fmtMoney(maxV);
     var labelMin = fmtMoney(minV);
@@ -757,6 +1718,11 @@
       '" height="' +
       h +
       '" fill="rgba(255,255,255,0.0)"/>' +
+      (ghostPath
+        ? '<path d="' +
+          ghostPath +
+          '" fill="none" stroke="rgba(91,100,117,0.55)" stroke-width="3" stroke-dasharray="10 8" stroke-linecap="round" stroke-linejoin="round"></path>'
+        : "") +
       '<g opacity="0.85">' +
       '<path d="' +
       area +
@@ -976,6 +1942,24 @@
     return view;
   }
 
+  function renderRegisterView() {
+    var view = el("div", { class: "cag-view", "data-view": "register" });
+    view.appendChild(el("div", { class: "cag-empty", text: "Chargement..." }));
+    return view;
+  }
+
+  function renderUsersView() {
+    var view = el("div", { class: "cag-view", "data-view": "users" });
+    view.appendChild(el("div", { class: "cag-empty", text: "Chargement..." }));
+    return view;
+  }
+
+  function renderHistoryView() {
+    var view = el("div", { class: "cag-view", "data-view": "history" });
+    view.appendChild(el("div", { class: "cag-empty", text: "Chargement..." }));
+    return view;
+  }
+
   function openModal(root, titleText, bodyNode, actionsNode) {
     var backdrop = el("div", { class: "cag-modal-backdrop", role: "dialog", "aria-modal": "true" });
     var modal = el(
@@ -1010,6 +1994,60 @@
     return { close: close, modal: modal };
   }
 
+  // "Modifié entre-temps" dialog for a 412 on save. fields: [{ key, label, format? }], compared as values of
+  // the normalized item. base = item as the form loaded it, mine = what the form would send, current = item
+  // now. One row per field where mine and current differ: the user's value is preselected where they changed
+  // it, the current one elsewhere, so untouched fields do not undo the other edit. onMerge gets the result.
+  function openConflictDialog(root, titleText, fields, base, mine, current, onMerge) {
+    function key(v) {
+      if (Array.isArray(v)) return v.map(String).sort().join(",");
+      return v == null ? "" : String(v);
+    }
+    var rows = [];
+    var choices = [];
+    fields.forEach(function (f) {
+      if (!(f.key in mine) || key(mine[f.key]) === key(current[f.key])) return;
+      var fmt = function (v) {
+        return key(v) === "" ? "—" : f.format ? f.format(v) : String(v);
+      };
+      var name = "cag-merge-" + f.key;
+      var edited = key(mine[f.key]) !== key(base[f.key]);
+      var pickMine = el("input", { type: "radio", name: name, checked: edited });
+      var pickCurrent = el("input", { type: "radio", name: name, checked: !edited });
+      choices.push({ key: f.key, pickMine: pickMine });
+      rows.push(
+        el(
+          "tr",
+          {},
+          el("td", { text: f.label }),
+          el("td", {}, el("label", { class: "cag-check" }, pickMine, el("span", { text: fmt(mine[f.key]) }))),
+          el("td", {}, el("label", { class: "cag-check" }, pickCurrent, el("span", { text: fmt(current[f.key]) })))
+        )
+      );
+    });
+
+    var merged = Object.assign({}, mine);
+    if (!rows.length) return onMerge(merged);
+
+    var body = el(
+      "div",
+      {},
+      el("p", { class: "cag-small", text: "Quelqu'un a modifié cet élément pendant que tu l'éditais. Choisis la valeur à garder pour chaque champ." }),
+      table(["Champ", "Ta valeur", "Valeur actuelle"], rows)
+    );
+    var cancelBtn = el("button", { class: "cag-btn", type: "button", text: "Annuler" });
+    var mergeBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Enregistrer la fusion" });
+    var dialog = openModal(root, titleText + " : modifié entre-temps", body, el("div", { class: "cag-form-actions" }, cancelBtn, mergeBtn));
+    cancelBtn.addEventListener("click", dialog.close);
+    mergeBtn.addEventListener("click", function () {
+      choices.forEach(function (c) {
+        if (!c.pickMine.checked) merged[c.key] = current[c.key];
+      });
+      dialog.close();
+      onMerge(merged);
+    });
+  }
+
   function table(headers, rows) {
     var t = el("table", { class: "cag-table" });
     var thead = el("thead");
@@ -1036,9 +2074,16 @@
   }
 
   async function loadMe(cfg) {
-    var r = await apiFetch(cfg, cfg.epMe, { method: "GET" });
+    var r = await cachedFetch(cfg, cfg.epMe, { method: "GET" });
     var u = (r && (r.user || r.data || r)) || null;
-    return normalizeUser(u);
+    var user = normalizeUser(u);
+    if (user && r && Array.isArray(r.permissions)) user.permissions = r.permissions;
+    if (user && r && r.totp) user.totp = r.totp;
+    if (user && r) {
+      user.mustChangePassword = !!r.mustChangePassword;
+      user.passwordPolicy = r.passwordPolicy || null;
+    }
+    return user;
   }
 
   async function ensureAuth(root, cfg) {
@@ -1050,14 +2095,15 @@
     } catch (err) {
       if (err && (err.status === 401 || err.status === 403)) {
         clearAuth(cfg);
+        clearOfflineData(cfg).catch(function () {});
         toast(root, "Session expirée. Reconnexion requise.", "warn", 5200);
       }
       return null;
     }
   }
 
-  async function loadSummary(cfg, range) {
-    return apiFetch(cfg, cfg.epSummary, { method: "GET", query: { from: range.from, to: range.to } });
+  async function loadSummary(cfg, range, compare) {
+    return cachedFetch(cfg, cfg.epSummary, { method: "GET", query: { from: range.from, to: range.to, compare: compare || "" } });
   }
 
   async function loadSales(cfg, range, q, limit, offset) {
@@ -1071,70 +2117,428 @@
     return apiFetch(cfg, cfg.epSales + "/" + encodeURIComponent(String(saleId)), { method: "GET" });
   }
 
-  async function loadProducts(cfg, q, limit, offset) {
-    return apiFetch(cfg, cfg.epProducts, { method: "GET", query: { q: q || "", limit: limit, offset: offset } });
+  async function refundSale(cfg, saleId, payload) {
+    return apiFetch(cfg, cfg.epSales + "/" + encodeURIComponent(String(saleId)) + "/refund", { method: "POST", json: payload });
   }
 
-  async function createProduct(cfg, payload) {
-    return apiFetch(cfg, cfg.epProducts, { method: "POST", json: payload });
+  async function voidSale(cfg, saleId, payload) {
+    return apiFetch(cfg, cfg.epSales + "/" + encodeURIComponent(String(saleId)) + "/void", { method: "POST", json: payload });
   }
 
-  async function updateProduct(cfg, id, payload) {
-    return apiFetch(cfg, cfg.epProducts + "/" + encodeURIComponent(String(id)), { method: "PATCH", json: payload });
+  async function createSale(cfg, payload) {
+    return apiFetch(cfg, cfg.epSales, { method: "POST", json: payload });
   }
 
-  async function deleteProduct(cfg, id) {
-    return apiFetch(cfg, cfg.epProducts + "/" + encodeURIComponent(String(id)), { method: "DELETE" });
+  // status: active (default, what the register sells) | archived | all.
+  async function loadProducts(cfg, q, limit, offset, status) {
+    return cachedFetch(cfg, cfg.epProducts, { method: "GET", query: { q: q || "", status: status || "", limit: limit, offset: offset } });
   }
 
-  async function loadOffers(cfg, q, limit, offset) {
-    return apiFetch(cfg, cfg.epOffers, { method: "GET", query: { q: q || "", limit: limit, offset: offset } });
+  async function loadLowStock(cfg, limit, offset) {
+    return cachedFetch(cfg, cfg.epProducts + "/low-stock", { method: "GET", query: { limit: limit, offset: offset } });
   }
 
-  async function createOffer(cfg, payload) {
-    return apiFetch(cfg, cfg.epOffers, { method: "POST", json: payload });
+  // Exports are file downloads: fetched with the auth header, then handed to the browser as a blob.
+  async function downloadExport(cfg, path, query, fallbackName) {
+    var res = await apiFetch(cfg, path, { method: "GET", query: query, raw: true });
+    var blob = await res.blob();
+    var m = /filename="?([^";]+)"?/i.exec(res.headers.get("Content-Disposition") || "");
+    var link = el("a", { href: URL.createObjectURL(blob), download: m ? m[1] : fallbackName, style: { display: "none" } });
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(function () {
+      URL.revokeObjectURL(link.href);
+      if (link.parentNode) link.parentNode.removeChild(link);
+    }, 1000);
   }
 
-  async function updateOffer(cfg, id, payload) {
-    return apiFetch(cfg, cfg.epOffers + "/" + encodeURIComponent(String(id)), { method: "PATCH", json: payload });
+  // dryRun defaults to true server-side too: only an explicit false writes anything.
+  async function importProducts(cfg, csv, dryRun) {
+    return apiFetch(cfg, cfg.epProducts + "/import", { method: "POST", json: { csv: csv, dryRun: dryRun !== false } });
   }
 
-  async function deleteOffer(cfg, id) {
-    return apiFetch(cfg, cfg.epOffers + "/" + encodeURIComponent(String(id)), { method: "DELETE" });
+  // Product and offer writes go through catalogWrite: offline they resolve { queued: true }.
+  async function createProduct(cfg, payload) {
+    return catalogWrite(cfg, { entity: "product", op: "create", payload: payload });
   }
 
-  function renderDashboard(shell, root, cfg, state) {
-    var fmtMoney = moneyFormatter(cfg);
-    var fmtCompact = compactNumberFormatter(cfg);
-    var fmtInt = function (n) {
-      if (n == null || !Number.isFinite(Number(n))) return "—";
-      return String(Math.round(Number(n)));
-    };
+  // PATCH / DELETE send back the version the form was loaded with; the API answers 412 when the item changed
+  // since (err.data: { version, current }). Items listed by an API without versions match anything.
+  // No version, no write: "*" would overwrite whatever someone else saved since. Fails like the API's 428,
+  // so a queued entry is held for the user instead of retried.
+  function ifMatch(version) {
+    if (!version) {
+      var err = new Error("Version inconnue : recharge la liste avant de modifier.");
+      err.status = 428;
+      throw err;
+    }
+    return { "If-Match": '"' + version + '"' };
+  }
+
+  // base: the item as listed, kept with a queued edit for the conflict dialog.
+  async function updateProduct(cfg, id, payload, version, base) {
+    return catalogWrite(cfg, { entity: "product", op: "update", itemId: id, payload: payload, version: version, base: base || null });
+  }
+
+  async function deleteProduct(cfg, id, version, base) {
+    return catalogWrite(cfg, { entity: "product", op: "delete", itemId: id, version: version, base: base || null });
+  }
+
+  async function setProductArchived(cfg, id, archived) {
+    return apiFetch(cfg, cfg.epProducts + "/" + encodeURIComponent(String(id)) + (archived ? "/archive" : "/restore"), { method: "POST" });
+  }
+
+  async function loadProductMovements(cfg, id, limit, offset) {
+    return apiFetch(cfg, cfg.epProducts + "/" + encodeURIComponent(String(id)) + "/movements", {
+      method: "GET",
+      query: { limit: limit, offset: offset },
+    });
+  }
+
+  async function createStockMovement(cfg, id, payload) {
+    return apiFetch(cfg, cfg.epProducts + "/" + encodeURIComponent(String(id)) + "/movements", { method: "POST", json: payload });
+  }
+
+  async function loadOffers(cfg, q, limit, offset, status) {
+    return cachedFetch(cfg, cfg.epOffers, { method: "GET", query: { q: q || "", status: status || "", limit: limit, offset: offset } });
+  }
+
+  async function createOffer(cfg, payload) {
+    return catalogWrite(cfg, { entity: "offer", op: "create", payload: payload });
+  }
+
+  async function updateOffer(cfg, id, payload, version, base) {
+    return catalogWrite(cfg, { entity: "offer", op: "update", itemId: id, payload: payload, version: version, base: base || null });
+  }
+
+  async function deleteOffer(cfg, id, version, base) {
+    return catalogWrite(cfg, { entity: "offer", op: "delete", itemId: id, version: version, base: base || null });
+  }
+
+  async function setOfferArchived(cfg, id, archived) {
+    return apiFetch(cfg, cfg.epOffers + "/" + encodeURIComponent(String(id)) + (archived ? "/archive" : "/restore"), { method: "POST" });
+  }
+
+  function archiveStatusSelect(value) {
+    var select = el("select", { class: "cag-select", title: "Afficher" });
+    Object.keys(ARCHIVE_STATUS_LABELS).forEach(function (k) {
+      select.appendChild(el("option", { value: k, text: ARCHIVE_STATUS_LABELS[k] }));
+    });
+    select.value = value || "active";
+    return select;
+  }
+
+  async function loadUsers(cfg, q, limit, offset) {
+    return apiFetch(cfg, cfg.epUsers, { method: "GET", query: { q: q || "", limit: limit, offset: offset } });
+  }
+
+  async function createUser(cfg, payload) {
+    return apiFetch(cfg, cfg.epUsers, { method: "POST", json: payload });
+  }
+
+  async function updateUser(cfg, id, payload) {
+    return apiFetch(cfg, cfg.epUsers + "/" + encodeURIComponent(String(id)), { method: "PATCH", json: payload });
+  }
+
+  async function loadLoginAttempts(cfg, filters, limit, offset) {
+    return apiFetch(cfg, cfg.epLoginAttempts, {
+      method: "GET",
+      query: { username: filters.username || "", outcome: filters.outcome || "", limit: limit, offset: offset },
+    });
+  }
+
+  async function loadAudit(cfg, filters, limit, offset) {
+    return apiFetch(cfg, cfg.epAudit, {
+      method: "GET",
+      query: {
+        entity: filters.entity || "",
+        entityId: filters.entityId || "",
+        from: filters.from || "",
+        to: filters.to || "",
+        limit: limit,
+        offset: offset,
+      },
+    });
+  }
+
+  // audit_log images -> flat { "field": value } ("sale.status" for nested objects) to compare field by field.
+  function flattenAuditImage(image) {
+    var out = {};
+    if (!image || typeof image !== "object") return out;
+    Object.keys(image).forEach(function (k) {
+      var v = image[k];
+      if (v && typeof v === "object" && !Array.isArray(v)) {
+        Object.keys(v).forEach(function (k2) {
+          out[k + "." + k2] = v[k2];
+        });
+      } else out[k] = v;
+    });
+    return out;
+  }
+
+  function auditChanges(before, after) {
+    var a = flattenAuditImage(before);
+    var b = flattenAuditImage(after);
+    var keys = Object.keys(a);
+    Object.keys(b).forEach(function (k) {
+      if (keys.indexOf(k) === -1) keys.push(k);
+    });
+    return keys.map(function (k) {
+      return { field: k, from: a[k], to: b[k], changed: JSON.stringify(a[k]) !== JSON.stringify(b[k]) };
+    });
+  }
+
+  function fmtAuditValue(v) {
+    if (v === undefined || v === null || v === "") return "—";
+    if (Array.isArray(v)) return v.length && typeof v[0] === "object" ? v.length + " ligne(s)" : v.join(", ");
+    if (typeof v === "object") return JSON.stringify(v);
+    return String(v);
+  }
+
+  async function loadSyncStatus(cfg) {
+    return apiFetch(cfg, cfg.epSync + "/status", { method: "GET" });
+  }
+
+  async function loadSyncFailures(cfg, limit, offset) {
+    return apiFetch(cfg, cfg.epSync + "/failures", { method: "GET", query: { limit: limit, offset: offset } });
+  }
+
+  async function dismissSyncFailure(cfg, id) {
+    return apiFetch(cfg, cfg.epSync + "/failures/" + encodeURIComponent(String(id)) + "/dismiss", { method: "POST" });
+  }
+
+  async function resetUserTotp(cfg, id) {
+    return apiFetch(cfg, cfg.epUsers + "/" + encodeURIComponent(String(id)) + "/totp/reset", { method: "POST" });
+  }
+
+  async function revokeUserSessions(cfg, id) {
+    return apiFetch(cfg, cfg.epUsers + "/" + encodeURIComponent(String(id)) + "/sessions/revoke", { method: "POST" });
+  }
+
+  async function loadPasswordReport(cfg) {
+    return apiFetch(cfg, cfg.epUsers + "/password-report", { method: "GET" });
+  }
+
+  async function resetUserPassword(cfg, id, password) {
+    return apiFetch(cfg, cfg.epUsers + "/" + encodeURIComponent(String(id)) + "/password", { method: "POST", json: { password: password } });
+  }
+
+  // The API caps `limit` at 100: walk the pages to get a whole list (register catalog, offer picker).
+  async function loadAllPages(loader) {
+    var out = [];
+    var offset = 0;
+    for (var guard = 0; guard < 200; guard++) {
+      var r = await loader(100, offset);
+      var items = (r && (r.items || (r.data && r.data.items))) || [];
+      out = out.concat(items);
+      offset += items.length;
+      var total = toNumber(r && (r.total != null ? r.total : r.data && r.data.total));
+      if (!items.length || total == null || offset >= total) break;
+    }
+    return out;
+  }
+
+  function renderDashboard(shell, root, cfg, state) {
+    var fmtMoney = moneyFormatter(cfg);
+    var fmtCompact = compactNumberFormatter(cfg);
+    var fmtInt = function (n) {
+      if (n == null || !Number.isFinite(Number(n))) return "—";
+      return String(Math.round(Number(n)));
+    };
 
     var chrome = renderTopbar(cfg, state, fmtMoney, fmtCompact);
-    var tabs = renderTabs(state);
+    var tabs = renderTabs(cfg, state);
 
     var main = el("div", { class: "cag-main" });
     var vOverview = renderOverviewView(state, fmtMoney, fmtCompact);
     var vSales = renderSalesView();
     var vProducts = renderProductsView();
     var vOffers = renderOffersView();
+    var vRegister = renderRegisterView();
     main.appendChild(vOverview);
     main.appendChild(vSales);
     main.appendChild(vProducts);
     main.appendChild(vOffers);
+    main.appendChild(vRegister);
+    if (can(cfg, state.user, "users.manage")) {
+      main.appendChild(renderUsersView());
+      main.appendChild(renderHistoryView());
+    }
+
+    // Shown while the API is unreachable, and while offline edits wait to be sent or settled.
+    var offlineBar = el("div", { class: "cag-offline", role: "status", style: { display: "none" } });
 
     shell.appendChild(chrome.topbar);
     shell.appendChild(tabs);
+    shell.appendChild(offlineBar);
     shell.appendChild(main);
 
     function onLogout() {
-      clearAuth(cfg);
-      if (cfg.loginUrl) window.location.href = cfg.loginUrl;
-      else window.location.reload();
+      (async function () {
+        // Cached lists and queued edits belong to the session and go with it.
+        var queued = (
+          await offlineQueue(cfg).catch(function () {
+            return [];
+          })
+        ).length;
+        var lost = queued + " modification(s) hors ligne n'ont pas encore été envoyées et seront perdues. Se déconnecter quand même ?";
+        if (queued && !window.confirm(lost)) return;
+        setBusy(chrome.logoutBtn, true, "Déconnexion...");
+        if (state.live) state.live.close();
+        stopOffline();
+        try {
+          // Best effort: the local token is dropped either way.
+          await apiFetch(cfg, cfg.epLogout, { method: "POST" });
+        } catch (_) {
+          // ignore
+        }
+        await clearOfflineData(cfg).catch(function () {});
+        clearAuth(cfg);
+        if (cfg.loginUrl) window.location.href = cfg.loginUrl;
+        else window.location.reload();
+      })();
     }
 
     chrome.logoutBtn.addEventListener("click", onLogout);
+    chrome.securityBtn.addEventListener("click", openSecurityModal);
+
+    // Password change, then two-factor enrolment for eligible roles:
+    // QR code (rendered by the API, nothing leaves the network) -> code -> recovery codes.
+    function openSecurityModal() {
+      var fields = passwordChangeFields(state.user);
+      var passwordBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Changer le mot de passe" });
+      var wrap = el("div", { class: "cag-form" }, el("h3", { class: "cag-field-full", text: "Mot de passe" }));
+      fields.nodes.forEach(function (n) {
+        wrap.appendChild(n);
+      });
+      wrap.appendChild(el("div", { class: "cag-form-actions" }, passwordBtn));
+      var totpEligible = !!(state.user && state.user.totp && state.user.totp.eligible);
+      var body = el("div", { class: "cag-form cag-field-full" }, el("div", { class: "cag-empty", text: "Chargement..." }));
+      if (totpEligible) {
+        wrap.appendChild(el("h3", { class: "cag-field-full", text: "Double authentification" }));
+        wrap.appendChild(body);
+      }
+      var modal = openModal(root, "Sécurité", wrap, null);
+
+      passwordBtn.addEventListener("click", function () {
+        var problem = fields.check();
+        if (problem) {
+          toast(root, problem, "warn", 5200);
+          return;
+        }
+        (async function () {
+          setBusy(passwordBtn, true, "Enregistrement...");
+          try {
+            await changePassword(cfg, fields.current.value, fields.next.value);
+            toast(root, "Mot de passe modifié. Tes autres sessions sont déconnectées.", "ok", 5200);
+            modal.close();
+          } catch (err) {
+            toast(root, passwordChangeErrorMessage(err), "err", 5200);
+            setBusy(passwordBtn, false, "Changer le mot de passe");
+          }
+        })();
+      });
+      if (!totpEligible) return;
+
+      function codeInput() {
+        return el("input", { class: "cag-input", type: "text", inputMode: "numeric", autocomplete: "one-time-code", placeholder: "123456" });
+      }
+
+      function renderRecoveryCodes(codes) {
+        body.innerHTML = "";
+        var list = el("div", { class: "cag-codes" });
+        codes.forEach(function (c) {
+          list.appendChild(el("span", { text: c }));
+        });
+        var doneBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Je les ai notés" });
+        doneBtn.addEventListener("click", modal.close);
+        body.appendChild(el("p", { class: "cag-small", text: "Double authentification activée. Garde ces codes de secours en lieu sûr : chacun remplace une fois le code de l'application (téléphone perdu). Ils ne seront plus affichés." }));
+        body.appendChild(list);
+        body.appendChild(el("div", { class: "cag-form-actions" }, doneBtn));
+      }
+
+      async function startSetup() {
+        body.innerHTML = "";
+        body.appendChild(el("div", { class: "cag-empty", text: "Génération du secret..." }));
+        try {
+          var setup = await apiFetch(cfg, cfg.epTotp + "/setup", { method: "POST" });
+          var fCode = codeInput();
+          var confirmBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Activer" });
+          var qr = el("div", { class: "cag-qr" });
+          qr.innerHTML = setup.qrSvg || "";
+          qr.appendChild(
+            el(
+              "div",
+              { class: "cag-small" },
+              el("div", { text: "1. Scanne ce QR code avec Google Authenticator, Aegis, 1Password..." }),
+              el("div", { text: "ou saisis la clé : " }),
+              el("code", { text: String(setup.secret || "").replace(/(.{4})/g, "$1 ").trim() })
+            )
+          );
+          body.innerHTML = "";
+          body.appendChild(qr);
+          body.appendChild(el("div", { class: "cag-field cag-field-full" }, el("label", { text: "2. Code affiché par l'application" }), fCode));
+          body.appendChild(el("div", { class: "cag-form-actions" }, confirmBtn));
+          confirmBtn.addEventListener("click", function () {
+            (async function () {
+              setBusy(confirmBtn, true, "Vérification...");
+              try {
+                var r = await apiFetch(cfg, cfg.epTotp + "/enable", { method: "POST", json: { code: fCode.value.replace(/\s+/g, "") } });
+                if (state.user.totp) state.user.totp.enabled = true;
+                renderRecoveryCodes((r && r.recoveryCodes) || []);
+              } catch (err) {
+                toast(root, err && err.status === 429 ? loginErrorMessage(err) : (err && err.message) || "Code refusé", "err", 5200);
+                setBusy(confirmBtn, false, "Activer");
+              }
+            })();
+          });
+        } catch (err) {
+          body.innerHTML = "";
+          body.appendChild(el("div", { class: "cag-empty", text: (err && err.message) || "Erreur activation" }));
+        }
+      }
+
+      function renderEnabled(left) {
+        var fCode = el("input", { class: "cag-input", type: "text", placeholder: "Code de l'application ou de secours" });
+        var disableBtn = el("button", { class: "cag-btn cag-btn-danger", type: "button", text: "Désactiver" });
+        body.innerHTML = "";
+        body.appendChild(el("p", { class: "cag-small", text: "Activée : un code est demandé à chaque connexion. Codes de secours restants : " + left + "." }));
+        body.appendChild(el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Pour désactiver, saisis un code" }), fCode));
+        body.appendChild(el("div", { class: "cag-form-actions" }, disableBtn));
+        disableBtn.addEventListener("click", function () {
+          (async function () {
+            setBusy(disableBtn, true, "Désactivation...");
+            try {
+              await apiFetch(cfg, cfg.epTotp + "/disable", { method: "POST", json: { code: fCode.value.trim() } });
+              if (state.user.totp) state.user.totp.enabled = false;
+              toast(root, "Double authentification désactivée.", "ok");
+              modal.close();
+            } catch (err) {
+              toast(root, err && err.status === 429 ? loginErrorMessage(err) : (err && err.message) || "Code refusé", "err", 5200);
+              setBusy(disableBtn, false, "Désactiver");
+            }
+          })();
+        });
+      }
+
+      (async function () {
+        try {
+          var status = await apiFetch(cfg, cfg.epTotp, { method: "GET" });
+          if (status && status.enabled) {
+            renderEnabled(toNumber(status.recoveryCodesLeft) || 0);
+            return;
+          }
+          var startBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Configurer" });
+          startBtn.addEventListener("click", startSetup);
+          body.innerHTML = "";
+          body.appendChild(el("p", { class: "cag-small", text: "Protège ton compte : en plus du mot de passe, la connexion demandera un code à 6 chiffres généré par une application sur ton téléphone (fonctionne hors ligne)." }));
+          body.appendChild(el("div", { class: "cag-form-actions" }, startBtn));
+        } catch (err) {
+          body.innerHTML = "";
+          body.appendChild(el("div", { class: "cag-empty", text: (err && err.message) || "Erreur" }));
+        }
+      })();
+    }
 
     function applyRange(from, to) {
       if (from && to && from > to) {
@@ -1149,7 +2553,7 @@
     }
 
     function applyPreset(presetId) {
-      var today = todayISO();
+      var today = todayISO(cfg);
       if (presetId === "today") return applyRange(today, today);
       if (presetId === "yesterday") {
         var y = isoAddDays(today, -1);
@@ -1201,6 +2605,11 @@
       refreshAll();
     });
 
+    chrome.compareSelect.addEventListener("change", function () {
+      state.compare = chrome.compareSelect.value;
+      refreshOverview();
+    });
+
     chrome.refreshBtn.addEventListener("click", function () {
       refreshAll();
     });
@@ -1213,33 +2622,227 @@
       if (id === "sales") refreshSales();
       if (id === "products") refreshProducts();
       if (id === "offers") refreshOffers();
+      if (id === "register") refreshRegister();
+      if (id === "users") refreshUsers();
+      if (id === "history") refreshHistory();
     });
 
+    async function getAllProducts(force) {
+      // Cache once per page; the register forces a reload after each sale (stock changed).
+      if (!force && state._productsAll && Array.isArray(state._productsAll) && state._productsAll.length) return state._productsAll;
+      var items = await loadAllPages(function (limit, offset) {
+        return loadProducts(cfg, "", limit, offset);
+      });
+      state._productsAll = items.map(normalizeProduct).filter(Boolean);
+      return state._productsAll;
+    }
+
+    // choices: [{ label, path, query, name }]. The user picks one (when there are several) and a format.
+    function openExportDialog(titleText, choices) {
+      var form = el("form", { class: "cag-form" });
+      var whatSel = el("select", { class: "cag-select" });
+      choices.forEach(function (c, i) {
+        whatSel.appendChild(el("option", { value: String(i), text: c.label }));
+      });
+      var formatSel = el(
+        "select",
+        { class: "cag-select" },
+        el("option", { value: "xlsx", text: "Excel (.xlsx)" }),
+        el("option", { value: "csv", text: "CSV (séparateur ;)" })
+      );
+      if (choices.length > 1) form.appendChild(el("div", { class: "cag-field" }, el("label", { text: "Contenu" }), whatSel));
+      form.appendChild(el("div", { class: "cag-field" }, el("label", { text: "Format" }), formatSel));
+
+      var saveBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Télécharger" });
+      var modal = openModal(root, titleText, form, el("div", { class: "cag-form-actions" }, saveBtn));
+      saveBtn.addEventListener("click", submit);
+      form.addEventListener("submit", function (e) {
+        e.preventDefault();
+        submit();
+      });
+
+      function submit() {
+        (async function () {
+          var choice = choices[Number(whatSel.value) || 0];
+          var format = formatSel.value;
+          setBusy(saveBtn, true, "Préparation...");
+          try {
+            await downloadExport(cfg, choice.path, Object.assign({ format: format }, choice.query), choice.name + "." + format);
+            modal.close();
+          } catch (err) {
+            toast(root, (err && err.message) || "Erreur export", "err", 5200);
+          } finally {
+            setBusy(saveBtn, false, "Télécharger");
+          }
+        })();
+      }
+    }
+
     // ---- Overview ----
-    async function refreshOverview() {
+    // Terminals and the sync items that were rejected or hit a conflict (changed here meanwhile).
+    function openSyncModal(sync) {
+      var page = { limit: 20, offset: 0, total: 0 };
+      var canDismiss = can(cfg, state.user, "products.edit");
+      var prev = el("button", { class: "cag-btn", type: "button", text: "Précédent" });
+      var next = el("button", { class: "cag-btn", type: "button", text: "Suivant" });
+      var list = el("div", {}, el("div", { class: "cag-empty", text: "Chargement..." }));
+      var devices = (sync.devices || []).map(function (d) {
+        return el(
+          "tr",
+          {},
+          el("td", { text: d.device_id }),
+          el("td", { text: d.username || "—" }),
+          el("td", { text: d.last_pull_at ? fmtDateTime(cfg, d.last_pull_at) : "—" }),
+          el("td", { text: d.last_push_at ? fmtDateTime(cfg, d.last_push_at) : "—" })
+        );
+      });
+      var pendingText = "En attente d'envoi aux caisses: " + toNumber(sync.pending.products) + " produit(s), " + toNumber(sync.pending.offers) + " offre(s).";
+      var body = el(
+        "div",
+        {},
+        el("p", { class: "cag-small", text: pendingText }),
+        devices.length
+          ? table(["Caisse", "Utilisateur", "Dernière réception", "Dernier envoi"], devices)
+          : el("div", { class: "cag-empty", text: "Aucune caisse ne s'est encore synchronisée." }),
+        el("h3", { text: "Échecs à traiter" }),
+        el("div", { class: "cag-toolbar" }, el("div", { class: "cag-toolbar-left" }), el("div", { class: "cag-toolbar-right" }, prev, next)),
+        list
+      );
+      openModal(root, "Synchro des caisses", body, null);
+
+      function describe(f) {
+        var p = f.payload || {};
+        if (f.entity === "sale") return "Vente " + (p.clientRef || "") + (p.soldAt ? " du " + fmtDateTime(cfg, p.soldAt) : "");
+        return (p.id_product ? "Produit #" + p.id_product : "Nouveau produit") + (p.name ? " (" + p.name + ")" : "");
+      }
+
+      async function run() {
+        list.innerHTML = "";
+        list.appendChild(el("div", { class: "cag-empty", text: "Chargement..." }));
+        try {
+          var r = await loadSyncFailures(cfg, page.limit, page.offset);
+          page.total = toNumber(r && r.total) || 0;
+          var rows = ((r && r.items) || []).map(function (f) {
+            var actions = el("td", {});
+            if (canDismiss) {
+              var dismissBtn = el("button", { class: "cag-btn cag-btn-ghost", type: "button", text: "Marquer traité" });
+              dismissBtn.addEventListener("click", function () {
+                (async function () {
+                  setBusy(dismissBtn, true, "...");
+                  try {
+                    await dismissSyncFailure(cfg, f.id_failure);
+                    toast(root, "Échec marqué comme traité", "ok");
+                    if (page.offset && page.offset >= page.total - 1) page.offset = Math.max(0, page.offset - page.limit);
+                    run();
+                  } catch (err) {
+                    setBusy(dismissBtn, false, "Marquer traité");
+                    toast(root, (err && err.message) || "Erreur", "err");
+                  }
+                })();
+              });
+              actions.appendChild(dismissBtn);
+            }
+            return el(
+              "tr",
+              {},
+              el("td", { text: fmtDateTime(cfg, f.created_at) }),
+              el("td", { text: f.device_id }),
+              el("td", { text: describe(f) }),
+              el("td", {}, el("span", { class: "cag-pill", "data-kind": f.kind === "conflict" ? "warn" : "err" }, SYNC_FAILURE_LABELS[f.kind] || f.kind)),
+              el("td", { text: f.message || "—" }),
+              actions
+            );
+          });
+          list.innerHTML = "";
+          list.appendChild(
+            rows.length ? table(["Date", "Caisse", "Élément", "Type", "Motif", ""], rows) : el("div", { class: "cag-empty", text: "Aucun échec en attente." })
+          );
+          var pg = paginate(page, page.total);
+          prev.disabled = pg.page <= 1;
+          next.disabled = pg.page >= pg.pages;
+        } catch (err) {
+          list.innerHTML = "";
+          list.appendChild(el("div", { class: "cag-empty", text: (err && err.message) || "Erreur chargement des échecs" }));
+        }
+      }
+
+      prev.addEventListener("click", function () {
+        page.offset = Math.max(0, page.offset - page.limit);
+        run();
+      });
+      next.addEventListener("click", function () {
+        page.offset += page.limit;
+        run();
+      });
+      run();
+    }
+
+    // Fetches everything the overview shows into state; refreshOverview renders it.
+    async function loadOverview() {
+      // Low stock and the sync status are side panels: their failure must not take the overview down.
+      var lowStockReq = loadLowStock(cfg, 5, 0).catch(function () {
+        return null;
+      });
+      var syncReq = loadSyncStatus(cfg).catch(function () {
+        return null;
+      });
+      var r = await loadSummary(cfg, state.range, state.compare);
+      var k = (r && (r.kpis || r.data && r.data.kpis || r)) || {};
+      var series = (r && (r.series || (r.data && r.data.series))) || [];
+      var topProducts = (r && (r.topProducts || (r.data && r.data.topProducts))) || [];
+      var topOffers = (r && (r.topOffers || (r.data && r.data.topOffers))) || [];
+      var byHour = (r && (r.byHour || (r.data && r.data.byHour))) || [];
+      var byWeekday = (r && (r.byWeekday || (r.data && r.data.byWeekday))) || [];
+      var cmp = (r && (r.compare || (r.data && r.data.compare))) || null;
+      // Live new-sale events up to this id are already in these figures, except the pending ones (not
+      // committed when the figures were read).
+      state.overviewLastSaleId = toNumber(r && r.lastSaleId);
+      state.overviewPendingSaleIds = (r && r.pendingSaleIds) || [];
+
+      state.kpis = {
+        revenue: toNumber(k.revenue != null ? k.revenue : k.totalRevenue),
+        profit: toNumber(k.profit),
+        salesCount: toNumber(k.salesCount != null ? k.salesCount : k.countSales),
+        avgTicket: toNumber(k.avgTicket != null ? k.avgTicket : k.averageTicket),
+      };
+      state.series = Array.isArray(series) ? series : [];
+      state.topProducts = Array.isArray(topProducts) ? topProducts : [];
+      state.topOffers = Array.isArray(topOffers) ? topOffers : [];
+      state.byHour = Array.isArray(byHour) ? byHour : [];
+      state.byWeekday = Array.isArray(byWeekday) ? byWeekday : [];
+      // Older APIs ignore ?compare: no block means no deltas, not a zero baseline.
+      state.compareData =
+        state.compare && cmp && cmp.kpis
+          ? {
+              from: cmp.from,
+              to: cmp.to,
+              kpis: {
+                revenue: toNumber(cmp.kpis.revenue),
+                profit: toNumber(cmp.kpis.profit),
+                salesCount: toNumber(cmp.kpis.salesCount),
+                avgTicket: toNumber(cmp.kpis.avgTicket),
+              },
+              series: Array.isArray(cmp.series) ? cmp.series : [],
+            }
+          : null;
+
+      var lowStock = await lowStockReq;
+      state.lowStock = {
+        items: ((lowStock && (lowStock.items || (lowStock.data && lowStock.data.items))) || []).map(normalizeProduct).filter(Boolean),
+        total: lowStock ? toNumber(lowStock.total != null ? lowStock.total : lowStock.data && lowStock.data.total) : null,
+      };
+      state.syncStatus = await syncReq;
+    }
+
+    // local: render what state holds (after a live update) without querying the API again.
+    async function refreshOverview(local) {
       var view = $('.cag-view[data-view="overview"]', shell);
       if (!view) return;
 
       try {
-        var r = await loadSummary(cfg, state.range);
-        var k = (r && (r.kpis || r.data && r.data.kpis || r)) || {};
-        var series = (r && (r.series || (r.data && r.data.series))) || [];
-        var topProducts = (r && (r.topProducts || (r.data && r.data.topProducts))) || [];
-        var topOffers = (r && (r.topOffers || (r.data && r.data.topOffers))) || [];
-        var byHour = (r && (r.byHour || (r.data && r.data.byHour))) || [];
-        var byWeekday = (r && (r.byWeekday || (r.data && r.data.byWeekday))) || [];
-
-        state.kpis = {
-          revenue: toNumber(k.revenue != null ? k.revenue : k.totalRevenue),
-          profit: toNumber(k.profit),
-          salesCount: toNumber(k.salesCount != null ? k.salesCount : k.countSales),
-          avgTicket: toNumber(k.avgTicket != null ? k.avgTicket : k.averageTicket),
-        };
-        state.series = Array.isArray(series) ? series : [];
-        state.topProducts = Array.isArray(topProducts) ? topProducts : [];
-        state.topOffers = Array.isArray(topOffers) ? topOffers : [];
-        state.byHour = Array.isArray(byHour) ? byHour : [];
-        state.byWeekday = Array.isArray(byWeekday) ? byWeekday : [];
+        if (!local || !state.lowStock) await loadOverview();
+        var lowItems = state.lowStock.items;
+        var lowTotal = state.lowStock.total;
 
         // Re-render whole overview to keep it simple and consistent.
         view.innerHTML = "";
@@ -1252,6 +2855,34 @@
         var daysCount = daysBetweenInclusive(state.range.from, state.range.to);
         var avgRevenuePerDay = daysCount && revenue != null ? revenue / daysCount : null;
         var avgRevenuePerHour = daysCount && revenue != null ? revenue / (daysCount * 24) : null;
+        var cmpData = state.compareData;
+
+        function deltaLine(label, cur, prev, fmt) {
+          if (!cmpData) return null;
+          var d = pctDelta(cur, prev);
+          return el("div", {
+            class: "cag-delta",
+            "data-trend": d == null || Math.abs(d) < 0.05 ? "flat" : d > 0 ? "up" : "down",
+            title: "Comparé à " + cmpData.from + " -> " + cmpData.to,
+            text: label + (d == null ? "—" : (d > 0 ? "+" : "") + d.toFixed(1) + "%") + " (avant: " + fmt(prev) + ")",
+          });
+        }
+
+        function fmtCount(v) {
+          return v == null ? "—" : String(v);
+        }
+
+        // The API sends profit: null to roles without reports.view_profit.
+        var profitCard = can(cfg, state.user, "reports.view_profit")
+          ? el(
+              "div",
+              { class: "cag-card" },
+              el("h3", { text: "Profit" }),
+              el("p", { class: "cag-kpi", text: fmtMoney(profit) }),
+              el("div", { class: "cag-kpi-sub", text: margin == null ? "Marge: —" : "Marge: " + margin.toFixed(1) + "%" }),
+              deltaLine("", profit, cmpData && cmpData.kpis.profit, fmtMoney)
+            )
+          : null;
 
         var cards = el(
           "div",
@@ -1271,31 +2902,81 @@
                 fmtMoney(avgRevenuePerDay) +
                 " • Moy/heure: " +
                 fmtMoney(avgRevenuePerHour),
-            })
-          ),
-          el(
-            "div",
-            { class: "cag-card" },
-            el("h3", { text: "Profit" }),
-            el("p", { class: "cag-kpi", text: fmtMoney(profit) }),
-            el("div", { class: "cag-kpi-sub", text: margin == null ? "Marge: —" : "Marge: " + margin.toFixed(1) + "%" })
+            }),
+            deltaLine("", revenue, cmpData && cmpData.kpis.revenue, fmtMoney)
           ),
+          profitCard,
           el(
             "div",
             { class: "cag-card" },
             el("h3", { text: "Nombre de ventes" }),
             el("p", { class: "cag-kpi", text: salesCount == null ? "—" : String(salesCount) }),
-            el("div", { class: "cag-kpi-sub", text: "Ticket moyen: " + fmtMoney(avgTicket) })
+            el("div", { class: "cag-kpi-sub", text: "Ticket moyen: " + fmtMoney(avgTicket) }),
+            deltaLine("Ventes: ", salesCount, cmpData && cmpData.kpis.salesCount, fmtCount),
+            deltaLine("Ticket: ", avgTicket, cmpData && cmpData.kpis.avgTicket, fmtMoney)
           ),
           el(
             "div",
             { class: "cag-card" },
             el("h3", { text: "Etat" }),
-            el("p", { class: "cag-kpi", text: canWrite(cfg, state.user) ? "Admin" : "Lecture" }),
+            el("p", { class: "cag-kpi", text: can(cfg, state.user, "products.edit") ? "Admin" : "Lecture" }),
             el("div", { class: "cag-kpi-sub", text: "Front v" + APP_VERSION })
           )
         );
 
+        var lowCard = el(
+          "div",
+          { class: "cag-card cag-card-link", "data-kind": lowTotal ? "warn" : "", title: "Voir les produits en stock bas" },
+          el("h3", { text: "Stock bas" }),
+          el("p", { class: "cag-kpi", text: lowTotal == null ? "—" : String(lowTotal) }),
+          el("div", {
+            class: "cag-kpi-sub",
+            text: lowTotal
+              ? lowItems
+                  .slice(0, 3)
+                  .map(function (p) {
+                    return p.name + " (" + (p.quantity == null ? 0 : p.quantity) + ")";
+                  })
+                  .join(" • ")
+              : lowTotal === 0
+                ? "Aucun produit sous le seuil"
+                : "Seuils indisponibles",
+          })
+        );
+        lowCard.addEventListener("click", function () {
+          if (!state.products) state.products = { q: "", limit: 20, offset: 0, total: 0, items: [] };
+          state.products.lowOnly = true;
+          state.products.offset = 0;
+          setActiveView(shell, state, "products");
+          refreshProducts();
+        });
+        cards.appendChild(lowCard);
+
+        // Older APIs have no /sync: no card rather than zeros.
+        var sync = state.syncStatus;
+        if (sync && sync.pending) {
+          var pending = toNumber(sync.pending.products) + toNumber(sync.pending.offers);
+          var failed = toNumber(sync.failed) || 0;
+          var lastSeen = (sync.devices || []).reduce(function (acc, d) {
+            var t = d.last_pull_at || d.last_push_at;
+            return t && (!acc || new Date(t) > new Date(acc)) ? t : acc;
+          }, null);
+          var syncCard = el(
+            "div",
+            { class: "cag-card cag-card-link", "data-kind": failed ? "warn" : "", title: "Voir l'état de la synchro des caisses" },
+            el("h3", { text: "Synchro caisses" }),
+            el("p", { class: "cag-kpi", text: pending + " en attente" }),
+            el("div", {
+              class: "cag-kpi-sub",
+              text: (failed ? failed + " échec(s)" : "Aucun échec") + " • " + (lastSeen ? "Dernier contact: " + fmtDateTime(cfg, lastSeen) : "Aucune caisse connectée"),
+            })
+          );
+          syncCard.addEventListener("click", function () {
+            openSyncModal(sync);
+          });
+          cards.appendChild(syncCard);
+        }
+
         var chartPanel = el("div", { class: "cag-panel" }, el("h2", { text: "Revenu (jour par jour)" }));
         var chartSeries = state.series.map(function (p) {
           var d = p && (p.date || p.day || p.label);
@@ -1306,7 +2987,22 @@
             avgTicket: toNumber(p.avgTicket != null ? p.avgTicket : p.averageTicket),
           };
         });
-        chartPanel.appendChild(svgLineChart(chartSeries, "revenue", fmtMoney));
+        if (cmpData) {
+          var ghostSeries = fillDailySeries(cmpData.series, cmpData.from, cmpData.to).map(function (p) {
+            return { date: p.date, revenue: toNumber(p.revenue != null ? p.revenue : p.total) };
+          });
+          chartPanel.appendChild(svgLineChart(fillDailySeries(chartSeries, state.range.from, state.range.to), "revenue", fmtMoney, { ghost: ghostSeries }));
+          chartPanel.appendChild(
+            el(
+              "div",
+              { class: "cag-chart-legend" },
+              el("span", { class: "cag-legend-main", text: "Période" }),
+              el("span", { class: "cag-legend-ghost", text: cmpData.from + " -> " + cmpData.to })
+            )
+          );
+        } else {
+          chartPanel.appendChild(svgLineChart(chartSeries, "revenue", fmtMoney));
+        }
 
         var topPanel = el("div", { class: "cag-panel" }, el("h2", { text: "Top produits / offres" }));
         var mini = el("div", { class: "cag-mini-list" });
@@ -1454,27 +3150,41 @@
       var prevBtn = el("button", { class: "cag-btn", type: "button", text: "Précédent" });
       var nextBtn = el("button", { class: "cag-btn", type: "button", text: "Suivant" });
       var reloadBtn = el("button", { class: "cag-btn", type: "button", text: "Rafraichir" });
+      var exportBtn = el("button", { class: "cag-btn", type: "button", text: "Exporter" });
 
       var toolbar = el(
         "div",
         { class: "cag-toolbar" },
         el("div", { class: "cag-toolbar-left" }, qInput, reloadBtn),
-        el("div", { class: "cag-toolbar-right" }, prevBtn, nextBtn)
+        el("div", { class: "cag-toolbar-right" }, exportBtn, prevBtn, nextBtn)
       );
 
+      exportBtn.addEventListener("click", function () {
+        var query = { from: state.range.from, to: state.range.to, q: state.sales.q || "" };
+        var suffix = "_" + state.range.from + "_" + state.range.to;
+        openExportDialog("Exporter les ventes (" + state.range.from + " -> " + state.range.to + ")", [
+          { label: "Ventes (une ligne par vente)", path: cfg.epSales + "/export", query: query, name: "ventes" + suffix },
+          { label: "Lignes de vente (une ligne par produit vendu)", path: cfg.epSales + "/lines/export", query: query, name: "lignes-ventes" + suffix },
+        ]);
+      });
+
       var box = el("div", { class: "cag-panel" }, el("h2", { text: "Ventes" }), toolbar, el("div", { class: "cag-empty", text: "Chargement..." }));
       view.appendChild(box);
+      liveViews.sales = run;
 
-      async function run() {
+      // local: render state.sales as it is (after a live update) without querying the API again.
+      async function run(local) {
         try {
-          var r = await loadSales(cfg, state.range, state.sales.q, state.sales.limit, state.sales.offset);
-          var items = (r && (r.items || (r.data && r.data.items) || r.sales)) || [];
-          var total = toNumber((r && (r.total || (r.data && r.data.total))) || items.length) || items.length;
-          state.sales.total = total;
-          state.sales.items = items.map(normalizeSale).filter(Boolean);
+          if (!local) {
+            var r = await loadSales(cfg, state.range, state.sales.q, state.sales.limit, state.sales.offset);
+            var items = (r && (r.items || (r.data && r.data.items) || r.sales)) || [];
+            state.sales.total = toNumber((r && (r.total || (r.data && r.data.total))) || items.length) || items.length;
+            state.sales.items = items.map(normalizeSale).filter(Boolean);
+          }
+          var total = state.sales.total;
 
           var rows = state.sales.items.map(function (s) {
-            var date = s.createdAt ? String(s.createdAt).replace("T", " ").slice(0, 19) : "—";
+            var date = fmtDateTime(cfg, s.createdAt, true);
             var who = s.username || (s.userId != null ? "User #" + s.userId : "—");
             var tr = el(
               "tr",
@@ -1483,6 +3193,7 @@
               el("td", { text: who }),
               el("td", { text: fmtMoney(s.totalAmount) }),
               el("td", { text: s.itemsCount == null ? "—" : String(s.itemsCount) }),
+              el("td", { text: saleStatusLabel(s) }),
               el("td", { text: s.notes || "" })
             );
             tr.addEventListener("click", function () {
@@ -1491,7 +3202,7 @@
             return tr;
           });
 
-          var t = table(["Date", "Caissier", "Total", "Articles", "Notes"], rows);
+          var t = table(["Date", "Caissier", "Total", "Articles", "Statut", "Notes"], rows);
 
           var pag = paginate(state.sales, total);
           prevBtn.disabled = pag.page <= 1;
@@ -1507,6 +3218,11 @@
           // Replace loading
           var empty = $(".cag-empty", box);
           if (empty) empty.parentNode.removeChild(empty);
+
+          $all("table.cag-table, .cag-footer-row", box).forEach(function (n) {
+            if (n && n.parentNode) n.parentNode.removeChild(n);
+          });
+
           box.appendChild(t);
           box.appendChild(footer);
         } catch (err) {
@@ -1554,9 +3270,12 @@
           var r2 = await loadSale(cfg, saleId);
           var saleRaw = (r2 && (r2.sale || (r2.data && r2.data.sale) || r2)) || null;
           var detailsRaw = (r2 && (r2.details || (r2.data && r2.data.details) || r2.items)) || [];
+          var refundsRaw = (r2 && (r2.refunds || (r2.data && r2.data.refunds))) || [];
 
           var sale = normalizeSale(saleRaw) || { id: saleId };
           var details = Array.isArray(detailsRaw) ? detailsRaw.map(normalizeSaleDetail).filter(Boolean) : [];
+          var refunds = Array.isArray(refundsRaw) ? refundsRaw.map(normalizeRefund).filter(Boolean) : [];
+          var status = saleStatusLabel(sale);
 
           var body = el("div", {});
           body.appendChild(
@@ -1564,7 +3283,9 @@
               "div",
               { class: "cag-toolbar", style: { marginBottom: "12px" } },
               el("div", { class: "cag-pill" }, el("span", { class: "cag-status-dot" }), "Vente #" + sale.id),
-              el("div", { class: "cag-pill" }, "Total: " + fmtMoney(sale.totalAmount))
+              el("div", { class: "cag-pill" }, "Total: " + fmtMoney(sale.totalAmount)),
+              sale.refundedAmount > 0 ? el("div", { class: "cag-pill" }, "Remboursé: " + fmtMoney(sale.refundedAmount)) : null,
+              status ? el("div", { class: "cag-pill", "data-kind": sale.voided ? "err" : "warn" }, status) : null
             )
           );
 
@@ -1575,19 +3296,139 @@
               el("td", { text: d.productName || (d.productId != null ? "Produit #" + d.productId : "—") }),
               el("td", { text: d.quantity == null ? "—" : String(d.quantity) }),
               el("td", { text: fmtMoney(d.price) }),
-              el("td", { text: fmtMoney(d.totalPrice != null ? d.totalPrice : (d.price != null && d.quantity != null ? d.price * d.quantity : null)) })
+              el("td", { text: fmtMoney(d.totalPrice != null ? d.totalPrice : (d.price != null && d.quantity != null ? d.price * d.quantity : null)) }),
+              el("td", { text: d.refundedQuantity ? String(d.refundedQuantity) : "" })
             );
           });
 
-          body.appendChild(table(["Produit", "Qté", "Prix", "Total"], rows2));
+          body.appendChild(table(["Produit", "Qté", "Prix", "Total", "Remb."], rows2));
           if (sale.notes) body.appendChild(el("div", { class: "cag-small", style: { marginTop: "10px" }, text: "Notes: " + sale.notes }));
 
-          openModal(root, "Détails de vente", body);
+          if (refunds.length) {
+            var rows3 = refunds.map(function (rf) {
+              var date = fmtDateTime(cfg, rf.createdAt, true);
+              return el(
+                "tr",
+                {},
+                el("td", { text: date }),
+                el("td", { text: rf.kind === "void" ? "Annulation" : "Remboursement" }),
+                el("td", { text: fmtMoney(rf.amount) + (rf.restock ? "" : " (sans remise en stock)") }),
+                el("td", { text: rf.username || (rf.userId != null ? "User #" + rf.userId : "—") }),
+                el("td", { text: rf.reason })
+              );
+            });
+            body.appendChild(el("h3", { class: "cag-section-title", text: "Historique remboursements" }));
+            body.appendChild(table(["Date", "Type", "Montant", "Par", "Motif"], rows3));
+          }
+
+          var refundable = details.some(function (d) {
+            return (d.quantity || 0) - (d.refundedQuantity || 0) > 0;
+          });
+          var actions = null;
+          if (can(cfg, state.user, "sales.refund") && !sale.voided) {
+            var refundBtn = el("button", { class: "cag-btn", type: "button", text: "Rembourser..." });
+            var voidBtn = el("button", { class: "cag-btn cag-btn-danger", type: "button", text: "Annuler la vente" });
+            refundBtn.disabled = !refundable;
+            actions = el("div", { class: "cag-form-actions" }, refundBtn, voidBtn);
+            refundBtn.addEventListener("click", function () {
+              modal.close();
+              openRefundForm(sale, details, "refund");
+            });
+            voidBtn.addEventListener("click", function () {
+              modal.close();
+              openRefundForm(sale, details, "void");
+            });
+          }
+
+          var modal = openModal(root, "Détails de vente", body, actions);
         } catch (err2) {
           toast(root, (err2 && err2.message) || "Erreur chargement détail vente", "err", 5200);
         }
       }
 
+      function openRefundForm(sale, details, kind) {
+        var isVoid = kind === "void";
+        var qtyInputs = [];
+        var form = el("form", { class: "cag-form" });
+
+        if (!isVoid) {
+          var rows = details
+            .filter(function (d) {
+              return (d.quantity || 0) - (d.refundedQuantity || 0) > 0;
+            })
+            .map(function (d) {
+              var left = (d.quantity || 0) - (d.refundedQuantity || 0);
+              var input = el("input", { class: "cag-input", type: "number", min: "0", max: String(left), step: "1", value: String(left) });
+              qtyInputs.push({ detail: d, input: input, left: left });
+              return el(
+                "tr",
+                {},
+                el("td", { text: d.productName || (d.productId != null ? "Produit #" + d.productId : "—") }),
+                el("td", { text: String(left) }),
+                el("td", {}, input)
+              );
+            });
+          form.appendChild(el("div", { class: "cag-field cag-field-full" }, table(["Produit", "Restant", "A rembourser"], rows)));
+        } else {
+          form.appendChild(
+            el("div", { class: "cag-field cag-field-full cag-small", text: "La vente #" + sale.id + " sera annulée et retirée du chiffre d'affaires." })
+          );
+        }
+
+        var fReason = el("input", { class: "cag-input", type: "text", maxLength: 255, required: true, placeholder: "Erreur de caisse, produit défectueux..." });
+        var fRestock = el("input", { type: "checkbox", checked: true });
+        form.appendChild(el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Motif" }), fReason));
+        form.appendChild(el("label", { class: "cag-check cag-field-full" }, fRestock, el("div", { text: "Remettre les articles en stock" })));
+
+        var label = isVoid ? "Annuler la vente" : "Rembourser";
+        // The actions row sits outside the <form> (see openModal), so the button submits by hand.
+        var saveBtn = el("button", { class: "cag-btn " + (isVoid ? "cag-btn-danger" : "cag-btn-primary"), type: "button", text: label });
+        var cancelBtn = el("button", { class: "cag-btn", type: "button", text: "Retour" });
+        var modal = openModal(root, (isVoid ? "Annuler la vente #" : "Rembourser la vente #") + sale.id, form, el("div", { class: "cag-form-actions" }, cancelBtn, saveBtn));
+
+        cancelBtn.addEventListener("click", function () {
+          modal.close();
+          openSaleDetail(sale.id);
+        });
+        saveBtn.addEventListener("click", submit);
+        form.addEventListener("submit", function (e) {
+          e.preventDefault();
+          submit();
+        });
+
+        function submit() {
+          (async function () {
+            setBusy(saveBtn, true, "Enregistrement...");
+            try {
+              var payload = { reason: fReason.value.trim(), restock: fRestock.checked };
+              if (!payload.reason) throw new Error("Motif requis");
+              if (!isVoid) {
+                payload.lines = qtyInputs
+                  .map(function (x) {
+                    return { saleDetailId: x.detail.id, quantity: clamp(Math.floor(toNumber(x.input.value) || 0), 0, x.left) };
+                  })
+                  .filter(function (x) {
+                    return x.quantity > 0;
+                  });
+                if (!payload.lines.length) throw new Error("Sélectionne au moins un article");
+                await refundSale(cfg, sale.id, payload);
+              } else {
+                await voidSale(cfg, sale.id, payload);
+              }
+              toast(root, isVoid ? "Vente annulée." : "Remboursement enregistré.", "ok");
+              modal.close();
+              run();
+              refreshOverview();
+              openSaleDetail(sale.id);
+            } catch (err) {
+              toast(root, (err && err.message) || "Erreur remboursement", "err", 5200);
+            } finally {
+              setBusy(saveBtn, false, label);
+            }
+          })();
+        }
+      }
+
       run();
     }
 
@@ -1601,62 +3442,104 @@
       view.innerHTML = "";
 
       var qInput = el("input", { class: "cag-input", type: "search", placeholder: "Recherche produit...", value: state.products.q || "" });
+      var lowOnly = el("input", { type: "checkbox", checked: !!state.products.lowOnly });
+      var statusSelect = archiveStatusSelect(state.products.status);
       var addBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Ajouter" });
       var prevBtn = el("button", { class: "cag-btn", type: "button", text: "Précédent" });
       var nextBtn = el("button", { class: "cag-btn", type: "button", text: "Suivant" });
       var reloadBtn = el("button", { class: "cag-btn", type: "button", text: "Rafraichir" });
+      var exportBtn = el("button", { class: "cag-btn", type: "button", text: "Exporter" });
+      var importBtn = el("button", { class: "cag-btn", type: "button", text: "Importer" });
 
-      if (!canWrite(cfg, state.user)) addBtn.disabled = true;
+      if (!can(cfg, state.user, "products.edit")) {
+        addBtn.disabled = true;
+        importBtn.disabled = true;
+      }
+      var showBuy = can(cfg, state.user, "reports.view_profit");
 
       var toolbar = el(
         "div",
         { class: "cag-toolbar" },
-        el("div", { class: "cag-toolbar-left" }, qInput, reloadBtn),
-        el("div", { class: "cag-toolbar-right" }, addBtn, prevBtn, nextBtn)
+        el("div", { class: "cag-toolbar-left" }, qInput, statusSelect, el("label", { class: "cag-check" }, lowOnly, el("span", { text: "Stock bas" })), reloadBtn),
+        el("div", { class: "cag-toolbar-right" }, exportBtn, importBtn, addBtn, prevBtn, nextBtn)
       );
 
+      exportBtn.addEventListener("click", function () {
+        // Same filter as the list: the low-stock view ignores the search box.
+        var query = state.products.lowOnly ? { lowStock: 1 } : { q: state.products.q || "", status: state.products.status || "" };
+        openExportDialog("Exporter les produits", [
+          { label: "Produits", path: cfg.epProducts + "/export", query: query, name: "produits_" + todayISO(cfg) },
+        ]);
+      });
+
       var box = el("div", { class: "cag-panel" }, el("h2", { text: "Produits" }), toolbar, el("div", { class: "cag-empty", text: "Chargement..." }));
       view.appendChild(box);
+      liveViews.products = run;
 
       async function run() {
         try {
-          var r = await loadProducts(cfg, state.products.q, state.products.limit, state.products.offset);
+          var r = state.products.lowOnly
+            ? await loadLowStock(cfg, state.products.limit, state.products.offset)
+            : await loadProducts(cfg, state.products.q, state.products.limit, state.products.offset, state.products.status);
           var items = (r && (r.items || (r.data && r.data.items) || r.products)) || [];
           var total = toNumber((r && (r.total || (r.data && r.data.total))) || items.length) || items.length;
           state.products.total = total;
           state.products.items = items.map(normalizeProduct).filter(Boolean);
+          await overlayQueued("product", state.products.items);
 
           var rows = state.products.items.map(function (p) {
             var actions = el("div", { style: { display: "flex", gap: "8px", flexWrap: "wrap" } });
             var editBtn = el("button", { class: "cag-btn", type: "button", text: "Modifier" });
+            var archiveBtn = el("button", { class: "cag-btn", type: "button", text: p.archivedAt ? "Restaurer" : "Archiver" });
             var delBtn = el("button", { class: "cag-btn cag-btn-danger", type: "button", text: "Supprimer" });
-            if (!canWrite(cfg, state.user)) {
-              editBtn.disabled = true;
-              delBtn.disabled = true;
-            }
+            editBtn.disabled = !can(cfg, state.user, "products.edit");
+            archiveBtn.disabled = !can(cfg, state.user, "products.delete");
+            delBtn.disabled = !can(cfg, state.user, "products.delete");
             editBtn.addEventListener("click", function () {
               openProductModal(p);
             });
+            archiveBtn.addEventListener("click", function () {
+              onArchive(p, !p.archivedAt);
+            });
             delBtn.addEventListener("click", function () {
               onDelete(p);
             });
             actions.appendChild(editBtn);
-            actions.appendChild(delBtn);
+            actions.appendChild(archiveBtn);
+            // Archiving is the usual way out; deleting is offered once archived (fails if sales use it).
+            if (p.archivedAt) actions.appendChild(delBtn);
 
             return el(
               "tr",
               {},
-              el("td", { text: p.name || "—" }),
+              el(
+                "td",
+                {},
+                p.name || "—",
+                p.archivedAt ? el("span", { class: "cag-tag", title: "Archivé le " + fmtDateTime(cfg, p.archivedAt), text: "Archivé" }) : null,
+                queuedTag(p)
+              ),
               el("td", { text: p.productType || "—" }),
               el("td", { text: fmtMoney(p.price) }),
-              el("td", { text: fmtMoney(p.purchasePrice) }),
-              el("td", { text: p.quantity == null ? "—" : String(p.quantity) }),
+              showBuy ? el("td", { text: fmtMoney(p.purchasePrice) }) : null,
+              el(
+                "td",
+                {},
+                p.quantity == null ? "—" : String(p.quantity),
+                p.lowStock
+                  ? el("span", {
+                      class: "cag-tag",
+                      "data-kind": "warn",
+                      text: "Stock bas" + (p.minStock != null ? " (min " + p.minStock + ")" : ""),
+                    })
+                  : null
+              ),
               el("td", { text: (p.barcode || "") + (p.reference ? " / " + p.reference : "") }),
               el("td", {}, actions)
             );
           });
 
-          var t = table(["Nom", "Type", "Prix", "Achat", "Stock", "Codes", "Actions"], rows);
+          var t = table(["Nom", "Type", "Prix"].concat(showBuy ? ["Achat"] : [], ["Stock", "Codes", "Actions"]), rows);
 
           var pag = paginate(state.products, total);
           prevBtn.disabled = pag.page <= 1;
@@ -1696,11 +3579,27 @@
         "input",
         debounce(function () {
           state.products.q = qInput.value.trim();
+          state.products.lowOnly = false;
+          lowOnly.checked = false;
           state.products.offset = 0;
           run();
         }, 300)
       );
 
+      lowOnly.addEventListener("change", function () {
+        state.products.lowOnly = lowOnly.checked;
+        state.products.offset = 0;
+        run();
+      });
+
+      statusSelect.addEventListener("change", function () {
+        state.products.status = statusSelect.value;
+        state.products.lowOnly = false;
+        lowOnly.checked = false;
+        state.products.offset = 0;
+        run();
+      });
+
       reloadBtn.addEventListener("click", function () {
         run();
       });
@@ -1718,6 +3617,139 @@
         openProductModal(null);
       });
 
+      importBtn.addEventListener("click", function () {
+        openImportDialog();
+      });
+
+      // The file is sent twice: first as a dry run whose report is shown, then for real on confirm.
+      function openImportDialog() {
+        var fFile = el("input", { class: "cag-input", type: "file", accept: ".csv,text/csv" });
+        var preview = el("div", { class: "cag-field cag-field-full" });
+        var form = el(
+          "form",
+          { class: "cag-form" },
+          el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Fichier CSV (séparateur ; ou ,)" }), fFile),
+          el("div", {
+            class: "cag-field cag-field-full cag-small",
+            text:
+              "Colonnes reconnues: Code-barres, Référence, Nom, Description, Type, Stock, Stock min, Qté réappro, Prix d'achat, Prix. " +
+              "Les produits existants sont retrouvés par code-barres puis par référence; une cellule vide ne modifie rien.",
+          }),
+          preview
+        );
+
+        var previewBtn = el("button", { class: "cag-btn", type: "button", text: "Prévisualiser" });
+        var applyBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Importer", disabled: true });
+        var modal = openModal(root, "Importer des produits", form, el("div", { class: "cag-form-actions" }, previewBtn, applyBtn));
+        var csvText = null;
+
+        fFile.addEventListener("change", function () {
+          csvText = null;
+          applyBtn.disabled = true;
+          preview.innerHTML = "";
+        });
+        previewBtn.addEventListener("click", runPreview);
+        form.addEventListener("submit", function (e) {
+          e.preventDefault();
+          runPreview();
+        });
+        applyBtn.addEventListener("click", runImport);
+
+        function renderReport(report) {
+          preview.innerHTML = "";
+          if (!report || !report.summary) return;
+          var sum = report.summary;
+          preview.appendChild(
+            el(
+              "div",
+              { class: "cag-presets" },
+              el("span", { class: "cag-pill" }, sum.create + " création(s)"),
+              el("span", { class: "cag-pill" }, sum.update + " mise(s) à jour"),
+              el("span", { class: "cag-pill" }, sum.unchanged + " inchangé(s)"),
+              sum.error ? el("span", { class: "cag-pill", "data-kind": "err" }, sum.error + " erreur(s)") : null
+            )
+          );
+          if (report.ignoredColumns && report.ignoredColumns.length) {
+            preview.appendChild(el("div", { class: "cag-small", text: "Colonnes ignorées: " + report.ignoredColumns.join(", ") }));
+          }
+
+          var shown = (report.rows || []).filter(function (r) {
+            return r.action !== "unchanged";
+          });
+          var rows = shown.slice(0, 300).map(function (r) {
+            var detail =
+              r.action === "error"
+                ? r.message || "—"
+                : r.action === "update"
+                  ? Object.keys(r.changes || {})
+                      .map(function (k) {
+                        var c = r.changes[k];
+                        var from = c.from == null || c.from === "" ? "—" : c.from;
+                        return (IMPORT_FIELD_LABELS[k] || k) + ": " + from + " → " + c.to;
+                      })
+                      .join(" • ")
+                  : "Nouveau produit";
+            return el(
+              "tr",
+              {},
+              el("td", { text: String(r.line) }),
+              el("td", {}, el("span", { class: "cag-pill", "data-kind": r.action === "error" ? "err" : "" }, IMPORT_ACTION_LABELS[r.action] || r.action)),
+              el("td", { text: r.name || (r.productId != null ? "Produit #" + r.productId : "—") }),
+              el("td", { text: detail })
+            );
+          });
+          if (rows.length) preview.appendChild(table(["Ligne", "Action", "Produit", "Détail"], rows));
+          if (shown.length > rows.length) {
+            preview.appendChild(el("div", { class: "cag-small", text: "… et " + (shown.length - rows.length) + " autre(s) ligne(s)." }));
+          }
+        }
+
+        function runPreview() {
+          (async function () {
+            var file = fFile.files && fFile.files[0];
+            if (!file) {
+              toast(root, "Choisis un fichier CSV", "warn");
+              return;
+            }
+            setBusy(previewBtn, true, "Analyse...");
+            applyBtn.disabled = true;
+            try {
+              csvText = await file.text();
+              var report = await importProducts(cfg, csvText, true);
+              renderReport(report);
+              applyBtn.disabled = !!report.summary.error || !(report.summary.create + report.summary.update);
+            } catch (err) {
+              csvText = null;
+              preview.innerHTML = "";
+              var noCost = err && err.status === 403 && err.data && err.data.permission === "reports.view_profit";
+              toast(root, noCost ? "La colonne prix d'achat demande le droit de voir les marges." : (err && err.message) || "Erreur import", "err", 5200);
+            } finally {
+              setBusy(previewBtn, false, "Prévisualiser");
+            }
+          })();
+        }
+
+        function runImport() {
+          (async function () {
+            if (csvText == null) return;
+            setBusy(applyBtn, true, "Import...");
+            try {
+              var report = await importProducts(cfg, csvText, false);
+              toast(root, "Import terminé: " + report.summary.create + " création(s), " + report.summary.update + " mise(s) à jour.", "ok");
+              modal.close();
+              state._productsAll = null;
+              run();
+            } catch (err) {
+              // 422: the data changed since the preview and some rows now fail; nothing was written.
+              if (err && err.data && err.data.summary) renderReport(err.data);
+              toast(root, (err && err.message) || "Erreur import", "err", 5200);
+              setBusy(applyBtn, false, "Importer");
+              applyBtn.disabled = true;
+            }
+          })();
+        }
+      }
+
       function openProductModal(product) {
         var isEdit = !!product;
         var fName = el("input", { class: "cag-input", type: "text", value: (product && product.name) || "", required: true });
@@ -1725,9 +3757,13 @@
         var fBarcode = el("input", { class: "cag-input", type: "text", value: (product && product.barcode) || "" });
         var fRef = el("input", { class: "cag-input", type: "text", value: (product && product.reference) || "" });
         var fQty = el("input", { class: "cag-input", type: "number", step: "1", value: product && product.quantity != null ? String(product.quantity) : "" });
+        // Once a product exists its stock only changes through recorded movements.
+        if (isEdit) fQty.disabled = true;
         var fBuy = el("input", { class: "cag-input", type: "number", step: "0.01", value: product && product.purchasePrice != null ? String(product.purchasePrice) : "" });
         var fSell = el("input", { class: "cag-input", type: "number", step: "0.01", value: product && product.price != null ? String(product.price) : "" });
         var fDesc = el("textarea", { class: "cag-input", rows: 3, value: (product && product.description) || "" });
+        var fMin = el("input", { class: "cag-input", type: "number", step: "1", min: "0", value: product && product.minStock != null ? String(product.minStock) : "" });
+        var fReorder = el("input", { class: "cag-input", type: "number", step: "1", min: "0", value: product && product.reorderQty != null ? String(product.reorderQty) : "" });
 
         var form = el(
           "form",
@@ -1736,22 +3772,49 @@
           el("div", { class: "cag-field" }, el("label", { text: "Type" }), fType),
           el("div", { class: "cag-field" }, el("label", { text: "Code barre" }), fBarcode),
           el("div", { class: "cag-field" }, el("label", { text: "Référence" }), fRef),
-          el("div", { class: "cag-field" }, el("label", { text: "Stock" }), fQty),
-          el("div", { class: "cag-field" }, el("label", { text: "Prix d'achat" }), fBuy),
+          el("div", { class: "cag-field" }, el("label", { text: isEdit ? "Stock (voir mouvements)" : "Stock initial" }), fQty),
+          showBuy ? el("div", { class: "cag-field" }, el("label", { text: "Prix d'achat" }), fBuy) : null,
           el("div", { class: "cag-field" }, el("label", { text: "Prix de vente" }), fSell),
+          el("div", { class: "cag-field" }, el("label", { text: "Stock minimum (alerte)" }), fMin),
+          el("div", { class: "cag-field" }, el("label", { text: "Quantité de réappro" }), fReorder),
           el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Description" }), fDesc)
         );
 
-        var saveBtn = el("button", { class: "cag-btn cag-btn-primary", type: "submit", text: isEdit ? "Enregistrer" : "Créer" });
+        // A type=submit button here did nothing: openModal puts the actions after the <form>, not inside it.
+        var saveBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: isEdit ? "Enregistrer" : "Créer" });
         var cancelBtn = el("button", { class: "cag-btn", type: "button", text: "Annuler" });
 
         var actions = el("div", { class: "cag-form-actions" }, cancelBtn, saveBtn);
         var modal = openModal(root, isEdit ? "Modifier produit" : "Ajouter produit", form, actions);
+        var inputs = {
+          name: fName,
+          productType: fType,
+          barcode: fBarcode,
+          reference: fRef,
+          quantity: fQty,
+          purchasePrice: fBuy,
+          price: fSell,
+          minStock: fMin,
+          reorderQty: fReorder,
+          description: fDesc,
+        };
 
         cancelBtn.addEventListener("click", modal.close);
 
+        if (isEdit) $(".cag-modal-body", modal.modal).appendChild(renderStockPanel(product, fQty));
+
+        // What the form was loaded from; moves forward when a conflict is merged.
+        var base = product;
+        var version = product && product.version;
+        var conflictFields = catalogConflictFields("product");
+
+        saveBtn.addEventListener("click", submit);
         form.addEventListener("submit", function (e) {
           e.preventDefault();
+          submit();
+        });
+
+        function submit() {
           (async function () {
             setBusy(saveBtn, true, "Sauvegarde...");
             try {
@@ -1760,38 +3823,166 @@
                 productType: fType.value.trim(),
                 barcode: fBarcode.value.trim(),
                 reference: fRef.value.trim(),
-                quantity: toNumber(fQty.value),
-                purchasePrice: toNumber(fBuy.value),
                 price: toNumber(fSell.value),
+                minStock: toNumber(fMin.value),
+                reorderQty: toNumber(fReorder.value),
                 description: fDesc.value,
               };
               if (!payload.name) throw new Error("Nom requis");
+              // Hidden purchase prices come back as null: never send them back over the real value.
+              if (showBuy) payload.purchasePrice = toNumber(fBuy.value);
+              if (!isEdit) payload.quantity = toNumber(fQty.value);
 
-              if (isEdit) await updateProduct(cfg, product.id, payload);
-              else await createProduct(cfg, payload);
+              var r = isEdit ? await updateProduct(cfg, product.id, payload, version, base) : await createProduct(cfg, payload);
 
-              toast(root, isEdit ? "Produit mis à jour." : "Produit créé.", "ok");
+              if (r && r.queued) toast(root, "Hors ligne : le produit sera enregistré au retour de la connexion.", "warn", 5200);
+              else toast(root, isEdit ? "Produit mis à jour." : "Produit créé.", "ok");
               modal.close();
               run();
             } catch (err) {
+              if (err && err.status === 412 && err.data && err.data.current) {
+                var current = normalizeProduct(err.data.current);
+                var nextVersion = err.data.version;
+                openConflictDialog(root, "Produit", conflictFields, base, payload, current, function (merged) {
+                  base = current;
+                  version = nextVersion;
+                  conflictFields.forEach(function (f) {
+                    if (f.key in merged) inputs[f.key].value = merged[f.key] == null ? "" : String(merged[f.key]);
+                  });
+                  submit();
+                });
+                return;
+              }
+              showFieldErrors(form, inputs, err);
               toast(root, (err && err.message) || "Erreur sauvegarde produit", "err", 5200);
             } finally {
               setBusy(saveBtn, false, isEdit ? "Enregistrer" : "Créer");
             }
           })();
+        }
+      }
+
+      function renderStockPanel(product, fQty) {
+        var kindSel = el("select", { class: "cag-select" });
+        ["receipt", "loss", "adjustment", "inventory"].forEach(function (k) {
+          kindSel.appendChild(el("option", { value: k, text: STOCK_KIND_LABELS[k] }));
+        });
+        var fMoveQty = el("input", { class: "cag-input", type: "number", step: "1" });
+        var fMoveReason = el("input", { class: "cag-input", type: "text", maxLength: 255, placeholder: "Motif / bon de livraison" });
+        var moveBtn = el("button", { class: "cag-btn", type: "button", text: "Enregistrer" });
+        var history = el("div", {}, el("div", { class: "cag-empty", text: "Chargement..." }));
+
+        var placeholders = {
+          receipt: "Quantité reçue",
+          loss: "Quantité perdue",
+          adjustment: "+/- quantité",
+          inventory: "Quantité comptée",
+        };
+        function syncPlaceholder() {
+          fMoveQty.placeholder = placeholders[kindSel.value] || "";
+        }
+        kindSel.addEventListener("change", syncPlaceholder);
+        syncPlaceholder();
+
+        if (!can(cfg, state.user, "products.edit")) moveBtn.disabled = true;
+
+        async function loadHistory() {
+          try {
+            var r = await loadProductMovements(cfg, product.id, 20, 0);
+            var items = ((r && (r.items || (r.data && r.data.items))) || []).map(normalizeStockMovement).filter(Boolean);
+            history.innerHTML = "";
+            if (!items.length) {
+              history.appendChild(el("div", { class: "cag-empty", text: "Aucun mouvement enregistré." }));
+              return;
+            }
+            var rows = items.map(function (m) {
+              var date = fmtDateTime(cfg, m.createdAt);
+              var delta = m.delta == null ? "—" : (m.delta > 0 ? "+" : "") + m.delta;
+              return el(
+                "tr",
+                {},
+                el("td", { text: date }),
+                el("td", { text: STOCK_KIND_LABELS[m.kind] || m.kind }),
+                el("td", { text: delta }),
+                el("td", { text: m.quantityAfter == null ? "—" : String(m.quantityAfter) }),
+                el("td", { text: m.username || (m.userId != null ? "User #" + m.userId : "—") }),
+                el("td", { text: m.reason })
+              );
+            });
+            history.appendChild(table(["Date", "Type", "Delta", "Stock", "Par", "Motif"], rows));
+          } catch (err) {
+            history.innerHTML = "";
+            history.appendChild(el("div", { class: "cag-empty", text: (err && err.message) || "Erreur chargement mouvements" }));
+          }
+        }
+
+        moveBtn.addEventListener("click", function () {
+          (async function () {
+            setBusy(moveBtn, true, "Enregistrement...");
+            try {
+              var qty = toNumber(fMoveQty.value);
+              if (qty == null) throw new Error("Quantité requise");
+              var r = await createStockMovement(cfg, product.id, { kind: kindSel.value, quantity: qty, reason: fMoveReason.value.trim() });
+              var m = normalizeStockMovement((r && (r.movement || (r.data && r.data.movement))) || null);
+              if (m && m.quantityAfter != null) {
+                product.quantity = m.quantityAfter;
+                fQty.value = String(m.quantityAfter);
+              }
+              fMoveQty.value = "";
+              fMoveReason.value = "";
+              toast(root, "Mouvement de stock enregistré.", "ok");
+              loadHistory();
+              run();
+            } catch (err) {
+              toast(root, (err && err.message) || "Erreur mouvement de stock", "err", 5200);
+            } finally {
+              setBusy(moveBtn, false, "Enregistrer");
+            }
+          })();
         });
+
+        loadHistory();
+
+        return el(
+          "div",
+          { class: "cag-stock-panel" },
+          el("h3", { class: "cag-section-title", text: "Mouvements de stock" }),
+          el("div", { class: "cag-toolbar" }, el("div", { class: "cag-toolbar-left" }, kindSel, fMoveQty, fMoveReason, moveBtn)),
+          history
+        );
       }
 
-      function onDelete(product) {
+      function onArchive(product, archived) {
         if (!product || product.id == null) return;
-        if (!window.confirm("Supprimer le produit '" + (product.name || "") + "' ?")) return;
+        if (archived && !window.confirm("Archiver le produit '" + (product.name || "") + "' ? Il disparaîtra de la caisse mais restera dans l'historique des ventes.")) return;
         (async function () {
           try {
-            await deleteProduct(cfg, product.id);
-            toast(root, "Produit supprimé.", "ok");
+            await setProductArchived(cfg, product.id, archived);
+            state._productsAll = null;
+            toast(root, archived ? "Produit archivé." : "Produit restauré.", "ok");
             run();
           } catch (err) {
-            toast(root, (err && err.message) || "Erreur suppression produit", "err", 5200);
+            toast(root, (err && err.message) || "Erreur archivage produit", "err", 5200);
+          }
+        })();
+      }
+
+      function onDelete(product, version) {
+        if (!product || product.id == null) return;
+        if (version === undefined && !window.confirm("Supprimer définitivement le produit '" + (product.name || "") + "' ?")) return;
+        (async function () {
+          try {
+            var r = await deleteProduct(cfg, product.id, version === undefined ? product.version : version, product);
+            state._productsAll = null;
+            if (r && r.queued) toast(root, "Hors ligne : le produit sera supprimé au retour de la connexion.", "warn", 5200);
+            else toast(root, "Produit supprimé.", "ok");
+            run();
+          } catch (err) {
+            if (err && err.status === 412 && err.data && err.data.version) {
+              if (window.confirm("Le produit '" + (product.name || "") + "' a été modifié entre-temps. Le supprimer quand même ?")) onDelete(product, err.data.version);
+              else run();
+            } else if (err && err.status === 409) toast(root, "Ce produit figure dans des ventes : il reste archivé.", "warn", 5200);
+            else toast(root, (err && err.message) || "Erreur suppression produit", "err", 5200);
           }
         })();
       }
@@ -1809,52 +4000,67 @@
       view.innerHTML = "";
 
       var qInput = el("input", { class: "cag-input", type: "search", placeholder: "Recherche offre...", value: state.offers.q || "" });
+      var statusSelect = archiveStatusSelect(state.offers.status);
       var addBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Ajouter" });
       var prevBtn = el("button", { class: "cag-btn", type: "button", text: "Précédent" });
       var nextBtn = el("button", { class: "cag-btn", type: "button", text: "Suivant" });
       var reloadBtn = el("button", { class: "cag-btn", type: "button", text: "Rafraichir" });
 
-      if (!canWrite(cfg, state.user)) addBtn.disabled = true;
+      if (!can(cfg, state.user, "offers.edit")) addBtn.disabled = true;
 
       var toolbar = el(
         "div",
         { class: "cag-toolbar" },
-        el("div", { class: "cag-toolbar-left" }, qInput, reloadBtn),
+        el("div", { class: "cag-toolbar-left" }, qInput, statusSelect, reloadBtn),
         el("div", { class: "cag-toolbar-right" }, addBtn, prevBtn, nextBtn)
       );
 
       var box = el("div", { class: "cag-panel" }, el("h2", { text: "Offres" }), toolbar, el("div", { class: "cag-empty", text: "Chargement..." }));
       view.appendChild(box);
+      liveViews.offers = run;
 
       async function run() {
         try {
-          var r = await loadOffers(cfg, state.offers.q, state.offers.limit, state.offers.offset);
+          var r = await loadOffers(cfg, state.offers.q, state.offers.limit, state.offers.offset, state.offers.status);
           var items = (r && (r.items || (r.data && r.data.items) || r.offers)) || [];
           var total = toNumber((r && (r.total || (r.data && r.data.total))) || items.length) || items.length;
           state.offers.total = total;
           state.offers.items = items.map(normalizeOffer).filter(Boolean);
+          await overlayQueued("offer", state.offers.items);
 
           var rows = state.offers.items.map(function (o) {
             var actions = el("div", { style: { display: "flex", gap: "8px", flexWrap: "wrap" } });
             var editBtn = el("button", { class: "cag-btn", type: "button", text: "Modifier" });
+            var archiveBtn = el("button", { class: "cag-btn", type: "button", text: o.archivedAt ? "Restaurer" : "Archiver" });
             var delBtn = el("button", { class: "cag-btn cag-btn-danger", type: "button", text: "Supprimer" });
-            if (!canWrite(cfg, state.user)) {
+            if (!can(cfg, state.user, "offers.edit")) {
               editBtn.disabled = true;
+              archiveBtn.disabled = true;
               delBtn.disabled = true;
             }
             editBtn.addEventListener("click", function () {
               openOfferModal(o);
             });
+            archiveBtn.addEventListener("click", function () {
+              onArchive(o, !o.archivedAt);
+            });
             delBtn.addEventListener("click", function () {
               onDelete(o);
             });
             actions.appendChild(editBtn);
-            actions.appendChild(delBtn);
+            actions.appendChild(archiveBtn);
+            if (o.archivedAt) actions.appendChild(delBtn);
 
             return el(
               "tr",
               {},
-              el("td", { text: o.name || "—" }),
+              el(
+                "td",
+                {},
+                o.name || "—",
+                o.archivedAt ? el("span", { class: "cag-tag", title: "Archivée le " + fmtDateTime(cfg, o.archivedAt), text: "Archivée" }) : null,
+                queuedTag(o)
+              ),
               el("td", { text: o.quantity == null ? "—" : String(o.quantity) }),
               el("td", { text: fmtMoney(o.price) }),
               el("td", { text: o.productIds ? String(o.productIds.length) : "—" }),
@@ -1906,6 +4112,12 @@
         }, 300)
       );
 
+      statusSelect.addEventListener("change", function () {
+        state.offers.status = statusSelect.value;
+        state.offers.offset = 0;
+        run();
+      });
+
       reloadBtn.addEventListener("click", function () {
         run();
       });
@@ -1923,15 +4135,6 @@
         openOfferModal(null);
       });
 
-      async function getAllProductsForSelect() {
-        // Cache once per page.
-        if (state._productsAll && Array.isArray(state._productsAll) && state._productsAll.length) return state._productsAll;
-        var r = await loadProducts(cfg, "", 2000, 0);
-        var items = (r && (r.items || (r.data && r.data.items) || r.products)) || [];
-        state._productsAll = items.map(normalizeProduct).filter(Boolean);
-        return state._productsAll;
-      }
-
       function openOfferModal(offer) {
         var isEdit = !!offer;
 
@@ -1950,11 +4153,13 @@
           el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Produits inclus" }), prodSearch, multi)
         );
 
-        var saveBtn = el("button", { class: "cag-btn cag-btn-primary", type: "submit", text: isEdit ? "Enregistrer" : "Créer" });
+        // Submitted by hand: the actions row is outside the <form>.
+        var saveBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: isEdit ? "Enregistrer" : "Créer" });
         var cancelBtn = el("button", { class: "cag-btn", type: "button", text: "Annuler" });
         var actions = el("div", { class: "cag-form-actions" }, cancelBtn, saveBtn);
 
         var modal = openModal(root, isEdit ? "Modifier offre" : "Ajouter offre", form, actions);
+        var inputs = { name: fName, quantity: fQty, price: fPrice, productIds: multi };
         cancelBtn.addEventListener("click", modal.close);
 
         var selected = Object.create(null);
@@ -1964,6 +4169,21 @@
 
         var allProducts = [];
 
+        var base = offer;
+        var version = offer && offer.version;
+        var conflictFields = catalogConflictFields("offer", productNames);
+
+        function productNames(ids) {
+          return ids
+            .map(function (id) {
+              var p = allProducts.find(function (x) {
+                return String(x.id) === String(id);
+              });
+              return p ? p.name : "#" + id;
+            })
+            .join(", ");
+        }
+
         function renderMulti(filterText) {
           filterText = (filterText || "").toLowerCase().trim();
           multi.innerHTML = "";
@@ -1993,7 +4213,7 @@
 
         (async function () {
           try {
-            allProducts = await getAllProductsForSelect();
+            allProducts = await getAllProducts();
             renderMulti("");
           } catch (err) {
             multi.innerHTML = "";
@@ -2005,8 +4225,13 @@
           renderMulti(prodSearch.value);
         });
 
+        saveBtn.addEventListener("click", submit);
         form.addEventListener("submit", function (e) {
           e.preventDefault();
+          submit();
+        });
+
+        function submit() {
           (async function () {
             setBusy(saveBtn, true, "Sauvegarde...");
             try {
@@ -2021,31 +4246,69 @@
               };
               if (!payload.name) throw new Error("Nom requis");
 
-              if (isEdit) await updateOffer(cfg, offer.id, payload);
-              else await createOffer(cfg, payload);
+              var r = isEdit ? await updateOffer(cfg, offer.id, payload, version, base) : await createOffer(cfg, payload);
 
-              toast(root, isEdit ? "Offre mise à jour." : "Offre créée.", "ok");
+              if (r && r.queued) toast(root, "Hors ligne : l'offre sera enregistrée au retour de la connexion.", "warn", 5200);
+              else toast(root, isEdit ? "Offre mise à jour." : "Offre créée.", "ok");
               modal.close();
               run();
             } catch (err) {
+              if (err && err.status === 412 && err.data && err.data.current) {
+                var current = normalizeOffer(err.data.current);
+                var nextVersion = err.data.version;
+                openConflictDialog(root, "Offre", conflictFields, base, payload, current, function (merged) {
+                  base = current;
+                  version = nextVersion;
+                  fName.value = merged.name || "";
+                  fQty.value = merged.quantity == null ? "" : String(merged.quantity);
+                  fPrice.value = merged.price == null ? "" : String(merged.price);
+                  selected = Object.create(null);
+                  merged.productIds.forEach(function (id) {
+                    selected[String(id)] = true;
+                  });
+                  renderMulti(prodSearch.value);
+                  submit();
+                });
+                return;
+              }
+              showFieldErrors(form, inputs, err);
               toast(root, (err && err.message) || "Erreur sauvegarde offre", "err", 5200);
             } finally {
               setBusy(saveBtn, false, isEdit ? "Enregistrer" : "Créer");
             }
           })();
-        });
+        }
+      }
+
+      function onArchive(offer, archived) {
+        if (!offer || offer.id == null) return;
+        if (archived && !window.confirm("Archiver l'offre '" + (offer.name || "") + "' ? Elle disparaîtra de la caisse.")) return;
+        (async function () {
+          try {
+            await setOfferArchived(cfg, offer.id, archived);
+            if (state.register) state.register.offers = null;
+            toast(root, archived ? "Offre archivée." : "Offre restaurée.", "ok");
+            run();
+          } catch (err) {
+            toast(root, (err && err.message) || "Erreur archivage offre", "err", 5200);
+          }
+        })();
       }
 
-      function onDelete(offer) {
+      function onDelete(offer, version) {
         if (!offer || offer.id == null) return;
-        if (!window.confirm("Supprimer l'offre '" + (offer.name || "") + "' ?")) return;
+        if (version === undefined && !window.confirm("Supprimer définitivement l'offre '" + (offer.name || "") + "' ?")) return;
         (async function () {
           try {
-            await deleteOffer(cfg, offer.id);
-            toast(root, "Offre supprimée.", "ok");
+            var r = await deleteOffer(cfg, offer.id, version === undefined ? offer.version : version, offer);
+            if (r && r.queued) toast(root, "Hors ligne : l'offre sera supprimée au retour de la connexion.", "warn", 5200);
+            else toast(root, "Offre supprimée.", "ok");
             run();
           } catch (err) {
-            toast(root, (err && err.message) || "Erreur suppression offre", "err", 5200);
+            if (err && err.status === 412 && err.data && err.data.version) {
+              if (window.confirm("L'offre '" + (offer.name || "") + "' a été modifiée entre-temps. La supprimer quand même ?")) onDelete(offer, err.data.version);
+              else run();
+            } else toast(root, (err && err.message) || "Erreur suppression offre", "err", 5200);
           }
         })();
       }
@@ -2053,62 +4316,1514 @@
       run();
     }
 
-    async function refreshAll() {
-      setBusy(chrome.refreshBtn, true, "Rafraichit...");
-      try {
-        await refreshOverview();
-        if (state.view === "sales") await refreshSales();
-        if (state.view === "products") await refreshProducts();
-        if (state.view === "offers") await refreshOffers();
-      } finally {
-        setBusy(chrome.refreshBtn, false, "Rafraichir");
-      }
-    }
+    // ---- Users ----
+    async function refreshUsers() {
+      var view = $('.cag-view[data-view="users"]', shell);
+      if (!view) return;
 
-    // Initial paint
-    setActiveView(shell, state, state.view);
-    refreshAll();
-  }
+      if (!state.users) state.users = { q: "", limit: 20, offset: 0, total: 0, items: [] };
+      var minPasswordLength = (state.user.passwordPolicy && toNumber(state.user.passwordPolicy.minLength)) || 8;
 
-  async function mount(root) {
-    if (!root || root.getAttribute("data-cag-mounted") === "1") return;
-    root.setAttribute("data-cag-mounted", "1");
+      view.innerHTML = "";
 
-    var cfg = readConfig(root);
-    var shell = renderAppChrome(root, cfg);
+      var qInput = el("input", { class: "cag-input", type: "search", placeholder: "Recherche utilisateur...", value: state.users.q || "" });
+      var addBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Ajouter" });
+      var prevBtn = el("button", { class: "cag-btn", type: "button", text: "Précédent" });
+      var nextBtn = el("button", { class: "cag-btn", type: "button", text: "Suivant" });
+      var reloadBtn = el("button", { class: "cag-btn", type: "button", text: "Rafraichir" });
+      var attemptsBtn = el("button", { class: "cag-btn", type: "button", text: "Connexions" });
+      var passwordsBtn = el("button", { class: "cag-btn", type: "button", text: "Mots de passe" });
 
-    if (!cfg.apiBase) {
-      shell.appendChild(
-        el(
-          "div",
-          { class: "cag-login" },
-          el("h1", { text: "Configuration manquante" }),
-          el("p", { text: "Ajoute l'attribut data-api-base sur la div racine (URL de ton API)." }),
-          el("div", { class: "cag-small", html: "Ex: <code>data-api-base=\"https://ton-domaine.com/api\"</code>" })
-        )
+      var toolbar = el(
+        "div",
+        { class: "cag-toolbar" },
+        el("div", { class: "cag-toolbar-left" }, qInput, reloadBtn),
+        el("div", { class: "cag-toolbar-right" }, attemptsBtn, passwordsBtn, addBtn, prevBtn, nextBtn)
       );
-      return;
-    }
 
-    // If dashboard page: require auth, otherwise show login form.
-    if (cfg.page === "login") {
-      renderLogin(shell, root, cfg);
-      return;
-    }
+      var box = el("div", { class: "cag-panel" }, el("h2", { text: "Utilisateurs" }), toolbar, el("div", { class: "cag-empty", text: "Chargement..." }));
+      view.appendChild(box);
 
-    // dashboard page
-    var user = await ensureAuth(root, cfg);
-    if (!user) {
-      if (cfg.loginUrl) {
-        // Redirect to login page if configured.
-        window.location.href = cfg.loginUrl;
-        return;
+      async function run() {
+        try {
+          var r = await loadUsers(cfg, state.users.q, state.users.limit, state.users.offset);
+          var items = (r && (r.items || (r.data && r.data.items) || r.users)) || [];
+          var total = toNumber((r && (r.total || (r.data && r.data.total))) || items.length) || items.length;
+          state.users.total = total;
+          state.users.items = items.map(normalizeUser).filter(Boolean);
+
+          var rows = state.users.items.map(function (u) {
+            var isSelf = state.user && String(state.user.id) === String(u.id);
+            var editBtn = el("button", { class: "cag-btn", type: "button", text: "Modifier" });
+            var pwdBtn = el("button", { class: "cag-btn", type: "button", text: "Mot de passe" });
+            var sessionsBtn = el("button", { class: "cag-btn", type: "button", text: "Déconnecter" });
+            var toggleBtn = el("button", {
+              class: "cag-btn" + (u.isActive ? " cag-btn-danger" : ""),
+              type: "button",
+              text: u.isActive ? "Désactiver" : "Réactiver",
+              disabled: isSelf,
+            });
+            editBtn.addEventListener("click", function () {
+              openUserModal(u);
+            });
+            pwdBtn.addEventListener("click", function () {
+              openPasswordModal(u);
+            });
+            sessionsBtn.addEventListener("click", function () {
+              onRevokeSessions(u);
+            });
+            toggleBtn.addEventListener("click", function () {
+              onToggleActive(u);
+            });
+
+            return el(
+              "tr",
+              {},
+              el(
+                "td",
+                {},
+                el("strong", { text: u.username }),
+                isSelf ? el("span", { class: "cag-small", text: " (vous)" }) : null,
+                u.totpEnabled ? el("span", { class: "cag-tag", title: "Double authentification activée", text: "2FA" }) : null
+              ),
+              el("td", { text: parseRoles(u).join(", ") || "—" }),
+              el("td", {}, el("span", { class: "cag-pill", "data-kind": u.isActive ? "" : "err" }, u.isActive ? "Actif" : "Désactivé")),
+              el("td", { text: fmtDateTime(cfg, u.lastLogin) }),
+              el("td", {}, el("div", { style: { display: "flex", gap: "8px", flexWrap: "wrap" } }, editBtn, pwdBtn, sessionsBtn, toggleBtn))
+            );
+          });
+
+          var t = table(["Utilisateur", "Rôles", "Statut", "Dernière connexion", "Actions"], rows);
+
+          var pag = paginate(state.users, total);
+          prevBtn.disabled = pag.page <= 1;
+          nextBtn.disabled = pag.page >= pag.pages;
+
+          var footer = el("div", { class: "cag-footer-row" }, el("div", { class: "cag-small", text: "Page " + pag.page + " / " + pag.pages + " • Total: " + total }));
+
+          var empty = $(".cag-empty", box);
+          if (empty) empty.parentNode.removeChild(empty);
+
+          $all("table.cag-table, .cag-footer-row", box).forEach(function (n) {
+            if (n && n.parentNode) n.parentNode.removeChild(n);
+          });
+
+          box.appendChild(t);
+          box.appendChild(footer);
+        } catch (err) {
+          var msg = err && err.status === 403 ? "Réservé aux administrateurs." : (err && err.message) || "Erreur chargement utilisateurs";
+          addBtn.disabled = true;
+          var empty2 = $(".cag-empty", box);
+          if (empty2) empty2.textContent = msg;
+          else box.appendChild(el("div", { class: "cag-empty", text: msg }));
+        }
       }
-      renderLogin(shell, root, cfg);
+
+      function debounce(fn, ms) {
+        var t = null;
+        return function () {
+          var args = arguments;
+          window.clearTimeout(t);
+          t = window.setTimeout(function () {
+            fn.apply(null, args);
+          }, ms);
+        };
+      }
+
+      qInput.addEventListener(
+        "input",
+        debounce(function () {
+          state.users.q = qInput.value.trim();
+          state.users.offset = 0;
+          run();
+        }, 300)
+      );
+
+      reloadBtn.addEventListener("click", function () {
+        run();
+      });
+
+      prevBtn.addEventListener("click", function () {
+        state.users.offset = Math.max(0, state.users.offset - state.users.limit);
+        run();
+      });
+      nextBtn.addEventListener("click", function () {
+        state.users.offset = state.users.offset + state.users.limit;
+        run();
+      });
+
+      addBtn.addEventListener("click", function () {
+        openUserModal(null);
+      });
+
+      attemptsBtn.addEventListener("click", function () {
+        openAttemptsModal();
+      });
+
+      passwordsBtn.addEventListener("click", function () {
+        openPasswordReportModal();
+      });
+
+      // Roles the dashboard knows about, plus whatever the account already has.
+      function roleChoices(user) {
+        var out = [];
+        ["admin"]
+          .concat(cfg.writeRoles, cfg.saleRoles, parseRoles(user))
+          .map(function (r) {
+            return String(r).toLowerCase();
+          })
+          .forEach(function (r) {
+            if (r && out.indexOf(r) === -1) out.push(r);
+          });
+        return out;
+      }
+
+      function openUserModal(user) {
+        var isEdit = !!user;
+        var current = parseRoles(user).map(function (r) {
+          return String(r).toLowerCase();
+        });
+
+        var fUsername = el("input", { class: "cag-input", type: "text", value: (user && user.username) || "", required: true, autocomplete: "off" });
+        var fPassword = el("input", { class: "cag-input", type: "password", autocomplete: "new-password" });
+        var fConfirm = el("input", { class: "cag-input", type: "password", autocomplete: "new-password" });
+        var roleBoxes = roleChoices(user).map(function (r) {
+          return { role: r, input: el("input", { type: "checkbox", checked: current.indexOf(r) !== -1 }) };
+        });
+
+        var rolesWrap = el("div", { class: "cag-presets" });
+        roleBoxes.forEach(function (b) {
+          rolesWrap.appendChild(el("label", { class: "cag-check" }, b.input, el("span", { text: b.role })));
+        });
+
+        var form = el(
+          "form",
+          { class: "cag-form" },
+          el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Identifiant" }), fUsername),
+          isEdit ? null : el("div", { class: "cag-field" }, el("label", { text: "Mot de passe temporaire (" + minPasswordLength + " caractères min.)" }), fPassword),
+          isEdit ? null : el("div", { class: "cag-field" }, el("label", { text: "Confirmation" }), fConfirm),
+          el("div", { class: "cag-field cag-field-full" }, el("label", { text: "Rôles" }), rolesWrap)
+        );
+
+        var label = isEdit ? "Enregistrer" : "Créer";
+        var saveBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: label });
+        var cancelBtn = el("button", { class: "cag-btn", type: "button", text: "Annuler" });
+        var resetTotpBtn = isEdit && user.totpEnabled ? el("button", { class: "cag-btn cag-btn-danger", type: "button", text: "Réinitialiser la 2FA" }) : null;
+        var modal = openModal(
+          root,
+          isEdit ? "Modifier utilisateur" : "Ajouter utilisateur",
+          form,
+          el("div", { class: "cag-form-actions" }, resetTotpBtn, cancelBtn, saveBtn)
+        );
+        cancelBtn.addEventListener("click", modal.close);
+        // Lost phone and recovery codes: the user signs in with the password alone, then enrols again.
+        if (resetTotpBtn) {
+          resetTotpBtn.addEventListener("click", function () {
+            if (!window.confirm("Désactiver la double authentification de '" + user.username + "' ?")) return;
+            (async function () {
+              try {
+                await resetUserTotp(cfg, user.id);
+                toast(root, "Double authentification réinitialisée.", "ok");
+                modal.close();
+                run();
+              } catch (err) {
+                toast(root, (err && err.message) || "Erreur réinitialisation 2FA", "err", 5200);
+              }
+            })();
+          });
+        }
+        saveBtn.addEventListener("click", submit);
+        form.addEventListener("submit", function (e) {
+          e.preventDefault();
+          submit();
+        });
+
+        function submit() {
+          (async function () {
+            setBusy(saveBtn, true, "Sauvegarde...");
+            try {
+              var payload = {
+                username: fUsername.value.trim(),
+                roles: roleBoxes
+                  .filter(function (b) {
+                    return b.input.checked;
+                  })
+                  .map(function (b) {
+                    return b.role;
+                  }),
+              };
+              if (!payload.username) throw new Error("Identifiant requis");
+              if (isEdit) {
+                await updateUser(cfg, user.id, payload);
+              } else {
+                if (fPassword.value !== fConfirm.value) throw new Error("Les mots de passe ne correspondent pas");
+                payload.password = fPassword.value;
+                await createUser(cfg, payload);
+              }
+              toast(root, isEdit ? "Utilisateur mis à jour." : "Utilisateur créé.", "ok");
+              modal.close();
+              run();
+            } catch (err) {
+              toast(root, (err && err.message) || "Erreur sauvegarde utilisateur", "err", 5200);
+            } finally {
+              setBusy(saveBtn, false, label);
+            }
+          })();
+        }
+      }
+
+      function openPasswordModal(user) {
+        var fPassword = el("input", { class: "cag-input", type: "password", autocomplete: "new-password", required: true });
+        var fConfirm = el("input", { class: "cag-input", type: "password", autocomplete: "new-password", required: true });
+        var form = el(
+          "form",
+          { class: "cag-form" },
+          el("div", { class: "cag-field" }, el("label", { text: "Nouveau mot de passe" }), fPassword),
+          el("div", { class: "cag-field" }, el("label", { text: "Confirmation" }), fConfirm)
+        );
+        var saveBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Réinitialiser" });
+        var modal = openModal(root, "Mot de passe de " + user.username, form, el("div", { class: "cag-form-actions" }, saveBtn));
+        saveBtn.addEventListener("click", submit);
+        form.addEventListener("submit", function (e) {
+          e.preventDefault();
+          submit();
+        });
+
+        function submit() {
+          (async function () {
+            setBusy(saveBtn, true, "Enregistrement...");
+            try {
+              if (fPassword.value !== fConfirm.value) throw new Error("Les mots de passe ne correspondent pas");
+              await resetUserPassword(cfg, user.id, fPassword.value);
+              toast(root, user.id === state.user.id ? "Mot de passe réinitialisé." : "Mot de passe réinitialisé : il devra être changé à la prochaine connexion.", "ok", 5200);
+              modal.close();
+            } catch (err) {
+              toast(root, (err && err.message) || "Erreur mot de passe", "err", 5200);
+            } finally {
+              setBusy(saveBtn, false, "Réinitialiser");
+            }
+          })();
+        }
+      }
+
+      var ATTEMPT_LABELS = { ok: "Réussie", failed: "Échec", blocked: "Bloquée" };
+      var PASSWORD_STORAGE_LABELS = { plaintext: "En clair", none: "Vide", bcrypt: "Chiffré" };
+      var PASSWORD_REASON_LABELS = { plaintext: "Ancien mot de passe en clair", temporary: "Mot de passe temporaire" };
+
+      // Accounts whose password is still stored in clear (POS legacy) or waiting to be changed by their holder.
+      function openPasswordReportModal() {
+        var list = el("div", {}, el("div", { class: "cag-empty", text: "Chargement..." }));
+        var body = el(
+          "div",
+          {},
+          el("p", { class: "cag-small", text: "Un mot de passe en clair est migré et doit être changé à la prochaine connexion de son titulaire. Les comptes inactifs depuis longtemps peuvent être désactivés ou réinitialisés." }),
+          list
+        );
+        openModal(root, "Mots de passe à migrer", body, null);
+
+        (async function () {
+          try {
+            var r = await loadPasswordReport(cfg);
+            var rows = ((r && r.items) || []).map(function (u) {
+              var storage = u.storage || "";
+              return el(
+                "tr",
+                {},
+                el("td", { text: u.username || "—" }),
+                el("td", { text: parseRoles(u).join(", ") || "—" }),
+                el("td", {}, el("span", { class: "cag-pill", "data-kind": storage === "bcrypt" ? "" : "err" }, PASSWORD_STORAGE_LABELS[storage] || storage)),
+                el("td", { text: u.mustChange ? PASSWORD_REASON_LABELS[u.reason] || "Oui" : "—" }),
+                el("td", { text: u.last_login ? fmtDateTime(cfg, u.last_login) : "Jamais" }),
+                el("td", { text: String(u.is_active) === "0" ? "Inactif" : "Actif" })
+              );
+            });
+            list.innerHTML = "";
+            list.appendChild(
+              rows.length
+                ? table(["Utilisateur", "Rôles", "Stockage", "Changement demandé", "Dernière connexion", "Statut"], rows)
+                : el("div", { class: "cag-empty", text: "Tous les mots de passe sont chiffrés et à jour." })
+            );
+          } catch (err) {
+            list.innerHTML = "";
+            list.appendChild(el("div", { class: "cag-empty", text: (err && err.message) || "Erreur chargement du rapport" }));
+          }
+        })();
+      }
+
+      // Login attempts log: spot a forgotten password (a few "Échec") or someone guessing (many, one IP).
+      function openAttemptsModal() {
+        var filters = { username: "", outcome: "" };
+        var page = { limit: 50, offset: 0, total: 0 };
+        var fUser = el("input", { class: "cag-input", type: "search", placeholder: "Utilisateur exact..." });
+        var fOutcome = el(
+          "select",
+          { class: "cag-select" },
+          el("option", { value: "", text: "Tous les résultats" }),
+          el("option", { value: "failed", text: ATTEMPT_LABELS.failed }),
+          el("option", { value: "blocked", text: ATTEMPT_LABELS.blocked }),
+          el("option", { value: "ok", text: ATTEMPT_LABELS.ok })
+        );
+        var prev = el("button", { class: "cag-btn", type: "button", text: "Précédent" });
+        var next = el("button", { class: "cag-btn", type: "button", text: "Suivant" });
+        var list = el("div", {}, el("div", { class: "cag-empty", text: "Chargement..." }));
+        var body = el(
+          "div",
+          {},
+          el("div", { class: "cag-toolbar" }, el("div", { class: "cag-toolbar-left" }, fUser, fOutcome), el("div", { class: "cag-toolbar-right" }, prev, next)),
+          list
+        );
+        openModal(root, "Journal des connexions", body, null);
+
+        async function load() {
+          try {
+            var r = await loadLoginAttempts(cfg, filters, page.limit, page.offset);
+            var items = (r && r.items) || [];
+            page.total = toNumber(r && r.total) || items.length;
+            var rows = items.map(function (a) {
+              var outcome = a.outcome || "";
+              return el(
+                "tr",
+                {},
+                el("td", { text: fmtDateTime(cfg, a.created_at || a.createdAt, true) }),
+                el("td", { text: a.username || "—" }),
+                el("td", {}, el("span", { class: "cag-pill", "data-kind": outcome === "ok" ? "" : outcome === "failed" ? "warn" : "err" }, ATTEMPT_LABELS[outcome] || outcome)),
+                el("td", { text: a.ip || "—" }),
+                el("td", { class: "cag-small", text: a.user_agent || a.userAgent || "" })
+              );
+            });
+            var pag = paginate(page, page.total);
+            prev.disabled = pag.page <= 1;
+            next.disabled = pag.page >= pag.pages;
+            list.innerHTML = "";
+            list.appendChild(rows.length ? table(["Date", "Utilisateur", "Résultat", "IP", "Navigateur"], rows) : el("div", { class: "cag-empty", text: "Aucune tentative." }));
+          } catch (err) {
+            list.innerHTML = "";
+            list.appendChild(el("div", { class: "cag-empty", text: (err && err.message) || "Erreur chargement du journal" }));
+          }
+        }
+
+        fUser.addEventListener(
+          "input",
+          debounce(function () {
+            filters.username = fUser.value.trim();
+            page.offset = 0;
+            load();
+          }, 300)
+        );
+        fOutcome.addEventListener("change", function () {
+          filters.outcome = fOutcome.value;
+          page.offset = 0;
+          load();
+        });
+        prev.addEventListener("click", function () {
+          page.offset = Math.max(0, page.offset - page.limit);
+          load();
+        });
+        next.addEventListener("click", function () {
+          page.offset += page.limit;
+          load();
+        });
+
+        load();
+      }
+
+      function onRevokeSessions(user) {
+        if (!window.confirm("Fermer toutes les sessions de '" + user.username + "' ? Il devra se reconnecter sur chaque appareil.")) return;
+        (async function () {
+          try {
+            var r = await revokeUserSessions(cfg, user.id);
+            var n = toNumber(r && r.revoked) || 0;
+            toast(root, n ? n + " session(s) fermée(s)." : "Aucune session ouverte.", "ok");
+          } catch (err) {
+            toast(root, (err && err.message) || "Erreur fermeture des sessions", "err", 5200);
+          }
+        })();
+      }
+
+      function onToggleActive(user) {
+        var activate = !user.isActive;
+        if (!activate && !window.confirm("Désactiver le compte '" + user.username + "' ? Il ne pourra plus se connecter.")) return;
+        (async function () {
+          try {
+            await updateUser(cfg, user.id, { isActive: activate });
+            toast(root, activate ? "Compte réactivé." : "Compte désactivé.", "ok");
+            run();
+          } catch (err) {
+            toast(root, (err && err.message) || "Erreur mise à jour utilisateur", "err", 5200);
+          }
+        })();
+      }
+
+      run();
+    }
+
+    // ---- Historique (audit_log) ----
+    async function refreshHistory() {
+      var view = $('.cag-view[data-view="history"]', shell);
+      if (!view) return;
+
+      if (!state.history) state.history = { entity: "", entityId: "", from: "", to: "", limit: 30, offset: 0, total: 0 };
+      var h = state.history;
+
+      view.innerHTML = "";
+
+      var fEntity = el("select", { class: "cag-select" }, el("option", { value: "", text: "Tous les éléments" }));
+      Object.keys(AUDIT_ENTITY_LABELS).forEach(function (k) {
+        fEntity.appendChild(el("option", { value: k, text: AUDIT_ENTITY_LABELS[k] }));
+      });
+      fEntity.value = h.entity;
+      var fEntityId = el("input", { class: "cag-input", type: "search", placeholder: "N° / rôle", value: h.entityId, style: { width: "110px" } });
+      var fFrom = el("input", { class: "cag-input", type: "date", value: h.from });
+      var fTo = el("input", { class: "cag-input", type: "date", value: h.to });
+      var reloadBtn = el("button", { class: "cag-btn", type: "button", text: "Rafraichir" });
+      var prevBtn = el("button", { class: "cag-btn", type: "button", text: "Précédent" });
+      var nextBtn = el("button", { class: "cag-btn", type: "button", text: "Suivant" });
+
+      var toolbar = el(
+        "div",
+        { class: "cag-toolbar" },
+        el("div", { class: "cag-toolbar-left" }, fEntity, fEntityId, fFrom, fTo, reloadBtn),
+        el("div", { class: "cag-toolbar-right" }, prevBtn, nextBtn)
+      );
+      var list = el("div", {}, el("div", { class: "cag-empty", text: "Chargement..." }));
+      view.appendChild(el("div", { class: "cag-panel" }, el("h2", { text: "Historique des modifications" }), toolbar, list));
+
+      function entityLabel(a) {
+        var img = a.after || a.before || {};
+        var name = img.name || img.username || (img.sale && "#" + (img.sale.id_sale || img.sale.id)) || "";
+        var label = (AUDIT_ENTITY_LABELS[a.entity] || a.entity) + (a.entity_id != null ? " " + a.entity_id : "");
+        return name && String(name) !== String(a.entity_id) ? label + " — " + name : label;
+      }
+
+      function changesSummary(a) {
+        if (!a.before || !a.after) return a.after && a.after.revoked != null ? a.after.revoked + " session(s)" : "";
+        var changed = auditChanges(a.before, a.after).filter(function (c) {
+          return c.changed;
+        });
+        var parts = changed.slice(0, 3).map(function (c) {
+          return c.field + " : " + fmtAuditValue(c.from) + " → " + fmtAuditValue(c.to);
+        });
+        if (changed.length > 3) parts.push("+" + (changed.length - 3));
+        return parts.join(" • ");
+      }
+
+      function openDetails(a) {
+        var rows = auditChanges(a.before, a.after).map(function (c) {
+          return el(
+            "tr",
+            { class: c.changed && a.before && a.after ? "cag-row-changed" : "" },
+            el("td", { text: c.field }),
+            el("td", { text: fmtAuditValue(c.from) }),
+            el("td", { text: fmtAuditValue(c.to) })
+          );
+        });
+        var body = el(
+          "div",
+          {},
+          el(
+            "p",
+            { class: "cag-small" },
+            fmtDateTime(cfg, a.created_at, true) + " • " + (a.username || "—") + " • " + a.method + " " + a.route + " • IP " + (a.ip || "—")
+          ),
+          rows.length ? table(["Champ", "Avant", "Après"], rows) : el("div", { class: "cag-empty", text: "Pas de détail enregistré pour cette action." })
+        );
+        openModal(root, (AUDIT_ACTION_LABELS[a.action] || a.action) + " • " + entityLabel(a), body, null);
+      }
+
+      async function run() {
+        try {
+          var r = await loadAudit(cfg, h, h.limit, h.offset);
+          var items = (r && r.items) || [];
+          h.total = toNumber(r && r.total) || items.length;
+          var rows = items.map(function (a) {
+            var detailsBtn = el("button", { class: "cag-btn", type: "button", text: "Détails" });
+            detailsBtn.addEventListener("click", function () {
+              openDetails(a);
+            });
+            return el(
+              "tr",
+              {},
+              el("td", { text: fmtDateTime(cfg, a.created_at, true) }),
+              el("td", { text: a.username || "—" }),
+              el("td", {}, el("span", { class: "cag-pill", "data-kind": a.action === "delete" || a.action === "void" ? "err" : "" }, AUDIT_ACTION_LABELS[a.action] || a.action)),
+              el("td", { text: entityLabel(a) }),
+              el("td", { class: "cag-small", text: changesSummary(a) }),
+              el("td", {}, detailsBtn)
+            );
+          });
+          var pag = paginate(h, h.total);
+          prevBtn.disabled = pag.page <= 1;
+          nextBtn.disabled = pag.page >= pag.pages;
+          list.innerHTML = "";
+          if (!rows.length) {
+            list.appendChild(el("div", { class: "cag-empty", text: "Aucune modification enregistrée." }));
+            return;
+          }
+          list.appendChild(table(["Date", "Utilisateur", "Action", "Élément", "Modifications", ""], rows));
+          list.appendChild(el("div", { class: "cag-footer-row" }, el("div", { class: "cag-small", text: "Page " + pag.page + " / " + pag.pages + " • Total: " + h.total })));
+        } catch (err) {
+          list.innerHTML = "";
+          list.appendChild(el("div", { class: "cag-empty", text: (err && err.message) || "Erreur chargement de l'historique" }));
+        }
+      }
+
+      function applyFilters() {
+        if (fFrom.value && fTo.value && fFrom.value > fTo.value) {
+          toast(root, "Date 'Du' doit être <= 'Au'", "warn");
+          return;
+        }
+        h.entity = fEntity.value;
+        h.entityId = fEntityId.value.trim();
+        // The API wants both bounds: one alone is completed with the other.
+        h.from = fFrom.value || fTo.value;
+        h.to = fTo.value || fFrom.value;
+        h.offset = 0;
+        run();
+      }
+
+      [fEntity, fEntityId, fFrom, fTo].forEach(function (f) {
+        f.addEventListener("change", applyFilters);
+      });
+      reloadBtn.addEventListener("click", function () {
+        run();
+      });
+      prevBtn.addEventListener("click", function () {
+        h.offset = Math.max(0, h.offset - h.limit);
+        run();
+      });
+      nextBtn.addEventListener("click", function () {
+        h.offset += h.limit;
+        run();
+      });
+
+      run();
+    }
+
+    // ---- Register (caisse) ----
+    async function refreshRegister() {
+      var view = $('.cag-view[data-view="register"]', shell);
+      if (!view) return;
+
+      // The cart survives re-renders (tab switches, "Rafraichir").
+      if (!state.register) state.register = { cart: [], notes: "", filter: "", type: "", offers: null };
+      var reg = state.register;
+      var allowed = can(cfg, state.user, "sales.create");
+
+      view.innerHTML = "";
+
+      var scanInput = el("input", {
+        class: "cag-input cag-scan",
+        type: "search",
+        placeholder: "Scanner un code-barre ou rechercher...",
+        value: reg.filter || "",
+        autocomplete: "off",
+      });
+      var reloadBtn = el("button", { class: "cag-btn", type: "button", text: "Rafraichir" });
+      var chips = el("div", { class: "cag-presets" });
+      var grid = el("div", { class: "cag-register-grid" }, el("div", { class: "cag-empty", text: "Chargement..." }));
+
+      var cartList = el("div", { class: "cag-cart-lines" });
+      var cartCount = el("div", { class: "cag-small" });
+      var cartTotal = el("div", { class: "cag-kpi" });
+      var notesInput = el("input", { class: "cag-input", type: "text", placeholder: "Note (optionnel)", value: reg.notes || "" });
+      var clearBtn = el("button", { class: "cag-btn cag-btn-ghost", type: "button", text: "Vider" });
+      var payBtn = el("button", { class: "cag-btn cag-btn-primary cag-btn-lg", type: "button", text: "Encaisser" });
+
+      var toolbar = el(
+        "div",
+        { class: "cag-toolbar" },
+        el("div", { class: "cag-toolbar-left" }, scanInput, reloadBtn),
+        el("div", { class: "cag-toolbar-right" }, chips)
+      );
+
+      var cartPanel = el(
+        "div",
+        { class: "cag-panel cag-cart" },
+        el("h2", { text: "Panier" }),
+        cartList,
+        el("div", { class: "cag-cart-total" }, cartCount, cartTotal),
+        notesInput,
+        el("div", { class: "cag-form-actions" }, clearBtn, payBtn)
+      );
+
+      var box = el("div", { class: "cag-panel" }, el("h2", { text: "Caisse" }), toolbar, grid);
+      view.appendChild(el("div", { class: "cag-register" }, box, cartPanel));
+
+      var products = [];
+      var offers = [];
+
+      function cartTotals() {
+        var count = 0;
+        var total = 0;
+        reg.cart.forEach(function (l) {
+          count += l.quantity;
+          total += (l.unitPrice || 0) * l.quantity;
+        });
+        return { count: count, total: Math.round(total * 100) / 100 };
+      }
+
+      function renderCart() {
+        cartList.innerHTML = "";
+        if (!reg.cart.length) cartList.appendChild(el("div", { class: "cag-empty", text: "Panier vide. Scanne ou touche un produit." }));
+        reg.cart.forEach(function (l, idx) {
+          var minus = el("button", { class: "cag-btn cag-qty-btn", type: "button", text: "−" });
+          var plus = el("button", { class: "cag-btn cag-qty-btn", type: "button", text: "+" });
+          var remove = el("button", { class: "cag-btn cag-btn-ghost cag-qty-btn", type: "button", text: "×", title: "Retirer" });
+          minus.addEventListener("click", function () {
+            if (l.quantity > 1) l.quantity -= 1;
+            else reg.cart.splice(idx, 1);
+            renderCart();
+          });
+          plus.addEventListener("click", function () {
+            l.quantity += 1;
+            renderCart();
+          });
+          remove.addEventListener("click", function () {
+            reg.cart.splice(idx, 1);
+            renderCart();
+          });
+          var sub = fmtMoney(l.unitPrice) + (l.kind === "offer" ? " • Offre" : "");
+          if (l.items && l.itemsLabel) sub += " • " + l.itemsLabel;
+          cartList.appendChild(
+            el(
+              "div",
+              { class: "cag-cart-line" },
+              el("div", { class: "cag-cart-name" }, el("strong", { text: l.name }), el("div", { class: "cag-small", text: sub })),
+              el("div", { class: "cag-cart-qty" }, minus, el("span", { text: String(l.quantity) }), plus, remove),
+              el("strong", { class: "cag-cart-sum", text: fmtMoney((l.unitPrice || 0) * l.quantity) })
+            )
+          );
+        });
+        var t = cartTotals();
+        cartCount.textContent = t.count + " article" + (t.count > 1 ? "s" : "");
+        cartTotal.textContent = fmtMoney(t.total);
+        payBtn.disabled = !allowed || !reg.cart.length;
+        clearBtn.disabled = !reg.cart.length;
+      }
+
+      function addProduct(p) {
+        if (!p || p.price == null) {
+          toast(root, "Produit sans prix: " + escapeHtml((p && p.name) || ""), "warn");
+          return;
+        }
+        var line = reg.cart.find(function (l) {
+          return l.kind === "product" && String(l.id) === String(p.id);
+        });
+        if (line) line.quantity += 1;
+        else reg.cart.push({ kind: "product", id: p.id, name: p.name || "Produit #" + p.id, unitPrice: p.price, quantity: 1 });
+        renderCart();
+      }
+
+      function addOffer(o, items) {
+        var label = items
+          ? items
+              .map(function (it) {
+                var p = findProduct(it.productId);
+                return it.quantity + "× " + ((p && p.name) || "#" + it.productId);
+              })
+              .join(", ")
+          : "";
+        var key = items ? JSON.stringify(items) : "";
+        var line = reg.cart.find(function (l) {
+          return l.kind === "offer" && String(l.id) === String(o.id) && (l.items ? JSON.stringify(l.items) : "") === key;
+        });
+        if (line) line.quantity += 1;
+        else reg.cart.push({ kind: "offer", id: o.id, name: o.name || "Offre #" + o.id, unitPrice: o.price, quantity: 1, items: items, itemsLabel: label });
+        renderCart();
+      }
+
+      function findProduct(id) {
+        return products.find(function (p) {
+          return String(p.id) === String(id);
+        });
+      }
+
+      function onOffer(o) {
+        if (o.price == null) {
+          toast(root, "Offre sans prix: " + escapeHtml(o.name || ""), "warn");
+          return;
+        }
+        if (!o.productIds.length) {
+          toast(root, "Offre sans produits: " + escapeHtml(o.name || ""), "warn");
+          return;
+        }
+        // A single-product offer needs no choice; the API fills it in.
+        if (o.productIds.length === 1) return addOffer(o, null);
+        openOfferPicker(o);
+      }
+
+      function openOfferPicker(o) {
+        var need = o.quantity != null && o.quantity > 0 ? o.quantity : null;
+        var counts = Object.create(null);
+        var list = el("div", { class: "cag-mini-list" });
+        var status = el("div", { class: "cag-small" });
+        var okBtn = el("button", { class: "cag-btn cag-btn-primary", type: "button", text: "Ajouter" });
+        var cancelBtn = el("button", { class: "cag-btn", type: "button", text: "Annuler" });
+
+        function picked() {
+          return Object.keys(counts).reduce(function (a, k) {
+            return a + counts[k];
+          }, 0);
+        }
+
+        function update() {
+          var n = picked();
+          status.textContent = need ? n + " / " + need + " produits choisis" : n + " produit(s) choisi(s)";
+          okBtn.disabled = need ? n !== need : n < 1;
+        }
+
+        o.productIds.forEach(function (pid) {
+          var p = findProduct(pid);
+          var qty = el("span", { text: "0" });
+          var minus = el("button", { class: "cag-btn cag-qty-btn", type: "button", text: "−" });
+          var plus = el("button", { class: "cag-btn cag-qty-btn", type: "button", text: "+" });
+          minus.addEventListener("click", function () {
+            counts[pid] = Math.max(0, (counts[pid] || 0) - 1);
+            if (!counts[pid]) delete counts[pid];
+            qty.textContent = String(counts[pid] || 0);
+            update();
+          });
+          plus.addEventListener("click", function () {
+            if (need && picked() >= need) return;
+            counts[pid] = (counts[pid] || 0) + 1;
+            qty.textContent = String(counts[pid]);
+            update();
+          });
+          list.appendChild(
+            el(
+              "div",
+              { class: "cag-mini-item" },
+              el("strong", { text: (p && p.name) || "Produit #" + pid }),
+              el("div", { class: "cag-cart-qty" }, minus, qty, plus)
+            )
+          );
+        });
+
+        var modal = openModal(root, o.name || "Offre", el("div", {}, list, status), el("div", { class: "cag-form-actions" }, cancelBtn, okBtn));
+        cancelBtn.addEventListener("click", modal.close);
+        okBtn.addEventListener("click", function () {
+          var items = Object.keys(counts).map(function (k) {
+            return { productId: Number(k), quantity: counts[k] };
+          });
+          addOffer(o, items);
+          modal.close();
+          scanInput.focus();
+        });
+        update();
+      }
+
+      function renderChips() {
+        chips.innerHTML = "";
+        var types = [];
+        products.forEach(function (p) {
+          if (p.productType && types.indexOf(p.productType) === -1) types.push(p.productType);
+        });
+        types.sort();
+        var all = [{ id: "", label: "Tout" }].concat(
+          types.map(function (t) {
+            return { id: t, label: t };
+          })
+        );
+        if (offers.length) all.push({ id: "__offers", label: "Offres" });
+        all.forEach(function (c) {
+          var b = el("button", { class: "cag-preset", type: "button", text: c.label });
+          if (c.id === reg.type) b.setAttribute("aria-pressed", "true");
+          b.addEventListener("click", function () {
+            reg.type = c.id;
+            renderChips();
+            renderGrid();
+          });
+          chips.appendChild(b);
+        });
+      }
+
+      function matches(label, q) {
+        return !q || label.toLowerCase().indexOf(q) !== -1;
+      }
+
+      function visibleTiles() {
+        var q = (reg.filter || "").toLowerCase().trim();
+        var out = [];
+        if (reg.type !== "__offers") {
+          products.forEach(function (p) {
+            if (reg.type && p.productType !== reg.type) return;
+            if (!matches((p.name || "") + " " + (p.barcode || "") + " " + (p.reference || ""), q)) return;
+            out.push({ kind: "product", item: p });
+          });
+        }
+        if (!reg.type || reg.type === "__offers") {
+          offers.forEach(function (o) {
+            if (!matches(o.name || "", q)) return;
+            out.push({ kind: "offer", item: o });
+          });
+        }
+        return out;
+      }
+
+      function renderGrid() {
+        grid.innerHTML = "";
+        var tiles = visibleTiles();
+        if (!tiles.length) grid.appendChild(el("div", { class: "cag-empty", text: "Aucun produit." }));
+        tiles.forEach(function (t) {
+          var it = t.item;
+          var sub =
+            t.kind === "offer"
+              ? "Offre" + (it.quantity ? " • " + it.quantity + " produits" : "")
+              : it.quantity == null
+                ? ""
+                : "Stock: " + it.quantity;
+          var tile = el(
+            "button",
+            { class: "cag-tile", type: "button", "data-kind": t.kind },
+            el("span", { class: "cag-tile-name", text: it.name || "—" }),
+            el("span", { class: "cag-tile-price", text: fmtMoney(it.price) }),
+            el("span", { class: "cag-small", text: sub })
+          );
+          if (t.kind === "product" && it.quantity != null && it.quantity <= 0) tile.setAttribute("data-out", "true");
+          tile.addEventListener("click", function () {
+            if (t.kind === "offer") onOffer(it);
+            else addProduct(it);
+            scanInput.focus();
+          });
+          grid.appendChild(tile);
+        });
+      }
+
+      function findByCode(code) {
+        var c = String(code || "").trim().toLowerCase();
+        if (!c) return null;
+        var byBarcode = products.find(function (p) {
+          return p.barcode && p.barcode.toLowerCase() === c;
+        });
+        if (byBarcode) return byBarcode;
+        return (
+          products.find(function (p) {
+            return p.reference && p.reference.toLowerCase() === c;
+          }) || null
+        );
+      }
+
+      // Keyboard-wedge scanners "type" the code and press Enter.
+      scanInput.addEventListener("keydown", function (e) {
+        if (e.key !== "Enter") return;
+        e.preventDefault();
+        var code = scanInput.value.trim();
+        if (!code) return;
+        var p = findByCode(code);
+        if (!p) {
+          var tiles = visibleTiles();
+          if (tiles.length === 1) {
+            if (tiles[0].kind === "offer") onOffer(tiles[0].item);
+            else addProduct(tiles[0].item);
+          } else {
+            toast(root, "Code inconnu: " + escapeHtml(code), "warn");
+            scanInput.select();
+            return;
+          }
+        } else {
+          addProduct(p);
+        }
+        scanInput.value = "";
+        reg.filter = "";
+        renderGrid();
+      });
+
+      scanInput.addEventListener("input", function () {
+        reg.filter = scanInput.value;
+        renderGrid();
+      });
+
+      notesInput.addEventListener("input", function () {
+        reg.notes = notesInput.value;
+      });
+
+      clearBtn.addEventListener("click", function () {
+        if (reg.cart.length && !window.confirm("Vider le panier ?")) return;
+        reg.cart = [];
+        renderCart();
+        scanInput.focus();
+      });
+
+      async function loadCatalog(force) {
+        products = await getAllProducts(force);
+        if (force || !reg.offers) {
+          var rawOffers = await loadAllPages(function (limit, offset) {
+            return loadOffers(cfg, "", limit, offset);
+          });
+          reg.offers = rawOffers.map(normalizeOffer).filter(Boolean);
+        }
+        offers = reg.offers;
+        renderChips();
+        renderGrid();
+      }
+
+      reloadBtn.addEventListener("click", function () {
+        loadCatalog(true).catch(function (err) {
+          toast(root, (err && err.message) || "Erreur chargement catalogue", "err", 5200);
+        });
+      });
+
+      payBtn.addEventListener("click", function () {
+        if (!reg.cart.length) return;
+        (async function () {
+          setBusy(payBtn, true, "Encaissement...");
+          try {
+            var payload = {
+              notes: reg.notes || "",
+              items: reg.cart.map(function (l) {
+                if (l.kind === "offer") {
+                  return {
+                    offerId: l.id,
+                    quantity: l.quantity,
+                    price: l.unitPrice,
+                    items: l.items
+                      ? l.items.map(function (it) {
+                          return { productId: it.productId, quantity: it.quantity * l.quantity };
+                        })
+                      : undefined,
+                  };
+                }
+                return { productId: l.id, quantity: l.quantity, price: l.unitPrice };
+              }),
+            };
+            var r = await createSale(cfg, payload);
+            var sale = normalizeSale((r && (r.sale || (r.data && r.data.sale))) || null);
+            toast(root, "Vente " + (sale && sale.id != null ? "#" + sale.id + " " : "") + "enregistrée: " + fmtMoney(sale && sale.totalAmount), "ok");
+            reg.cart = [];
+            reg.notes = "";
+            notesInput.value = "";
+            renderCart();
+            await loadCatalog(true);
+          } catch (err) {
+            if (err && err.status === 409) {
+              toast(root, "Un prix a changé. Catalogue rechargé, vérifie le panier.", "warn", 5200);
+              await loadCatalog(true).catch(function () {});
+              reg.cart.forEach(function (l) {
+                var src =
+                  l.kind === "offer"
+                    ? offers.find(function (o) {
+                        return String(o.id) === String(l.id);
+                      })
+                    : findProduct(l.id);
+                if (src && src.price != null) l.unitPrice = src.price;
+              });
+              renderCart();
+            } else {
+              toast(root, (err && err.message) || "Erreur enregistrement vente", "err", 5200);
+            }
+          } finally {
+            setBusy(payBtn, false, "Encaisser");
+            payBtn.disabled = !allowed || !reg.cart.length;
+          }
+        })();
+      });
+
+      if (!allowed) cartPanel.appendChild(el("div", { class: "cag-small", text: "Ton rôle ne permet pas d'encaisser." }));
+      renderCart();
+
+      try {
+        await loadCatalog(false);
+      } catch (err) {
+        grid.innerHTML = "";
+        grid.appendChild(el("div", { class: "cag-empty", text: (err && err.message) || "Erreur chargement catalogue" }));
+      }
+      scanInput.focus();
+    }
+
+    async function refreshAll() {
+      setBusy(chrome.refreshBtn, true, "Rafraichit...");
+      try {
+        await refreshOverview();
+        if (state.view === "sales") await refreshSales();
+        if (state.view === "products") await refreshProducts();
+        if (state.view === "offers") await refreshOffers();
+        if (state.view === "register") await refreshRegister();
+        if (state.view === "users") await refreshUsers();
+        if (state.view === "history") await refreshHistory();
+      } finally {
+        setBusy(chrome.refreshBtn, false, "Rafraichir");
+      }
+    }
+
+    // ---- Offline ----
+    // Fields compared by the "modifié entre-temps" dialog, for the forms and for queued offline edits.
+    function catalogConflictFields(entity, productNames) {
+      if (entity === "offer") {
+        return [
+          { key: "name", label: "Nom" },
+          { key: "quantity", label: "Quantité" },
+          { key: "price", label: "Prix", format: fmtMoney },
+          { key: "productIds", label: "Produits inclus", format: productNames },
+        ];
+      }
+      return [
+        { key: "name", label: "Nom" },
+        { key: "productType", label: "Type" },
+        { key: "barcode", label: "Code barre" },
+        { key: "reference", label: "Référence" },
+        { key: "purchasePrice", label: "Prix d'achat", format: fmtMoney },
+        { key: "price", label: "Prix de vente", format: fmtMoney },
+        { key: "minStock", label: "Stock minimum" },
+        { key: "reorderQty", label: "Quantité de réappro" },
+        { key: "description", label: "Description" },
+      ];
+    }
+
+    function knownProductNames(ids) {
+      return ids
+        .map(function (id) {
+          var p = (state._productsAll || []).find(function (x) {
+            return String(x.id) === String(id);
+          });
+          return p ? p.name : "#" + id;
+        })
+        .join(", ");
+    }
+
+    // Listed items show the edits still queued for them: the form then starts from what the user saved.
+    async function overlayQueued(entity, items) {
+      var queue = await offlineQueue(cfg).catch(function () {
+        return [];
+      });
+      queue.forEach(function (e) {
+        if (e.entity !== entity || e.op === "create") return;
+        var item = items.find(function (i) {
+          return String(i.id) === String(e.itemId);
+        });
+        if (!item) return;
+        if (e.op === "update") Object.assign(item, e.payload);
+        item.queued = e;
+      });
+    }
+
+    function queuedTag(item) {
+      var e = item.queued;
+      if (!e) return null;
+      var text = e.status !== "pending" ? "À revoir" : e.op === "delete" ? "Suppression en attente" : "En attente";
+      return el("span", { class: "cag-tag", "data-kind": "warn", title: "Modification faite hors ligne", text: text });
+    }
+
+    async function renderOfflineBar() {
+      var queue = await offlineQueue(cfg).catch(function () {
+        return [];
+      });
+      var waiting = queue.filter(function (e) {
+        return e.status === "pending";
+      }).length;
+      var held = queue.length - waiting;
+      var parts = [];
+      if (!offlineStatus.reachable) {
+        parts.push(
+          "Hors ligne" +
+            (offlineStatus.copyAt ? " : données du " + fmtDateTime(cfg, offlineStatus.copyAt) : "") +
+            ". Les modifications de produits et d'offres seront envoyées au retour de la connexion."
+        );
+      }
+      if (waiting) parts.push(waiting + " modification(s) en attente d'envoi.");
+      if (held) parts.push(held + " modification(s) hors ligne à revoir.");
+      offlineBar.innerHTML = "";
+      offlineBar.style.display = parts.length ? "" : "none";
+      offlineBar.setAttribute("data-kind", held ? "err" : "warn");
+      offlineBar.appendChild(el("span", { text: parts.join(" ") }));
+      if (queue.length) {
+        var showBtn = el("button", { class: "cag-btn", type: "button", text: "Voir" });
+        showBtn.addEventListener("click", openOfflineQueue);
+        offlineBar.appendChild(showBtn);
+      }
+    }
+
+    function reloadCatalogViews() {
+      if (state.view === "products") reloadSoon("products", liveViews.products);
+      if (state.view === "offers") reloadSoon("offers", liveViews.offers);
+    }
+
+    // Resolves how many queued edits went through.
+    async function flushOfflineQueue() {
+      var r = { sent: 0, held: 0 };
+      try {
+        r = await replayOfflineQueue(cfg);
+      } catch (_) {
+        // IndexedDB trouble: the queue stays as it is.
+      }
+      if (r.sent) {
+        toast(root, r.sent + " modification(s) hors ligne envoyée(s).", "ok");
+        state._productsAll = null;
+        if (state.register) state.register.offers = null;
+      }
+      if (r.held) toast(root, r.held + " modification(s) hors ligne n'ont pas pu être appliquées : à revoir.", "warn", 6000);
+      renderOfflineBar();
+      return r.sent;
+    }
+
+    // Queued edits, oldest first. A conflict (the item changed on the API meanwhile) opens the merge dialog
+    // and goes back in the queue against the new version; a refused one can be sent again or dropped.
+    function openOfflineQueue() {
+      var body = el("div", {});
+      openModal(root, "Modifications hors ligne", body, null);
+
+      async function retry(entry, changes) {
+        Object.assign(entry, changes, { status: "pending", error: null, current: null, currentVersion: null, key: newIdempotencyKey() });
+        await offlineStore("queue", "put", entry);
+        if (offlineStatus.reachable && (await flushOfflineQueue())) reloadCatalogViews();
+        else renderOfflineBar();
+        draw();
+      }
+
+      function resolve(entry) {
+        var current = entry.entity === "offer" ? normalizeOffer(entry.current) : normalizeProduct(entry.current);
+        var fields = catalogConflictFields(entry.entity, knownProductNames);
+        openConflictDialog(root, AUDIT_ENTITY_LABELS[entry.entity], fields, entry.base || current, entry.payload, current, function (merged) {
+          retry(entry, { payload: merged, version: entry.currentVersion, base: current });
+        });
+      }
+
+      async function drop(entry) {
+        if (!window.confirm("Abandonner cette modification ? Elle ne sera pas envoyée.")) return;
+        await offlineStore("queue", "delete", entry.id).catch(function () {});
+        renderOfflineBar();
+        reloadCatalogViews();
+        draw();
+      }
+
+      function action(label, fn) {
+        var btn = el("button", { class: "cag-btn", type: "button", text: label });
+        btn.addEventListener("click", fn);
+        return btn;
+      }
+
+      async function draw() {
+        var queue = await offlineQueue(cfg).catch(function () {
+          return [];
+        });
+        body.innerHTML = "";
+        if (!queue.length) {
+          body.appendChild(el("div", { class: "cag-empty", text: "Aucune modification en attente." }));
+          return;
+        }
+        body.appendChild(el("p", { class: "cag-small", text: "Faites hors ligne, elles sont envoyées dans l'ordre dès que l'API répond." }));
+        var rows = queue.map(function (e) {
+          var actions = el("div", { style: { display: "flex", gap: "8px", flexWrap: "wrap" } });
+          if (e.status === "conflict" && e.op === "update" && e.current) {
+            actions.appendChild(
+              action("Résoudre", function () {
+                resolve(e);
+              })
+            );
+          } else if (e.status === "conflict" && e.op === "delete") {
+            actions.appendChild(
+              action("Supprimer quand même", function () {
+                retry(e, { version: e.currentVersion });
+              })
+            );
+          } else if (e.status !== "pending") {
+            actions.appendChild(
+              action("Réessayer", function () {
+                retry(e, {});
+              })
+            );
+          }
+          actions.appendChild(
+            action("Abandonner", function () {
+              drop(e);
+            })
+          );
+          var name = (e.payload && e.payload.name) || (e.base && e.base.name) || (e.itemId != null ? "#" + e.itemId : "—");
+          return el(
+            "tr",
+            {},
+            el("td", { text: fmtDateTime(cfg, e.at) }),
+            el("td", { text: AUDIT_ENTITY_LABELS[e.entity] + " " + name }),
+            el("td", { text: AUDIT_ACTION_LABELS[e.op] || e.op }),
+            el(
+              "td",
+              {},
+              el("span", { class: "cag-pill", "data-kind": e.status === "pending" ? "" : "err" }, OFFLINE_STATUS_LABELS[e.status] || e.status),
+              e.error ? el("div", { class: "cag-small", text: e.error }) : null
+            ),
+            el("td", {}, actions)
+          );
+        });
+        body.appendChild(table(["Date", "Élément", "Action", "État", "Actions"], rows));
+      }
+
+      draw();
+    }
+
+    // While offline, GET /auth/me every OFFLINE_PROBE_MS (and when the browser says the network is back)
+    // tells when the API answers again; the queue is then sent and every view reloaded.
+    var offlineProbe = null;
+    var offlineProbing = false;
+    var wasReachable = true;
+
+    function probeApi() {
+      window.clearTimeout(offlineProbe);
+      if (offlineProbing || offlineStatus.reachable) return;
+      offlineProbing = true;
+      apiFetch(cfg, cfg.epMe, { method: "GET" })
+        .catch(function () {})
+        .then(function () {
+          offlineProbing = false;
+          if (!offlineStatus.reachable) offlineProbe = window.setTimeout(probeApi, OFFLINE_PROBE_MS);
+        });
+    }
+
+    function onOfflineStatus(status) {
+      renderOfflineBar();
+      if (status.reachable === wasReachable) return;
+      wasReachable = status.reachable;
+      if (!status.reachable) {
+        offlineProbe = window.setTimeout(probeApi, OFFLINE_PROBE_MS);
+        return;
+      }
+      window.clearTimeout(offlineProbe);
+      flushOfflineQueue().then(function () {
+        refreshAll();
+      });
+    }
+
+    function stopOffline() {
+      window.clearTimeout(offlineProbe);
+      window.removeEventListener("online", probeApi);
+      var i = offlineListeners.indexOf(onOfflineStatus);
+      if (i !== -1) offlineListeners.splice(i, 1);
+    }
+
+    // ---- Live updates ----
+    // A new sale is added to the state the overview and the sales table render from (KPIs, charts, top
+    // products, first page of sales) without rerunning their queries. Stock moves, edits and refunds
+    // reload only what they touch, once things are quiet; a reset (stream too far behind) reloads all.
+    // Re-render hooks of the lists, set by each refreshX: run(true) renders state, run() reloads.
+    var liveViews = {};
+    var liveReloads = {};
+
+    function reloadSoon(name, fn) {
+      if (!fn) return;
+      window.clearTimeout(liveReloads[name]);
+      liveReloads[name] = window.setTimeout(function () {
+        fn();
+      }, LIVE_RELOAD_MS);
+    }
+
+    function inRange(date) {
+      return !!date && date >= state.range.from && date <= state.range.to;
+    }
+
+    function addSale(row, amount) {
+      row.revenue = (toNumber(row.revenue) || 0) + amount;
+      row.salesCount = (toNumber(row.salesCount) || 0) + 1;
+    }
+
+    function findOrAdd(rows, match, make) {
+      var row = rows.find(match);
+      if (!row) {
+        row = make();
+        rows.push(row);
+      }
+      return row;
+    }
+
+    function applyLiveSale(e) {
+      var amount = toNumber(e.sale.total_amount) || 0;
+      var k = state.kpis;
+      k.revenue = (k.revenue || 0) + amount;
+      k.salesCount = (k.salesCount || 0) + 1;
+      k.avgTicket = k.revenue / k.salesCount;
+      if (k.profit != null && e.profit != null) k.profit += toNumber(e.profit) || 0;
+
+      var day = findOrAdd(
+        state.series,
+        function (p) {
+          return (p.date || p.day) === e.date;
+        },
+        function () {
+          return { date: e.date, revenue: 0, salesCount: 0 };
+        }
+      );
+      addSale(day, amount);
+      day.avgTicket = day.revenue / day.salesCount;
+      state.series.sort(function (a, b) {
+        return String(a.date || a.day) < String(b.date || b.day) ? -1 : 1;
+      });
+      // Older APIs send no byHour / byWeekday: their panels say so rather than show one sale.
+      if (state.byHour.length) {
+        addSale(
+          findOrAdd(
+            state.byHour,
+            function (x) {
+              return toNumber(x.hour) === e.hour;
+            },
+            function () {
+              return { hour: e.hour, revenue: 0, salesCount: 0 };
+            }
+          ),
+          amount
+        );
+      }
+      if (state.byWeekday.length) {
+        addSale(
+          findOrAdd(
+            state.byWeekday,
+            function (x) {
+              return toNumber(x.weekday) === e.weekday;
+            },
+            function () {
+              return { weekday: e.weekday, revenue: 0, salesCount: 0 };
+            }
+          ),
+          amount
+        );
+      }
+
+      // A product outside the top 10 may have just entered it: that shows at the next full refresh.
+      // Top offers are attributed server-side and also wait for it.
+      (e.lines || []).forEach(function (l) {
+        var top = state.topProducts.find(function (x) {
+          return String(x.id) === String(l.product_id);
+        });
+        if (!top) {
+          if (state.topProducts.length >= 10) return;
+          top = { id: l.product_id, name: l.name, qty: 0, revenue: 0 };
+          state.topProducts.push(top);
+        }
+        top.qty = (toNumber(top.qty) || 0) + l.qty;
+        top.revenue = (toNumber(top.revenue) || 0) + l.revenue;
+      });
+      state.topProducts.sort(function (a, b) {
+        return (toNumber(b.revenue) || 0) - (toNumber(a.revenue) || 0);
+      });
+    }
+
+    // Newest first, like the API: a sale pushed late by an offline terminal lands lower, maybe off the page.
+    function insertLiveSale(e) {
+      var s = state.sales;
+      var sale = normalizeSale(e.sale);
+      if (!s || s.q || s.offset !== 0) return false;
+      var known = s.items.some(function (x) {
+        return String(x.id) === String(sale.id);
+      });
+      if (known) return false;
+      var at = new Date(sale.createdAt).getTime();
+      var idx = s.items.findIndex(function (x) {
+        return new Date(x.createdAt).getTime() < at;
+      });
+      if (idx === -1) idx = s.items.length;
+      s.total += 1;
+      if (idx < s.limit) s.items.splice(idx, 0, sale);
+      if (s.items.length > s.limit) s.items.length = s.limit;
+      return true;
+    }
+
+    function onLiveEvent(type, data) {
+      if (!data) return;
+      if (type === "new-sale" && data.sale && inRange(data.date)) {
+        var counted =
+          state.overviewLastSaleId != null &&
+          data.sale.id_sale <= state.overviewLastSaleId &&
+          state.overviewPendingSaleIds.indexOf(data.sale.id_sale) === -1;
+        if (!counted) {
+          applyLiveSale(data);
+          refreshOverview(true);
+        }
+        if (insertLiveSale(data) && liveViews.sales) liveViews.sales(true);
+      } else if (type === "stock-change") {
+        (state._productsAll || []).forEach(function (p) {
+          if (String(p.id) === String(data.product_id)) p.quantity = data.quantity;
+        });
+        // The low stock card only needs its own small query, and only when the product is or was low.
+        var shown = state.lowStock && state.lowStock.items.some(function (p) {
+          return String(p.id) === String(data.product_id);
+        });
+        if (shown || (data.min_stock != null && data.quantity - data.delta <= data.min_stock) || data.low_stock) {
+          reloadSoon("lowStock", async function () {
+            var r = await loadLowStock(cfg, 5, 0).catch(function () {
+              return null;
+            });
+            if (!r || !state.lowStock) return;
+            state.lowStock = { items: (r.items || []).map(normalizeProduct).filter(Boolean), total: toNumber(r.total) };
+            refreshOverview(true);
+          });
+        }
+        if (state.view === "products") reloadSoon("products", liveViews.products);
+      } else if (type === "product-change") {
+        state._productsAll = null;
+        if (state.view === "products") reloadSoon("products", liveViews.products);
+      } else if (type === "offer-change") {
+        if (state.register) state.register.offers = null;
+        if (state.view === "offers") reloadSoon("offers", liveViews.offers);
+      } else if (type === "sale-change") {
+        // Refunds and voids are netted by the API: reload rather than redo its arithmetic.
+        reloadSoon("overview", refreshOverview);
+        if (state.view === "sales") reloadSoon("sales", liveViews.sales);
+      } else if (type === "reset") {
+        reloadSoon("all", refreshAll);
+      }
+    }
+
+    function setLiveStatus(status) {
+      var pill = chrome.livePill;
+      pill.style.display = status === "off" ? "none" : "";
+      pill.setAttribute("data-kind", status === "retry" ? "warn" : "");
+      pill.lastChild.textContent = status === "retry" ? "Reconnexion..." : "En direct";
+      pill.title = status === "retry" ? "Flux temps réel coupé, reconnexion en cours" : "Mis à jour en temps réel";
+    }
+
+    // Initial paint
+    setActiveView(shell, state, state.view);
+    refreshAll();
+    if (cfg.live) state.live = openLiveStream(cfg, onLiveEvent, setLiveStatus);
+    // Edits queued during an earlier visit go out as soon as the API answers.
+    offlineListeners.push(onOfflineStatus);
+    window.addEventListener("online", probeApi);
+    if (offlineStatus.reachable) {
+      flushOfflineQueue().then(function (sent) {
+        if (sent) reloadCatalogViews();
+      });
+    } else onOfflineStatus(offlineStatus);
+  }
+
+  async function mount(root) {
+    if (!root || root.getAttribute("data-cag-mounted") === "1") return;
+    root.setAttribute("data-cag-mounted", "1");
+
+    var cfg = readConfig(root);
+    var shell = renderAppChrome(root, cfg);
+
+    if (!cfg.apiBase) {
+      shell.appendChild(
+        el(
+          "div",
+          { class: "cag-login" },
+          el("h1", { text: "Configuration manquante" }),
+          el("p", { text: "Ajoute l'attribut data-api-base sur la div racine (URL de ton API)." }),
+          el("div", { class: "cag-small", html: "Ex: <code>data-api-base=\"https://ton-domaine.com/api\"</code>" })
+        )
+      );
+      return;
+    }
+
+    // If dashboard page: require auth, otherwise show login form.
+    if (cfg.page === "login") {
+      renderLogin(shell, root, cfg);
+      return;
+    }
+
+    // dashboard page
+    var user = await ensureAuth(root, cfg);
+    if (!user) {
+      if (cfg.loginUrl) {
+        // Redirect to login page if configured.
+        window.location.href = cfg.loginUrl;
+        return;
+      }
+      renderLogin(shell, root, cfg);
+      return;
+    }
+    if (user.mustChangePassword) {
+      renderPasswordChange(shell, root, cfg, user);
       return;
     }
 
-    var to = todayISO();
+    var to = todayISO(cfg);
     var from = isoAddDays(to, -cfg.defaultRangeDays);
 
     var state = {
@@ -2121,9 +5836,17 @@
       topOffers: [],
       byHour: [],
       byWeekday: [],
+      compare: "",
+      compareData: null,
+      lowStock: null,
+      syncStatus: null,
+      overviewLastSaleId: null,
+      overviewPendingSaleIds: [],
+      live: null,
       sales: null,
       products: null,
       offers: null,
+      register: null,
       _productsAll: null,
     };
 
@@ -1,11 +1,44 @@
 /* CAG POS API (AlwaysData / MySQL) - v1
  *
  * Features:
- * - JWT auth (Bearer token)
+ * - JWT auth: short-lived Bearer access token + rotating refresh token (auth_sessions), /auth/refresh, /auth/logout
+ * - Optional TOTP two-factor login (TOTP_ROLES, default admin + manager) with single-use recovery codes
+ * - Login throttling: exponential backoff + temporary lockout per username / IP, attempts log (GET /login-attempts)
  * - CORS restricted to configured origins (ex: https://mybusinesslife.fr)
+ * - Request validation: every route declares JSON Schemas for its body / params / query; invalid input gets
+ *   400 { message, fields: [{ field, in, message }] } listing each invalid field
+ * - API reference: OpenAPI 3.1 document built from the route schemas + Swagger UI at GET /docs
+ *   (JSON at /docs/json; API_DOCS=0 turns both off)
  * - Password migration: if users.password is plaintext, it is upgraded to bcrypt on first successful login
+ *   and the user must then choose a new password (POST /auth/change-password, policy in checkPassword);
+ *   GET /users/password-report lists accounts not migrated yet
  * - CRUD: products, offers (with offer_products join)
- * - Financial dashboard summary + sales listing/details
+ * - Optimistic concurrency on products / offers: listings return a version (ETag on writes), PATCH / DELETE
+ *   require If-Match and answer 412 { version, current } when someone else changed the item in between
+ * - Archive / restore for products and offers (product_archive / offer_archive): archived items leave the
+ *   listings (?status=active|archived|all) and the register but stay in sales history and reports
+ * - User accounts managed by admins (users.manage): create, edit roles, deactivate, reset password, revoke sessions
+ * - Named permissions (products.edit, sales.refund, reports.view_profit, ...) granted to roles in
+ *   role_permissions, seeded from WRITE_ROLES / SALE_ROLES / ADMIN_ROLES; returned by /auth/me
+ * - Audit log: every write (products, offers, sales, users, permissions) is recorded in audit_log with
+ *   user, route, IP and the entity before / after; GET /audit
+ * - Financial dashboard summary + sales listing/details + sale recording (stock decremented)
+ * - Refunds / voids with audit trail (netted out of the summary)
+ * - Stock movement ledger: every change to products.quantity is recorded in stock_movements
+ * - Low-stock thresholds (min_stock / reorder_qty, kept in product_stock_levels) + GET /products/low-stock
+ * - Summary comparison window (?compare=previous|yoy)
+ * - Bulk product import from CSV (POST /products/import, dry run by default)
+ * - Streaming CSV / XLSX exports: GET /sales/export, /sales/lines/export, /products/export
+ * - Business calendar: date ranges, daily series and hour / weekday breakdowns follow TIMEZONE
+ *   (default Europe/Paris) and DAY_START_HOUR (late-night sales count for the previous day)
+ * - Idempotency-Key header on authenticated POST / PUT / PATCH / DELETE: a retried write replays the stored
+ *   response instead of running twice (idempotency_keys, IDEMPOTENCY_HOURS)
+ * - POS sync on the is_synced flags: GET /sync/pull (changes since a cursor, overlapping by SYNC_OVERLAP_SECONDS),
+ *   POST /sync/ack, POST /sync/push (offline sales and product edits, conflict when last_updated moved),
+ *   failures in sync_failures
+ * - Live updates: GET /events streams new-sale, stock-change and product / offer / sale-change events
+ *   (Server-Sent Events, resumable with Last-Event-ID; polled from the tables every LIVE_POLL_MS)
+ * - API-owned tables (sale_refunds, ...) are created on startup if missing, see SCHEMA_STATEMENTS
  *
  * IMPORTANT: Do not expose your DB credentials in the frontend (Webflow). They only live here, server-side.
  */
@@ -19,13 +52,22 @@ require("dotenv").config({ path: path.join(__dirname, ".env") });
 const fastify = require("fastify")({
   logger: true,
   trustProxy: true,
+  // Report every invalid field at once rather than the first one (see REQUEST VALIDATION).
+  ajv: { customOptions: { allErrors: true } },
 });
 
 const cors = require("@fastify/cors");
 const helmet = require("@fastify/helmet");
+const swagger = require("@fastify/swagger");
+const swaggerUi = require("@fastify/swagger-ui");
 const mysql = require("mysql2/promise");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const ExcelJS = require("exceljs");
+const QRCode = require("qrcode");
+const { PassThrough, Transform, pipeline } = require("stream");
+const { once } = require("events");
 
 function env(name, fallback) {
   const v = process.env[name];
@@ -51,12 +93,40 @@ const CFG = {
   port: Number(env("PORT", "3000")),
   apiPrefix: env("API_PREFIX", "/api").replace(/\/+$/, ""),
   jwtSecret: env("JWT_SECRET", ""),
-  jwtExpires: env("JWT_EXPIRES", "12h"),
+  // Short-lived access token; the session lives on through rotating refresh tokens (auth_sessions).
+  jwtExpires: env("JWT_EXPIRES", "15m"),
+  refreshTokenDays: Number(env("REFRESH_TOKEN_DAYS", "30")),
+  passwordMinLength: Number(env("PASSWORD_MIN_LENGTH", "8")),
+  // Login throttling: failures since the last success, counted over LOGIN_LOCK_MINUTES.
+  loginMaxFailures: Number(env("LOGIN_MAX_FAILURES", "5")),
+  loginIpMaxFailures: Number(env("LOGIN_IP_MAX_FAILURES", "20")),
+  loginLockMinutes: Number(env("LOGIN_LOCK_MINUTES", "15")),
   migratePlaintextPasswords: envBool("MIGRATE_PLAINTEXT_PASSWORDS", false),
+  // Also replace users.password (read by the POS) with the bcrypt hash whenever a password is hashed or set,
+  // so no plaintext copy is left behind. Off by default: a POS comparing plaintext stops accepting it.
   migratePlaintextPasswordsOverwrite: envBool("MIGRATE_PLAINTEXT_PASSWORDS_OVERWRITE", false),
+  // How long a response stays replayable for a retried Idempotency-Key (see IDEMPOTENCY).
+  idempotencyHours: Number(env("IDEMPOTENCY_HOURS", "24")),
+  // How often GET /events looks for new sales / stock movements / edits (see LIVE EVENTS).
+  livePollMs: Math.max(500, Number(env("LIVE_POLL_MS", "2000")) || 2000),
+  // GET /sync/pull re-sends the changes of the last SYNC_OVERLAP_SECONDS, so rows from transactions that
+  // committed late are not skipped (see POS SYNC). Longer than any write transaction on the catalogue.
+  syncOverlapSeconds: Math.max(1, Number(env("SYNC_OVERLAP_SECONDS", "30")) || 30),
   corsOrigins: parseCsv(env("CORS_ORIGINS", "https://mybusinesslife.fr,https://www.mybusinesslife.fr")),
+  // OpenAPI document + Swagger UI under API_PREFIX/docs (see API DOCS).
+  apiDocs: envBool("API_DOCS", true),
   enforceRoles: envBool("ENFORCE_ROLES", true),
+  // Only used to seed role_permissions on first start (see defaultRolePermissions).
   writeRoles: parseCsv(env("WRITE_ROLES", "admin,manager")).map((r) => r.toLowerCase()),
+  saleRoles: parseCsv(env("SALE_ROLES", "admin,manager,cashier")).map((r) => r.toLowerCase()),
+  adminRoles: parseCsv(env("ADMIN_ROLES", "admin")).map((r) => r.toLowerCase()),
+  // Roles that may turn on TOTP two-factor login, and the issuer name shown in authenticator apps.
+  totpRoles: parseCsv(env("TOTP_ROLES", "admin,manager")).map((r) => r.toLowerCase()),
+  totpIssuer: env("TOTP_ISSUER", "CAG POS"),
+  // Business calendar: IANA zone + the local hour a business day starts at (2 = sales until 1:59 count
+  // for the previous day). DB datetimes are stored and read as UTC (see pool timezone / time_zone).
+  timezone: env("TIMEZONE", "Europe/Paris"),
+  dayStartHour: Number(env("DAY_START_HOUR", "0")),
   db: {
     host: env("DB_HOST", ""),
     port: Number(env("DB_PORT", "3306")),
@@ -74,6 +144,25 @@ if (!CFG.jwtSecret) {
 if (!CFG.db.host || !CFG.db.name || !CFG.db.user) {
   throw new Error("Missing DB_* env vars (DB_HOST, DB_NAME, DB_USER, DB_PASSWORD)");
 }
+try {
+  new Intl.DateTimeFormat("en-US", { timeZone: CFG.timezone });
+} catch (_) {
+  throw new Error(`Invalid TIMEZONE env var: ${CFG.timezone}`);
+}
+if (!Number.isFinite(CFG.refreshTokenDays) || CFG.refreshTokenDays <= 0) {
+  throw new Error("Invalid REFRESH_TOKEN_DAYS env var (expected a positive number of days)");
+}
+for (const [name, value] of [
+  ["LOGIN_MAX_FAILURES", CFG.loginMaxFailures],
+  ["LOGIN_IP_MAX_FAILURES", CFG.loginIpMaxFailures],
+  ["LOGIN_LOCK_MINUTES", CFG.loginLockMinutes],
+  ["PASSWORD_MIN_LENGTH", CFG.passwordMinLength],
+]) {
+  if (!Number.isInteger(value) || value < 1) throw new Error(`Invalid ${name} env var (expected a positive integer)`);
+}
+if (!Number.isInteger(CFG.dayStartHour) || CFG.dayStartHour < 0 || CFG.dayStartHour > 23) {
+  throw new Error("Invalid DAY_START_HOUR env var (expected 0-23)");
+}
 
 const pool = mysql.createPool({
   host: CFG.db.host,
@@ -87,6 +176,13 @@ const pool = mysql.createPool({
   decimalNumbers: true,
 });
 
+// NOW() must write UTC like the bounds computed by rangeToSql, whatever the server's own zone.
+pool.on("connection", (conn) => {
+  conn.query("SET time_zone = '+00:00'", (err) => {
+    if (err) fastify.log.warn({ err }, "Could not set the session time zone to UTC");
+  });
+});
+
 fastify.decorate("db", pool);
 
 let HAS_PASSWORD_HASH_COLUMN = false;
@@ -102,13 +198,270 @@ fastify.register(cors, {
     if (CFG.corsOrigins.includes(origin)) return cb(null, true);
     cb(new Error("CORS blocked"), false);
   },
-  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  // Lets the dashboard name downloaded exports and read item versions.
+  exposedHeaders: ["Content-Disposition", "ETag"],
 });
 
+// ---- API DOCS ----
+// OpenAPI 3.1 document built from the route schemas (see REQUEST VALIDATION) as routes are declared, served
+// with Swagger UI: GET {API_PREFIX}/docs (UI), {API_PREFIX}/docs/json and /docs/yaml. Route schemas only
+// describe input (a response schema would filter what the handlers send): responses are listed here.
+const ROUTE_DOCS = {
+  "GET /health": ["Health check", "{ ok: true }"],
+  "POST /auth/login": [
+    "Sign in with username and password",
+    "{ token, expiresAt, refreshToken, mustChangePassword, user, permissions }, or { mfaRequired: true, mfaToken } when " +
+      "two-factor login is on (continue with POST /auth/login/totp). 429 { retryAfter, locked } when throttled.",
+  ],
+  "POST /auth/login/totp": ["Second login step: authenticator or recovery code", "Same as POST /auth/login"],
+  "POST /auth/refresh": ["Trade the refresh token for a new access token (the refresh token rotates)", "{ token, expiresAt, refreshToken }"],
+  "POST /auth/logout": ["Close the current session", "{ ok: true }"],
+  "POST /auth/change-password": [
+    "Change your own password (the only call allowed while mustChangePassword)",
+    "{ token, expiresAt }: a new access token; the other sessions are closed",
+  ],
+  "GET /auth/me": ["Current user", "{ user, permissions, totp: { eligible, enabled }, mustChangePassword, passwordPolicy: { minLength } }"],
+  "GET /auth/totp": ["Two-factor status", "{ eligible, enabled, recoveryCodesLeft }"],
+  "POST /auth/totp/setup": ["Start two-factor enrolment", "{ secret, otpauthUrl, qrSvg }"],
+  "POST /auth/totp/enable": ["Confirm enrolment with a code", "{ enabled: true, recoveryCodes } (shown once); 429 { retryAfter, locked } when throttled"],
+  "POST /auth/totp/disable": ["Turn two-factor login off (app or recovery code)", "{ enabled: false }; 429 { retryAfter, locked } when throttled"],
+  "GET /users": ["List user accounts", "{ total, items: [{ id_user, username, roles, last_login, is_active, totp_enabled }] }"],
+  "POST /users": ["Create a user (the password is temporary)", "201 { user }"],
+  "PATCH /users/:id": ["Edit username, roles or active flag", "{ user }"],
+  "POST /users/:id/password": ["Reset a password (temporary: changed at next sign-in)", "{ ok: true }"],
+  "POST /users/:id/sessions/revoke": ["Sign a user out everywhere", "{ revoked }"],
+  "POST /users/:id/totp/reset": ["Turn a user's two-factor login off", "{ ok: true }"],
+  "GET /users/password-report": [
+    "Accounts with a plaintext password stored or waiting for a change",
+    "{ total, items: [{ ...user, storage, plaintextLeft, mustChange, reason, changed_at }] }",
+  ],
+  "GET /login-attempts": [
+    "Login attempts, newest first",
+    "{ total, items: [{ id_attempt, username, user_id, ip, user_agent, outcome, created_at }] }",
+  ],
+  "GET /permissions": [
+    "Permission names and the roles they are granted to",
+    "{ permissions: [{ name, description }], roles: { [role]: [permission] } }",
+  ],
+  "PUT /permissions/:role": ["Replace the permissions of a role", "{ role, permissions }"],
+  "GET /audit": [
+    "Audit log, newest first",
+    "{ total, items: [{ id_audit, created_at, user_id, username, method, route, action, entity, entity_id, before, after, ip, user_agent }] }",
+  ],
+  "GET /dashboard/summary": [
+    "KPIs and breakdowns for a date range",
+    "{ kpis, series, compare?, byHour, byWeekday, topProducts, topOffers, lastSaleId, pendingSaleIds }",
+  ],
+  "GET /sales": [
+    "List sales in a date range",
+    "{ total, items: [{ id_sale, total_amount, notes, user_id, username, last_updated, items_count, refunded_amount, voided }] }",
+  ],
+  "GET /sales/:id": ["One sale with its lines and refunds", "{ sale, details, refunds }"],
+  "POST /sales": ["Record a sale (stock decremented)", "201 { sale, details, refunds }. 409 { line, price } when a displayed price changed."],
+  "POST /sales/:id/refund": ["Refund some or all of a sale", "201 { sale, details, refunds }"],
+  "POST /sales/:id/void": ["Void a sale", "201 { sale, details, refunds }"],
+  "GET /sales/export": ["Export sales (CSV or XLSX)", "File download"],
+  "GET /sales/lines/export": ["Export sold lines, one row per product (CSV or XLSX)", "File download"],
+  "GET /products": [
+    "List products",
+    "{ total, items: [{ id_product, name, barcode, reference, quantity, price, purchasePrice, min_stock, " +
+      "reorder_qty, low_stock, archived_at, version, ... }] }",
+  ],
+  "GET /products/low-stock": ["Products at or below their minimum stock", "{ total, items: [{ ...product, low_stock, suggested_order }] }"],
+  "GET /products/export": ["Export products (CSV or XLSX)", "File download"],
+  "POST /products": ["Create a product", "201 { id_product, version } + ETag"],
+  "PATCH /products/:id": ["Edit a product (If-Match: its version)", "{ ok: true, version } + ETag"],
+  "DELETE /products/:id": [
+    "Delete a product never sold (archive it otherwise; If-Match: its version)",
+    "{ ok: true }; 409 when sales reference it",
+  ],
+  "POST /products/:id/archive": ["Archive a product", "{ id_product, archived_at }"],
+  "POST /products/:id/restore": ["Restore an archived product", "{ id_product, archived_at: null }"],
+  "GET /products/:id/movements": [
+    "Stock movements of a product, newest first",
+    "{ total, items: [{ id_movement, kind, delta, quantity_before, quantity_after, reason, username, created_at, ... }] }",
+  ],
+  "POST /products/:id/movements": ["Record a stock movement", "201 { movement: { product_id, kind, delta, quantity_before, quantity_after } }"],
+  "POST /products/import": [
+    "Import products from CSV (dry run unless dryRun: false)",
+    "{ dryRun, applied, ignoredColumns, summary, rows }; 422 when a real import has errors, " +
+      "403 for a purchasePrice column without reports.view_profit",
+  ],
+  "GET /offers": ["List offers", "{ total, items: [{ id_offer, name, quantity, price, productIds, archived_at, version, ... }] }"],
+  "POST /offers": ["Create an offer", "201 { id_offer, version } + ETag"],
+  "PATCH /offers/:id": ["Edit an offer (If-Match: its version)", "{ ok: true, version } + ETag"],
+  "DELETE /offers/:id": ["Delete an offer (If-Match: its version)", "{ ok: true }"],
+  "POST /offers/:id/archive": ["Archive an offer", "{ id_offer, archived_at }"],
+  "POST /offers/:id/restore": ["Restore an archived offer", "{ id_offer, archived_at: null }"],
+  "GET /events": [
+    "Live events (Server-Sent Events): ready, new-sale, stock-change, product-change, offer-change, sale-change, reset",
+    "text/event-stream; each event id is a cursor to send back in Last-Event-ID when reconnecting",
+  ],
+  "GET /sync/status": [
+    "Rows waiting for the POS, open sync failures and known terminals",
+    "{ pending: { products, offers, offerProducts }, failed, devices }",
+  ],
+  "GET /sync/pull": [
+    "Catalogue changes since the cursor (no cursor: everything)",
+    "{ batchId, cursor, hasMore, products, offers, deleted: { products, offers } }; acknowledge batchId once applied. " +
+      "Changes of the last SYNC_OVERLAP_SECONDS are sent again on the next pull",
+  ],
+  "POST /sync/ack": [
+    "Acknowledge a pulled batch (is_synced = 1 for rows not changed since)",
+    "{ acked: { products, offers }, stale: { products, offers } }",
+  ],
+  "POST /sync/push": [
+    "Push offline sales and product edits from a terminal",
+    "{ products: [{ clientRef, status, id_product, ... }], sales: [{ clientRef, status, id_sale, ... }] }; " +
+      "status is created, updated, duplicate, conflict or failed",
+  ],
+  "GET /sync/failures": [
+    "Sync conflicts and rejected items, newest first",
+    "{ total, items: [{ id_failure, device_id, entity, kind, message, payload, server, ... }] }; " +
+      "purchasePrice is null without reports.view_profit",
+  ],
+  "POST /sync/failures/:id/dismiss": ["Mark a sync failure as handled", "{ id_failure, resolved_at }"],
+};
+
+const ERROR_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    message: { type: "string" },
+    fields: {
+      type: "array",
+      items: objectSchema({ field: { type: "string" }, in: { type: "string" }, message: { type: "string" } }),
+    },
+  },
+};
+
+const OPENAPI_DOCUMENT = {
+  openapi: "3.1.0",
+  info: {
+    title: "CAG POS API",
+    version: "1.0.0",
+    description:
+      "Sign in with POST /auth/login and send the token as `Authorization: Bearer <token>`. Errors come back as " +
+      "{ message }; invalid input gets 400 with { fields: [{ field, in, message }] }.",
+  },
+  components: { securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } } },
+  paths: {},
+};
+
+function schemaParameters(schema, where) {
+  if (!schema || !schema.properties) return [];
+  const required = schema.required || [];
+  return Object.keys(schema.properties).map((name) => ({
+    name,
+    in: where,
+    required: where === "path" || required.includes(name),
+    schema: schema.properties[name],
+  }));
+}
+
+// onRoute hook: one operation per route under API_PREFIX, tagged by its first path segment. Bearer auth
+// and the permission come from the preHandlers (requireAuth, requirePermission).
+function addOpenapiOperation(route) {
+  const schema = route.schema || {};
+  const method = [].concat(route.method)[0];
+  if (schema.hide || method === "HEAD" || !route.url.startsWith(CFG.apiPrefix + "/")) return;
+  const path = route.url.slice(CFG.apiPrefix.length);
+  const docs = ROUTE_DOCS[`${method} ${path}`];
+  if (!docs) fastify.log.warn({ method, url: route.url }, "Route missing from ROUTE_DOCS");
+
+  const guards = [].concat(route.preHandler || []);
+  const permissions = guards.map((g) => g.permission).filter(Boolean);
+  const status = docs && /^\d{3} /.test(docs[1]) ? docs[1].slice(0, 3) : "200";
+  const op = {
+    tags: [path.split("/")[1]],
+    summary: docs ? docs[0] : undefined,
+    description: permissions.length ? `Requires the ${permissions.join(", ")} permission.` : undefined,
+    parameters: [...schemaParameters(schema.params, "path"), ...schemaParameters(schema.querystring, "query")],
+    responses: { [status]: { description: docs ? docs[1] : "OK" } },
+  };
+  if (schema.body) op.requestBody = { required: true, content: { "application/json": { schema: schema.body } } };
+  if (schema.body || schema.params || schema.querystring) {
+    op.responses[400] = { description: "Invalid input", content: { "application/json": { schema: ERROR_RESPONSE_SCHEMA } } };
+  }
+  if (guards.includes(requireAuth)) {
+    if (IDEMPOTENT_METHODS.includes(method) && !(route.config && route.config.idempotent === false)) {
+      op.parameters.push({
+        name: "Idempotency-Key",
+        in: "header",
+        required: false,
+        description: "Retrying with the same key and request replays the first response instead of running it again",
+        schema: { type: "string", maxLength: 128 },
+      });
+    }
+    if (guards.includes(requireIfMatch)) {
+      op.parameters.push({ name: "If-Match", in: "header", required: true, description: "The item's version", schema: { type: "string" } });
+      op.responses[412] = { description: "The item changed since that version: { version, current }" };
+      op.responses[428] = { description: "If-Match missing" };
+    }
+    op.security = [{ bearerAuth: [] }];
+    op.responses[401] = { description: "Missing or expired access token" };
+    if (permissions.length) op.responses[403] = { description: `Missing the ${permissions.join(", ")} permission` };
+  }
+
+  const key = CFG.apiPrefix + path.replace(/:(\w+)/g, "{$1}");
+  OPENAPI_DOCUMENT.paths[key] = Object.assign(OPENAPI_DOCUMENT.paths[key] || {}, { [method.toLowerCase()]: op });
+}
+
+if (CFG.apiDocs) {
+  // Added before any route is declared: Fastify runs onRoute hooks as each route is added.
+  fastify.addHook("onRoute", addOpenapiOperation);
+  fastify.register(swagger, { mode: "static", specification: { document: OPENAPI_DOCUMENT } });
+  fastify.register(swaggerUi, { routePrefix: CFG.apiPrefix + "/docs", staticCSP: true });
+}
+
 function sendError(reply, status, message, extra) {
   reply.code(status).send(Object.assign({ message }, extra || {}));
 }
 
+// ---- REQUEST VALIDATION ----
+// Every route declares a JSON Schema for its body / params / querystring. Fastify's Ajv coerces query and
+// URL strings (?limit=20 -> 20) and rejects the rest before the handler runs; the error handler answers
+// 400 { message, fields: [{ field, in, message }] }. Checks a schema cannot express (trimmed names,
+// password policy...) stay in the handlers and answer in the same shape through sendFieldError.
+const ISO_DATE_SCHEMA = { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" };
+const PAGING_PROPERTIES = { limit: { type: "integer", minimum: 0 }, offset: { type: "integer", minimum: 0 } };
+const ID_PARAMS_SCHEMA = { type: "object", required: ["id"], properties: { id: { type: "integer", minimum: 1 } } };
+// Cleared by sending null; "" from a form also counts as null (Ajv coerces it).
+const NULLABLE_PRICE_SCHEMA = { type: ["number", "null"], minimum: 0 };
+
+function objectSchema(properties, required) {
+  return required ? { type: "object", required, properties } : { type: "object", properties };
+}
+
+const VALIDATION_SOURCES = { body: "body", querystring: "query", params: "params", headers: "headers" };
+
+function validationMessage(v) {
+  if (v.keyword === "required") return "is required";
+  if (v.keyword === "type") return "must be " + String(v.params.type).split(",").join(" or ");
+  if (v.keyword === "enum") return "must be one of " + v.params.allowedValues.join(", ");
+  return v.message;
+}
+
+// Ajv errors -> [{ field: "items.0.quantity", in: "body", message: "must be >= 1" }].
+function validationFields(err) {
+  const where = VALIDATION_SOURCES[err.validationContext] || "body";
+  return err.validation.map((v) => {
+    const path = String(v.instancePath || "").split("/").filter(Boolean);
+    if (v.keyword === "required") path.push(v.params.missingProperty);
+    return { field: path.join(".") || null, in: where, message: validationMessage(v) };
+  });
+}
+
+function sendValidationError(reply, fields) {
+  const list = fields.map((f) => (f.field ? `${f.field} ${f.message}` : f.message)).join(", ");
+  sendError(reply, 400, `Invalid ${fields[0].in}: ${list}`, { fields });
+}
+
+// A handler-side check on one body field, answered like a schema error.
+function sendFieldError(reply, field, message) {
+  sendError(reply, 400, message, { fields: [{ field, in: "body", message }] });
+}
+
 function isISODate(s) {
   return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
 }
@@ -124,13 +477,161 @@ function addDaysIso(iso, deltaDays) {
   return `${yy}-${mm}-${dd}`;
 }
 
+function daysBetweenIso(fromIso, toIso) {
+  const [fy, fm, fd] = String(fromIso).split("-").map(Number);
+  const [ty, tm, td] = String(toIso).split("-").map(Number);
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+}
+
+// Same calendar day one year earlier (Feb 29 falls back to Feb 28).
+function addYearsIso(iso, deltaYears) {
+  const [y, m, d] = String(iso || "").split("-").map(Number);
+  if (!y || !m || !d) return null;
+  const yy = y + deltaYears;
+  const lastDay = new Date(Date.UTC(yy, m, 0)).getUTCDate();
+  return `${yy}-${String(m).padStart(2, "0")}-${String(Math.min(d, lastDay)).padStart(2, "0")}`;
+}
+
+const COMPARE_MODES = ["previous", "yoy"];
+
+// "previous": the window of the same length right before `from`; "yoy": the same dates a year earlier.
+function compareRange(fromIso, toIso, mode) {
+  if (mode === "yoy") return { from: addYearsIso(fromIso, -1), to: addYearsIso(toIso, -1) };
+  const days = daysBetweenIso(fromIso, toIso) + 1;
+  return { from: addDaysIso(fromIso, -days), to: addDaysIso(fromIso, -1) };
+}
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const zonedFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: CFG.timezone,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  weekday: "short",
+});
+
+// Wall-clock date / hour / weekday (0 = Monday) of a UTC instant in CFG.timezone.
+// Intl handles DST, so MySQL does not need its time zone tables loaded.
+function zonedParts(date) {
+  const parts = {};
+  for (const p of zonedFormatter.formatToParts(date)) parts[p.type] = p.value;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// Same as zonedParts, but date / weekday are the business day: before CFG.dayStartHour
+// a sale still belongs to the previous day.
+function businessParts(date) {
+  const p = zonedParts(date);
+  if (p.hour >= CFG.dayStartHour) return p;
+  return Object.assign(p, { date: addDaysIso(p.date, -1), weekday: (p.weekday + 6) % 7 });
+}
+
+// UTC instant of `hour`:00 local time on `iso` in CFG.timezone. The offset is read twice so
+// DST change days resolve to the offset in force at that hour.
+function zonedTimeToUtc(iso, hour) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d, hour);
+  let t = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(t));
+    const [py, pm, pd] = p.date.split("-").map(Number);
+    t = wall - (Date.UTC(py, pm - 1, pd, p.hour, p.minute) - t);
+  }
+  return new Date(t);
+}
+
+function sqlDateTime(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+// Business days [from, to] as UTC DATETIME bounds: day D runs from CFG.dayStartHour on D
+// to the same hour on D+1, local time.
 function rangeToSql(fromIso, toIso) {
   if (!isISODate(fromIso) || !isISODate(toIso)) return null;
-  const from = `${fromIso} 00:00:00`;
-  const toExcl = `${addDaysIso(toIso, 1)} 00:00:00`;
+  const from = sqlDateTime(zonedTimeToUtc(fromIso, CFG.dayStartHour));
+  const toExcl = sqlDateTime(zonedTimeToUtc(addDaysIso(toIso, 1), CFG.dayStartHour));
   return { from, toExcl };
 }
 
+// Refunds and voids are netted out of revenue/profit, attributed to the original sale date.
+// A voided sale also drops out of the sales count.
+const SALE_REFUNDS_JOIN = `LEFT JOIN (
+         SELECT sale_id, SUM(amount) AS refunded, MAX(kind = 'void') AS voided
+         FROM sale_refunds
+         GROUP BY sale_id
+       ) rf ON rf.sale_id = s.id_sale`;
+
+const DETAIL_REFUNDS_JOIN = `LEFT JOIN (
+         SELECT sale_detail_id, SUM(quantity) AS qty, SUM(amount) AS amount
+         FROM sale_refund_lines
+         GROUP BY sale_detail_id
+       ) rl ON rl.sale_detail_id = sd.id_sale_detail`;
+
+// Query accepted by salesFilter (GET /sales and the sales exports); from and to are required.
+const SALES_QUERY_PROPERTIES = { from: ISO_DATE_SCHEMA, to: ISO_DATE_SCHEMA, q: { type: "string" } };
+
+// WHERE clause shared by GET /sales and the sales exports (sales s, users u). null if from/to is invalid.
+function salesFilter(query) {
+  const r = rangeToSql(query.from, query.to);
+  if (!r) return null;
+  const q = (typeof query.q === "string" ? query.q.trim() : "") || "";
+  const like = "%" + q + "%";
+  const qNum = /^\d+$/.test(q) ? Number(q) : -1;
+  return {
+    where: `s.last_updated >= ? AND s.last_updated < ?
+         AND (
+           ? = '' OR s.notes LIKE ? OR u.username LIKE ? OR s.id_sale = ?
+         )`,
+    params: [r.from, r.toExcl, q, like, like, qNum],
+  };
+}
+
+// Archived products / offers (product_archive / offer_archive rows) stay in the POS tables so old sales
+// and reports keep their names; listings hide them unless ?status=archived|all.
+const ARCHIVE_STATUSES = ["active", "archived", "all"];
+
+// SQL condition on the archive table alias `a` for ?status (default active), or null if invalid.
+function archiveCondition(status, a) {
+  const s = status == null || status === "" ? "active" : status;
+  if (!ARCHIVE_STATUSES.includes(s)) return null;
+  if (s === "active") return `${a}.archived_at IS NULL`;
+  if (s === "archived") return `${a}.archived_at IS NOT NULL`;
+  return "1=1";
+}
+
+const PRODUCTS_QUERY_PROPERTIES = {
+  q: { type: "string" },
+  lowStock: { type: "string", enum: ["0", "1", "false", "true"] },
+  status: { type: "string", enum: ARCHIVE_STATUSES },
+};
+
+// WHERE clause shared by GET /products and the products export (products p, product_stock_levels sl,
+// product_archive pa). Null when ?status is invalid.
+function productsFilter(query) {
+  const q = (typeof query.q === "string" ? query.q.trim() : "") || "";
+  const like = "%" + q + "%";
+  const lowOnly = query.lowStock === "1" || query.lowStock === "true";
+  const archived = archiveCondition(query.status, "pa");
+  if (!archived) return null;
+  return {
+    where: `(? = '' OR p.name LIKE ? OR p.barcode LIKE ? OR p.reference LIKE ? OR p.productType LIKE ?)
+         AND (? = 0 OR (sl.min_stock IS NOT NULL AND COALESCE(p.quantity, 0) <= sl.min_stock))
+         AND ${archived}`,
+    params: [q, like, like, like, like, lowOnly ? 1 : 0],
+  };
+}
+
 function parseRoles(raw) {
   if (raw == null) return [];
   if (Array.isArray(raw)) return raw.map(String);
@@ -150,11 +651,70 @@ function parseRoles(raw) {
     .filter(Boolean);
 }
 
-function hasWriteRole(user) {
-  if (!CFG.enforceRoles) return true;
-  const roles = parseRoles(user && user.roles).map((r) => String(r).toLowerCase());
-  const set = new Set(roles);
-  return CFG.writeRoles.some((r) => set.has(r));
+// ---- PERMISSIONS ----
+// Named permissions granted to roles in role_permissions. On first start the table is seeded from
+// WRITE_ROLES / SALE_ROLES / ADMIN_ROLES (see seedRolePermissions), then it is edited via PUT /permissions/:role.
+const PERMISSIONS = {
+  "products.edit": "Create and edit products, record stock movements, import CSV",
+  "products.delete": "Delete products",
+  "offers.edit": "Create, edit and delete offers",
+  "sales.create": "Record sales at the register",
+  "sales.refund": "Refund and void sales",
+  "reports.view_profit": "See profit, margin and purchase prices",
+  "users.manage": "Manage user accounts and role permissions",
+};
+const ROLE_PERMISSIONS_TTL_MS = 30_000;
+let rolePermissionsCache = null;
+
+// What the role lists used to allow, as role -> Set of permissions.
+function defaultRolePermissions() {
+  const map = new Map();
+  const grant = (roles, perms) => {
+    for (const role of roles) {
+      if (!map.has(role)) map.set(role, new Set());
+      for (const perm of perms) map.get(role).add(perm);
+    }
+  };
+  grant(CFG.writeRoles, ["products.edit", "products.delete", "offers.edit", "sales.refund", "reports.view_profit"]);
+  grant(CFG.saleRoles, ["sales.create"]);
+  grant(CFG.adminRoles, ["users.manage"]);
+  return map;
+}
+
+// Cached for a few seconds: every authenticated request needs it.
+async function loadRolePermissions() {
+  if (rolePermissionsCache && Date.now() - rolePermissionsCache.at < ROLE_PERMISSIONS_TTL_MS) return rolePermissionsCache.map;
+  let map;
+  try {
+    const [rows] = await pool.query(`SELECT role, permission FROM role_permissions`);
+    map = new Map();
+    for (const r of rows || []) {
+      const role = String(r.role).toLowerCase();
+      if (!map.has(role)) map.set(role, new Set());
+      map.get(role).add(r.permission);
+    }
+  } catch (e) {
+    // Table missing or unreadable: fall back to the role lists.
+    fastify.log.warn({ err: e }, "Could not load role_permissions, using WRITE_ROLES / SALE_ROLES / ADMIN_ROLES");
+    map = defaultRolePermissions();
+  }
+  rolePermissionsCache = { at: Date.now(), map };
+  return map;
+}
+
+async function permissionsFor(user) {
+  if (!CFG.enforceRoles) return Object.keys(PERMISSIONS);
+  const map = await loadRolePermissions();
+  const granted = new Set();
+  for (const role of parseRoles(user && user.roles)) {
+    const perms = map.get(String(role).toLowerCase());
+    if (perms) for (const perm of perms) granted.add(perm);
+  }
+  return Object.keys(PERMISSIONS).filter((perm) => granted.has(perm));
+}
+
+function hasPermission(req, perm) {
+  return Array.isArray(req.cagPermissions) && req.cagPermissions.includes(perm);
 }
 
 function passwordLooksHashed(pw) {
@@ -220,13 +780,31 @@ async function requireAuth(req, reply) {
   }
   const idUser = payload && (payload.sub || payload.id_user || payload.idUser);
   if (!idUser) return sendError(reply, 401, "Unauthorized");
+  // Tokens are tied to a session so logout / revocation take effect before they expire.
+  const sid = payload && payload.sid;
+  if (!sid || !(await sessionIsLive(sid, idUser))) return sendError(reply, 401, "Unauthorized");
+  // Until the password is changed, only routes flagged allowPendingPasswordChange answer.
+  const config = (req.routeOptions && req.routeOptions.config) || {};
+  if (payload.pwc && !config.allowPendingPasswordChange) {
+    return sendError(reply, 403, "Password change required", { passwordChangeRequired: true });
+  }
   const user = await getUserById(idUser);
   if (!user || String(user.is_active) === "0") return sendError(reply, 401, "Unauthorized");
   req.cagUser = user;
+  req.cagSessionId = sid;
+  req.cagMustChangePassword = Boolean(payload.pwc);
+  req.cagPermissions = await permissionsFor(user);
 }
 
-function requireWrite(req, reply) {
-  if (!hasWriteRole(req.cagUser)) return sendError(reply, 403, "Forbidden");
+// Route guard: requireAuth first, then requirePermission("products.edit").
+// preHandlers must be async (or call done): a plain function that returns without replying stalls the request.
+function requirePermission(perm) {
+  const guard = async function (req, reply) {
+    if (!hasPermission(req, perm)) return sendError(reply, 403, "Forbidden", { permission: perm });
+  };
+  // Read by the API docs (addOpenapiOperation).
+  guard.permission = perm;
+  return guard;
 }
 
 function clampInt(n, min, max, fallback) {
@@ -235,300 +813,856 @@ function clampInt(n, min, max, fallback) {
   return Math.max(min, Math.min(max, Math.trunc(x)));
 }
 
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+// ---- IDEMPOTENCY ----
+// Authenticated POST / PUT / PATCH / DELETE accept an Idempotency-Key header. The first request with a key
+// claims it in idempotency_keys and its response is stored once sent; a retry with the same key and the
+// same request gets that response again (Idempotent-Replayed: true) instead of running twice. Keys are per
+// user and kept CFG.idempotencyHours. 5xx answers are not stored, so the retry really runs.
+// Routes whose answer carries a credential (tokens, TOTP secrets, recovery codes) opt out with
+// config: { idempotent: false }: their response would sit in idempotency_keys in clear.
+const IDEMPOTENT_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,128}$/;
+// A claim older than this without a response (crash, dropped connection) no longer blocks the key.
+const IDEMPOTENCY_CLAIM_SECONDS = 60;
+
+function idempotencyHash(req) {
+  const body = req.body === undefined ? null : req.body;
+  return crypto.createHash("sha256").update(`${req.method} ${req.url}\n${JSON.stringify(body)}`).digest("hex");
+}
+
+// Added to the preHandlers of every authenticated write by the onRoute hook below, after the permission check.
+async function idempotencyGuard(req, reply) {
+  const key = req.headers["idempotency-key"];
+  if (key === undefined || !req.cagUser) return;
+  if (!IDEMPOTENCY_KEY_RE.test(key)) {
+    const message = "must be 1 to 128 printable characters";
+    return sendError(reply, 400, `Invalid Idempotency-Key: ${message}`, { fields: [{ field: "idempotency-key", in: "headers", message }] });
+  }
+  const userId = req.cagUser.id_user;
+  const hash = idempotencyHash(req);
+
+  await pool.query(`DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL ? HOUR LIMIT 100`, [CFG.idempotencyHours]);
+  await pool.query(
+    `DELETE FROM idempotency_keys
+     WHERE user_id = ? AND idem_key = ?
+       AND (created_at < NOW() - INTERVAL ? HOUR OR (completed_at IS NULL AND created_at < NOW() - INTERVAL ? SECOND))`,
+    [userId, key, CFG.idempotencyHours, IDEMPOTENCY_CLAIM_SECONDS]
+  );
+  const [claim] = await pool.query(
+    `INSERT IGNORE INTO idempotency_keys (user_id, idem_key, request_hash, method, url, created_at)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [userId, key, hash, req.method, String(req.url).slice(0, 255)]
+  );
+  if (claim.affectedRows) {
+    req.cagIdempotencyKey = key;
+    return;
+  }
+
+  const [rows] = await pool.query(
+    `SELECT request_hash, status_code, content_type, response_body, completed_at
+     FROM idempotency_keys
+     WHERE user_id = ? AND idem_key = ?
+     LIMIT 1`,
+    [userId, key]
+  );
+  const row = rows && rows[0];
+  if (row && row.request_hash !== hash) return sendError(reply, 422, "Idempotency-Key already used for a different request");
+  if (!row || !row.completed_at) {
+    reply.header("Retry-After", "1");
+    return sendError(reply, 409, "A request with this Idempotency-Key is still in progress", { inProgress: true });
+  }
+  reply.header("Idempotent-Replayed", "true");
+  if (row.content_type) reply.type(row.content_type);
+  return reply.code(row.status_code).send(row.response_body);
+}
+
+fastify.addHook("onRoute", (route) => {
+  const methods = [].concat(route.method);
+  const guards = [].concat(route.preHandler || []);
+  if (!methods.some((m) => IDEMPOTENT_METHODS.includes(m)) || !guards.includes(requireAuth)) return;
+  if (route.config && route.config.idempotent === false) return;
+  route.preHandler = [...guards, idempotencyGuard];
+});
+
+// onSend only keeps the payload: an async onSend would hold back the replies of handlers that call
+// reply.send() without returning it. The response is stored once sent, in onResponse.
+fastify.addHook("onSend", (req, reply, payload, done) => {
+  if (req.cagIdempotencyKey) req.cagIdempotencyPayload = payload;
+  done(null, payload);
+});
+
+fastify.addHook("onResponse", async (req, reply) => {
+  const key = req.cagIdempotencyKey;
+  if (!key) return;
+  const payload = req.cagIdempotencyPayload;
+  try {
+    if (reply.statusCode >= 500 || typeof payload !== "string") {
+      await pool.query(`DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ?`, [req.cagUser.id_user, key]);
+    } else {
+      await pool.query(
+        `UPDATE idempotency_keys
+         SET status_code = ?, content_type = ?, response_body = ?, completed_at = NOW()
+         WHERE user_id = ? AND idem_key = ?`,
+        [reply.statusCode, String(reply.getHeader("content-type") || ""), payload, req.cagUser.id_user, key]
+      );
+    }
+  } catch (e) {
+    // The write itself went through: a lost key only means a retry is not deduplicated.
+    req.log.warn({ err: e }, "Could not store the idempotent response");
+  }
+});
+
 // Health check
 fastify.get(CFG.apiPrefix + "/health", async () => {
   return { ok: true };
 });
 
+// ---- SESSIONS ----
+// One auth_sessions row per login. The client holds an opaque refresh token (only its sha256 is stored)
+// and trades it for a new access token + a new refresh token on POST /auth/refresh.
+// Presenting an already-rotated token revokes the session (it was copied), except within
+// REFRESH_REUSE_GRACE_MS: two tabs refreshing at once must not log each other out.
+const REFRESH_REUSE_GRACE_MS = 60_000;
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function refreshExpiry() {
+  return sqlDateTime(new Date(Date.now() + CFG.refreshTokenDays * 86_400_000));
+}
+
+// `mustChange` adds the pwc claim: the token then only opens the password change (see requireAuth).
+function signAccessToken(user, sid, mustChange) {
+  const claims = { sub: user.id_user, username: user.username, sid };
+  if (mustChange) claims.pwc = true;
+  const token = jwt.sign(claims, CFG.jwtSecret, { expiresIn: CFG.jwtExpires });
+  const decoded = jwt.decode(token);
+  return { token, expiresAt: new Date(decoded.exp * 1000).toISOString() };
+}
+
+async function createSession(req, user, mustChange) {
+  const refreshToken = newRefreshToken();
+  const userAgent = String((req.headers && req.headers["user-agent"]) || "").slice(0, 255);
+  const [res] = await pool.query(
+    `INSERT INTO auth_sessions (user_id, token_hash, created_at, last_used_at, expires_at, user_agent, ip)
+     VALUES (?, ?, NOW(), NOW(), ?, ?, ?)`,
+    [user.id_user, hashToken(refreshToken), refreshExpiry(), userAgent, String(req.ip || "").slice(0, 64)]
+  );
+  return Object.assign({ refreshToken }, signAccessToken(user, res.insertId, mustChange));
+}
+
+async function sessionIsLive(sid, idUser) {
+  const [rows] = await pool.query(
+    `SELECT id_session FROM auth_sessions
+     WHERE id_session = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     LIMIT 1`,
+    [sid, idUser]
+  );
+  return Boolean(rows && rows[0]);
+}
+
+// Returns the number of sessions closed.
+async function revokeUserSessions(db, idUser) {
+  const [res] = await db.query(`UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL`, [idUser]);
+  return res.affectedRows || 0;
+}
+
+// ---- LOGIN THROTTLING ----
+// Every attempt lands in login_attempts (outcome ok / failed / blocked). Failures are counted per username
+// (since its last success) and per IP over the lock window. Each failure on a username doubles the wait
+// before its next try (1s, 2s, 4s...); at LOGIN_MAX_FAILURES the account is locked for LOGIN_LOCK_MINUTES
+// after the last failure. An IP is only locked at LOGIN_IP_MAX_FAILURES (a venue shares one IP).
+// Blocked attempts are logged but do not extend the lock.
+// The check and the count must not race: parallel wrong passwords would all pass the check before any
+// failure is written. So rejectThrottledLogin checks under named locks on the username and the IP and,
+// still holding them, writes the attempt as "failed" up front; the route then settles it with
+// recordLoginAttempt ("ok" on success). One the route never settles was not a login after all (the
+// password step before a TOTP code, a TOTP code that went through) and is dropped once the reply is sent.
+const LOGIN_OUTCOMES = ["ok", "failed", "blocked"];
+const LOGIN_LOCK_WAIT_SECONDS = 10;
+
+async function insertLoginAttempt(db, req, username, outcome, userId) {
+  const [res] = await db.query(
+    `INSERT INTO login_attempts (username, user_id, ip, user_agent, outcome, created_at) VALUES (?, ?, ?, ?, ?, NOW())`,
+    [
+      username.slice(0, 64),
+      userId || null,
+      String(req.ip || "").slice(0, 64),
+      String((req.headers && req.headers["user-agent"]) || "").slice(0, 255),
+      outcome,
+    ]
+  );
+  return res && res.insertId;
+}
+
+async function recordLoginAttempt(req, username, outcome, userId) {
+  const claimed = req.cagLoginAttempt;
+  if (!claimed) return insertLoginAttempt(pool, req, username, outcome, userId);
+  req.cagLoginAttempt = null;
+  await pool.query(`UPDATE login_attempts SET outcome = ?, user_id = ? WHERE id_attempt = ?`, [outcome, userId || null, claimed]);
+}
+
+// Wait (ms) imposed by `failures` failures, the last one at `lastAt`.
+function loginBackoff(failures, lastAt, max, backoff) {
+  if (!failures || !lastAt) return { waitMs: 0, locked: false };
+  const lockMs = CFG.loginLockMinutes * 60_000;
+  const locked = failures >= max;
+  const delay = locked ? lockMs : backoff ? Math.min(lockMs, 1000 * 2 ** (failures - 1)) : 0;
+  return { waitMs: Math.max(0, new Date(lastAt).getTime() + delay - Date.now()), locked };
+}
+
+async function loginThrottle(db, req, username) {
+  const since = sqlDateTime(new Date(Date.now() - CFG.loginLockMinutes * 60_000));
+  const [[byUser]] = await db.query(
+    `SELECT COUNT(*) AS failures, MAX(created_at) AS lastAt
+     FROM login_attempts
+     WHERE username = ? AND outcome = 'failed' AND created_at > ?
+       AND created_at > COALESCE((SELECT MAX(created_at) FROM login_attempts WHERE username = ? AND outcome = 'ok'), '1970-01-01')`,
+    [username, since, username]
+  );
+  const [[byIp]] = await db.query(
+    `SELECT COUNT(*) AS failures, MAX(created_at) AS lastAt
+     FROM login_attempts
+     WHERE ip = ? AND outcome = 'failed' AND created_at > ?`,
+    [String(req.ip || ""), since]
+  );
+  const u = loginBackoff(Number(byUser && byUser.failures), byUser && byUser.lastAt, CFG.loginMaxFailures, true);
+  const i = loginBackoff(Number(byIp && byIp.failures), byIp && byIp.lastAt, CFG.loginIpMaxFailures, false);
+  return { waitMs: Math.max(u.waitMs, i.waitMs), locked: u.locked || i.locked };
+}
+
+// Replies 429 (and returns true) while `username` or the caller's IP must wait. Otherwise the attempt is
+// claimed (req.cagLoginAttempt) as a failure until the route records how it went.
+async function rejectThrottledLogin(req, reply, username, userId) {
+  // Lock names are capped at 64 characters: hashed, and always taken in this order.
+  const locks = [`cag_login_user_${hashToken(username).slice(0, 40)}`, `cag_login_ip_${hashToken(req.ip || "").slice(0, 40)}`];
+  const held = [];
+  const conn = await pool.getConnection();
+  let throttle;
+  try {
+    for (const name of locks) {
+      const [[lock]] = await conn.query(`SELECT GET_LOCK(?, ?) AS ok`, [name, LOGIN_LOCK_WAIT_SECONDS]);
+      if (!lock || Number(lock.ok) !== 1) throw new Error("Timed out waiting for the login throttle lock");
+      held.push(name);
+    }
+    throttle = await loginThrottle(conn, req, username);
+    const outcome = throttle.waitMs > 0 ? "blocked" : "failed";
+    const id = await insertLoginAttempt(conn, req, username, outcome, userId);
+    if (outcome === "failed") req.cagLoginAttempt = id;
+  } finally {
+    for (const name of held.reverse()) await conn.query(`SELECT RELEASE_LOCK(?)`, [name]).catch(() => {});
+    conn.release();
+  }
+  if (throttle.waitMs <= 0) return false;
+  const retryAfter = Math.ceil(throttle.waitMs / 1000);
+  reply.header("Retry-After", String(retryAfter));
+  sendError(reply, 429, throttle.locked ? "Account temporarily locked" : "Too many attempts, slow down", {
+    locked: throttle.locked,
+    retryAfter,
+  });
+  return true;
+}
+
+fastify.addHook("onResponse", async (req) => {
+  const claimed = req.cagLoginAttempt;
+  if (!claimed) return;
+  try {
+    await pool.query(`DELETE FROM login_attempts WHERE id_attempt = ?`, [claimed]);
+  } catch (e) {
+    req.log.warn({ err: e }, "Could not drop an unsettled login attempt");
+  }
+});
+
+// ---- TWO-FACTOR (TOTP) ----
+// RFC 6238 codes (SHA-1, 30 s, 6 digits): what Google Authenticator, Aegis, 1Password... expect, all offline.
+// A secret is stored with enabled_at NULL until the user proves their app works (POST /auth/totp/enable).
+// last_step blocks replaying a code inside its window. Recovery codes are single-use, stored as sha256.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const MFA_TOKEN_EXPIRES = "5m";
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const c of String(str).toUpperCase().replace(/[\s=]/g, "")) {
+    const idx = BASE32_ALPHABET.indexOf(c);
+    if (idx === -1) throw new Error("Invalid base32");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const mac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = mac[mac.length - 1] & 15;
+  const bin = mac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// Step matched by `code` (one step of clock drift either way) and newer than lastStep, or null.
+function verifyTotp(secret, code, lastStep) {
+  const c = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(c)) return null;
+  const now = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastStep != null && step <= lastStep) continue;
+    const expected = totpAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(c))) return step;
+  }
+  return null;
+}
+
+function totpEligible(user) {
+  if (!CFG.enforceRoles) return true;
+  const roles = parseRoles(user && user.roles).map((r) => String(r).toLowerCase());
+  return CFG.totpRoles.some((r) => roles.includes(r));
+}
+
+async function getUserTotp(db, idUser) {
+  const [rows] = await db.query(`SELECT user_id, secret, enabled_at, last_step FROM user_totp WHERE user_id = ? LIMIT 1`, [idUser]);
+  return rows && rows[0] ? rows[0] : null;
+}
+
+// Recovery codes look like "4f7k-2m9q-x3ba-7kdn": 16 base32 characters, 80 bits each, enough that the
+// unsalted sha256 stored for them cannot be brute-forced.
+function newRecoveryCode() {
+  const raw = base32Encode(crypto.randomBytes(10)).toLowerCase();
+  return raw.match(/.{4}/g).join("-");
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z2-7]/g, "");
+}
+
+async function replaceRecoveryCodes(db, idUser) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  await db.query(`DELETE FROM user_recovery_codes WHERE user_id = ?`, [idUser]);
+  await db.query(`INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES ?`, [
+    codes.map((c) => [idUser, hashToken(normalizeRecoveryCode(c)), sqlDateTime(new Date())]),
+  ]);
+  return codes;
+}
+
+// True if `code` was an unused recovery code (it is burnt).
+async function useRecoveryCode(idUser, code) {
+  const [res] = await pool.query(
+    `UPDATE user_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [idUser, hashToken(normalizeRecoveryCode(code))]
+  );
+  return res.affectedRows > 0;
+}
+
+async function recoveryCodesLeft(idUser) {
+  const [rows] = await pool.query(`SELECT COUNT(*) AS n FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL`, [idUser]);
+  return rows && rows[0] ? Number(rows[0].n) : 0;
+}
+
+// ---- PASSWORDS ----
+// user_password_state.must_change is set when an account still signs in with a plaintext users.password
+// (anyone reading the table knows it) and when an admin sets a temporary password. Sessions opened
+// while it is set can only reach /auth/me, /auth/logout and /auth/change-password.
+const COMMON_PASSWORDS = new Set([
+  "password", "password1", "motdepasse", "azerty", "azertyuiop", "qwerty", "qwertyuiop", "bonjour", "soleil",
+  "12345678", "123456789", "1234567890", "00000000", "11111111", "87654321", "admin123", "azerty123", "caisse123",
+]);
+
+// Policy shared by every route that sets a password. Returns an error message or null.
+function checkPassword(password, username) {
+  if (typeof password !== "string" || password.length < CFG.passwordMinLength) {
+    return `Password must be at least ${CFG.passwordMinLength} characters`;
+  }
+  // bcrypt ignores anything past 72 bytes.
+  if (Buffer.byteLength(password) > 72) return "Password must be at most 72 bytes";
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((re) => re.test(password)).length;
+  if (classes < 2) return "Password must mix at least two of: lowercase, uppercase, digits, symbols";
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) return "Password must not contain the username";
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) return "Password is too common";
+  return null;
+}
+
+// { ok, plaintext }: plaintext is true when the match was against an unhashed users.password.
+async function verifyPassword(user, password) {
+  const stored = user.password || "";
+  const storedHash = HAS_PASSWORD_HASH_COLUMN ? user.password_hash || "" : "";
+  try {
+    if (passwordLooksHashed(storedHash)) return { ok: await bcrypt.compare(password, storedHash), plaintext: false };
+    if (passwordLooksHashed(stored)) return { ok: await bcrypt.compare(password, stored), plaintext: false };
+    return { ok: stored !== "" && stored === password, plaintext: true };
+  } catch (_) {
+    return { ok: false, plaintext: false };
+  }
+}
+
+async function mustChangePassword(idUser) {
+  const [rows] = await pool.query(`SELECT must_change FROM user_password_state WHERE user_id = ? LIMIT 1`, [idUser]);
+  return Boolean(rows && rows[0] && Number(rows[0].must_change));
+}
+
+// reason: "plaintext" | "temporary" | null (cleared, the user chose a password).
+async function setPasswordState(db, idUser, reason) {
+  const changedAt = reason ? null : new Date();
+  await db.query(
+    `INSERT INTO user_password_state (user_id, must_change, reason, changed_at, updated_at) VALUES (?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE must_change = VALUES(must_change), reason = VALUES(reason),
+       changed_at = COALESCE(VALUES(changed_at), changed_at), updated_at = NOW()`,
+    [idUser, reason ? 1 : 0, reason || "", changedAt]
+  );
+}
+
+// ---- AUDIT LOG ----
+// Every write made through the API leaves one audit_log row: who, which route, which entity and the
+// entity before / after as JSON. Routes write it on their own connection, inside their transaction,
+// so a rolled back change leaves no row either. Password hashes, TOTP secrets and tokens never go in.
+// Logins and token refreshes are in login_attempts / auth_sessions instead.
+const AUDIT_ENTITIES = ["product", "offer", "sale", "user", "role"];
+
+// Current image of an entity, as stored in before_json / after_json (null when it does not exist).
+const AUDIT_SNAPSHOTS = {
+  async product(db, id) {
+    const [rows] = await db.query(
+      `SELECT p.id_product, p.barcode, p.reference, p.name, p.description, p.quantity, p.purchasePrice, p.price, p.productType,
+              sl.min_stock, sl.reorder_qty, pa.archived_at
+       FROM products p
+       LEFT JOIN product_stock_levels sl ON sl.product_id = p.id_product
+       LEFT JOIN product_archive pa ON pa.product_id = p.id_product
+       WHERE p.id_product = ?
+       LIMIT 1`,
+      [id]
+    );
+    return rows && rows[0] ? rows[0] : null;
+  },
+  async offer(db, id) {
+    const [rows] = await db.query(
+      `SELECT o.id_offer, o.name, o.quantity, o.price, oa.archived_at, GROUP_CONCAT(op.product_id ORDER BY op.product_id) AS product_ids
+       FROM product_offers o
+       LEFT JOIN product_offers_products op ON op.offer_id = o.id_offer
+       LEFT JOIN offer_archive oa ON oa.offer_id = o.id_offer
+       WHERE o.id_offer = ?
+       GROUP BY o.id_offer, oa.archived_at`,
+      [id]
+    );
+    if (!rows || !rows[0]) return null;
+    const { product_ids: productIds, ...offer } = rows[0];
+    return Object.assign(offer, { productIds: productIds ? String(productIds).split(",").map(Number) : [] });
+  },
+  async user(db, id) {
+    const [rows] = await db.query(`SELECT id_user, username, roles, is_active FROM users WHERE id_user = ? LIMIT 1`, [id]);
+    return rows && rows[0] ? rows[0] : null;
+  },
+  async role(db, role) {
+    const [rows] = await db.query(`SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission`, [role]);
+    return { role, permissions: (rows || []).map((r) => r.permission) };
+  },
+};
+
+async function auditSnapshot(db, entity, id) {
+  return AUDIT_SNAPSHOTS[entity](db, id);
+}
+
+// entry: { action, entity, entityId, before?, after? }. The route is the pattern (/products/:id), the id is in entity_id.
+async function writeAudit(db, req, entry) {
+  const user = req.cagUser || {};
+  const json = (v) => (v === undefined || v === null ? null : JSON.stringify(v));
+  await db.query(
+    `INSERT INTO audit_log
+       (created_at, user_id, username, method, route, action, entity, entity_id, before_json, after_json, ip, user_agent)
+     VALUES (NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      user.id_user || null,
+      user.username ? String(user.username).slice(0, 64) : null,
+      req.method,
+      String((req.routeOptions && req.routeOptions.url) || req.url || "").slice(0, 128),
+      entry.action,
+      entry.entity,
+      entry.entityId == null ? null : String(entry.entityId).slice(0, 64),
+      json(entry.before),
+      json(entry.after),
+      String(req.ip || "").slice(0, 64),
+      String((req.headers && req.headers["user-agent"]) || "").slice(0, 255),
+    ]
+  );
+}
+
 // ---- AUTH ----
-fastify.post(CFG.apiPrefix + "/auth/login", async (req, reply) => {
+const LOGIN_SCHEMA = { body: objectSchema({ username: { type: "string" }, password: { type: "string" } }, ["username", "password"]) };
+
+fastify.post(CFG.apiPrefix + "/auth/login", { schema: LOGIN_SCHEMA }, async (req, reply) => {
   const body = req.body || {};
   const username = typeof body.username === "string" ? body.username.trim() : "";
   const password = typeof body.password === "string" ? body.password : "";
   if (!username || !password) return sendError(reply, 400, "Missing username/password");
 
+  if (await rejectThrottledLogin(req, reply, username)) return;
+
   const user = await getUserByUsername(username);
   // Do not reveal if user exists.
-  if (!user || String(user.is_active) === "0") return sendError(reply, 401, "Invalid credentials");
+  if (!user || String(user.is_active) === "0") {
+    await recordLoginAttempt(req, username, "failed");
+    return sendError(reply, 401, "Invalid credentials");
+  }
+
+  const check = await verifyPassword(user, password);
+  if (!check.ok) {
+    await recordLoginAttempt(req, username, "failed", user.id_user);
+    return sendError(reply, 401, "Invalid credentials");
+  }
+  // A plaintext password has been readable by anyone with DB access: its owner must pick a new one.
+  if (check.plaintext) await setPasswordState(pool, user.id_user, "plaintext");
 
   const stored = user.password || "";
   const storedHash = HAS_PASSWORD_HASH_COLUMN ? user.password_hash || "" : "";
-  let ok = false;
-  try {
-    if (passwordLooksHashed(storedHash)) ok = await bcrypt.compare(password, storedHash);
-    else if (passwordLooksHashed(stored)) ok = await bcrypt.compare(password, stored);
-    else ok = stored === password;
-  } catch (_) {
-    ok = false;
-  }
-  if (!ok) return sendError(reply, 401, "Invalid credentials");
 
   // Upgrade plaintext password to bcrypt on first successful login.
   if (CFG.migratePlaintextPasswords && HAS_PASSWORD_HASH_COLUMN && !passwordLooksHashed(storedHash)) {
     const hash = await bcrypt.hash(password, 12);
-    await pool.query(`UPDATE users SET password_hash = ? WHERE id_user = ?`, [hash, user.id_user]);
+    const overwrite = CFG.migratePlaintextPasswordsOverwrite && !passwordLooksHashed(stored);
+    await pool.query(
+      `UPDATE users SET password_hash = ?${overwrite ? ", password = ?" : ""} WHERE id_user = ?`,
+      overwrite ? [hash, hash, user.id_user] : [hash, user.id_user]
+    );
   } else if (CFG.migratePlaintextPasswords && !HAS_PASSWORD_HASH_COLUMN && CFG.migratePlaintextPasswordsOverwrite && !passwordLooksHashed(stored)) {
     const hash = await bcrypt.hash(password, 12);
     await pool.query(`UPDATE users SET password = ? WHERE id_user = ?`, [hash, user.id_user]);
   }
 
-  await pool.query(`UPDATE users SET last_login = NOW() WHERE id_user = ?`, [user.id_user]);
-
-  const token = jwt.sign(
-    {
-      sub: user.id_user,
-      username: user.username,
-    },
-    CFG.jwtSecret,
-    { expiresIn: CFG.jwtExpires }
-  );
+  // Second step: the password is right but the session only opens with a code (POST /auth/login/totp).
+  // The attempt is not logged as "ok" yet so wrong codes keep counting towards the lockout.
+  const totp = await getUserTotp(pool, user.id_user);
+  if (totp && totp.enabled_at) {
+    const mfaToken = jwt.sign({ sub: user.id_user, purpose: "mfa" }, CFG.jwtSecret, { expiresIn: MFA_TOKEN_EXPIRES });
+    return reply.send({ mfaRequired: true, mfaToken });
+  }
 
-  reply.send({ token, user: publicUser(user) });
+  await completeLogin(req, reply, user);
 });
 
-fastify.get(
-  CFG.apiPrefix + "/auth/me",
-  {
-    preHandler: requireAuth,
-  },
-  async (req) => {
-    return { user: publicUser(req.cagUser) };
+async function completeLogin(req, reply, user) {
+  await recordLoginAttempt(req, user.username, "ok", user.id_user);
+  await pool.query(`UPDATE users SET last_login = NOW() WHERE id_user = ?`, [user.id_user]);
+
+  const mustChange = await mustChangePassword(user.id_user);
+  const session = await createSession(req, user, mustChange);
+  reply.send({
+    token: session.token,
+    expiresAt: session.expiresAt,
+    refreshToken: session.refreshToken,
+    mustChangePassword: mustChange,
+    user: publicUser(user),
+    permissions: await permissionsFor(user),
+  });
+}
+
+// body: { mfaToken, code } or { mfaToken, recoveryCode }. Same throttling as the password step.
+const LOGIN_TOTP_SCHEMA = {
+  body: objectSchema({ mfaToken: { type: "string" }, code: { type: "string" }, recoveryCode: { type: "string" } }, ["mfaToken"]),
+};
+
+fastify.post(CFG.apiPrefix + "/auth/login/totp", { schema: LOGIN_TOTP_SCHEMA }, async (req, reply) => {
+  const body = req.body || {};
+  let payload;
+  try {
+    payload = jwt.verify(String(body.mfaToken || ""), CFG.jwtSecret);
+  } catch (_) {
+    payload = null;
   }
-);
+  if (!payload || payload.purpose !== "mfa") return sendError(reply, 401, "Login step expired, sign in again");
 
-// ---- DASHBOARD ----
-fastify.get(
-  CFG.apiPrefix + "/dashboard/summary",
-  {
-    preHandler: requireAuth,
-  },
-  async (req, reply) => {
-    const fromIso = req.query && req.query.from;
-    const toIso = req.query && req.query.to;
-    const r = rangeToSql(fromIso, toIso);
-    if (!r) return sendError(reply, 400, "Invalid from/to (expected YYYY-MM-DD)");
+  const user = await getUserById(payload.sub);
+  if (!user || String(user.is_active) === "0") return sendError(reply, 401, "Invalid credentials");
 
-    const [kpiRows] = await pool.query(
-      `SELECT
-         COALESCE(SUM(s.total_amount), 0) AS revenue,
-         COUNT(*) AS salesCount
-       FROM sales s
-       WHERE s.last_updated >= ? AND s.last_updated < ?`,
-      [r.from, r.toExcl]
-    );
-    const kpis = kpiRows && kpiRows[0] ? kpiRows[0] : { revenue: 0, salesCount: 0 };
+  if (await rejectThrottledLogin(req, reply, user.username, user.id_user)) return;
 
-    const [profitRows] = await pool.query(
-      `SELECT
-         COALESCE(SUM(
-           (COALESCE(sd.total_price, sd.price * sd.quantity) - (COALESCE(p.purchasePrice, 0) * sd.quantity))
-         ), 0) AS profit
-       FROM sales_details sd
-       JOIN sales s ON s.id_sale = sd.sale_id
-       LEFT JOIN products p ON p.id_product = sd.product_id
-       WHERE s.last_updated >= ? AND s.last_updated < ?`,
-      [r.from, r.toExcl]
-    );
-    const profit = profitRows && profitRows[0] ? profitRows[0].profit : 0;
+  const totp = await getUserTotp(pool, user.id_user);
+  if (!totp || !totp.enabled_at) return sendError(reply, 401, "Login step expired, sign in again");
 
-    const [seriesRows] = await pool.query(
-      `SELECT
-         DATE(s.last_updated) AS date,
-         COALESCE(SUM(s.total_amount), 0) AS revenue
-       FROM sales s
-       WHERE s.last_updated >= ? AND s.last_updated < ?
-       GROUP BY DATE(s.last_updated)
-       ORDER BY DATE(s.last_updated) ASC`,
-      [r.from, r.toExcl]
-    );
+  let ok = false;
+  if (body.recoveryCode) {
+    ok = await useRecoveryCode(user.id_user, body.recoveryCode);
+  } else {
+    const step = verifyTotp(totp.secret, body.code, totp.last_step);
+    if (step != null) {
+      await pool.query(`UPDATE user_totp SET last_step = ? WHERE user_id = ?`, [step, user.id_user]);
+      ok = true;
+    }
+  }
+  if (!ok) {
+    await recordLoginAttempt(req, user.username, "failed", user.id_user);
+    return sendError(reply, 401, "Invalid code");
+  }
 
-    const [topProductsRows] = await pool.query(
-      `SELECT
-         p.id_product AS id,
-         COALESCE(p.name, CONCAT('Produit #', sd.product_id)) AS name,
-         COALESCE(SUM(sd.quantity), 0) AS qty,
-         COALESCE(SUM(COALESCE(sd.total_price, sd.price * sd.quantity)), 0) AS revenue
-       FROM sales_details sd
-       JOIN sales s ON s.id_sale = sd.sale_id
-       LEFT JOIN products p ON p.id_product = sd.product_id
-       WHERE s.last_updated >= ? AND s.last_updated < ?
-       GROUP BY p.id_product, p.name, sd.product_id
-       ORDER BY revenue DESC
-       LIMIT 10`,
-      [r.from, r.toExcl]
-    );
+  await completeLogin(req, reply, user);
+});
 
-    // "Top offers" is best-effort: it attributes sold products that belong to an offer.
-    const [topOffersRows] = await pool.query(
-      `SELECT
-         o.id_offer AS id,
-         o.name AS name,
-         COALESCE(SUM(sd.quantity), 0) AS qty,
-         COALESCE(SUM(COALESCE(sd.total_price, sd.price * sd.quantity)), 0) AS revenue
-       FROM sales_details sd
-       JOIN sales s ON s.id_sale = sd.sale_id
-       JOIN product_offers_products op ON op.product_id = sd.product_id
-       JOIN product_offers o ON o.id_offer = op.offer_id
-       WHERE s.last_updated >= ? AND s.last_updated < ?
-       GROUP BY o.id_offer, o.name
-       ORDER BY revenue DESC
-       LIMIT 10`,
-      [r.from, r.toExcl]
-    );
+// Rotates the refresh token. No bearer needed: the access token is usually what just expired.
+const REFRESH_SCHEMA = { body: objectSchema({ refreshToken: { type: "string" } }, ["refreshToken"]) };
 
-    reply.send({
-      kpis: {
-        revenue: Number(kpis.revenue),
-        profit: Number(profit),
-        salesCount: Number(kpis.salesCount),
-        avgTicket: kpis.salesCount ? Number(kpis.revenue) / Number(kpis.salesCount) : 0,
-      },
-      series: (seriesRows || []).map((x) => ({ date: String(x.date), revenue: Number(x.revenue) })),
-      topProducts: (topProductsRows || []).map((x) => ({ id: x.id, name: x.name, qty: Number(x.qty), revenue: Number(x.revenue) })),
-      topOffers: (topOffersRows || []).map((x) => ({ id: x.id, name: x.name, qty: Number(x.qty), revenue: Number(x.revenue) })),
-    });
+fastify.post(CFG.apiPrefix + "/auth/refresh", { schema: REFRESH_SCHEMA }, async (req, reply) => {
+  const presented = req.body && typeof req.body.refreshToken === "string" ? req.body.refreshToken : "";
+  if (!presented) return sendError(reply, 400, "Missing refreshToken");
+  const hash = hashToken(presented);
+
+  const [rows] = await pool.query(
+    `SELECT id_session, user_id, token_hash, rotated_at, revoked_at, expires_at > NOW() AS live
+     FROM auth_sessions
+     WHERE token_hash = ? OR prev_token_hash = ?
+     LIMIT 1`,
+    [hash, hash]
+  );
+  const session = rows && rows[0];
+  if (!session || session.revoked_at || !Number(session.live)) return sendError(reply, 401, "Session expired");
+
+  if (session.token_hash !== hash) {
+    const rotatedAt = session.rotated_at ? new Date(session.rotated_at).getTime() : 0;
+    if (Date.now() - rotatedAt > REFRESH_REUSE_GRACE_MS) {
+      await pool.query(`UPDATE auth_sessions SET revoked_at = NOW() WHERE id_session = ?`, [session.id_session]);
+      req.log.warn({ sessionId: session.id_session, userId: session.user_id }, "Refresh token reused, session revoked");
+    }
+    return sendError(reply, 401, "Refresh token already used");
   }
-);
 
-// ---- SALES ----
-fastify.get(
-  CFG.apiPrefix + "/sales",
+  const user = await getUserById(session.user_id);
+  if (!user || String(user.is_active) === "0") return sendError(reply, 401, "Session expired");
+
+  // Swap only if the presented token is still the current one: of two refreshes racing with the same token
+  // (two tabs, the event stream reconnecting), the second changes nothing and gets a 401 instead of a
+  // token pair of its own whose hash would end up in prev_token_hash.
+  const refreshToken = newRefreshToken();
+  const [swap] = await pool.query(
+    `UPDATE auth_sessions
+     SET prev_token_hash = token_hash, token_hash = ?, rotated_at = NOW(), last_used_at = NOW(), expires_at = ?
+     WHERE id_session = ? AND token_hash = ? AND revoked_at IS NULL`,
+    [hashToken(refreshToken), refreshExpiry(), session.id_session, hash]
+  );
+  if (!swap || swap.affectedRows !== 1) return sendError(reply, 401, "Refresh token already used");
+  const access = signAccessToken(user, session.id_session, await mustChangePassword(user.id_user));
+  reply.send({ token: access.token, expiresAt: access.expiresAt, refreshToken });
+});
+
+fastify.post(CFG.apiPrefix + "/auth/logout", { preHandler: requireAuth, config: { allowPendingPasswordChange: true } }, async (req, reply) => {
+  await pool.query(`UPDATE auth_sessions SET revoked_at = NOW() WHERE id_session = ? AND revoked_at IS NULL`, [req.cagSessionId]);
+  reply.send({ ok: true });
+});
+
+// body: { currentPassword, newPassword }. Other sessions are closed; this one gets a fresh access token.
+fastify.post(
+  CFG.apiPrefix + "/auth/change-password",
   {
     preHandler: requireAuth,
+    config: { allowPendingPasswordChange: true, idempotent: false },
+    schema: { body: objectSchema({ currentPassword: { type: "string" }, newPassword: { type: "string" } }, ["currentPassword", "newPassword"]) },
   },
   async (req, reply) => {
-    const fromIso = req.query && req.query.from;
-    const toIso = req.query && req.query.to;
-    const r = rangeToSql(fromIso, toIso);
-    if (!r) return sendError(reply, 400, "Invalid from/to (expected YYYY-MM-DD)");
-
-    const q = (req.query && typeof req.query.q === "string" ? req.query.q.trim() : "") || "";
-    const limit = clampInt(req.query && req.query.limit, 1, 100, 20);
-    const offset = clampInt(req.query && req.query.offset, 0, 1_000_000, 0);
-    const like = "%" + q + "%";
-    const qNum = /^\d+$/.test(q) ? Number(q) : -1;
-
-    const [totalRows] = await pool.query(
-      `SELECT COUNT(*) AS total
-       FROM sales s
-       LEFT JOIN users u ON u.id_user = s.user_id
-       WHERE s.last_updated >= ? AND s.last_updated < ?
-         AND (
-           ? = '' OR s.notes LIKE ? OR u.username LIKE ? OR s.id_sale = ?
-         )`,
-      [r.from, r.toExcl, q, like, like, qNum]
-    );
-    const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
+    const b = req.body || {};
+    const current = typeof b.currentPassword === "string" ? b.currentPassword : "";
+    const next = b.newPassword;
+    if (!current) return sendFieldError(reply, "currentPassword", "Missing currentPassword");
 
-    const [rows] = await pool.query(
-      `SELECT
-         s.id_sale,
-         s.total_amount,
-         s.notes,
-         s.user_id,
-         u.username,
-         s.last_updated,
-         (
-           SELECT COALESCE(SUM(sd.quantity), 0)
-           FROM sales_details sd
-           WHERE sd.sale_id = s.id_sale
-         ) AS items_count
-       FROM sales s
-       LEFT JOIN users u ON u.id_user = s.user_id
-       WHERE s.last_updated >= ? AND s.last_updated < ?
-         AND (
-           ? = '' OR s.notes LIKE ? OR u.username LIKE ? OR s.id_sale = ?
-         )
-       ORDER BY s.last_updated DESC
-       LIMIT ? OFFSET ?`,
-      [r.from, r.toExcl, q, like, like, qNum, limit, offset]
-    );
+    const username = req.cagUser.username;
+    if (await rejectThrottledLogin(req, reply, username, req.cagUser.id_user)) return;
+    const user = await getUserByUsername(username);
+    const check = user ? await verifyPassword(user, current) : { ok: false };
+    if (!check.ok) {
+      await recordLoginAttempt(req, username, "failed", req.cagUser.id_user);
+      return sendFieldError(reply, "currentPassword", "Current password is incorrect");
+    }
+    const policyError = checkPassword(next, username);
+    if (policyError) return sendFieldError(reply, "newPassword", policyError);
+    if (next === current) return sendFieldError(reply, "newPassword", "New password must differ from the current one");
 
-    reply.send({
-      total,
-      items: (rows || []).map((x) => ({
-        id_sale: x.id_sale,
-        total_amount: Number(x.total_amount),
-        notes: x.notes || "",
-        user_id: x.user_id,
-        username: x.username || "",
-        last_updated: x.last_updated,
-        items_count: Number(x.items_count),
-      })),
-    });
+    await storePassword(pool, user.id_user, next);
+    await setPasswordState(pool, user.id_user, null);
+    await writeAudit(pool, req, { action: "password_change", entity: "user", entityId: user.id_user });
+    await pool.query(`UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = ? AND id_session <> ? AND revoked_at IS NULL`, [
+      user.id_user,
+      req.cagSessionId,
+    ]);
+    reply.send(signAccessToken(user, req.cagSessionId, false));
   }
 );
 
 fastify.get(
-  CFG.apiPrefix + "/sales/:id",
+  CFG.apiPrefix + "/auth/me",
   {
     preHandler: requireAuth,
+    config: { allowPendingPasswordChange: true },
   },
-  async (req, reply) => {
-    const saleId = req.params && req.params.id;
-    const id = /^\d+$/.test(String(saleId)) ? Number(saleId) : null;
-    if (!id) return sendError(reply, 400, "Invalid sale id");
+  async (req) => {
+    const totp = await getUserTotp(pool, req.cagUser.id_user);
+    return {
+      user: publicUser(req.cagUser),
+      permissions: req.cagPermissions,
+      totp: { eligible: totpEligible(req.cagUser), enabled: Boolean(totp && totp.enabled_at) },
+      mustChangePassword: req.cagMustChangePassword,
+      passwordPolicy: { minLength: CFG.passwordMinLength },
+    };
+  }
+);
 
-    const [saleRows] = await pool.query(
-      `SELECT
-         s.id_sale,
-         s.total_amount,
-         s.notes,
-         s.user_id,
-         u.username,
-         s.last_updated
-       FROM sales s
-       LEFT JOIN users u ON u.id_user = s.user_id
-       WHERE s.id_sale = ?
-       LIMIT 1`,
-      [id]
-    );
-    const sale = saleRows && saleRows[0] ? saleRows[0] : null;
-    if (!sale) return sendError(reply, 404, "Not found");
+fastify.get(CFG.apiPrefix + "/auth/totp", { preHandler: requireAuth }, async (req) => {
+  const totp = await getUserTotp(pool, req.cagUser.id_user);
+  const enabled = Boolean(totp && totp.enabled_at);
+  return {
+    eligible: totpEligible(req.cagUser),
+    enabled,
+    recoveryCodesLeft: enabled ? await recoveryCodesLeft(req.cagUser.id_user) : 0,
+  };
+});
 
-    const [detailRows] = await pool.query(
-      `SELECT
-         sd.id_sale_detail,
-         sd.sale_id,
-         sd.product_id,
-         p.name AS product_name,
-         sd.quantity,
-         sd.price,
-         sd.total_price
-       FROM sales_details sd
-       LEFT JOIN products p ON p.id_product = sd.product_id
-       WHERE sd.sale_id = ?
-       ORDER BY sd.id_sale_detail ASC`,
-      [id]
-    );
+// Starts (or restarts) enrolment: a fresh secret, as text and as a QR code for the authenticator app.
+fastify.post(CFG.apiPrefix + "/auth/totp/setup", { preHandler: requireAuth, config: { idempotent: false } }, async (req, reply) => {
+  const user = req.cagUser;
+  if (!totpEligible(user)) return sendError(reply, 403, "Two-factor authentication is not available for your role");
+  const current = await getUserTotp(pool, user.id_user);
+  if (current && current.enabled_at) return sendError(reply, 409, "Two-factor authentication is already enabled");
 
-    reply.send({
-      sale: {
-        id_sale: sale.id_sale,
-        total_amount: Number(sale.total_amount),
-        notes: sale.notes || "",
-        user_id: sale.user_id,
-        username: sale.username || "",
-        last_updated: sale.last_updated,
-      },
-      details: (detailRows || []).map((d) => ({
-        id_sale_detail: d.id_sale_detail,
-        sale_id: d.sale_id,
-        product_id: d.product_id,
-        product_name: d.product_name || "",
-        quantity: Number(d.quantity),
-        price: Number(d.price),
-        total_price: d.total_price == null ? null : Number(d.total_price),
-      })),
-    });
+  const secret = base32Encode(crypto.randomBytes(20));
+  await pool.query(
+    `INSERT INTO user_totp (user_id, secret, enabled_at, last_step, created_at) VALUES (?, ?, NULL, NULL, NOW())
+     ON DUPLICATE KEY UPDATE secret = VALUES(secret), enabled_at = NULL, last_step = NULL, created_at = NOW()`,
+    [user.id_user, secret]
+  );
+  const label = encodeURIComponent(`${CFG.totpIssuer}:${user.username}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(CFG.totpIssuer)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  const qrSvg = await QRCode.toString(otpauthUrl, { type: "svg", margin: 1, errorCorrectionLevel: "M" });
+  reply.send({ secret, otpauthUrl, qrSvg });
+});
+
+const TOTP_CODE_SCHEMA = { body: objectSchema({ code: { type: "string" } }, ["code"]) };
+
+// body: { code } from the app. Turns 2FA on and returns the recovery codes (shown once).
+fastify.post(CFG.apiPrefix + "/auth/totp/enable", { preHandler: requireAuth, config: { idempotent: false }, schema: TOTP_CODE_SCHEMA }, async (req, reply) => {
+  const user = req.cagUser;
+  const totp = await getUserTotp(pool, user.id_user);
+  if (!totp) return sendError(reply, 400, "Start with POST /auth/totp/setup");
+  if (totp.enabled_at) return sendError(reply, 409, "Two-factor authentication is already enabled");
+  // Wrong codes count as failed logins: a stolen session cannot try codes until one fits.
+  if (await rejectThrottledLogin(req, reply, user.username, user.id_user)) return;
+  const step = verifyTotp(totp.secret, req.body && req.body.code, null);
+  if (step == null) {
+    await recordLoginAttempt(req, user.username, "failed", user.id_user);
+    return sendError(reply, 400, "Invalid code");
   }
-);
 
-// ---- PRODUCTS ----
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query(`UPDATE user_totp SET enabled_at = NOW(), last_step = ? WHERE user_id = ?`, [step, user.id_user]);
+    const recoveryCodes = await replaceRecoveryCodes(conn, user.id_user);
+    await writeAudit(conn, req, { action: "totp_enable", entity: "user", entityId: user.id_user });
+    await conn.commit();
+    reply.send({ enabled: true, recoveryCodes });
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+});
+
+// body: { code } (app or recovery code). Losing the phone and the codes needs an admin: POST /users/:id/totp/reset.
+fastify.post(CFG.apiPrefix + "/auth/totp/disable", { preHandler: requireAuth, schema: TOTP_CODE_SCHEMA }, async (req, reply) => {
+  const user = req.cagUser;
+  const totp = await getUserTotp(pool, user.id_user);
+  if (!totp || !totp.enabled_at) return sendError(reply, 400, "Two-factor authentication is not enabled");
+  // Same throttle as POST /auth/totp/enable.
+  if (await rejectThrottledLogin(req, reply, user.username, user.id_user)) return;
+  const code = req.body && req.body.code;
+  const ok = verifyTotp(totp.secret, code, totp.last_step) != null || (await useRecoveryCode(user.id_user, code));
+  if (!ok) {
+    await recordLoginAttempt(req, user.username, "failed", user.id_user);
+    return sendError(reply, 400, "Invalid code");
+  }
+  await pool.query(`DELETE FROM user_totp WHERE user_id = ?`, [user.id_user]);
+  await pool.query(`DELETE FROM user_recovery_codes WHERE user_id = ?`, [user.id_user]);
+  await writeAudit(pool, req, { action: "totp_disable", entity: "user", entityId: user.id_user });
+  reply.send({ enabled: false });
+});
+
+// ---- USERS ----
+// Admin-only account management. Accounts are deactivated (is_active = 0), never deleted:
+// sales and stock movements keep pointing at their user_id.
+const USERNAME_RE = /^[\w.@-]{2,64}$/;
+const ROLE_RE = /^[a-z0-9_-]{1,32}$/;
+
+// Body roles (array or "a,b" string) -> lowercased unique list, or null if invalid.
+function parseRolesInput(raw) {
+  const list = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : null;
+  if (!list) return null;
+  const roles = [...new Set(list.map((r) => String(r).trim().toLowerCase()).filter(Boolean))];
+  return roles.every((r) => ROLE_RE.test(r)) ? roles : null;
+}
+
+// users.roles is shared with the POS, which may store JSON or a plain list: write back in the
+// format already used (`sample` is an existing roles value).
+function serializeRoles(roles, sample) {
+  const s = String(sample == null ? "" : sample).trim();
+  if (s.startsWith("[")) return JSON.stringify(roles);
+  if (s.startsWith("{")) return JSON.stringify(Object.fromEntries(roles.map((r) => [r, true])));
+  return roles.join(",");
+}
+
+// Roles come as a list or as "a,b" (see parseRolesInput).
+const USER_BODY_PROPERTIES = {
+  username: { type: "string" },
+  password: { type: "string" },
+  roles: { anyOf: [{ type: "array", items: { type: "string" } }, { type: "string" }] },
+  isActive: { type: "boolean" },
+};
+
+async function sampleRoles(db) {
+  const [rows] = await db.query(`SELECT roles FROM users WHERE roles IS NOT NULL AND roles <> '' LIMIT 1`);
+  return rows && rows[0] ? rows[0].roles : "";
+}
+
+// Dashboard passwords go to password_hash when the column exists, so the POS keeps its own users.password,
+// unless MIGRATE_PLAINTEXT_PASSWORDS_OVERWRITE asks for the old plaintext there to go too.
+async function storePassword(db, idUser, password) {
+  const hash = await bcrypt.hash(password, 12);
+  const cols = !HAS_PASSWORD_HASH_COLUMN ? ["password"] : CFG.migratePlaintextPasswordsOverwrite ? ["password_hash", "password"] : ["password_hash"];
+  const [res] = await db.query(`UPDATE users SET ${cols.map((c) => `${c} = ?`).join(", ")} WHERE id_user = ?`, [...cols.map(() => hash), idUser]);
+  return res.affectedRows > 0;
+}
+
 fastify.get(
-  CFG.apiPrefix + "/products",
+  CFG.apiPrefix + "/users",
   {
-    preHandler: requireAuth,
+    preHandler: [requireAuth, requirePermission("users.manage")],
+    schema: { querystring: objectSchema(Object.assign({ q: { type: "string" } }, PAGING_PROPERTIES)) },
   },
   async (req) => {
     const q = (req.query && typeof req.query.q === "string" ? req.query.q.trim() : "") || "";
@@ -536,144 +1670,2211 @@ fastify.get(
     const offset = clampInt(req.query && req.query.offset, 0, 1_000_000, 0);
     const like = "%" + q + "%";
 
-    const [totalRows] = await pool.query(
-      `SELECT COUNT(*) AS total
-       FROM products p
-       WHERE (? = '' OR p.name LIKE ? OR p.barcode LIKE ? OR p.reference LIKE ? OR p.productType LIKE ?)`,
-      [q, like, like, like, like]
-    );
+    const [totalRows] = await pool.query(`SELECT COUNT(*) AS total FROM users WHERE (? = '' OR username LIKE ?)`, [q, like]);
     const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
 
     const [rows] = await pool.query(
-      `SELECT
-         p.id_product,
-         p.barcode,
-         p.reference,
-         p.name,
-         p.description,
-         p.quantity,
-         p.purchasePrice,
-         p.price,
-         p.productType,
-         p.last_updated
-       FROM products p
-       WHERE (? = '' OR p.name LIKE ? OR p.barcode LIKE ? OR p.reference LIKE ? OR p.productType LIKE ?)
-       ORDER BY p.last_updated DESC
+      `SELECT u.id_user, u.username, u.roles, u.last_login, u.is_active, t.enabled_at AS totp_enabled_at
+       FROM users u
+       LEFT JOIN user_totp t ON t.user_id = u.id_user
+       WHERE (? = '' OR u.username LIKE ?)
+       ORDER BY u.is_active DESC, u.username ASC
        LIMIT ? OFFSET ?`,
-      [q, like, like, like, like, limit, offset]
+      [q, like, limit, offset]
     );
 
-    return { total, items: rows || [] };
+    return { total, items: (rows || []).map((u) => Object.assign(publicUser(u), { totp_enabled: Boolean(u.totp_enabled_at) })) };
   }
 );
 
 fastify.post(
-  CFG.apiPrefix + "/products",
+  CFG.apiPrefix + "/users",
   {
-    preHandler: [requireAuth, requireWrite],
+    preHandler: [requireAuth, requirePermission("users.manage")],
+    schema: { body: objectSchema(USER_BODY_PROPERTIES, ["username", "password"]) },
   },
   async (req, reply) => {
     const b = req.body || {};
-    const name = typeof b.name === "string" ? b.name.trim() : "";
-    if (!name) return sendError(reply, 400, "Missing name");
+    const username = typeof b.username === "string" ? b.username.trim() : "";
+    if (!USERNAME_RE.test(username)) return sendFieldError(reply, "username", "Invalid username (2-64 letters, digits, . _ @ -)");
+    const roles = parseRolesInput(b.roles == null ? [] : b.roles);
+    if (!roles) return sendFieldError(reply, "roles", "Invalid roles");
+    const passwordError = checkPassword(b.password, username);
+    if (passwordError) return sendFieldError(reply, "password", passwordError);
 
-    const barcode = typeof b.barcode === "string" ? b.barcode.trim() : "";
-    const reference = typeof b.reference === "string" ? b.reference.trim() : "";
-    const description = typeof b.description === "string" ? b.description : "";
-    const productType = typeof b.productType === "string" ? b.productType.trim() : "";
-    const quantity = b.quantity == null ? null : Number(b.quantity);
-    const purchasePrice = b.purchasePrice == null ? null : Number(b.purchasePrice);
-    const price = b.price == null ? null : Number(b.price);
+    if (await getUserByUsername(username)) return sendError(reply, 409, "Username already taken");
 
-    const [res] = await pool.query(
-      `INSERT INTO products
-         (barcode, reference, name, description, quantity, purchasePrice, price, productType, last_updated, is_synced)
-       VALUES
-         (?, ?, ?, ?, ?, ?, ?, ?, NOW(), 0)`,
-      [barcode, reference, name, description, quantity, purchasePrice, price, productType]
-    );
+    const rolesValue = serializeRoles(roles, await sampleRoles(pool));
+    const isActive = b.isActive === false ? 0 : 1;
+    const hash = await bcrypt.hash(b.password, 12);
+    const [res] = HAS_PASSWORD_HASH_COLUMN
+      ? await pool.query(`INSERT INTO users (username, password, password_hash, roles, is_active) VALUES (?, '', ?, ?, ?)`, [
+          username,
+          hash,
+          rolesValue,
+          isActive,
+        ])
+      : await pool.query(`INSERT INTO users (username, password, roles, is_active) VALUES (?, ?, ?, ?)`, [username, hash, rolesValue, isActive]);
+    // The admin picked this password: the user replaces it at first sign-in.
+    await setPasswordState(pool, res.insertId, "temporary");
+    await writeAudit(pool, req, { action: "create", entity: "user", entityId: res.insertId, after: await auditSnapshot(pool, "user", res.insertId) });
 
-    reply.code(201).send({ id_product: res.insertId });
+    reply.code(201).send({ user: publicUser(await getUserById(res.insertId)) });
   }
 );
 
 fastify.patch(
-  CFG.apiPrefix + "/products/:id",
+  CFG.apiPrefix + "/users/:id",
   {
-    preHandler: [requireAuth, requireWrite],
+    preHandler: [requireAuth, requirePermission("users.manage")],
+    schema: {
+      params: ID_PARAMS_SCHEMA,
+      body: objectSchema({ username: USER_BODY_PROPERTIES.username, roles: USER_BODY_PROPERTIES.roles, isActive: USER_BODY_PROPERTIES.isActive }),
+    },
   },
   async (req, reply) => {
     const idRaw = req.params && req.params.id;
     const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
     if (!id) return sendError(reply, 400, "Invalid id");
 
+    const current = await getUserById(id);
+    if (!current) return sendError(reply, 404, "Not found");
+
     const b = req.body || {};
     const fields = [];
     const values = [];
 
-    function setField(col, val) {
-      fields.push(`${col} = ?`);
-      values.push(val);
+    if (b.username !== undefined) {
+      const username = typeof b.username === "string" ? b.username.trim() : "";
+      if (!USERNAME_RE.test(username)) return sendFieldError(reply, "username", "Invalid username (2-64 letters, digits, . _ @ -)");
+      const other = await getUserByUsername(username);
+      if (other && other.id_user !== id) return sendError(reply, 409, "Username already taken");
+      fields.push("username = ?");
+      values.push(username);
     }
 
-    if (typeof b.name === "string") setField("name", b.name.trim());
-    if (typeof b.barcode === "string") setField("barcode", b.barcode.trim());
-    if (typeof b.reference === "string") setField("reference", b.reference.trim());
-    if (typeof b.description === "string") setField("description", b.description);
-    if (typeof b.productType === "string") setField("productType", b.productType.trim());
-    if (b.quantity !== undefined) setField("quantity", b.quantity == null ? null : Number(b.quantity));
-    if (b.purchasePrice !== undefined) setField("purchasePrice", b.purchasePrice == null ? null : Number(b.purchasePrice));
-    if (b.price !== undefined) setField("price", b.price == null ? null : Number(b.price));
+    let roles = null;
+    if (b.roles !== undefined) {
+      roles = parseRolesInput(b.roles);
+      if (!roles) return sendFieldError(reply, "roles", "Invalid roles");
+      fields.push("roles = ?");
+      values.push(serializeRoles(roles, current.roles || (await sampleRoles(pool))));
+    }
+
+    if (b.isActive !== undefined) {
+      fields.push("is_active = ?");
+      values.push(b.isActive ? 1 : 0);
+    }
 
     if (!fields.length) return sendError(reply, 400, "No fields to update");
 
-    fields.push("last_updated = NOW()");
-    fields.push("is_synced = 0");
-    values.push(id);
+    // An admin cannot lock themselves out (the last admin would have to edit the table by hand again).
+    if (id === req.cagUser.id_user && (b.isActive === false || (roles && !(await permissionsFor({ roles })).includes("users.manage")))) {
+      return sendError(reply, 400, "You cannot deactivate your own account or remove your own users.manage permission");
+    }
 
-    const [res] = await pool.query(`UPDATE products SET ${fields.join(", ")} WHERE id_product = ?`, values);
-    if (!res.affectedRows) return sendError(reply, 404, "Not found");
-    reply.send({ ok: true });
+    const before = await auditSnapshot(pool, "user", id);
+    values.push(id);
+    await pool.query(`UPDATE users SET ${fields.join(", ")} WHERE id_user = ?`, values);
+    if (b.isActive === false) await revokeUserSessions(pool, id);
+    await writeAudit(pool, req, { action: "update", entity: "user", entityId: id, before, after: await auditSnapshot(pool, "user", id) });
+    reply.send({ user: publicUser(await getUserById(id)) });
   }
 );
 
-fastify.delete(
-  CFG.apiPrefix + "/products/:id",
+fastify.post(
+  CFG.apiPrefix + "/users/:id/password",
   {
-    preHandler: [requireAuth, requireWrite],
+    preHandler: [requireAuth, requirePermission("users.manage")],
+    schema: { params: ID_PARAMS_SCHEMA, body: objectSchema({ password: USER_BODY_PROPERTIES.password }, ["password"]) },
   },
   async (req, reply) => {
     const idRaw = req.params && req.params.id;
     const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
     if (!id) return sendError(reply, 400, "Invalid id");
 
-    try {
-      const [res] = await pool.query(`DELETE FROM products WHERE id_product = ?`, [id]);
-      if (!res.affectedRows) return sendError(reply, 404, "Not found");
-      reply.send({ ok: true });
-    } catch (e) {
-      // Most likely FK/constraint if you have them.
-      return sendError(reply, 409, "Cannot delete product (in use)", { hint: "Prefer deactivate/archiving instead of deleting if you need history." });
-    }
+    const target = await getUserById(id);
+    if (!target) return sendError(reply, 404, "Not found");
+    const password = req.body && req.body.password;
+    const passwordError = checkPassword(password, target.username);
+    if (passwordError) return sendFieldError(reply, "password", passwordError);
+
+    if (!(await storePassword(pool, id, password))) return sendError(reply, 404, "Not found");
+    // An admin resetting their own password keeps it; anyone else gets a temporary one.
+    await setPasswordState(pool, id, id === req.cagUser.id_user ? null : "temporary");
+    await revokeUserSessions(pool, id);
+    await writeAudit(pool, req, { action: "password_reset", entity: "user", entityId: id });
+    reply.send({ ok: true });
   }
 );
 
-// ---- OFFERS ----
-fastify.get(
-  CFG.apiPrefix + "/offers",
+// Logs the user out everywhere (lost phone, shared till). Their next request gets a 401.
+fastify.post(
+  CFG.apiPrefix + "/users/:id/sessions/revoke",
   {
-    preHandler: requireAuth,
+    preHandler: [requireAuth, requirePermission("users.manage")],
+    schema: { params: ID_PARAMS_SCHEMA },
   },
-  async (req) => {
-    const q = (req.query && typeof req.query.q === "string" ? req.query.q.trim() : "") || "";
-    const limit = clampInt(req.query && req.query.limit, 1, 100, 20);
-    const offset = clampInt(req.query && req.query.offset, 0, 1_000_000, 0);
-    const like = "%" + q + "%";
-
+  async (req, reply) => {
+    const idRaw = req.params && req.params.id;
+    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+    if (!id) return sendError(reply, 400, "Invalid id");
+    if (!(await getUserById(id))) return sendError(reply, 404, "Not found");
+    const revoked = await revokeUserSessions(pool, id);
+    await writeAudit(pool, req, { action: "sessions_revoke", entity: "user", entityId: id, after: { revoked } });
+    reply.send({ revoked });
+  }
+);
+
+// Lost phone: turns 2FA off so the user can sign in with the password and enrol again.
+fastify.post(
+  CFG.apiPrefix + "/users/:id/totp/reset",
+  {
+    preHandler: [requireAuth, requirePermission("users.manage")],
+    schema: { params: ID_PARAMS_SCHEMA },
+  },
+  async (req, reply) => {
+    const idRaw = req.params && req.params.id;
+    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+    if (!id) return sendError(reply, 400, "Invalid id");
+    if (!(await getUserById(id))) return sendError(reply, 404, "Not found");
+    await pool.query(`DELETE FROM user_totp WHERE user_id = ?`, [id]);
+    await pool.query(`DELETE FROM user_recovery_codes WHERE user_id = ?`, [id]);
+    await writeAudit(pool, req, { action: "totp_reset", entity: "user", entityId: id });
+    reply.send({ ok: true });
+  }
+);
+
+// Accounts still on a plaintext users.password (storage "plaintext", or "none" when empty), accounts
+// waiting for their holder to pick a new password, and accounts that sign in with a bcrypt password_hash
+// but still have a readable users.password next to it (plaintextLeft: see MIGRATE_PLAINTEXT_PASSWORDS_OVERWRITE).
+// Password values never leave the server.
+fastify.get(
+  CFG.apiPrefix + "/users/password-report",
+  {
+    preHandler: [requireAuth, requirePermission("users.manage")],
+  },
+  async () => {
+    const [rows] = await pool.query(
+      `SELECT u.id_user, u.username, u.roles, u.last_login, u.is_active, u.password${HAS_PASSWORD_HASH_COLUMN ? ", u.password_hash" : ""},
+              s.must_change, s.reason, s.changed_at
+       FROM users u
+       LEFT JOIN user_password_state s ON s.user_id = u.id_user
+       ORDER BY u.username ASC`
+    );
+    const items = [];
+    for (const u of rows || []) {
+      const hashed = passwordLooksHashed(HAS_PASSWORD_HASH_COLUMN ? u.password_hash || "" : "") || passwordLooksHashed(u.password || "");
+      const storage = hashed ? "bcrypt" : u.password ? "plaintext" : "none";
+      const plaintextLeft = Boolean(u.password) && !passwordLooksHashed(u.password);
+      const mustChange = Boolean(Number(u.must_change));
+      if (hashed && !mustChange && !plaintextLeft) continue;
+      items.push(
+        Object.assign(publicUser(u), {
+          storage,
+          plaintextLeft,
+          mustChange,
+          reason: u.reason || null,
+          changed_at: u.changed_at || null,
+        })
+      );
+    }
+    return { total: items.length, items };
+  }
+);
+
+fastify.get(
+  CFG.apiPrefix + "/login-attempts",
+  {
+    preHandler: [requireAuth, requirePermission("users.manage")],
+    schema: {
+      querystring: objectSchema(
+        Object.assign({ username: { type: "string" }, ip: { type: "string" }, outcome: { type: "string", enum: LOGIN_OUTCOMES } }, PAGING_PROPERTIES)
+      ),
+    },
+  },
+  async (req, reply) => {
+    const q = req.query || {};
+    const limit = clampInt(q.limit, 1, 100, 50);
+    const offset = clampInt(q.offset, 0, 1_000_000, 0);
+    const where = ["1=1"];
+    const params = [];
+    if (typeof q.username === "string" && q.username.trim()) {
+      where.push("username = ?");
+      params.push(q.username.trim());
+    }
+    if (typeof q.ip === "string" && q.ip.trim()) {
+      where.push("ip = ?");
+      params.push(q.ip.trim());
+    }
+    if (q.outcome) {
+      if (!LOGIN_OUTCOMES.includes(q.outcome)) return sendError(reply, 400, `Invalid outcome (expected ${LOGIN_OUTCOMES.join(", ")})`);
+      where.push("outcome = ?");
+      params.push(q.outcome);
+    }
+
+    const [totalRows] = await pool.query(`SELECT COUNT(*) AS total FROM login_attempts WHERE ${where.join(" AND ")}`, params);
+    const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
+    const [rows] = await pool.query(
+      `SELECT id_attempt, username, user_id, ip, user_agent, outcome, created_at
+       FROM login_attempts
+       WHERE ${where.join(" AND ")}
+       ORDER BY id_attempt DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    reply.send({ total, items: rows || [] });
+  }
+);
+
+fastify.get(
+  CFG.apiPrefix + "/permissions",
+  {
+    preHandler: [requireAuth, requirePermission("users.manage")],
+  },
+  async () => {
+    const map = await loadRolePermissions();
+    const roles = {};
+    for (const role of [...map.keys()].sort()) roles[role] = Object.keys(PERMISSIONS).filter((perm) => map.get(role).has(perm));
+    return {
+      permissions: Object.keys(PERMISSIONS).map((name) => ({ name, description: PERMISSIONS[name] })),
+      roles,
+    };
+  }
+);
+
+// Replaces the permissions of one role. An empty list removes the role from the table.
+fastify.put(
+  CFG.apiPrefix + "/permissions/:role",
+  {
+    preHandler: [requireAuth, requirePermission("users.manage")],
+    schema: {
+      params: objectSchema({ role: { type: "string", pattern: "^[A-Za-z0-9_-]{1,32}$" } }, ["role"]),
+      body: objectSchema({ permissions: { type: "array", items: { type: "string" } } }, ["permissions"]),
+    },
+  },
+  async (req, reply) => {
+    const role = String((req.params && req.params.role) || "").toLowerCase();
+    if (!ROLE_RE.test(role)) return sendError(reply, 400, "Invalid role");
+    const list = req.body && req.body.permissions;
+    if (!Array.isArray(list)) return sendError(reply, 400, "Missing permissions (array)");
+    const unknown = list.filter((perm) => !Object.prototype.hasOwnProperty.call(PERMISSIONS, perm));
+    if (unknown.length) return sendFieldError(reply, "permissions", `Unknown permission: ${unknown.join(", ")}`);
+    const perms = Object.keys(PERMISSIONS).filter((perm) => list.includes(perm));
+
+    // Same lock-out rule as PATCH /users/:id.
+    const ownRoles = parseRoles(req.cagUser.roles).map((r) => String(r).toLowerCase());
+    if (CFG.enforceRoles && ownRoles.includes(role) && !perms.includes("users.manage")) {
+      const map = await loadRolePermissions();
+      const keeps = ownRoles.some((r) => r !== role && map.has(r) && map.get(r).has("users.manage"));
+      if (!keeps) return sendError(reply, 400, "You cannot remove your own users.manage permission");
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const before = await auditSnapshot(conn, "role", role);
+      await conn.query(`DELETE FROM role_permissions WHERE role = ?`, [role]);
+      if (perms.length) await conn.query(`INSERT INTO role_permissions (role, permission) VALUES ?`, [perms.map((perm) => [role, perm])]);
+      await writeAudit(conn, req, { action: "permissions", entity: "role", entityId: role, before, after: { role, permissions: perms } });
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+    rolePermissionsCache = null;
+    reply.send({ role, permissions: perms });
+  }
+);
+
+// ---- AUDIT ----
+// GET /audit?entity&entityId&userId&action&from&to&limit&offset, newest first, before / after parsed.
+fastify.get(
+  CFG.apiPrefix + "/audit",
+  {
+    preHandler: [requireAuth, requirePermission("users.manage")],
+    schema: {
+      querystring: objectSchema(
+        Object.assign(
+          {
+            entity: { type: "string", enum: AUDIT_ENTITIES },
+            entityId: { type: "string" },
+            userId: { type: "integer", minimum: 1 },
+            action: { type: "string" },
+            from: ISO_DATE_SCHEMA,
+            to: ISO_DATE_SCHEMA,
+          },
+          PAGING_PROPERTIES
+        )
+      ),
+    },
+  },
+  async (req, reply) => {
+    const q = req.query || {};
+    const limit = clampInt(q.limit, 1, 100, 50);
+    const offset = clampInt(q.offset, 0, 1_000_000, 0);
+    const where = ["1=1"];
+    const params = [];
+    if (q.entity) {
+      if (!AUDIT_ENTITIES.includes(q.entity)) return sendError(reply, 400, `Invalid entity (expected ${AUDIT_ENTITIES.join(", ")})`);
+      where.push("entity = ?");
+      params.push(q.entity);
+    }
+    if (typeof q.entityId === "string" && q.entityId.trim()) {
+      where.push("entity_id = ?");
+      params.push(q.entityId.trim());
+    }
+    if (q.userId != null && q.userId !== "") {
+      if (!/^\d+$/.test(String(q.userId))) return sendError(reply, 400, "Invalid userId");
+      where.push("user_id = ?");
+      params.push(Number(q.userId));
+    }
+    if (typeof q.action === "string" && q.action.trim()) {
+      where.push("action = ?");
+      params.push(q.action.trim());
+    }
+    if (q.from || q.to) {
+      const r = rangeToSql(q.from, q.to);
+      if (!r) return sendError(reply, 400, "Invalid from/to (expected YYYY-MM-DD)");
+      where.push("created_at >= ? AND created_at < ?");
+      params.push(r.from, r.toExcl);
+    }
+
+    const [totalRows] = await pool.query(`SELECT COUNT(*) AS total FROM audit_log WHERE ${where.join(" AND ")}`, params);
+    const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
+    const [rows] = await pool.query(
+      `SELECT id_audit, created_at, user_id, username, method, route, action, entity, entity_id, before_json, after_json, ip, user_agent
+       FROM audit_log
+       WHERE ${where.join(" AND ")}
+       ORDER BY id_audit DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    // Product images carry purchase prices: same rule as the product listings.
+    const hidePurchase = !hasPermission(req, "reports.view_profit");
+    const image = (raw) => {
+      let v = null;
+      try {
+        v = raw == null ? null : JSON.parse(raw);
+      } catch (_) {
+        v = null;
+      }
+      if (hidePurchase && v && typeof v === "object" && "purchasePrice" in v) v.purchasePrice = null;
+      return v;
+    };
+    reply.send({
+      total,
+      items: (rows || []).map(({ before_json: beforeJson, after_json: afterJson, ...a }) =>
+        Object.assign(a, { before: image(beforeJson), after: image(afterJson) })
+      ),
+    });
+  }
+);
+
+// ---- DASHBOARD ----
+// KPIs and the per-day series for one range (r from rangeToSql). Shared by the summary and its comparison window.
+async function loadPeriodTotals(db, r) {
+  const [kpiRows] = await db.query(
+    `SELECT
+       COALESCE(SUM(s.total_amount - COALESCE(rf.refunded, 0)), 0) AS revenue,
+       COALESCE(SUM(COALESCE(rf.voided, 0) = 0), 0) AS salesCount
+     FROM sales s
+     ${SALE_REFUNDS_JOIN}
+     WHERE s.last_updated >= ? AND s.last_updated < ?`,
+    [r.from, r.toExcl]
+  );
+  const kpis = kpiRows && kpiRows[0] ? kpiRows[0] : { revenue: 0, salesCount: 0 };
+
+  const [profitRows] = await db.query(
+    `SELECT
+       COALESCE(SUM(
+         (COALESCE(sd.total_price, sd.price * sd.quantity) - COALESCE(rl.amount, 0))
+         - (COALESCE(p.purchasePrice, 0) * (sd.quantity - COALESCE(rl.qty, 0)))
+       ), 0) AS profit
+     FROM sales_details sd
+     JOIN sales s ON s.id_sale = sd.sale_id
+     LEFT JOIN products p ON p.id_product = sd.product_id
+     ${DETAIL_REFUNDS_JOIN}
+     WHERE s.last_updated >= ? AND s.last_updated < ?`,
+    [r.from, r.toExcl]
+  );
+  const profit = profitRows && profitRows[0] ? profitRows[0].profit : 0;
+
+  // Hourly UTC buckets: grouped by business day here, by hour / weekday in the summary route.
+  const [hourRows] = await db.query(
+    `SELECT
+       DATE_FORMAT(s.last_updated, '%Y-%m-%d %H:00:00') AS bucket,
+       COALESCE(SUM(s.total_amount - COALESCE(rf.refunded, 0)), 0) AS revenue,
+       COALESCE(SUM(COALESCE(rf.voided, 0) = 0), 0) AS salesCount
+     FROM sales s
+     ${SALE_REFUNDS_JOIN}
+     WHERE s.last_updated >= ? AND s.last_updated < ?
+     GROUP BY bucket
+     ORDER BY bucket ASC`,
+    [r.from, r.toExcl]
+  );
+  const hours = (hourRows || []).map((x) => ({
+    at: new Date(String(x.bucket).replace(" ", "T") + "Z"),
+    revenue: Number(x.revenue),
+    salesCount: Number(x.salesCount),
+  }));
+
+  const days = new Map();
+  for (const h of hours) {
+    const date = businessParts(h.at).date;
+    const day = days.get(date) || { date, revenue: 0, salesCount: 0 };
+    day.revenue += h.revenue;
+    day.salesCount += h.salesCount;
+    days.set(date, day);
+  }
+
+  return {
+    kpis: {
+      revenue: Number(kpis.revenue),
+      profit: Number(profit),
+      salesCount: Number(kpis.salesCount),
+      avgTicket: kpis.salesCount ? Number(kpis.revenue) / Number(kpis.salesCount) : 0,
+    },
+    series: [...days.values()].map((x) => ({
+      date: x.date,
+      revenue: round2(x.revenue),
+      salesCount: x.salesCount,
+      avgTicket: x.salesCount ? x.revenue / x.salesCount : null,
+    })),
+    hours,
+  };
+}
+
+fastify.get(
+  CFG.apiPrefix + "/dashboard/summary",
+  {
+    preHandler: requireAuth,
+    schema: {
+      querystring: objectSchema({ from: ISO_DATE_SCHEMA, to: ISO_DATE_SCHEMA, compare: { type: "string", enum: COMPARE_MODES } }, ["from", "to"]),
+    },
+  },
+  async (req, reply) => {
+    const fromIso = req.query && req.query.from;
+    const toIso = req.query && req.query.to;
+    const r = rangeToSql(fromIso, toIso);
+    if (!r) return sendError(reply, 400, "Invalid from/to (expected YYYY-MM-DD)");
+    const compareMode = (req.query && req.query.compare) || "";
+    if (compareMode && !COMPARE_MODES.includes(compareMode)) {
+      return sendError(reply, 400, `Invalid compare (expected ${COMPARE_MODES.join(" or ")})`);
+    }
+
+    // One snapshot for everything below: a dashboard on the live stream (GET /events) skips new-sale events
+    // up to lastSaleId, so the figures must hold exactly the sales committed up to then. Ids below it still
+    // uncommitted (see LIVE_GAP_WINDOW) are listed in pendingSaleIds and not skipped.
+    const conn = await pool.getConnection();
+    try {
+      await conn.query(`START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY`);
+      const [lastRows] = await conn.query(`SELECT COALESCE(MAX(id_sale), 0) AS id FROM sales`);
+      const lastSaleId = lastRows && lastRows[0] ? Number(lastRows[0].id) : 0;
+      const [recentRows] = await conn.query(`SELECT id_sale FROM sales WHERE id_sale > ?`, [lastSaleId - LIVE_GAP_WINDOW]);
+      const pendingSaleIds = liveMissingIds(lastSaleId, (recentRows || []).map((x) => Number(x.id_sale)));
+      const { kpis, series, hours } = await loadPeriodTotals(conn, r);
+
+      let compare;
+      if (compareMode) {
+        const c = compareRange(fromIso, toIso, compareMode);
+        const prev = await loadPeriodTotals(conn, rangeToSql(c.from, c.to));
+        compare = { mode: compareMode, from: c.from, to: c.to, kpis: prev.kpis, series: prev.series };
+      }
+
+      // Hour of day is wall-clock time; the weekday follows the business day (1 a.m. Saturday counts as Friday).
+      const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, revenue: 0, salesCount: 0 }));
+      const byWeekday = Array.from({ length: 7 }, (_, weekday) => ({ weekday, revenue: 0, salesCount: 0 }));
+      for (const h of hours) {
+        const local = businessParts(h.at);
+        byHour[local.hour].revenue += h.revenue;
+        byHour[local.hour].salesCount += h.salesCount;
+        byWeekday[local.weekday].revenue += h.revenue;
+        byWeekday[local.weekday].salesCount += h.salesCount;
+      }
+      for (const b of [...byHour, ...byWeekday]) b.revenue = round2(b.revenue);
+
+      const [topProductsRows] = await conn.query(
+        `SELECT
+           p.id_product AS id,
+           COALESCE(p.name, CONCAT('Produit #', sd.product_id)) AS name,
+           COALESCE(SUM(sd.quantity - COALESCE(rl.qty, 0)), 0) AS qty,
+           COALESCE(SUM(COALESCE(sd.total_price, sd.price * sd.quantity) - COALESCE(rl.amount, 0)), 0) AS revenue
+         FROM sales_details sd
+         JOIN sales s ON s.id_sale = sd.sale_id
+         LEFT JOIN products p ON p.id_product = sd.product_id
+         ${DETAIL_REFUNDS_JOIN}
+         WHERE s.last_updated >= ? AND s.last_updated < ?
+         GROUP BY p.id_product, p.name, sd.product_id
+         ORDER BY revenue DESC
+         LIMIT 10`,
+        [r.from, r.toExcl]
+      );
+
+      // "Top offers" is best-effort: it attributes sold products that belong to an offer.
+      const [topOffersRows] = await conn.query(
+        `SELECT
+           o.id_offer AS id,
+           o.name AS name,
+           COALESCE(SUM(sd.quantity - COALESCE(rl.qty, 0)), 0) AS qty,
+           COALESCE(SUM(COALESCE(sd.total_price, sd.price * sd.quantity) - COALESCE(rl.amount, 0)), 0) AS revenue
+         FROM sales_details sd
+         JOIN sales s ON s.id_sale = sd.sale_id
+         JOIN product_offers_products op ON op.product_id = sd.product_id
+         JOIN product_offers o ON o.id_offer = op.offer_id
+         ${DETAIL_REFUNDS_JOIN}
+         WHERE s.last_updated >= ? AND s.last_updated < ?
+         GROUP BY o.id_offer, o.name
+         ORDER BY revenue DESC
+         LIMIT 10`,
+        [r.from, r.toExcl]
+      );
+
+      if (!hasPermission(req, "reports.view_profit")) {
+        kpis.profit = null;
+        if (compare) compare.kpis.profit = null;
+      }
+      await conn.commit();
+
+      reply.send({
+        kpis,
+        series,
+        compare,
+        byHour,
+        byWeekday,
+        topProducts: (topProductsRows || []).map((x) => ({ id: x.id, name: x.name, qty: Number(x.qty), revenue: Number(x.revenue) })),
+        topOffers: (topOffersRows || []).map((x) => ({ id: x.id, name: x.name, qty: Number(x.qty), revenue: Number(x.revenue) })),
+        lastSaleId,
+        pendingSaleIds,
+      });
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+// ---- STOCK ----
+// Kinds a user can record by hand. "sale" and "return" are written by the sales routes.
+// receipt/loss take a positive quantity, adjustment a signed delta, inventory the counted quantity.
+const MANUAL_STOCK_KINDS = ["receipt", "loss", "adjustment", "inventory"];
+
+// Every change to products.quantity goes through here so stock_movements tells the whole story.
+// `db` must be a connection inside a transaction: the product row is locked until commit.
+// Pass either `delta` or `counted` (the new absolute quantity). A zero delta is only
+// recorded for inventory counts (a confirmed count is worth keeping).
+async function recordStockMovement(db, m) {
+  const [rows] = await db.query(`SELECT quantity FROM products WHERE id_product = ? LIMIT 1 FOR UPDATE`, [m.productId]);
+  if (!rows || !rows[0]) return null;
+  const before = rows[0].quantity == null ? 0 : Number(rows[0].quantity);
+  const delta = m.counted != null ? m.counted - before : m.delta;
+  const after = before + delta;
+  if (delta === 0 && m.kind !== "inventory") {
+    return { product_id: m.productId, kind: m.kind, delta, quantity_before: before, quantity_after: after };
+  }
+
+  await db.query(`UPDATE products SET quantity = ?, last_updated = NOW(), is_synced = 0 WHERE id_product = ?`, [after, m.productId]);
+  const [res] = await db.query(
+    `INSERT INTO stock_movements
+       (product_id, kind, delta, quantity_before, quantity_after, reason, user_id, sale_id, refund_id, created_at)
+     VALUES
+       (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [m.productId, m.kind, delta, before, after, m.reason || "", m.userId || null, m.saleId || null, m.refundId || null]
+  );
+  return {
+    id_movement: res.insertId,
+    product_id: m.productId,
+    kind: m.kind,
+    delta,
+    quantity_before: before,
+    quantity_after: after,
+    reason: m.reason || "",
+  };
+}
+
+// min_stock / reorder_qty live in an API-owned side table so the POS products table stays untouched.
+// Returns { levels } (only the keys present in the body) or { error }.
+function parseStockLevels(b) {
+  const levels = {};
+  for (const [key, col] of [
+    ["minStock", "min_stock"],
+    ["reorderQty", "reorder_qty"],
+  ]) {
+    if (b[key] === undefined) continue;
+    if (b[key] == null) {
+      levels[col] = null;
+      continue;
+    }
+    const n = Number(b[key]);
+    if (!Number.isInteger(n) || n < 0) return { error: `Invalid ${key}`, field: key };
+    levels[col] = n;
+  }
+  return { levels };
+}
+
+async function saveStockLevels(db, productId, levels) {
+  const cols = Object.keys(levels);
+  if (!cols.length) return;
+  await db.query(
+    `INSERT INTO product_stock_levels (product_id, ${cols.join(", ")}, updated_at)
+     VALUES (?, ${cols.map(() => "?").join(", ")}, NOW())
+     ON DUPLICATE KEY UPDATE ${cols.map((c) => `${c} = VALUES(${c})`).join(", ")}, updated_at = NOW()`,
+    [productId, ...cols.map((c) => levels[c])]
+  );
+}
+
+// `db` is the pool or a transaction connection (so a freshly inserted sale can be read back before commit).
+async function loadSaleWithDetails(db, id) {
+  const [saleRows] = await db.query(
+    `SELECT
+       s.id_sale,
+       s.total_amount,
+       s.notes,
+       s.user_id,
+       u.username,
+       s.last_updated,
+       COALESCE(rf.refunded, 0) AS refunded_amount,
+       COALESCE(rf.voided, 0) AS voided
+     FROM sales s
+     LEFT JOIN users u ON u.id_user = s.user_id
+     ${SALE_REFUNDS_JOIN}
+     WHERE s.id_sale = ?
+     LIMIT 1`,
+    [id]
+  );
+  const sale = saleRows && saleRows[0] ? saleRows[0] : null;
+  if (!sale) return null;
+
+  const [detailRows] = await db.query(
+    `SELECT
+       sd.id_sale_detail,
+       sd.sale_id,
+       sd.product_id,
+       p.name AS product_name,
+       sd.quantity,
+       sd.price,
+       sd.total_price,
+       COALESCE(rl.qty, 0) AS refunded_quantity
+     FROM sales_details sd
+     LEFT JOIN products p ON p.id_product = sd.product_id
+     ${DETAIL_REFUNDS_JOIN}
+     WHERE sd.sale_id = ?
+     ORDER BY sd.id_sale_detail ASC`,
+    [id]
+  );
+
+  const [refundRows] = await db.query(
+    `SELECT
+       r.id_refund,
+       r.kind,
+       r.amount,
+       r.reason,
+       r.restock,
+       r.user_id,
+       u.username,
+       r.created_at
+     FROM sale_refunds r
+     LEFT JOIN users u ON u.id_user = r.user_id
+     WHERE r.sale_id = ?
+     ORDER BY r.id_refund ASC`,
+    [id]
+  );
+  const [refundLineRows] = await db.query(
+    `SELECT rl.refund_id, rl.sale_detail_id, rl.product_id, rl.quantity, rl.amount
+     FROM sale_refund_lines rl
+     JOIN sale_refunds r ON r.id_refund = rl.refund_id
+     WHERE r.sale_id = ?
+     ORDER BY rl.id_refund_line ASC`,
+    [id]
+  );
+
+  return {
+    sale: {
+      id_sale: sale.id_sale,
+      total_amount: Number(sale.total_amount),
+      notes: sale.notes || "",
+      user_id: sale.user_id,
+      username: sale.username || "",
+      last_updated: sale.last_updated,
+      refunded_amount: Number(sale.refunded_amount),
+      voided: Boolean(Number(sale.voided)),
+    },
+    details: (detailRows || []).map((d) => ({
+      id_sale_detail: d.id_sale_detail,
+      sale_id: d.sale_id,
+      product_id: d.product_id,
+      product_name: d.product_name || "",
+      quantity: Number(d.quantity),
+      price: Number(d.price),
+      total_price: d.total_price == null ? null : Number(d.total_price),
+      refunded_quantity: Number(d.refunded_quantity),
+    })),
+    refunds: (refundRows || []).map((r) => ({
+      id_refund: r.id_refund,
+      kind: r.kind,
+      amount: Number(r.amount),
+      reason: r.reason || "",
+      restock: Boolean(Number(r.restock)),
+      user_id: r.user_id,
+      username: r.username || "",
+      created_at: r.created_at,
+      lines: (refundLineRows || [])
+        .filter((l) => l.refund_id === r.id_refund)
+        .map((l) => ({
+          sale_detail_id: l.sale_detail_id,
+          product_id: l.product_id,
+          quantity: Number(l.quantity),
+          amount: Number(l.amount),
+        })),
+    })),
+  };
+}
+
+// ---- SALES ----
+fastify.get(
+  CFG.apiPrefix + "/sales",
+  {
+    preHandler: requireAuth,
+    schema: { querystring: objectSchema(Object.assign({}, SALES_QUERY_PROPERTIES, PAGING_PROPERTIES), ["from", "to"]) },
+  },
+  async (req, reply) => {
+    const f = salesFilter(req.query || {});
+    if (!f) return sendError(reply, 400, "Invalid from/to (expected YYYY-MM-DD)");
+
+    const limit = clampInt(req.query && req.query.limit, 1, 100, 20);
+    const offset = clampInt(req.query && req.query.offset, 0, 1_000_000, 0);
+
+    const [totalRows] = await pool.query(
+      `SELECT COUNT(*) AS total
+       FROM sales s
+       LEFT JOIN users u ON u.id_user = s.user_id
+       WHERE ${f.where}`,
+      f.params
+    );
+    const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
+
+    const [rows] = await pool.query(
+      `SELECT
+         s.id_sale,
+         s.total_amount,
+         s.notes,
+         s.user_id,
+         u.username,
+         s.last_updated,
+         COALESCE(rf.refunded, 0) AS refunded_amount,
+         COALESCE(rf.voided, 0) AS voided,
+         (
+           SELECT COALESCE(SUM(sd.quantity), 0)
+           FROM sales_details sd
+           WHERE sd.sale_id = s.id_sale
+         ) AS items_count
+       FROM sales s
+       LEFT JOIN users u ON u.id_user = s.user_id
+       ${SALE_REFUNDS_JOIN}
+       WHERE ${f.where}
+       ORDER BY s.last_updated DESC
+       LIMIT ? OFFSET ?`,
+      [...f.params, limit, offset]
+    );
+
+    reply.send({
+      total,
+      items: (rows || []).map((x) => ({
+        id_sale: x.id_sale,
+        total_amount: Number(x.total_amount),
+        notes: x.notes || "",
+        user_id: x.user_id,
+        username: x.username || "",
+        last_updated: x.last_updated,
+        items_count: Number(x.items_count),
+        refunded_amount: Number(x.refunded_amount),
+        voided: Boolean(Number(x.voided)),
+      })),
+    });
+  }
+);
+
+fastify.get(
+  CFG.apiPrefix + "/sales/:id",
+  {
+    preHandler: requireAuth,
+    schema: { params: ID_PARAMS_SCHEMA },
+  },
+  async (req, reply) => {
+    const saleId = req.params && req.params.id;
+    const id = /^\d+$/.test(String(saleId)) ? Number(saleId) : null;
+    if (!id) return sendError(reply, 400, "Invalid sale id");
+
+    const r = await loadSaleWithDetails(pool, id);
+    if (!r) return sendError(reply, 404, "Not found");
+    reply.send(r);
+  }
+);
+
+const MAX_SALE_LINES = 200;
+const MAX_LINE_QTY = 10_000;
+
+function parsePositiveInt(v, max) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > max) return null;
+  return n;
+}
+
+// Cart lines are either { productId, quantity, price? } or { offerId, quantity, price?, items? }.
+// `price` is the unit price the client displayed; when present it must match the current DB price.
+// `items` ([{ productId, quantity }]) lists the products that fill an offer bundle.
+function parseSaleLines(raw) {
+  if (!Array.isArray(raw) || !raw.length) return { error: "Missing items" };
+  if (raw.length > MAX_SALE_LINES) return { error: `Too many items (max ${MAX_SALE_LINES})` };
+
+  const lines = [];
+  for (let i = 0; i < raw.length; i++) {
+    const it = raw[i] || {};
+    const quantity = parsePositiveInt(it.quantity == null ? 1 : it.quantity, MAX_LINE_QTY);
+    if (!quantity) return { error: `Invalid quantity on line ${i + 1}` };
+    const price = it.price == null ? null : Number(it.price);
+    if (price != null && !Number.isFinite(price)) return { error: `Invalid price on line ${i + 1}` };
+
+    if (it.offerId != null) {
+      const offerId = parsePositiveInt(it.offerId, Number.MAX_SAFE_INTEGER);
+      if (!offerId) return { error: `Invalid offerId on line ${i + 1}` };
+      let items = null;
+      if (it.items != null) {
+        if (!Array.isArray(it.items) || !it.items.length) return { error: `Invalid offer items on line ${i + 1}` };
+        items = [];
+        for (const sub of it.items) {
+          const productId = parsePositiveInt(sub && sub.productId, Number.MAX_SAFE_INTEGER);
+          const subQty = parsePositiveInt(sub && sub.quantity != null ? sub.quantity : 1, MAX_LINE_QTY);
+          if (!productId || !subQty) return { error: `Invalid offer items on line ${i + 1}` };
+          items.push({ productId, quantity: subQty });
+        }
+      }
+      lines.push({ line: i + 1, offerId, quantity, price, items });
+    } else {
+      const productId = parsePositiveInt(it.productId, Number.MAX_SAFE_INTEGER);
+      if (!productId) return { error: `Invalid productId on line ${i + 1}` };
+      lines.push({ line: i + 1, productId, quantity, price });
+    }
+  }
+  return { lines };
+}
+
+const SALE_LINE_QTY_SCHEMA = { type: ["integer", "null"], minimum: 1, maximum: MAX_LINE_QTY };
+
+// Shape only: parseSaleLines still checks that each line names a product or an offer.
+const SALE_BODY_SCHEMA = objectSchema(
+  {
+    notes: { type: "string" },
+    items: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_SALE_LINES,
+      items: objectSchema({
+        productId: { type: "integer", minimum: 1 },
+        offerId: { type: "integer", minimum: 1 },
+        quantity: SALE_LINE_QTY_SCHEMA,
+        price: { type: ["number", "null"] },
+        items: {
+          type: "array",
+          minItems: 1,
+          items: objectSchema({ productId: { type: "integer", minimum: 1 }, quantity: SALE_LINE_QTY_SCHEMA }, ["productId"]),
+        },
+      }),
+    },
+  },
+  ["items"]
+);
+
+function pricesDiffer(a, b) {
+  return Math.abs(Number(a) - Number(b)) > 0.005;
+}
+
+// Spread `total` pro rata to `weights`, in cents, so the rounded parts add up exactly.
+function allocateCents(total, weights) {
+  const cents = Math.round(total * 100);
+  const sum = weights.reduce((acc, w) => acc + w, 0);
+  const out = weights.map((w) => (sum > 0 ? Math.floor((cents * w) / sum) : Math.floor(cents / weights.length)));
+  let rest = cents - out.reduce((acc, c) => acc + c, 0);
+  for (let i = 0; rest > 0; i = (i + 1) % out.length, rest--) out[i] += 1;
+  return out.map((c) => c / 100);
+}
+
+// Turns validated cart lines into sales_details rows. Offers are recorded as their component
+// products (sales_details has no offer column), with the bundle price spread over them.
+// Returns { rows } or { status, message, extra } for the first line that does not check out.
+function buildSaleRows(lines, productsById, offersById) {
+  const rows = [];
+  for (const l of lines) {
+    if (l.offerId == null) {
+      const p = productsById.get(l.productId);
+      if (!p) return { status: 400, message: `Unknown product #${l.productId}`, extra: { line: l.line } };
+      if (p.archived_at) return { status: 409, message: `Product #${l.productId} is archived`, extra: { line: l.line } };
+      if (p.price == null) return { status: 400, message: `Product #${l.productId} has no price`, extra: { line: l.line } };
+      if (l.price != null && pricesDiffer(l.price, p.price)) {
+        return { status: 409, message: "Price changed", extra: { line: l.line, productId: l.productId, price: Number(p.price) } };
+      }
+      rows.push({ productId: l.productId, quantity: l.quantity, price: Number(p.price), totalPrice: round2(Number(p.price) * l.quantity) });
+      continue;
+    }
+
+    const o = offersById.get(l.offerId);
+    if (!o) return { status: 400, message: `Unknown offer #${l.offerId}`, extra: { line: l.line } };
+    if (o.archived) return { status: 409, message: `Offer #${l.offerId} is archived`, extra: { line: l.line } };
+    if (o.price == null) return { status: 400, message: `Offer #${l.offerId} has no price`, extra: { line: l.line } };
+    if (l.price != null && pricesDiffer(l.price, o.price)) {
+      return { status: 409, message: "Price changed", extra: { line: l.line, offerId: l.offerId, price: Number(o.price) } };
+    }
+
+    const perBundle = o.quantity != null && Number(o.quantity) > 0 ? Number(o.quantity) : null;
+    let items = l.items;
+    if (!items) {
+      if (o.productIds.length !== 1) return { status: 400, message: `Offer #${l.offerId} requires items`, extra: { line: l.line } };
+      items = [{ productId: o.productIds[0], quantity: (perBundle || 1) * l.quantity }];
+    }
+    for (const it of items) {
+      if (!o.productIds.includes(it.productId)) {
+        return { status: 400, message: `Product #${it.productId} is not part of offer #${l.offerId}`, extra: { line: l.line } };
+      }
+      if (!productsById.has(it.productId)) return { status: 400, message: `Unknown product #${it.productId}`, extra: { line: l.line } };
+    }
+    const itemsQty = items.reduce((acc, it) => acc + it.quantity, 0);
+    if (perBundle && itemsQty !== perBundle * l.quantity) {
+      return { status: 400, message: `Offer #${l.offerId} expects ${perBundle * l.quantity} products`, extra: { line: l.line } };
+    }
+
+    const weights = items.map((it) => {
+      const p = productsById.get(it.productId);
+      return (p.price == null ? 1 : Number(p.price)) * it.quantity;
+    });
+    const totals = allocateCents(Number(o.price) * l.quantity, weights);
+    items.forEach((it, idx) => {
+      rows.push({ productId: it.productId, quantity: it.quantity, price: round2(totals[idx] / it.quantity), totalPrice: totals[idx] });
+    });
+  }
+  return { rows };
+}
+
+// Writes the sale, its sales_details rows and the stock movements on a transaction connection.
+// soldAt (Date) backdates an offline sale pushed by a POS terminal; null means now.
+async function insertSale(conn, userId, rows, notes, soldAt) {
+  const total = round2(rows.reduce((acc, r) => acc + r.totalPrice, 0));
+  const [res] = await conn.query(
+    `INSERT INTO sales (total_amount, notes, user_id, last_updated)
+     VALUES (?, ?, ?, COALESCE(?, NOW()))`,
+    [total, notes, userId, soldAt ? sqlDateTime(soldAt) : null]
+  );
+  const saleId = res.insertId;
+
+  const stockDelta = new Map();
+  for (const r of rows) {
+    await conn.query(
+      `INSERT INTO sales_details (sale_id, product_id, quantity, price, total_price)
+       VALUES (?, ?, ?, ?, ?)`,
+      [saleId, r.productId, r.quantity, r.price, r.totalPrice]
+    );
+    stockDelta.set(r.productId, (stockDelta.get(r.productId) || 0) + r.quantity);
+  }
+  for (const [pid, qty] of stockDelta) {
+    await recordStockMovement(conn, { productId: pid, kind: "sale", delta: -qty, reason: `Vente #${saleId}`, userId, saleId });
+  }
+  return saleId;
+}
+
+fastify.post(
+  CFG.apiPrefix + "/sales",
+  {
+    preHandler: [requireAuth, requirePermission("sales.create")],
+    schema: { body: SALE_BODY_SCHEMA },
+  },
+  async (req, reply) => {
+    const b = req.body || {};
+    const notes = typeof b.notes === "string" ? b.notes.trim() : "";
+    const parsed = parseSaleLines(b.items);
+    if (parsed.error) return sendError(reply, 400, parsed.error);
+    const lines = parsed.lines;
+
+    const offerIds = [...new Set(lines.filter((l) => l.offerId != null).map((l) => l.offerId))];
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const offersById = new Map();
+      if (offerIds.length) {
+        const [offerRows] = await conn.query(
+          `SELECT
+             o.id_offer,
+             o.quantity,
+             o.price,
+             oa.archived_at,
+             GROUP_CONCAT(op.product_id ORDER BY op.product_id) AS product_ids
+           FROM product_offers o
+           LEFT JOIN product_offers_products op ON op.offer_id = o.id_offer
+           LEFT JOIN offer_archive oa ON oa.offer_id = o.id_offer
+           WHERE o.id_offer IN (?)
+           GROUP BY o.id_offer, oa.archived_at`,
+          [offerIds]
+        );
+        for (const o of offerRows || []) {
+          offersById.set(o.id_offer, {
+            quantity: o.quantity,
+            price: o.price,
+            archived: o.archived_at != null,
+            productIds: o.product_ids ? String(o.product_ids).split(",").map(Number) : [],
+          });
+        }
+      }
+
+      const productIds = new Set();
+      for (const l of lines) {
+        if (l.productId != null) productIds.add(l.productId);
+        if (l.offerId != null) {
+          const o = offersById.get(l.offerId);
+          const ids = l.items ? l.items.map((it) => it.productId) : o ? o.productIds : [];
+          ids.forEach((id) => productIds.add(id));
+        }
+      }
+
+      // Lock the product rows: prices are checked and stock decremented in the same transaction.
+      const productsById = new Map();
+      if (productIds.size) {
+        const [productRows] = await conn.query(
+          `SELECT p.id_product, p.price, pa.archived_at
+           FROM products p
+           LEFT JOIN product_archive pa ON pa.product_id = p.id_product
+           WHERE p.id_product IN (?)
+           FOR UPDATE`,
+          [[...productIds]]
+        );
+        for (const p of productRows || []) productsById.set(p.id_product, p);
+      }
+
+      const built = buildSaleRows(lines, productsById, offersById);
+      if (built.message) {
+        await conn.rollback();
+        return sendError(reply, built.status, built.message, built.extra);
+      }
+
+      const saleId = await insertSale(conn, req.cagUser.id_user, built.rows, notes, null);
+      const created = await loadSaleWithDetails(conn, saleId);
+      await writeAudit(conn, req, { action: "create", entity: "sale", entityId: saleId, after: created });
+      await conn.commit();
+      reply.code(201).send(created);
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+const MAX_REASON_LENGTH = 255;
+
+const REFUND_BODY_PROPERTIES = {
+  reason: { type: "string", maxLength: MAX_REASON_LENGTH },
+  restock: { type: "boolean" },
+};
+
+// Shared by refund and void: works out what is still refundable on each sales_details line,
+// writes sale_refunds + sale_refund_lines and optionally puts the goods back in stock.
+async function recordSaleRefund(req, reply, kind) {
+  const idRaw = req.params && req.params.id;
+  const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+  if (!id) return sendError(reply, 400, "Invalid sale id");
+
+  const b = req.body || {};
+  const reason = typeof b.reason === "string" ? b.reason.trim() : "";
+  if (!reason) return sendFieldError(reply, "reason", "Missing reason");
+  if (reason.length > MAX_REASON_LENGTH) return sendFieldError(reply, "reason", `Reason too long (max ${MAX_REASON_LENGTH})`);
+  const restock = b.restock === undefined ? true : Boolean(b.restock);
+
+  // Refunds may target some lines only ([{ saleDetailId, quantity }]); a void always takes everything left.
+  let wanted = null;
+  if (kind === "refund" && b.lines != null) {
+    if (!Array.isArray(b.lines) || !b.lines.length) return sendError(reply, 400, "Invalid lines");
+    wanted = new Map();
+    for (const l of b.lines) {
+      const detailId = parsePositiveInt(l && l.saleDetailId, Number.MAX_SAFE_INTEGER);
+      const qty = parsePositiveInt(l && l.quantity, MAX_LINE_QTY);
+      if (!detailId || !qty) return sendError(reply, 400, "Invalid lines");
+      wanted.set(detailId, (wanted.get(detailId) || 0) + qty);
+    }
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [saleRows] = await conn.query(`SELECT id_sale, total_amount FROM sales WHERE id_sale = ? LIMIT 1 FOR UPDATE`, [id]);
+    const sale = saleRows && saleRows[0] ? saleRows[0] : null;
+    if (!sale) {
+      await conn.rollback();
+      return sendError(reply, 404, "Not found");
+    }
+    const before = await loadSaleWithDetails(conn, id);
+
+    const [prevRows] = await conn.query(
+      `SELECT COALESCE(SUM(amount), 0) AS refunded, COALESCE(MAX(kind = 'void'), 0) AS voided
+       FROM sale_refunds
+       WHERE sale_id = ?`,
+      [id]
+    );
+    const prev = prevRows && prevRows[0] ? prevRows[0] : { refunded: 0, voided: 0 };
+    if (Number(prev.voided)) {
+      await conn.rollback();
+      return sendError(reply, 409, "Sale already voided");
+    }
+
+    const [detailRows] = await conn.query(
+      `SELECT
+         sd.id_sale_detail,
+         sd.product_id,
+         sd.quantity,
+         COALESCE(sd.total_price, sd.price * sd.quantity) AS line_total,
+         COALESCE(rl.qty, 0) AS refunded_qty,
+         COALESCE(rl.amount, 0) AS refunded_amount
+       FROM sales_details sd
+       ${DETAIL_REFUNDS_JOIN}
+       WHERE sd.sale_id = ?`,
+      [id]
+    );
+
+    const lines = [];
+    for (const d of detailRows || []) {
+      const remainingQty = Number(d.quantity) - Number(d.refunded_qty);
+      const qty = wanted ? wanted.get(d.id_sale_detail) || 0 : remainingQty;
+      if (wanted) wanted.delete(d.id_sale_detail);
+      if (qty <= 0) continue;
+      if (qty > remainingQty) {
+        await conn.rollback();
+        return sendError(reply, 400, `Line #${d.id_sale_detail}: only ${remainingQty} left to refund`);
+      }
+      // The last units take whatever is left so rounding never leaves cents behind.
+      const amount =
+        qty === remainingQty
+          ? round2(Number(d.line_total) - Number(d.refunded_amount))
+          : round2((Number(d.line_total) / Number(d.quantity)) * qty);
+      lines.push({ saleDetailId: d.id_sale_detail, productId: d.product_id, quantity: qty, amount });
+    }
+    if (wanted && wanted.size) {
+      await conn.rollback();
+      return sendError(reply, 400, `Unknown sale line #${[...wanted.keys()][0]}`);
+    }
+
+    // Legacy sales may have no sales_details rows: refund the remaining total.
+    const amount = detailRows && detailRows.length
+      ? round2(lines.reduce((acc, l) => acc + l.amount, 0))
+      : round2(Number(sale.total_amount) - Number(prev.refunded));
+    if (detailRows && detailRows.length ? !lines.length : amount <= 0) {
+      await conn.rollback();
+      return sendError(reply, 409, "Nothing left to refund");
+    }
+
+    const [res] = await conn.query(
+      `INSERT INTO sale_refunds (sale_id, kind, amount, reason, restock, user_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [id, kind, amount, reason, restock ? 1 : 0, req.cagUser.id_user]
+    );
+    const refundId = res.insertId;
+
+    const stockDelta = new Map();
+    for (const l of lines) {
+      await conn.query(
+        `INSERT INTO sale_refund_lines (refund_id, sale_detail_id, product_id, quantity, amount)
+         VALUES (?, ?, ?, ?, ?)`,
+        [refundId, l.saleDetailId, l.productId, l.quantity, l.amount]
+      );
+      if (l.productId != null) stockDelta.set(l.productId, (stockDelta.get(l.productId) || 0) + l.quantity);
+    }
+    if (restock) {
+      for (const [pid, qty] of stockDelta) {
+        await recordStockMovement(conn, {
+          productId: pid,
+          kind: "return",
+          delta: qty,
+          reason: `${kind === "void" ? "Annulation" : "Remboursement"} vente #${id}: ${reason}`,
+          userId: req.cagUser.id_user,
+          saleId: id,
+          refundId,
+        });
+      }
+    }
+
+    const r = await loadSaleWithDetails(conn, id);
+    await writeAudit(conn, req, { action: kind, entity: "sale", entityId: id, before, after: r });
+    await conn.commit();
+    reply.code(201).send(r);
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+fastify.post(
+  CFG.apiPrefix + "/sales/:id/refund",
+  {
+    preHandler: [requireAuth, requirePermission("sales.refund")],
+    schema: {
+      params: ID_PARAMS_SCHEMA,
+      body: objectSchema(
+        Object.assign(
+          {
+            lines: {
+              type: "array",
+              minItems: 1,
+              items: objectSchema(
+                { saleDetailId: { type: "integer", minimum: 1 }, quantity: { type: "integer", minimum: 1, maximum: MAX_LINE_QTY } },
+                ["saleDetailId", "quantity"]
+              ),
+            },
+          },
+          REFUND_BODY_PROPERTIES
+        ),
+        ["reason"]
+      ),
+    },
+  },
+  async (req, reply) => recordSaleRefund(req, reply, "refund")
+);
+
+fastify.post(
+  CFG.apiPrefix + "/sales/:id/void",
+  {
+    preHandler: [requireAuth, requirePermission("sales.refund")],
+    schema: { params: ID_PARAMS_SCHEMA, body: objectSchema(REFUND_BODY_PROPERTIES, ["reason"]) },
+  },
+  async (req, reply) => recordSaleRefund(req, reply, "void")
+);
+
+// ---- VERSIONS ----
+// Products and offers carry a `version` (also sent as ETag): a keyed hash of what their edit forms show. PATCH and
+// DELETE must send it back in If-Match; when the item changed in between they answer 412 with the current
+// version and item, and write nothing. Stock is left out on purpose: it moves with every sale and has its
+// own ledger, so a sale at the till does not invalidate an open edit form.
+const VERSIONED_ENTITIES = {
+  product: {
+    table: "products",
+    idKey: "id_product",
+    fields: ["barcode", "reference", "name", "description", "purchasePrice", "price", "productType", "min_stock", "reorder_qty", "archived_at"],
+    numbers: ["purchasePrice", "price", "min_stock", "reorder_qty"],
+  },
+  offer: { table: "product_offers", idKey: "id_offer", fields: ["name", "quantity", "price", "archived_at", "productIds"], numbers: ["quantity", "price"] },
+};
+
+// Keyed with a secret derived from JWT_SECRET: the hashed fields include purchasePrice, which a plain hash
+// would let a user without reports.view_profit recover by trying prices against the version.
+const VERSION_KEY = crypto.createHmac("sha256", CFG.jwtSecret).update("cag-entity-version").digest();
+
+// `image` is an audit snapshot or a listing row with the same columns. DECIMAL columns come back as
+// strings from the driver and as numbers from the listings, hence the normalisation.
+function entityVersion(entity, image) {
+  const t = VERSIONED_ENTITIES[entity];
+  const values = t.fields.map((k) => {
+    const v = image[k];
+    if (v === undefined || v === null) return null;
+    if (v instanceof Date) return v.toISOString();
+    if (Array.isArray(v)) return v.map(Number);
+    return t.numbers.includes(k) ? Number(v) : String(v);
+  });
+  return crypto.createHmac("sha256", VERSION_KEY).update(JSON.stringify(values)).digest("base64url").slice(0, 22);
+}
+
+// If-Match may be "v", W/"v", a comma-separated list or *.
+function ifMatchAccepts(header, version) {
+  return String(header || "")
+    .split(",")
+    .map((v) => v.trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1"))
+    .some((v) => v === "*" || v === version);
+}
+
+// Route guard: only checks that If-Match is there. The comparison is done by lockVersioned, inside the
+// route's transaction.
+async function requireIfMatch(req, reply) {
+  if (!req.headers["if-match"]) return sendError(reply, 428, "If-Match required (send the item's version)");
+}
+
+// Locks the row and compares its version with If-Match.
+// Returns { before } (the audit snapshot) or { status, message, extra } to answer with.
+async function lockVersioned(conn, req, entity, id) {
+  const t = VERSIONED_ENTITIES[entity];
+  const [rows] = await conn.query(`SELECT ${t.idKey} FROM ${t.table} WHERE ${t.idKey} = ? LIMIT 1 FOR UPDATE`, [id]);
+  if (!rows || !rows[0]) return { status: 404, message: "Not found" };
+  const before = await auditSnapshot(conn, entity, id);
+  const version = entityVersion(entity, before);
+  if (!ifMatchAccepts(req.headers["if-match"], version)) {
+    const current = entity === "product" && !hasPermission(req, "reports.view_profit") ? Object.assign({}, before, { purchasePrice: null }) : before;
+    return { status: 412, message: "Modified since you loaded it", extra: { version, current } };
+  }
+  return { before };
+}
+
+function sendVersioned(reply, status, entity, image, body) {
+  const version = entityVersion(entity, image);
+  reply.code(status).header("ETag", `"${version}"`).send(Object.assign({}, body, { version }));
+}
+
+// ---- PRODUCTS ----
+fastify.get(
+  CFG.apiPrefix + "/products",
+  {
+    preHandler: requireAuth,
+    schema: { querystring: objectSchema(Object.assign({}, PRODUCTS_QUERY_PROPERTIES, PAGING_PROPERTIES)) },
+  },
+  async (req, reply) => {
+    const f = productsFilter(req.query || {});
+    if (!f) return sendError(reply, 400, `Invalid status (expected ${ARCHIVE_STATUSES.join(", ")})`);
+    const limit = clampInt(req.query && req.query.limit, 1, 100, 20);
+    const offset = clampInt(req.query && req.query.offset, 0, 1_000_000, 0);
+
+    const [totalRows] = await pool.query(
+      `SELECT COUNT(*) AS total
+       FROM products p
+       LEFT JOIN product_stock_levels sl ON sl.product_id = p.id_product
+       LEFT JOIN product_archive pa ON pa.product_id = p.id_product
+       WHERE ${f.where}`,
+      f.params
+    );
+    const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
+
+    const [rows] = await pool.query(
+      `SELECT
+         p.id_product,
+         p.barcode,
+         p.reference,
+         p.name,
+         p.description,
+         p.quantity,
+         p.purchasePrice,
+         p.price,
+         p.productType,
+         p.last_updated,
+         sl.min_stock,
+         sl.reorder_qty,
+         (sl.min_stock IS NOT NULL AND COALESCE(p.quantity, 0) <= sl.min_stock) AS low_stock,
+         pa.archived_at
+       FROM products p
+       LEFT JOIN product_stock_levels sl ON sl.product_id = p.id_product
+       LEFT JOIN product_archive pa ON pa.product_id = p.id_product
+       WHERE ${f.where}
+       ORDER BY p.last_updated DESC
+       LIMIT ? OFFSET ?`,
+      [...f.params, limit, offset]
+    );
+
+    const hidePurchase = !hasPermission(req, "reports.view_profit");
+    return {
+      total,
+      items: (rows || []).map((p) =>
+        Object.assign({}, p, { low_stock: Boolean(Number(p.low_stock)), version: entityVersion("product", p) }, hidePurchase ? { purchasePrice: null } : null)
+      ),
+    };
+  }
+);
+
+// Products at or below their min_stock, most short first, with a suggested order quantity.
+fastify.get(
+  CFG.apiPrefix + "/products/low-stock",
+  {
+    preHandler: requireAuth,
+    schema: { querystring: objectSchema(PAGING_PROPERTIES) },
+  },
+  async (req) => {
+    const limit = clampInt(req.query && req.query.limit, 1, 100, 20);
+    const offset = clampInt(req.query && req.query.offset, 0, 1_000_000, 0);
+
+    const [totalRows] = await pool.query(
+      `SELECT COUNT(*) AS total
+       FROM products p
+       JOIN product_stock_levels sl ON sl.product_id = p.id_product
+       LEFT JOIN product_archive pa ON pa.product_id = p.id_product
+       WHERE sl.min_stock IS NOT NULL AND COALESCE(p.quantity, 0) <= sl.min_stock AND pa.archived_at IS NULL`
+    );
+    const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
+
+    const [rows] = await pool.query(
+      `SELECT
+         p.id_product,
+         p.barcode,
+         p.reference,
+         p.name,
+         p.description,
+         p.quantity,
+         p.purchasePrice,
+         p.price,
+         p.productType,
+         p.last_updated,
+         sl.min_stock,
+         sl.reorder_qty,
+         pa.archived_at
+       FROM products p
+       JOIN product_stock_levels sl ON sl.product_id = p.id_product
+       LEFT JOIN product_archive pa ON pa.product_id = p.id_product
+       WHERE sl.min_stock IS NOT NULL AND COALESCE(p.quantity, 0) <= sl.min_stock AND pa.archived_at IS NULL
+       ORDER BY (COALESCE(p.quantity, 0) - sl.min_stock) ASC, p.name ASC
+       LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+
+    const hidePurchase = !hasPermission(req, "reports.view_profit");
+    const items = (rows || []).map((p) => {
+      const qty = p.quantity == null ? 0 : Number(p.quantity);
+      const min = Number(p.min_stock);
+      return Object.assign({}, p, {
+        low_stock: true,
+        suggested_order: p.reorder_qty != null && Number(p.reorder_qty) > 0 ? Number(p.reorder_qty) : Math.max(1, min - qty),
+        version: entityVersion("product", p),
+      }, hidePurchase ? { purchasePrice: null } : null);
+    });
+
+    return { total, items };
+  }
+);
+
+// POST /products and PATCH /products/:id. quantity only opens the stock on creation; later changes are
+// recorded as an adjustment with stockReason.
+const PRODUCT_BODY_PROPERTIES = {
+  name: { type: "string" },
+  barcode: { type: "string" },
+  reference: { type: "string" },
+  description: { type: "string" },
+  productType: { type: "string" },
+  quantity: { type: ["integer", "null"] },
+  purchasePrice: NULLABLE_PRICE_SCHEMA,
+  price: NULLABLE_PRICE_SCHEMA,
+  minStock: { type: ["integer", "null"], minimum: 0 },
+  reorderQty: { type: ["integer", "null"], minimum: 0 },
+  stockReason: { type: "string", maxLength: MAX_REASON_LENGTH },
+};
+
+fastify.post(
+  CFG.apiPrefix + "/products",
+  {
+    preHandler: [requireAuth, requirePermission("products.edit")],
+    schema: { body: objectSchema(PRODUCT_BODY_PROPERTIES, ["name"]) },
+  },
+  async (req, reply) => {
+    const b = req.body || {};
+    const name = typeof b.name === "string" ? b.name.trim() : "";
+    if (!name) return sendFieldError(reply, "name", "Missing name");
+
+    const barcode = typeof b.barcode === "string" ? b.barcode.trim() : "";
+    const reference = typeof b.reference === "string" ? b.reference.trim() : "";
+    const description = typeof b.description === "string" ? b.description : "";
+    const productType = typeof b.productType === "string" ? b.productType.trim() : "";
+    const quantity = b.quantity == null ? null : Number(b.quantity);
+    if (quantity != null && !Number.isInteger(quantity)) return sendError(reply, 400, "Invalid quantity");
+    const purchasePrice = b.purchasePrice == null ? null : Number(b.purchasePrice);
+    const price = b.price == null ? null : Number(b.price);
+    const stockLevels = parseStockLevels(b);
+    if (stockLevels.error) return sendFieldError(reply, stockLevels.field, stockLevels.error);
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      // The opening stock goes through the ledger like any other change.
+      const [res] = await conn.query(
+        `INSERT INTO products
+           (barcode, reference, name, description, quantity, purchasePrice, price, productType, last_updated, is_synced)
+         VALUES
+           (?, ?, ?, ?, ?, ?, ?, ?, NOW(), 0)`,
+        [barcode, reference, name, description, quantity == null ? null : 0, purchasePrice, price, productType]
+      );
+      if (quantity) {
+        await recordStockMovement(conn, {
+          productId: res.insertId,
+          kind: "inventory",
+          counted: quantity,
+          reason: "Stock initial",
+          userId: req.cagUser.id_user,
+        });
+      }
+      await saveStockLevels(conn, res.insertId, stockLevels.levels);
+      const after = await auditSnapshot(conn, "product", res.insertId);
+      await writeAudit(conn, req, { action: "create", entity: "product", entityId: res.insertId, after });
+      await conn.commit();
+      sendVersioned(reply, 201, "product", after, { id_product: res.insertId });
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+fastify.patch(
+  CFG.apiPrefix + "/products/:id",
+  {
+    preHandler: [requireAuth, requirePermission("products.edit"), requireIfMatch],
+    schema: { params: ID_PARAMS_SCHEMA, body: objectSchema(PRODUCT_BODY_PROPERTIES) },
+  },
+  async (req, reply) => {
+    const idRaw = req.params && req.params.id;
+    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+    if (!id) return sendError(reply, 400, "Invalid id");
+
+    const b = req.body || {};
+    const fields = [];
+    const values = [];
+
+    function setField(col, val) {
+      fields.push(`${col} = ?`);
+      values.push(val);
+    }
+
+    if (typeof b.name === "string") {
+      if (!b.name.trim()) return sendFieldError(reply, "name", "Missing name");
+      setField("name", b.name.trim());
+    }
+    if (typeof b.barcode === "string") setField("barcode", b.barcode.trim());
+    if (typeof b.reference === "string") setField("reference", b.reference.trim());
+    if (typeof b.description === "string") setField("description", b.description);
+    if (typeof b.productType === "string") setField("productType", b.productType.trim());
+    if (b.purchasePrice !== undefined) setField("purchasePrice", b.purchasePrice == null ? null : Number(b.purchasePrice));
+    if (b.price !== undefined) setField("price", b.price == null ? null : Number(b.price));
+
+    // A new quantity is recorded as an adjustment in the ledger rather than written blindly.
+    let counted;
+    if (b.quantity !== undefined) {
+      if (b.quantity == null) setField("quantity", null);
+      else {
+        counted = Number(b.quantity);
+        if (!Number.isInteger(counted)) return sendError(reply, 400, "Invalid quantity");
+      }
+    }
+    const stockReason = typeof b.stockReason === "string" && b.stockReason.trim() ? b.stockReason.trim() : "Modification fiche produit";
+    const stockLevels = parseStockLevels(b);
+    if (stockLevels.error) return sendFieldError(reply, stockLevels.field, stockLevels.error);
+    const hasLevels = Object.keys(stockLevels.levels).length > 0;
+
+    if (!fields.length && counted === undefined && !hasLevels) return sendError(reply, 400, "No fields to update");
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const pre = await lockVersioned(conn, req, "product", id);
+      if (pre.message) {
+        await conn.rollback();
+        return sendError(reply, pre.status, pre.message, pre.extra);
+      }
+
+      if (fields.length) {
+        fields.push("last_updated = NOW()");
+        fields.push("is_synced = 0");
+        values.push(id);
+        const [res] = await conn.query(`UPDATE products SET ${fields.join(", ")} WHERE id_product = ?`, values);
+        if (!res.affectedRows) {
+          await conn.rollback();
+          return sendError(reply, 404, "Not found");
+        }
+      }
+
+      if (counted !== undefined) {
+        const m = await recordStockMovement(conn, {
+          productId: id,
+          kind: "adjustment",
+          counted,
+          reason: stockReason,
+          userId: req.cagUser.id_user,
+        });
+        if (!m) {
+          await conn.rollback();
+          return sendError(reply, 404, "Not found");
+        }
+      }
+
+      if (hasLevels) {
+        if (!fields.length && counted === undefined) {
+          const [exists] = await conn.query(`SELECT id_product FROM products WHERE id_product = ? LIMIT 1`, [id]);
+          if (!exists || !exists[0]) {
+            await conn.rollback();
+            return sendError(reply, 404, "Not found");
+          }
+        }
+        await saveStockLevels(conn, id, stockLevels.levels);
+      }
+
+      const after = await auditSnapshot(conn, "product", id);
+      await writeAudit(conn, req, { action: "update", entity: "product", entityId: id, before: pre.before, after });
+      await conn.commit();
+      sendVersioned(reply, 200, "product", after, { ok: true });
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+fastify.delete(
+  CFG.apiPrefix + "/products/:id",
+  {
+    preHandler: [requireAuth, requirePermission("products.delete"), requireIfMatch],
+    schema: { params: ID_PARAMS_SCHEMA },
+  },
+  async (req, reply) => {
+    const idRaw = req.params && req.params.id;
+    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+    if (!id) return sendError(reply, 400, "Invalid id");
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const pre = await lockVersioned(conn, req, "product", id);
+      if (pre.message) {
+        await conn.rollback();
+        return sendError(reply, pre.status, pre.message, pre.extra);
+      }
+      await conn.query(`DELETE FROM products WHERE id_product = ?`, [id]);
+      await conn.query(`DELETE FROM product_stock_levels WHERE product_id = ?`, [id]);
+      await conn.query(`DELETE FROM product_archive WHERE product_id = ?`, [id]);
+      await writeAudit(conn, req, { action: "delete", entity: "product", entityId: id, before: pre.before });
+      await conn.commit();
+      reply.send({ ok: true });
+    } catch (e) {
+      await conn.rollback();
+      // Most likely FK/constraint if you have them.
+      return sendError(reply, 409, "Cannot delete product (in use)", { hint: "Archive it instead: POST /products/:id/archive" });
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+const ARCHIVE_TABLES = {
+  product: { table: "product_archive", key: "product_id", idKey: "id_product", source: "products" },
+  offer: { table: "offer_archive", key: "offer_id", idKey: "id_offer", source: "product_offers" },
+};
+
+// Shared by the archive / restore routes of products and offers. Archiving twice keeps the first date.
+async function setArchived(req, reply, entity, archived) {
+  const idRaw = req.params && req.params.id;
+  const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+  if (!id) return sendError(reply, 400, "Invalid id");
+  const t = ARCHIVE_TABLES[entity];
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const before = await auditSnapshot(conn, entity, id);
+    if (!before) {
+      await conn.rollback();
+      return sendError(reply, 404, "Not found");
+    }
+    if (archived) {
+      await conn.query(`INSERT IGNORE INTO ${t.table} (${t.key}, archived_at, user_id) VALUES (?, NOW(), ?)`, [id, req.cagUser.id_user]);
+    } else {
+      await conn.query(`DELETE FROM ${t.table} WHERE ${t.key} = ?`, [id]);
+    }
+    const after = await auditSnapshot(conn, entity, id);
+    if (Boolean(before.archived_at) !== Boolean(after.archived_at)) {
+      // Touch the POS row too: the sync pull only sees rows whose last_updated moved.
+      await conn.query(`UPDATE ${t.source} SET last_updated = NOW(), is_synced = 0 WHERE ${t.idKey} = ?`, [id]);
+      await writeAudit(conn, req, { action: archived ? "archive" : "restore", entity, entityId: id, before, after });
+    }
+    await conn.commit();
+    reply.send({ [t.idKey]: id, archived_at: after.archived_at });
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+fastify.post(
+  CFG.apiPrefix + "/products/:id/archive",
+  {
+    preHandler: [requireAuth, requirePermission("products.delete")],
+    schema: { params: ID_PARAMS_SCHEMA },
+  },
+  async (req, reply) => setArchived(req, reply, "product", true)
+);
+
+fastify.post(
+  CFG.apiPrefix + "/products/:id/restore",
+  {
+    preHandler: [requireAuth, requirePermission("products.delete")],
+    schema: { params: ID_PARAMS_SCHEMA },
+  },
+  async (req, reply) => setArchived(req, reply, "product", false)
+);
+
+fastify.get(
+  CFG.apiPrefix + "/products/:id/movements",
+  {
+    preHandler: requireAuth,
+    schema: { params: ID_PARAMS_SCHEMA, querystring: objectSchema(PAGING_PROPERTIES) },
+  },
+  async (req, reply) => {
+    const idRaw = req.params && req.params.id;
+    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+    if (!id) return sendError(reply, 400, "Invalid id");
+
+    const limit = clampInt(req.query && req.query.limit, 1, 100, 20);
+    const offset = clampInt(req.query && req.query.offset, 0, 1_000_000, 0);
+
+    const [totalRows] = await pool.query(`SELECT COUNT(*) AS total FROM stock_movements WHERE product_id = ?`, [id]);
+    const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
+
+    const [rows] = await pool.query(
+      `SELECT
+         m.id_movement,
+         m.product_id,
+         m.kind,
+         m.delta,
+         m.quantity_before,
+         m.quantity_after,
+         m.reason,
+         m.user_id,
+         u.username,
+         m.sale_id,
+         m.refund_id,
+         m.created_at
+       FROM stock_movements m
+       LEFT JOIN users u ON u.id_user = m.user_id
+       WHERE m.product_id = ?
+       ORDER BY m.id_movement DESC
+       LIMIT ? OFFSET ?`,
+      [id, limit, offset]
+    );
+
+    reply.send({
+      total,
+      items: (rows || []).map((m) => ({
+        id_movement: m.id_movement,
+        product_id: m.product_id,
+        kind: m.kind,
+        delta: Number(m.delta),
+        quantity_before: Number(m.quantity_before),
+        quantity_after: Number(m.quantity_after),
+        reason: m.reason || "",
+        user_id: m.user_id,
+        username: m.username || "",
+        sale_id: m.sale_id,
+        refund_id: m.refund_id,
+        created_at: m.created_at,
+      })),
+    });
+  }
+);
+
+fastify.post(
+  CFG.apiPrefix + "/products/:id/movements",
+  {
+    preHandler: [requireAuth, requirePermission("products.edit")],
+    schema: {
+      params: ID_PARAMS_SCHEMA,
+      body: objectSchema(
+        {
+          kind: { type: "string", enum: MANUAL_STOCK_KINDS },
+          quantity: { type: "integer" },
+          reason: { type: "string", maxLength: MAX_REASON_LENGTH },
+        },
+        ["kind", "quantity"]
+      ),
+    },
+  },
+  async (req, reply) => {
+    const idRaw = req.params && req.params.id;
+    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+    if (!id) return sendError(reply, 400, "Invalid id");
+
+    const b = req.body || {};
+    const kind = typeof b.kind === "string" ? b.kind.trim() : "";
+    if (!MANUAL_STOCK_KINDS.includes(kind)) return sendFieldError(reply, "kind", `Invalid kind (expected ${MANUAL_STOCK_KINDS.join("|")})`);
+    const quantity = Number(b.quantity);
+    if (!Number.isInteger(quantity)) return sendFieldError(reply, "quantity", "Invalid quantity");
+    if ((kind === "receipt" || kind === "loss") && quantity <= 0) return sendFieldError(reply, "quantity", "Quantity must be > 0");
+    if (kind === "adjustment" && quantity === 0) return sendFieldError(reply, "quantity", "Quantity must not be 0");
+    if (kind === "inventory" && quantity < 0) return sendFieldError(reply, "quantity", "Quantity must be >= 0");
+    const reason = typeof b.reason === "string" ? b.reason.trim() : "";
+    if (!reason && (kind === "adjustment" || kind === "loss")) return sendFieldError(reply, "reason", "Missing reason");
+    if (reason.length > MAX_REASON_LENGTH) return sendFieldError(reply, "reason", `Reason too long (max ${MAX_REASON_LENGTH})`);
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const before = await auditSnapshot(conn, "product", id);
+      const m = await recordStockMovement(conn, {
+        productId: id,
+        kind,
+        delta: kind === "loss" ? -quantity : quantity,
+        counted: kind === "inventory" ? quantity : null,
+        reason,
+        userId: req.cagUser.id_user,
+      });
+      if (!m) {
+        await conn.rollback();
+        return sendError(reply, 404, "Not found");
+      }
+      await writeAudit(conn, req, { action: "stock", entity: "product", entityId: id, before, after: await auditSnapshot(conn, "product", id) });
+      await conn.commit();
+      reply.code(201).send({ movement: m });
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+// ---- Product import ----
+// POST /products/import { csv, dryRun = true }: rows are matched to existing products by barcode,
+// then reference. A dry run only reports; a real run applies everything in one transaction, or
+// nothing if any row has an error.
+const MAX_IMPORT_ROWS = 5000;
+
+// Normalized CSV header -> product field. Accepts the API field names and the export's French headers.
+const IMPORT_COLUMNS = {
+  barcode: "barcode",
+  "code-barres": "barcode",
+  "code barres": "barcode",
+  ean: "barcode",
+  reference: "reference",
+  ref: "reference",
+  name: "name",
+  nom: "name",
+  description: "description",
+  type: "productType",
+  producttype: "productType",
+  stock: "quantity",
+  quantity: "quantity",
+  quantite: "quantity",
+  minstock: "minStock",
+  "stock min": "minStock",
+  reorderqty: "reorderQty",
+  "qte reappro": "reorderQty",
+  purchaseprice: "purchasePrice",
+  "prix d'achat": "purchasePrice",
+  price: "price",
+  prix: "price",
+};
+
+const IMPORT_TEXT_FIELDS = ["barcode", "reference", "name", "description", "productType"];
+const IMPORT_PRICE_FIELDS = ["purchasePrice", "price"];
+const IMPORT_INT_FIELDS = ["quantity", "minStock", "reorderQty"];
+
+function normalizeHeader(h) {
+  return String(h || "")
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+// Minimal RFC 4180 reader. The separator (; , or tab) is guessed from the header line.
+// Returns [{ line, cells }] without blank lines; `line` is the 1-based line the row starts on.
+function parseCsvText(text) {
+  const src = String(text || "").replace(/^\ufeff/, "");
+  const header = src.split(/\r?\n/, 1)[0];
+  const sep = [";", "\t"].reduce((best, c) => (header.split(c).length > header.split(best).length ? c : best), ",");
+
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((c) => c.trim() !== "")) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = "";
+  };
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === "\n") line++;
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === sep) {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && src[i + 1] === "\n") {
+        i++;
+        line++;
+      }
+      endRow();
+      rowLine = line;
+    } else cell += ch;
+  }
+  if (cell !== "" || cells.length) endRow();
+  return rows;
+}
+
+// One CSV row -> { fields } (only non-empty cells) or { error }.
+function parseImportRow(columns, cells) {
+  const fields = {};
+  for (let i = 0; i < columns.length; i++) {
+    const key = columns[i];
+    if (!key) continue;
+    // Exports prefix formula-like text with ' (see csvCell): strip it back.
+    let raw = String(cells[i] == null ? "" : cells[i]).trim();
+    if (/^'[=+\-@]/.test(raw)) raw = raw.slice(1);
+    if (raw === "") continue;
+    if (IMPORT_TEXT_FIELDS.includes(key)) {
+      fields[key] = raw;
+      continue;
+    }
+    const n = Number(raw.replace(/[\s €]/g, "").replace(",", "."));
+    if (IMPORT_PRICE_FIELDS.includes(key)) {
+      if (!Number.isFinite(n) || n < 0) return { error: `Invalid ${key}: ${raw}` };
+      fields[key] = round2(n);
+    } else if (IMPORT_INT_FIELDS.includes(key)) {
+      if (!Number.isInteger(n) || (key !== "quantity" && n < 0)) return { error: `Invalid ${key}: ${raw}` };
+      fields[key] = n;
+    }
+  }
+  return { fields };
+}
+
+// Current value of an import field on a products row (joined with product_stock_levels).
+function productFieldValue(p, key) {
+  if (key === "minStock") return p.min_stock == null ? null : Number(p.min_stock);
+  if (key === "reorderQty") return p.reorder_qty == null ? null : Number(p.reorder_qty);
+  const v = p[key];
+  if (IMPORT_TEXT_FIELDS.includes(key)) return v == null ? "" : String(v);
+  return v == null ? null : Number(v);
+}
+
+// Builds the import plan: [{ line, action: create|update|unchanged|error, productId?, name, fields, changes?, message? }].
+// With `lock`, matched products stay locked (FOR UPDATE) until the caller's transaction ends.
+async function planProductImport(conn, columns, entries, lock) {
+  const parsed = entries.map((e) => Object.assign({ line: e.line }, parseImportRow(columns, e.cells)));
+  const barcodes = new Set();
+  const references = new Set();
+  for (const p of parsed) {
+    if (!p.fields) continue;
+    if (p.fields.barcode) barcodes.add(p.fields.barcode);
+    if (p.fields.reference) references.add(p.fields.reference);
+  }
+
+  const byBarcode = new Map();
+  const byReference = new Map();
+  if (barcodes.size || references.size) {
+    const [rows] = await conn.query(
+      `SELECT p.*, sl.min_stock, sl.reorder_qty
+       FROM products p
+       LEFT JOIN product_stock_levels sl ON sl.product_id = p.id_product
+       WHERE p.barcode IN (?) OR p.reference IN (?)
+       ${lock ? "FOR UPDATE" : ""}`,
+      [barcodes.size ? [...barcodes] : [""], references.size ? [...references] : [""]]
+    );
+    for (const p of rows || []) {
+      for (const [map, key] of [
+        [byBarcode, p.barcode],
+        [byReference, p.reference],
+      ]) {
+        if (!key) continue;
+        map.set(key, (map.get(key) || []).concat(p));
+      }
+    }
+  }
+
+  const seen = new Map();
+  return parsed.map((p) => {
+    if (p.error) return { line: p.line, action: "error", message: p.error };
+    const f = p.fields;
+    const out = { line: p.line, name: f.name || "", fields: f };
+
+    for (const key of [f.barcode && `barcode:${f.barcode}`, f.reference && `reference:${f.reference}`]) {
+      if (!key) continue;
+      if (seen.has(key)) return Object.assign(out, { action: "error", message: `Duplicate of line ${seen.get(key)}` });
+      seen.set(key, p.line);
+    }
+
+    const candidates = (f.barcode && byBarcode.get(f.barcode)) || (f.reference && byReference.get(f.reference)) || [];
+    if (candidates.length > 1) {
+      return Object.assign(out, { action: "error", message: "Several products share this barcode / reference" });
+    }
+    const match = candidates[0];
+    if (!match) {
+      if (!f.name) return Object.assign(out, { action: "error", message: "Missing name for a new product" });
+      return Object.assign(out, { action: "create" });
+    }
+
+    const changes = {};
+    for (const key of Object.keys(f)) {
+      const from = productFieldValue(match, key);
+      if (from !== f[key]) changes[key] = { from, to: f[key] };
+    }
+    return Object.assign(out, {
+      action: Object.keys(changes).length ? "update" : "unchanged",
+      productId: match.id_product,
+      name: match.name || f.name || "",
+      changes,
+    });
+  });
+}
+
+async function applyProductImportRow(conn, row, userId) {
+  const f = row.fields;
+  const levels = {};
+  if (row.action === "create") {
+    const [res] = await conn.query(
+      `INSERT INTO products
+         (barcode, reference, name, description, quantity, purchasePrice, price, productType, last_updated, is_synced)
+       VALUES
+         (?, ?, ?, ?, ?, ?, ?, ?, NOW(), 0)`,
+      [
+        f.barcode || "",
+        f.reference || "",
+        f.name,
+        f.description || "",
+        f.quantity == null ? null : 0,
+        f.purchasePrice == null ? null : f.purchasePrice,
+        f.price == null ? null : f.price,
+        f.productType || "",
+      ]
+    );
+    row.productId = res.insertId;
+    if (f.quantity) {
+      await recordStockMovement(conn, { productId: row.productId, kind: "inventory", counted: f.quantity, reason: "Import CSV", userId });
+    }
+    if (f.minStock != null) levels.min_stock = f.minStock;
+    if (f.reorderQty != null) levels.reorder_qty = f.reorderQty;
+    await saveStockLevels(conn, row.productId, levels);
+    return;
+  }
+
+  const sets = [];
+  const values = [];
+  for (const key of Object.keys(row.changes)) {
+    if (key === "quantity") continue;
+    if (key === "minStock") levels.min_stock = f.minStock;
+    else if (key === "reorderQty") levels.reorder_qty = f.reorderQty;
+    else {
+      sets.push(`${key} = ?`);
+      values.push(f[key]);
+    }
+  }
+  if (sets.length) {
+    await conn.query(`UPDATE products SET ${sets.join(", ")}, last_updated = NOW(), is_synced = 0 WHERE id_product = ?`, [
+      ...values,
+      row.productId,
+    ]);
+  }
+  if (row.changes.quantity) {
+    await recordStockMovement(conn, { productId: row.productId, kind: "adjustment", counted: f.quantity, reason: "Import CSV", userId });
+  }
+  await saveStockLevels(conn, row.productId, levels);
+}
+
+fastify.post(
+  CFG.apiPrefix + "/products/import",
+  {
+    preHandler: [requireAuth, requirePermission("products.edit")],
+    schema: { body: objectSchema({ csv: { type: "string" }, dryRun: { type: "boolean" } }, ["csv"]) },
+    bodyLimit: 5 * 1024 * 1024,
+  },
+  async (req, reply) => {
+    const b = req.body || {};
+    if (typeof b.csv !== "string" || !b.csv.trim()) return sendFieldError(reply, "csv", "Missing csv");
+    const dryRun = b.dryRun !== false;
+
+    const [header, ...entries] = parseCsvText(b.csv);
+    if (!header) return sendError(reply, 400, "Missing csv");
+    const columns = header.cells.map((h) => IMPORT_COLUMNS[normalizeHeader(h)] || null);
+    if (!columns.includes("name") && !columns.includes("barcode") && !columns.includes("reference")) {
+      return sendError(reply, 400, "Unrecognized header (expected at least name, barcode or reference)");
+    }
+    // The preview tells the stored purchase price apart from the file's (changes.purchasePrice.from, or
+    // just whether it is listed): as good as showing it.
+    if (columns.includes("purchasePrice") && !hasPermission(req, "reports.view_profit")) {
+      return sendError(reply, 403, "Importing purchasePrice requires the reports.view_profit permission", { permission: "reports.view_profit" });
+    }
+    if (!entries.length) return sendError(reply, 400, "No rows to import");
+    if (entries.length > MAX_IMPORT_ROWS) return sendError(reply, 400, `Too many rows (max ${MAX_IMPORT_ROWS})`);
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const rows = await planProductImport(conn, columns, entries, !dryRun);
+      const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+      for (const r of rows) summary[r.action]++;
+      const report = (applied) => ({
+        dryRun,
+        applied,
+        ignoredColumns: header.cells.filter((_, i) => !columns[i]),
+        summary,
+        rows: rows.map(({ fields, ...r }) => r),
+      });
+
+      if (dryRun || summary.error) {
+        await conn.rollback();
+        if (!dryRun) return sendError(reply, 422, "Import has errors, nothing was applied", report(false));
+        return reply.send(report(false));
+      }
+
+      for (const r of rows) {
+        if (r.action !== "create" && r.action !== "update") continue;
+        const before = r.action === "update" ? await auditSnapshot(conn, "product", r.productId) : null;
+        await applyProductImportRow(conn, r, req.cagUser.id_user);
+        await writeAudit(conn, req, {
+          action: r.action === "create" ? "import_create" : "import_update",
+          entity: "product",
+          entityId: r.productId,
+          before,
+          after: await auditSnapshot(conn, "product", r.productId),
+        });
+      }
+      await conn.commit();
+      reply.send(report(true));
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+// ---- OFFERS ----
+// quantity: products per bundle (null = any); productIds: the products that can fill it.
+const OFFER_BODY_PROPERTIES = {
+  name: { type: "string" },
+  quantity: { type: ["integer", "null"], minimum: 0 },
+  price: NULLABLE_PRICE_SCHEMA,
+  productIds: { type: "array", uniqueItems: true, items: { type: "integer", minimum: 1 } },
+};
+
+fastify.get(
+  CFG.apiPrefix + "/offers",
+  {
+    preHandler: requireAuth,
+    schema: {
+      querystring: objectSchema(Object.assign({ q: { type: "string" }, status: { type: "string", enum: ARCHIVE_STATUSES } }, PAGING_PROPERTIES)),
+    },
+  },
+  async (req, reply) => {
+    const q = (req.query && typeof req.query.q === "string" ? req.query.q.trim() : "") || "";
+    const limit = clampInt(req.query && req.query.limit, 1, 100, 20);
+    const offset = clampInt(req.query && req.query.offset, 0, 1_000_000, 0);
+    const like = "%" + q + "%";
+    const archived = archiveCondition(req.query && req.query.status, "oa");
+    if (!archived) return sendError(reply, 400, `Invalid status (expected ${ARCHIVE_STATUSES.join(", ")})`);
+
     const [totalRows] = await pool.query(
       `SELECT COUNT(*) AS total
        FROM product_offers o
-       WHERE (? = '' OR o.name LIKE ?)`,
+       LEFT JOIN offer_archive oa ON oa.offer_id = o.id_offer
+       WHERE (? = '' OR o.name LIKE ?) AND ${archived}`,
       [q, like]
     );
     const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
@@ -685,11 +3886,13 @@ fastify.get(
          o.quantity,
          o.price,
          o.last_updated,
+         oa.archived_at,
          GROUP_CONCAT(op.product_id ORDER BY op.product_id) AS product_ids
        FROM product_offers o
        LEFT JOIN product_offers_products op ON op.offer_id = o.id_offer
-       WHERE (? = '' OR o.name LIKE ?)
-       GROUP BY o.id_offer
+       LEFT JOIN offer_archive oa ON oa.offer_id = o.id_offer
+       WHERE (? = '' OR o.name LIKE ?) AND ${archived}
+       GROUP BY o.id_offer, oa.archived_at
        ORDER BY o.last_updated DESC
        LIMIT ? OFFSET ?`,
       [q, like, limit, offset]
@@ -701,6 +3904,7 @@ fastify.get(
       quantity: o.quantity == null ? null : Number(o.quantity),
       price: o.price == null ? null : Number(o.price),
       last_updated: o.last_updated,
+      archived_at: o.archived_at,
       productIds: o.product_ids
         ? String(o.product_ids)
             .split(",")
@@ -708,38 +3912,701 @@ fastify.get(
             .filter((x) => Number.isFinite(x))
         : [],
     }));
+    for (const o of items) o.version = entityVersion("offer", o);
+
+    return { total, items };
+  }
+);
+
+fastify.post(
+  CFG.apiPrefix + "/offers",
+  {
+    preHandler: [requireAuth, requirePermission("offers.edit")],
+    schema: { body: objectSchema(OFFER_BODY_PROPERTIES, ["name"]) },
+  },
+  async (req, reply) => {
+    const b = req.body || {};
+    const name = typeof b.name === "string" ? b.name.trim() : "";
+    if (!name) return sendFieldError(reply, "name", "Missing name");
+    const quantity = b.quantity == null ? null : Number(b.quantity);
+    const price = b.price == null ? null : Number(b.price);
+    const productIds = Array.isArray(b.productIds) ? b.productIds.map(Number).filter((x) => Number.isFinite(x)) : [];
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [res] = await conn.query(
+        `INSERT INTO product_offers (name, quantity, price, last_updated, is_synced)
+         VALUES (?, ?, ?, NOW(), 0)`,
+        [name, quantity, price]
+      );
+      const offerId = res.insertId;
+      for (const pid of productIds) {
+        await conn.query(`INSERT INTO product_offers_products (offer_id, product_id, is_synced) VALUES (?, ?, 0)`, [offerId, pid]);
+      }
+      const after = await auditSnapshot(conn, "offer", offerId);
+      await writeAudit(conn, req, { action: "create", entity: "offer", entityId: offerId, after });
+      await conn.commit();
+      sendVersioned(reply, 201, "offer", after, { id_offer: offerId });
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+fastify.patch(
+  CFG.apiPrefix + "/offers/:id",
+  {
+    preHandler: [requireAuth, requirePermission("offers.edit"), requireIfMatch],
+    schema: { params: ID_PARAMS_SCHEMA, body: objectSchema(OFFER_BODY_PROPERTIES) },
+  },
+  async (req, reply) => {
+    const idRaw = req.params && req.params.id;
+    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+    if (!id) return sendError(reply, 400, "Invalid id");
+
+    const b = req.body || {};
+    const name = typeof b.name === "string" ? b.name.trim() : null;
+    if (name === "") return sendFieldError(reply, "name", "Missing name");
+    const quantity = b.quantity === undefined ? undefined : b.quantity == null ? null : Number(b.quantity);
+    const price = b.price === undefined ? undefined : b.price == null ? null : Number(b.price);
+    const productIds = Array.isArray(b.productIds) ? b.productIds.map(Number).filter((x) => Number.isFinite(x)) : null;
+
+    const fields = [];
+    const values = [];
+    if (name != null) {
+      fields.push("name = ?");
+      values.push(name);
+    }
+    if (quantity !== undefined) {
+      fields.push("quantity = ?");
+      values.push(quantity);
+    }
+    if (price !== undefined) {
+      fields.push("price = ?");
+      values.push(price);
+    }
+    // A new product list alone still moves last_updated so the POS pulls it.
+    if (fields.length || productIds !== null) {
+      fields.push("last_updated = NOW()");
+      fields.push("is_synced = 0");
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const pre = await lockVersioned(conn, req, "offer", id);
+      if (pre.message) {
+        await conn.rollback();
+        return sendError(reply, pre.status, pre.message, pre.extra);
+      }
+
+      if (fields.length) {
+        values.push(id);
+        const [res] = await conn.query(`UPDATE product_offers SET ${fields.join(", ")} WHERE id_offer = ?`, values);
+        if (!res.affectedRows) {
+          await conn.rollback();
+          return sendError(reply, 404, "Not found");
+        }
+      }
+
+      if (productIds !== null) {
+        await conn.query(`DELETE FROM product_offers_products WHERE offer_id = ?`, [id]);
+        for (const pid of productIds) {
+          await conn.query(`INSERT INTO product_offers_products (offer_id, product_id, is_synced) VALUES (?, ?, 0)`, [id, pid]);
+        }
+      }
+
+      const after = await auditSnapshot(conn, "offer", id);
+      await writeAudit(conn, req, { action: "update", entity: "offer", entityId: id, before: pre.before, after });
+      await conn.commit();
+      sendVersioned(reply, 200, "offer", after, { ok: true });
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+fastify.delete(
+  CFG.apiPrefix + "/offers/:id",
+  {
+    preHandler: [requireAuth, requirePermission("offers.edit"), requireIfMatch],
+    schema: { params: ID_PARAMS_SCHEMA },
+  },
+  async (req, reply) => {
+    const idRaw = req.params && req.params.id;
+    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
+    if (!id) return sendError(reply, 400, "Invalid id");
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const pre = await lockVersioned(conn, req, "offer", id);
+      if (pre.message) {
+        await conn.rollback();
+        return sendError(reply, pre.status, pre.message, pre.extra);
+      }
+      await conn.query(`DELETE FROM product_offers_products WHERE offer_id = ?`, [id]);
+      await conn.query(`DELETE FROM product_offers WHERE id_offer = ?`, [id]);
+      await conn.query(`DELETE FROM offer_archive WHERE offer_id = ?`, [id]);
+      await writeAudit(conn, req, { action: "delete", entity: "offer", entityId: id, before: pre.before });
+      await conn.commit();
+      reply.send({ ok: true });
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+fastify.post(
+  CFG.apiPrefix + "/offers/:id/archive",
+  {
+    preHandler: [requireAuth, requirePermission("offers.edit")],
+    schema: { params: ID_PARAMS_SCHEMA },
+  },
+  async (req, reply) => setArchived(req, reply, "offer", true)
+);
+
+fastify.post(
+  CFG.apiPrefix + "/offers/:id/restore",
+  {
+    preHandler: [requireAuth, requirePermission("offers.edit")],
+    schema: { params: ID_PARAMS_SCHEMA },
+  },
+  async (req, reply) => setArchived(req, reply, "offer", false)
+);
+
+// ---- POS SYNC ----
+// The Android POS keeps its own copy of the catalogue and records sales offline. Rows written here get
+// is_synced = 0; the terminal pulls what changed since its cursor, acknowledges the batch once applied
+// (is_synced = 1 for the rows still at the pulled version) and pushes its offline sales and product edits.
+// A pushed edit names the last_updated it was based on: if the row moved since, it is a conflict and
+// nothing is written. Conflicts and rejected items land in sync_failures for the dashboard.
+// Acks and dismissals only move sync bookkeeping and are not audited; the pushed sales and products are.
+// last_updated (NOW() at write time, one-second precision) and audit_log ids do not follow commit order: a
+// transaction can commit after a pull already went past its rows. So the cursor never moves past
+// NOW() - SYNC_OVERLAP_SECONDS and the newest changes come again on the next pull; terminals apply a row
+// they already have at the same version as a no-op.
+const SYNC_EPOCH = "1970-01-01 00:00:00";
+const MAX_SYNC_PULL = 500;
+const MAX_SYNC_PUSH = 200;
+const SYNC_FAILURE_STATUSES = ["open", "resolved", "all"];
+const SYNC_DEVICE_SCHEMA = { type: "string", pattern: "^[A-Za-z0-9_.:-]{1,64}$" };
+const SYNC_CLIENT_REF_SCHEMA = { type: "string", minLength: 1, maxLength: 64 };
+
+// Fields a terminal may change on a product. Stock is not one of them: it follows the pushed sales.
+const SYNC_PRODUCT_PROPERTIES = {
+  name: { type: "string" },
+  barcode: { type: "string" },
+  reference: { type: "string" },
+  description: { type: "string" },
+  productType: { type: "string" },
+  purchasePrice: NULLABLE_PRICE_SCHEMA,
+  price: NULLABLE_PRICE_SCHEMA,
+};
+
+const SYNC_PUSH_SCHEMA = objectSchema(
+  {
+    deviceId: SYNC_DEVICE_SCHEMA,
+    sales: {
+      type: "array",
+      maxItems: MAX_SYNC_PUSH,
+      items: objectSchema(
+        {
+          clientRef: SYNC_CLIENT_REF_SCHEMA,
+          soldAt: { type: "string", format: "date-time" },
+          notes: { type: "string" },
+          // What the terminal charged: offline sales are recorded at their own prices.
+          items: {
+            type: "array",
+            minItems: 1,
+            maxItems: MAX_SALE_LINES,
+            items: objectSchema(
+              {
+                productId: { type: "integer", minimum: 1 },
+                quantity: { type: "integer", minimum: 1, maximum: MAX_LINE_QTY },
+                price: { type: "number", minimum: 0 },
+              },
+              ["productId", "quantity", "price"]
+            ),
+          },
+        },
+        ["clientRef", "soldAt", "items"]
+      ),
+    },
+    products: {
+      type: "array",
+      maxItems: MAX_SYNC_PUSH,
+      items: objectSchema(
+        Object.assign(
+          {
+            clientRef: SYNC_CLIENT_REF_SCHEMA,
+            id_product: { type: "integer", minimum: 1 },
+            baseVersion: { type: ["string", "null"], format: "date-time" },
+          },
+          SYNC_PRODUCT_PROPERTIES
+        ),
+        ["clientRef"]
+      ),
+    },
+  },
+  ["deviceId"]
+);
+
+// Opaque to the terminal: the (last_updated, id) to read after per table and the audit_log id to read
+// deletions after, both held back to the overlap horizon.
+function encodeSyncCursor(c) {
+  return Buffer.from(JSON.stringify(c)).toString("base64url");
+}
+
+function decodeSyncCursor(raw) {
+  if (raw == null || raw === "") return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    const keyOk = (k) => Array.isArray(k) && typeof k[0] === "string" && Number.isInteger(k[1]);
+    if (c && keyOk(c.p) && keyOk(c.o) && Number.isInteger(c.d)) return c;
+  } catch (_) {
+    // Falls through to undefined.
+  }
+  return undefined;
+}
+
+function syncVersion(date) {
+  return date ? sqlDateTime(date) : SYNC_EPOCH;
+}
+
+// (last_updated, id) cursor keys: last_updated as "YYYY-MM-DD HH:MM:SS" UTC, which sorts as text.
+function syncKeyBefore(a, b) {
+  return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+}
+
+function sameVersion(base, current) {
+  if (base == null || current == null) return base == null && current == null;
+  return new Date(base).getTime() === new Date(current).getTime();
+}
+
+const SYNC_DEVICE_COLUMNS = ["last_pull_at", "last_ack_at", "last_push_at"];
+
+async function touchSyncDevice(db, deviceId, userId, column) {
+  if (!SYNC_DEVICE_COLUMNS.includes(column)) throw new Error(`Unknown sync device column: ${column}`);
+  await db.query(
+    `INSERT INTO sync_devices (device_id, user_id, ${column}) VALUES (?, ?, NOW())
+     ON DUPLICATE KEY UPDATE user_id = VALUES(user_id), ${column} = NOW()`,
+    [deviceId, userId]
+  );
+}
+
+// Outside the item's transaction (it was rolled back), so the failure is kept.
+async function recordSyncFailure(deviceId, f) {
+  await pool.query(
+    `INSERT INTO sync_failures (device_id, entity, client_ref, entity_id, kind, message, payload_json, server_json, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      deviceId,
+      f.entity,
+      f.clientRef,
+      f.entityId || null,
+      f.kind,
+      String(f.message).slice(0, 255),
+      JSON.stringify(f.payload),
+      f.server ? JSON.stringify(f.server) : null,
+    ]
+  );
+}
+
+// A clientRef that goes through on a retry closes the failures it left before.
+async function resolveSyncFailures(db, deviceId, entity, clientRef) {
+  await db.query(
+    `UPDATE sync_failures SET resolved_at = NOW()
+     WHERE device_id = ? AND entity = ? AND client_ref = ? AND resolved_at IS NULL`,
+    [deviceId, entity, clientRef]
+  );
+}
+
+async function findSyncRef(db, deviceId, entity, clientRef) {
+  const [rows] = await db.query(`SELECT entity_id FROM sync_refs WHERE device_id = ? AND entity = ? AND client_ref = ? LIMIT 1`, [
+    deviceId,
+    entity,
+    clientRef,
+  ]);
+  return rows && rows[0] ? rows[0].entity_id : null;
+}
+
+async function saveSyncRef(db, deviceId, entity, clientRef, entityId) {
+  await db.query(`INSERT INTO sync_refs (device_id, entity, client_ref, entity_id, created_at) VALUES (?, ?, ?, ?, NOW())`, [
+    deviceId,
+    entity,
+    clientRef,
+    entityId,
+  ]);
+}
+
+async function loadSyncProduct(db, id, lock) {
+  const [rows] = await db.query(
+    `SELECT p.id_product, p.barcode, p.reference, p.name, p.description, p.quantity, p.purchasePrice, p.price, p.productType,
+            p.last_updated, pa.archived_at
+     FROM products p
+     LEFT JOIN product_archive pa ON pa.product_id = p.id_product
+     WHERE p.id_product = ?
+     LIMIT 1${lock ? " FOR UPDATE" : ""}`,
+    [id]
+  );
+  return rows && rows[0] ? rows[0] : null;
+}
+
+// One offline sale, in its own transaction. Returns the item result ({ status, id_sale } or { status, message }).
+async function pushSyncSale(req, deviceId, s) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const known = await findSyncRef(conn, deviceId, "sale", s.clientRef);
+    if (known) {
+      await conn.rollback();
+      return { clientRef: s.clientRef, status: "duplicate", id_sale: known };
+    }
+
+    const soldAt = new Date(s.soldAt);
+    if (soldAt.getTime() > Date.now() + 5 * 60_000) {
+      await conn.rollback();
+      return { clientRef: s.clientRef, status: "failed", message: "soldAt is in the future" };
+    }
+    const ids = [...new Set(s.items.map((it) => it.productId))];
+    const [found] = await conn.query(`SELECT id_product FROM products WHERE id_product IN (?) FOR UPDATE`, [ids]);
+    const missing = ids.filter((id) => !(found || []).some((p) => p.id_product === id));
+    if (missing.length) {
+      await conn.rollback();
+      return { clientRef: s.clientRef, status: "failed", message: `Unknown product #${missing[0]}` };
+    }
+
+    // Archived products are accepted: the sale already happened at the till.
+    const rows = s.items.map((it) => ({
+      productId: it.productId,
+      quantity: it.quantity,
+      price: round2(it.price),
+      totalPrice: round2(it.price * it.quantity),
+    }));
+    const notes = typeof s.notes === "string" ? s.notes.trim() : "";
+    const saleId = await insertSale(conn, req.cagUser.id_user, rows, notes, soldAt);
+    await saveSyncRef(conn, deviceId, "sale", s.clientRef, saleId);
+    await resolveSyncFailures(conn, deviceId, "sale", s.clientRef);
+    await writeAudit(conn, req, { action: "create", entity: "sale", entityId: saleId, after: await loadSaleWithDetails(conn, saleId) });
+    await conn.commit();
+    return { clientRef: s.clientRef, status: "created", id_sale: saleId };
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+// One product created or edited on a terminal. An edit must carry the baseVersion it started from.
+async function pushSyncProduct(req, deviceId, p) {
+  if (!hasPermission(req, "products.edit")) return { clientRef: p.clientRef, status: "failed", message: "Forbidden" };
+  const values = {};
+  for (const key of Object.keys(SYNC_PRODUCT_PROPERTIES)) {
+    if (p[key] === undefined) continue;
+    values[key] = typeof p[key] === "string" && key !== "description" ? p[key].trim() : p[key];
+  }
+  if (p.id_product ? values.name === "" : !values.name) return { clientRef: p.clientRef, status: "failed", message: "Missing name" };
+  if (p.id_product && p.baseVersion === undefined) return { clientRef: p.clientRef, status: "failed", message: "Missing baseVersion" };
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    let id = p.id_product;
+
+    if (!id) {
+      const known = await findSyncRef(conn, deviceId, "product", p.clientRef);
+      if (known) {
+        const saved = await loadSyncProduct(conn, known, false);
+        await conn.rollback();
+        return { clientRef: p.clientRef, status: "duplicate", id_product: known, last_updated: saved ? saved.last_updated : null };
+      }
+      const [res] = await conn.query(
+        `INSERT INTO products
+           (barcode, reference, name, description, quantity, purchasePrice, price, productType, last_updated, is_synced)
+         VALUES
+           (?, ?, ?, ?, NULL, ?, ?, ?, NOW(), 1)`,
+        [
+          values.barcode || "",
+          values.reference || "",
+          values.name,
+          values.description || "",
+          values.purchasePrice == null ? null : values.purchasePrice,
+          values.price == null ? null : values.price,
+          values.productType || "",
+        ]
+      );
+      id = res.insertId;
+      await saveSyncRef(conn, deviceId, "product", p.clientRef, id);
+      await writeAudit(conn, req, { action: "create", entity: "product", entityId: id, after: await auditSnapshot(conn, "product", id) });
+    } else {
+      const current = await loadSyncProduct(conn, id, true);
+      if (!current) {
+        await conn.rollback();
+        return { clientRef: p.clientRef, status: "failed", id_product: id, message: "Not found" };
+      }
+      if (!sameVersion(p.baseVersion, current.last_updated)) {
+        await conn.rollback();
+        return { clientRef: p.clientRef, status: "conflict", id_product: id, message: "Changed on the server", server: current };
+      }
+      const cols = Object.keys(values);
+      if (cols.length) {
+        const before = await auditSnapshot(conn, "product", id);
+        await conn.query(`UPDATE products SET ${cols.map((c) => `${c} = ?`).join(", ")}, last_updated = NOW(), is_synced = 1 WHERE id_product = ?`, [
+          ...cols.map((c) => values[c]),
+          id,
+        ]);
+        await writeAudit(conn, req, { action: "update", entity: "product", entityId: id, before, after: await auditSnapshot(conn, "product", id) });
+      }
+    }
+
+    await resolveSyncFailures(conn, deviceId, "product", p.clientRef);
+    const saved = await loadSyncProduct(conn, id, false);
+    await conn.commit();
+    return { clientRef: p.clientRef, status: p.id_product ? "updated" : "created", id_product: id, last_updated: saved.last_updated };
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+fastify.get(
+  CFG.apiPrefix + "/sync/status",
+  {
+    preHandler: requireAuth,
+  },
+  async () => {
+    const [[products], [offers], [links], [failed], [devices]] = await Promise.all([
+      pool.query(`SELECT COUNT(*) AS n FROM products WHERE is_synced = 0`),
+      pool.query(`SELECT COUNT(*) AS n FROM product_offers WHERE is_synced = 0`),
+      pool.query(`SELECT COUNT(*) AS n FROM product_offers_products WHERE is_synced = 0`),
+      pool.query(`SELECT COUNT(*) AS n FROM sync_failures WHERE resolved_at IS NULL`),
+      pool.query(
+        `SELECT d.device_id, d.user_id, u.username, d.last_pull_at, d.last_ack_at, d.last_push_at
+         FROM sync_devices d
+         LEFT JOIN users u ON u.id_user = d.user_id
+         ORDER BY GREATEST(COALESCE(d.last_pull_at, 0), COALESCE(d.last_push_at, 0)) DESC`
+      ),
+    ]);
+    const count = (rows) => (rows && rows[0] ? Number(rows[0].n) : 0);
+    return {
+      pending: { products: count(products), offers: count(offers), offerProducts: count(links) },
+      failed: count(failed),
+      devices: (devices || []).map((d) => Object.assign({}, d, { username: d.username || "" })),
+    };
+  }
+);
+
+fastify.get(
+  CFG.apiPrefix + "/sync/pull",
+  {
+    preHandler: [requireAuth, requirePermission("sales.create")],
+    schema: {
+      querystring: objectSchema(
+        { deviceId: SYNC_DEVICE_SCHEMA, cursor: { type: "string" }, limit: { type: "integer", minimum: 1, maximum: MAX_SYNC_PULL } },
+        ["deviceId"]
+      ),
+    },
+  },
+  async (req, reply) => {
+    const deviceId = req.query.deviceId;
+    const limit = clampInt(req.query.limit, 1, MAX_SYNC_PULL, MAX_SYNC_PULL);
+    const since = decodeSyncCursor(req.query.cursor);
+    if (since === undefined) {
+      return sendError(reply, 400, "Invalid cursor", { fields: [{ field: "cursor", in: "query", message: "Invalid cursor" }] });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [nowRows] = await conn.query(`SELECT NOW() - INTERVAL ? SECOND AS horizon`, [CFG.syncOverlapSeconds]);
+      const horizon = syncVersion(nowRows && nowRows[0] && nowRows[0].horizon);
+      // Without a cursor the terminal gets the whole catalogue and only the deletions of the overlap window.
+      let c = since;
+      if (!c) {
+        const [maxRows] = await conn.query(`SELECT id_audit FROM audit_log WHERE created_at <= ? ORDER BY id_audit DESC LIMIT 1`, [horizon]);
+        c = { p: [SYNC_EPOCH, 0], o: [SYNC_EPOCH, 0], d: maxRows && maxRows[0] ? Number(maxRows[0].id_audit) : 0 };
+      }
 
-    return { total, items };
+      const [products] = await conn.query(
+        `SELECT p.id_product, p.barcode, p.reference, p.name, p.description, p.quantity, p.purchasePrice, p.price, p.productType,
+                p.last_updated, pa.archived_at
+         FROM products p
+         LEFT JOIN product_archive pa ON pa.product_id = p.id_product
+         WHERE COALESCE(p.last_updated, ?) > ? OR (COALESCE(p.last_updated, ?) = ? AND p.id_product > ?)
+         ORDER BY COALESCE(p.last_updated, ?), p.id_product
+         LIMIT ?`,
+        [SYNC_EPOCH, c.p[0], SYNC_EPOCH, c.p[0], c.p[1], SYNC_EPOCH, limit]
+      );
+      const [offers] = await conn.query(
+        `SELECT o.id_offer, o.name, o.quantity, o.price, o.last_updated, oa.archived_at,
+                GROUP_CONCAT(op.product_id ORDER BY op.product_id) AS product_ids
+         FROM product_offers o
+         LEFT JOIN product_offers_products op ON op.offer_id = o.id_offer
+         LEFT JOIN offer_archive oa ON oa.offer_id = o.id_offer
+         WHERE COALESCE(o.last_updated, ?) > ? OR (COALESCE(o.last_updated, ?) = ? AND o.id_offer > ?)
+         GROUP BY o.id_offer, oa.archived_at
+         ORDER BY COALESCE(o.last_updated, ?), o.id_offer
+         LIMIT ?`,
+        [SYNC_EPOCH, c.o[0], SYNC_EPOCH, c.o[0], c.o[1], SYNC_EPOCH, limit]
+      );
+      const [deletions] = await conn.query(
+        `SELECT id_audit, entity, entity_id, created_at
+         FROM audit_log
+         WHERE id_audit > ? AND action = 'delete' AND entity IN ('product', 'offer')
+         ORDER BY id_audit
+         LIMIT ?`,
+        [c.d, limit]
+      );
+
+      // Past the last row read, but never past the horizon: what changed since comes again next time.
+      const settle = (rows, idKey, from) => {
+        const lastRow = rows && rows[rows.length - 1];
+        if (!lastRow) return from;
+        const key = [syncVersion(lastRow.last_updated), lastRow[idKey]];
+        const held = syncKeyBefore([horizon, 0], key) ? [horizon, 0] : key;
+        return syncKeyBefore(from, held) ? held : from;
+      };
+      let d = c.d;
+      for (const row of deletions || []) {
+        if (syncVersion(row.created_at) > horizon) break;
+        d = Number(row.id_audit);
+      }
+      const next = { p: settle(products, "id_product", c.p), o: settle(offers, "id_offer", c.o), d };
+
+      // A new pull supersedes the device's batch that was never acknowledged.
+      await conn.query(
+        `DELETE bi FROM sync_batch_items bi
+         JOIN sync_batches b ON b.id_batch = bi.batch_id
+         WHERE b.device_id = ? AND b.status = 'open'`,
+        [deviceId]
+      );
+      await conn.query(`UPDATE sync_batches SET status = 'superseded' WHERE device_id = ? AND status = 'open'`, [deviceId]);
+
+      let batchId = null;
+      const items = [
+        ...(products || []).map((p) => ["product", p.id_product, p.last_updated]),
+        ...(offers || []).map((o) => ["offer", o.id_offer, o.last_updated]),
+      ];
+      if (items.length) {
+        const [res] = await conn.query(
+          `INSERT INTO sync_batches (device_id, user_id, status, product_count, offer_count, created_at)
+           VALUES (?, ?, 'open', ?, ?, NOW())`,
+          [deviceId, req.cagUser.id_user, (products || []).length, (offers || []).length]
+        );
+        batchId = res.insertId;
+        await conn.query(`INSERT INTO sync_batch_items (batch_id, entity, entity_id, version) VALUES ?`, [
+          items.map(([entity, id, version]) => [batchId, entity, id, version]),
+        ]);
+      }
+      await touchSyncDevice(conn, deviceId, req.cagUser.id_user, "last_pull_at");
+      await conn.commit();
+
+      const hidePurchase = !hasPermission(req, "reports.view_profit");
+      const pick = (entity) => (deletions || []).filter((d) => d.entity === entity).map((d) => Number(d.entity_id));
+      reply.send({
+        batchId,
+        cursor: encodeSyncCursor(next),
+        // A full page held back at the horizon is not "more": it comes again once it is older.
+        hasMore:
+          ((products || []).length === limit && syncKeyBefore(c.p, next.p)) ||
+          ((offers || []).length === limit && syncKeyBefore(c.o, next.o)) ||
+          ((deletions || []).length === limit && next.d > c.d),
+        products: (products || []).map((p) => (hidePurchase ? Object.assign({}, p, { purchasePrice: null }) : p)),
+        offers: (offers || []).map((o) => {
+          const { product_ids: productIds, ...offer } = o;
+          return Object.assign(offer, { productIds: productIds ? String(productIds).split(",").map(Number) : [] });
+        }),
+        deleted: { products: pick("product"), offers: pick("offer") },
+      });
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
   }
 );
 
 fastify.post(
-  CFG.apiPrefix + "/offers",
+  CFG.apiPrefix + "/sync/ack",
   {
-    preHandler: [requireAuth, requireWrite],
+    preHandler: [requireAuth, requirePermission("sales.create")],
+    schema: { body: objectSchema({ deviceId: SYNC_DEVICE_SCHEMA, batchId: { type: "integer", minimum: 1 } }, ["deviceId", "batchId"]) },
   },
   async (req, reply) => {
-    const b = req.body || {};
-    const name = typeof b.name === "string" ? b.name.trim() : "";
-    if (!name) return sendError(reply, 400, "Missing name");
-    const quantity = b.quantity == null ? null : Number(b.quantity);
-    const price = b.price == null ? null : Number(b.price);
-    const productIds = Array.isArray(b.productIds) ? b.productIds.map(Number).filter((x) => Number.isFinite(x)) : [];
+    const { deviceId, batchId } = req.body;
 
     const conn = await pool.getConnection();
     try {
       await conn.beginTransaction();
-      const [res] = await conn.query(
-        `INSERT INTO product_offers (name, quantity, price, last_updated, is_synced)
-         VALUES (?, ?, ?, NOW(), 0)`,
-        [name, quantity, price]
-      );
-      const offerId = res.insertId;
-      for (const pid of productIds) {
-        await conn.query(`INSERT INTO product_offers_products (offer_id, product_id, is_synced) VALUES (?, ?, 0)`, [offerId, pid]);
+      const [batches] = await conn.query(`SELECT status FROM sync_batches WHERE id_batch = ? AND device_id = ? LIMIT 1 FOR UPDATE`, [
+        batchId,
+        deviceId,
+      ]);
+      const batch = batches && batches[0];
+      if (!batch) {
+        await conn.rollback();
+        return sendError(reply, 404, "Not found");
       }
+      if (batch.status !== "open") {
+        await conn.rollback();
+        return sendError(reply, 409, `Batch ${batch.status === "acked" ? "already acknowledged" : "superseded by a newer pull"}`, {
+          status: batch.status,
+        });
+      }
+
+      // Rows edited since the pull keep is_synced = 0: the next pull brings them again.
+      const [productsRes] = await conn.query(
+        `UPDATE products p
+         JOIN sync_batch_items bi ON bi.entity = 'product' AND bi.entity_id = p.id_product
+         SET p.is_synced = 1
+         WHERE bi.batch_id = ? AND p.last_updated <=> bi.version`,
+        [batchId]
+      );
+      const [offersRes] = await conn.query(
+        `UPDATE product_offers o
+         JOIN sync_batch_items bi ON bi.entity = 'offer' AND bi.entity_id = o.id_offer
+         SET o.is_synced = 1
+         WHERE bi.batch_id = ? AND o.last_updated <=> bi.version`,
+        [batchId]
+      );
+      await conn.query(
+        `UPDATE product_offers_products op
+         JOIN product_offers o ON o.id_offer = op.offer_id
+         JOIN sync_batch_items bi ON bi.entity = 'offer' AND bi.entity_id = o.id_offer
+         SET op.is_synced = 1
+         WHERE bi.batch_id = ? AND o.last_updated <=> bi.version`,
+        [batchId]
+      );
+      const [counts] = await conn.query(
+        `SELECT SUM(entity = 'product') AS products, SUM(entity = 'offer') AS offers FROM sync_batch_items WHERE batch_id = ?`,
+        [batchId]
+      );
+      await conn.query(`DELETE FROM sync_batch_items WHERE batch_id = ?`, [batchId]);
+      await conn.query(`UPDATE sync_batches SET status = 'acked', acked_at = NOW() WHERE id_batch = ?`, [batchId]);
+      await touchSyncDevice(conn, deviceId, req.cagUser.id_user, "last_ack_at");
       await conn.commit();
-      reply.code(201).send({ id_offer: offerId });
+
+      const acked = { products: productsRes.affectedRows, offers: offersRes.affectedRows };
+      const total = counts && counts[0] ? counts[0] : {};
+      reply.send({
+        acked,
+        stale: { products: Number(total.products || 0) - acked.products, offers: Number(total.offers || 0) - acked.offers },
+      });
     } catch (e) {
       await conn.rollback();
       throw e;
@@ -749,100 +4616,766 @@ fastify.post(
   }
 );
 
-fastify.patch(
-  CFG.apiPrefix + "/offers/:id",
+// Items are applied one by one: a conflict or a bad line only fails that item. Retrying a push is safe,
+// clientRef identifies each sale / new product per device.
+fastify.post(
+  CFG.apiPrefix + "/sync/push",
   {
-    preHandler: [requireAuth, requireWrite],
+    preHandler: [requireAuth, requirePermission("sales.create")],
+    schema: { body: SYNC_PUSH_SCHEMA },
   },
   async (req, reply) => {
-    const idRaw = req.params && req.params.id;
-    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
-    if (!id) return sendError(reply, 400, "Invalid id");
-
-    const b = req.body || {};
-    const name = typeof b.name === "string" ? b.name.trim() : null;
-    const quantity = b.quantity === undefined ? undefined : b.quantity == null ? null : Number(b.quantity);
-    const price = b.price === undefined ? undefined : b.price == null ? null : Number(b.price);
-    const productIds = Array.isArray(b.productIds) ? b.productIds.map(Number).filter((x) => Number.isFinite(x)) : null;
+    const deviceId = req.body.deviceId;
+    const sales = req.body.sales || [];
+    const products = req.body.products || [];
+    if (!sales.length && !products.length) return sendError(reply, 400, "Nothing to push");
+    const hidePurchase = !hasPermission(req, "reports.view_profit");
 
-    const fields = [];
-    const values = [];
-    if (name != null) {
-      fields.push("name = ?");
-      values.push(name);
-    }
-    if (quantity !== undefined) {
-      fields.push("quantity = ?");
-      values.push(quantity);
+    async function apply(entity, item, fn) {
+      let r;
+      try {
+        r = await fn(req, deviceId, item);
+      } catch (e) {
+        req.log.error({ err: e, deviceId, entity, clientRef: item.clientRef }, "Sync push item failed");
+        r = { clientRef: item.clientRef, status: "failed", message: "Server error" };
+      }
+      if (r.status === "failed" || r.status === "conflict") {
+        await recordSyncFailure(deviceId, {
+          entity,
+          clientRef: item.clientRef,
+          entityId: r.id_product,
+          kind: r.status === "conflict" ? "conflict" : "error",
+          message: r.message,
+          payload: item,
+          server: r.server,
+        });
+      }
+      // The conflict copy is stored whole for /sync/failures, but only sent back with the usual price rule.
+      if (r.server && hidePurchase) r = Object.assign({}, r, { server: Object.assign({}, r.server, { purchasePrice: null }) });
+      return r;
     }
-    if (price !== undefined) {
-      fields.push("price = ?");
-      values.push(price);
+
+    // Products first: a sale pushed in the same call may sell a product created offline.
+    const productResults = [];
+    for (const p of products) productResults.push(await apply("product", p, pushSyncProduct));
+    const saleResults = [];
+    for (const s of sales) saleResults.push(await apply("sale", s, pushSyncSale));
+    await touchSyncDevice(pool, deviceId, req.cagUser.id_user, "last_push_at");
+
+    reply.send({ products: productResults, sales: saleResults });
+  }
+);
+
+fastify.get(
+  CFG.apiPrefix + "/sync/failures",
+  {
+    preHandler: requireAuth,
+    schema: {
+      querystring: objectSchema(
+        Object.assign({ deviceId: SYNC_DEVICE_SCHEMA, status: { type: "string", enum: SYNC_FAILURE_STATUSES } }, PAGING_PROPERTIES)
+      ),
+    },
+  },
+  async (req) => {
+    const q = req.query || {};
+    const limit = clampInt(q.limit, 1, 100, 20);
+    const offset = clampInt(q.offset, 0, 1_000_000, 0);
+    const status = q.status || "open";
+    const where = [status === "open" ? "f.resolved_at IS NULL" : status === "resolved" ? "f.resolved_at IS NOT NULL" : "1=1"];
+    const params = [];
+    if (q.deviceId) {
+      where.push("f.device_id = ?");
+      params.push(q.deviceId);
     }
-    if (fields.length) {
-      fields.push("last_updated = NOW()");
-      fields.push("is_synced = 0");
+
+    const [totalRows] = await pool.query(`SELECT COUNT(*) AS total FROM sync_failures f WHERE ${where.join(" AND ")}`, params);
+    const total = totalRows && totalRows[0] ? Number(totalRows[0].total) : 0;
+
+    const [rows] = await pool.query(
+      `SELECT f.id_failure, f.device_id, f.entity, f.client_ref, f.entity_id, f.kind, f.message, f.payload_json, f.server_json,
+              f.created_at, f.resolved_at, f.resolved_by, u.username AS resolved_by_username
+       FROM sync_failures f
+       LEFT JOIN users u ON u.id_user = f.resolved_by
+       WHERE ${where.join(" AND ")}
+       ORDER BY f.id_failure DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    // Server copies and pushed products carry purchase prices: same rule as the product listings.
+    const hidePurchase = !hasPermission(req, "reports.view_profit");
+    const parse = (s) => {
+      const v = s == null ? null : JSON.parse(s);
+      if (hidePurchase && v && typeof v === "object" && "purchasePrice" in v) v.purchasePrice = null;
+      return v;
+    };
+    return {
+      total,
+      items: (rows || []).map(({ payload_json: payload, server_json: server, resolved_by_username: resolvedBy, ...f }) =>
+        Object.assign(f, { payload: parse(payload), server: parse(server), resolved_by_username: resolvedBy || "" })
+      ),
+    };
+  }
+);
+
+fastify.post(
+  CFG.apiPrefix + "/sync/failures/:id/dismiss",
+  {
+    preHandler: [requireAuth, requirePermission("products.edit")],
+    schema: { params: ID_PARAMS_SCHEMA },
+  },
+  async (req, reply) => {
+    // Dismissing twice keeps the first date.
+    const id = req.params.id;
+    await pool.query(`UPDATE sync_failures SET resolved_at = NOW(), resolved_by = ? WHERE id_failure = ? AND resolved_at IS NULL`, [
+      req.cagUser.id_user,
+      id,
+    ]);
+    const [rows] = await pool.query(`SELECT id_failure, resolved_at FROM sync_failures WHERE id_failure = ? LIMIT 1`, [id]);
+    if (!rows || !rows[0]) return sendError(reply, 404, "Not found");
+    reply.send(rows[0]);
+  }
+);
+
+// ---- LIVE EVENTS ----
+// GET /events is a Server-Sent Events stream for dashboards left open (the wall screen on busy nights).
+// It reads the tables instead of hooking the routes, so sales a POS writes straight into MySQL show up
+// too and several API processes need no shared bus. Each tick one query reads the newest sale, stock
+// movement and audit_log ids; clients whose cursor is behind get the rows in between. The event id is
+// that cursor: a reconnecting client sends it back in Last-Event-ID and resumes where it stopped.
+// Auto-increment ids are handed out before commit, so a row can show up below ids already sent: the
+// cursor also keeps the ids it went past without seeing (g) and reads them again every tick. Ids burnt by
+// a rollback stay there until they fall LIVE_GAP_WINDOW behind the newest id.
+const LIVE_BATCH = 100;
+const LIVE_GAP_WINDOW = 50;
+// Cursor key, table and id column of each table the stream follows.
+const LIVE_TABLES = [
+  ["s", "sales", "id_sale"],
+  ["m", "stock_movements", "id_movement"],
+  ["a", "audit_log", "id_audit"],
+];
+// A client further behind than this (in ids, per table) gets a reset (reload everything) instead of a replay.
+const LIVE_MAX_BACKLOG = 500;
+const LIVE_HEARTBEAT_MS = 25_000;
+const LIVE_RETRY_MS = 3000;
+// audit_log entities worth an event. Created sales are announced from the sales table (new-sale).
+const LIVE_AUDIT_EVENTS = {
+  product: ["product-change", "id_product"],
+  offer: ["offer-change", "id_offer"],
+  sale: ["sale-change", "id_sale"],
+};
+
+const liveClients = new Set();
+let liveTimer = null;
+let liveTicking = false;
+
+// Cursor: last id sent per table (s: sales, m: stock_movements, a: audit_log) and, per table, the ids
+// below it not seen yet (g).
+function encodeLiveCursor(c) {
+  return Buffer.from(JSON.stringify(c)).toString("base64url");
+}
+
+function decodeLiveCursor(raw) {
+  if (raw == null || raw === "") return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (!c || !["s", "m", "a"].every((k) => Number.isInteger(c[k]) && c[k] >= 0)) return undefined;
+    // Cursors sent before gaps were tracked have no g.
+    const g = c.g || { s: [], m: [], a: [] };
+    const gapsOk = (k) =>
+      Array.isArray(g[k]) && g[k].length < LIVE_GAP_WINDOW && g[k].every((id) => Number.isInteger(id) && id > 0 && id < c[k]);
+    if (["s", "m", "a"].every(gapsOk)) return { s: c.s, m: c.m, a: c.a, g: { s: g.s, m: g.m, a: g.a } };
+  } catch (_) {
+    // Falls through to undefined.
+  }
+  return undefined;
+}
+
+// Ids in the LIVE_GAP_WINDOW below `last` that are not in `seen`: not committed yet (or rolled back).
+function liveMissingIds(last, seen) {
+  const have = new Set(seen);
+  const missing = [];
+  for (let id = Math.max(1, last - LIVE_GAP_WINDOW + 1); id < last; id++) if (!have.has(id)) missing.push(id);
+  return missing;
+}
+
+// A cursor at `head` for a new stream or a reset, with the gaps below it that are still uncommitted.
+async function liveStartCursor(head) {
+  const g = {};
+  for (const [key, table, col] of LIVE_TABLES) {
+    const [rows] = await pool.query(`SELECT ${col} AS id FROM ${table} WHERE ${col} > ?`, [head[key] - LIVE_GAP_WINDOW]);
+    g[key] = liveMissingIds(head[key], (rows || []).map((x) => Number(x.id)));
+  }
+  return { s: head.s, m: head.m, a: head.a, g };
+}
+
+// The cursor once row `id` of table `key` is sent (null when it already was): a gap filled, or the ids
+// jumped over kept as gaps. Gaps that fell out of the window are dropped.
+function advanceLiveCursor(c, key, id) {
+  const gaps = c.g[key];
+  let next;
+  if (gaps.includes(id)) next = gaps.filter((x) => x !== id);
+  else if (id > c[key]) {
+    next = gaps.slice();
+    for (let x = Math.max(c[key] + 1, id - LIVE_GAP_WINDOW + 1); x < id; x++) next.push(x);
+  } else return null;
+  const top = Math.max(c[key], id);
+  return Object.assign({}, c, { [key]: top, g: Object.assign({}, c.g, { [key]: next.filter((x) => x > top - LIVE_GAP_WINDOW) }) });
+}
+
+// WHERE condition (and its params) for the rows of one table after cursor `c`, gaps included.
+function liveAfter(c, key, col) {
+  if (!c.g[key].length) return [`${col} > ?`, [c[key]]];
+  return [`(${col} > ? OR ${col} IN (?))`, [c[key], c.g[key]]];
+}
+
+async function liveHead() {
+  const [rows] = await pool.query(
+    `SELECT
+       (SELECT COALESCE(MAX(id_sale), 0) FROM sales) AS s,
+       (SELECT COALESCE(MAX(id_movement), 0) FROM stock_movements) AS m,
+       (SELECT COALESCE(MAX(id_audit), 0) FROM audit_log) AS a`
+  );
+  const r = (rows && rows[0]) || {};
+  return { s: Number(r.s) || 0, m: Number(r.m) || 0, a: Number(r.a) || 0 };
+}
+
+// Events after cursor `c`, oldest first: [{ key, id, type, data }]. type is null for rows that only
+// move the cursor (audit entries nobody listens to).
+async function readLiveEvents(c) {
+  const events = [];
+
+  const [saleWhere, saleParams] = liveAfter(c, "s", "s.id_sale");
+  const [sales] = await pool.query(
+    `SELECT s.id_sale, s.total_amount, s.notes, s.user_id, u.username, s.last_updated
+     FROM sales s
+     LEFT JOIN users u ON u.id_user = s.user_id
+     WHERE ${saleWhere}
+     ORDER BY s.id_sale ASC
+     LIMIT ?`,
+    [...saleParams, LIVE_BATCH]
+  );
+  if (sales && sales.length) {
+    const [details] = await pool.query(
+      `SELECT sd.sale_id, sd.product_id, p.name, sd.quantity,
+              COALESCE(sd.total_price, sd.price * sd.quantity) AS revenue, COALESCE(p.purchasePrice, 0) AS unit_cost
+       FROM sales_details sd
+       LEFT JOIN products p ON p.id_product = sd.product_id
+       WHERE sd.sale_id IN (?)`,
+      [sales.map((x) => x.id_sale)]
+    );
+    for (const x of sales) {
+      const lines = (details || []).filter((d) => d.sale_id === x.id_sale);
+      // Same figures as the summary: the hour is wall-clock time, date and weekday follow the business day.
+      const at = x.last_updated instanceof Date ? x.last_updated : new Date(x.last_updated);
+      const local = businessParts(at);
+      events.push({
+        key: "s",
+        id: x.id_sale,
+        type: "new-sale",
+        data: {
+          sale: {
+            id_sale: x.id_sale,
+            total_amount: Number(x.total_amount),
+            notes: x.notes || "",
+            user_id: x.user_id,
+            username: x.username || "",
+            last_updated: x.last_updated,
+            items_count: lines.reduce((acc, d) => acc + Number(d.quantity), 0),
+            refunded_amount: 0,
+            voided: false,
+          },
+          date: local.date,
+          hour: local.hour,
+          weekday: local.weekday,
+          profit: round2(lines.reduce((acc, d) => acc + Number(d.revenue) - Number(d.unit_cost) * Number(d.quantity), 0)),
+          lines: lines.map((d) => ({
+            product_id: d.product_id,
+            name: d.name || `Produit #${d.product_id}`,
+            qty: Number(d.quantity),
+            revenue: Number(d.revenue),
+          })),
+        },
+      });
     }
+  }
 
-    const conn = await pool.getConnection();
-    try {
-      await conn.beginTransaction();
+  const [moveWhere, moveParams] = liveAfter(c, "m", "m.id_movement");
+  const [moves] = await pool.query(
+    `SELECT m.id_movement, m.product_id, p.name, m.kind, m.delta, m.quantity_after, m.sale_id, sl.min_stock
+     FROM stock_movements m
+     LEFT JOIN products p ON p.id_product = m.product_id
+     LEFT JOIN product_stock_levels sl ON sl.product_id = m.product_id
+     WHERE ${moveWhere}
+     ORDER BY m.id_movement ASC
+     LIMIT ?`,
+    [...moveParams, LIVE_BATCH]
+  );
+  for (const x of moves || []) {
+    const min = x.min_stock == null ? null : Number(x.min_stock);
+    events.push({
+      key: "m",
+      id: x.id_movement,
+      type: "stock-change",
+      data: {
+        id_movement: x.id_movement,
+        product_id: x.product_id,
+        name: x.name || "",
+        kind: x.kind,
+        delta: Number(x.delta),
+        quantity: Number(x.quantity_after),
+        sale_id: x.sale_id,
+        min_stock: min,
+        low_stock: min != null && Number(x.quantity_after) <= min,
+      },
+    });
+  }
 
-      if (fields.length) {
-        values.push(id);
-        const [res] = await conn.query(`UPDATE product_offers SET ${fields.join(", ")} WHERE id_offer = ?`, values);
-        if (!res.affectedRows) {
-          await conn.rollback();
-          return sendError(reply, 404, "Not found");
-        }
-      }
+  const [auditWhere, auditParams] = liveAfter(c, "a", "id_audit");
+  const [audits] = await pool.query(
+    `SELECT id_audit, action, entity, entity_id, username
+     FROM audit_log
+     WHERE ${auditWhere}
+     ORDER BY id_audit ASC
+     LIMIT ?`,
+    [...auditParams, LIVE_BATCH]
+  );
+  for (const x of audits || []) {
+    const spec = LIVE_AUDIT_EVENTS[x.entity];
+    const listened = spec && !(x.entity === "sale" && x.action === "create");
+    events.push({
+      key: "a",
+      id: x.id_audit,
+      type: listened ? spec[0] : null,
+      data: listened ? { [spec[1]]: Number(x.entity_id), action: x.action, username: x.username || "" } : null,
+    });
+  }
+  return events;
+}
 
-      if (productIds !== null) {
-        await conn.query(`DELETE FROM product_offers_products WHERE offer_id = ?`, [id]);
-        for (const pid of productIds) {
-          await conn.query(`INSERT INTO product_offers_products (offer_id, product_id, is_synced) VALUES (?, ?, 0)`, [id, pid]);
+// A client that stops reading is not buffered for without limit: once write() says the socket is full it
+// is left alone (blocked) until "drain", and resumes from its cursor on the next tick.
+function writeLive(client, type, data) {
+  if (client.blocked) return;
+  const ok = client.raw.write(`id: ${encodeLiveCursor(client.cursor)}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (ok) return;
+  client.blocked = true;
+  client.blockedAt = Date.now();
+  client.raw.once("drain", () => {
+    client.blocked = false;
+  });
+}
+
+function liveBehind(c, head) {
+  return head.s > c.s || head.m > c.m || head.a > c.a || c.g.s.length > 0 || c.g.m.length > 0 || c.g.a.length > 0;
+}
+
+// Sends what the client missed, or a reset when it is too far behind to replay.
+async function catchUpLive(client, head, cache) {
+  const c = client.cursor;
+  if (head.s - c.s > LIVE_MAX_BACKLOG || head.m - c.m > LIVE_MAX_BACKLOG || head.a - c.a > LIVE_MAX_BACKLOG) {
+    client.cursor = await liveStartCursor(head);
+    writeLive(client, "reset", { reason: "backlog" });
+    return;
+  }
+  // Clients at the same cursor (the usual case) share one read.
+  const cacheKey = encodeLiveCursor(c);
+  if (!cache.has(cacheKey)) cache.set(cacheKey, await readLiveEvents(c));
+  for (const e of cache.get(cacheKey)) {
+    if (client.blocked) break;
+    const next = advanceLiveCursor(client.cursor, e.key, e.id);
+    if (!next) continue;
+    client.cursor = next;
+    if (!e.type) continue;
+    writeLive(client, e.type, e.type === "new-sale" && !client.canViewProfit ? Object.assign({}, e.data, { profit: null }) : e.data);
+  }
+}
+
+async function liveTick() {
+  if (liveTicking) return;
+  liveTicking = true;
+  try {
+    const head = await liveHead();
+    const cache = new Map();
+    for (const client of liveClients) {
+      if (!client.blocked && liveBehind(client.cursor, head)) await catchUpLive(client, head, cache);
+      // The heartbeat keeps proxies from closing a quiet stream and is when a revoked session is noticed.
+      if (Date.now() - client.checkedAt >= LIVE_HEARTBEAT_MS) {
+        client.checkedAt = Date.now();
+        // Not read from for a whole heartbeat: dropped, it resumes from Last-Event-ID when it reconnects.
+        if (client.blocked && Date.now() - client.blockedAt >= LIVE_HEARTBEAT_MS) {
+          client.raw.destroy();
+          continue;
+        }
+        if (!(await sessionIsLive(client.sessionId, client.userId))) {
+          client.raw.end();
+          continue;
         }
+        if (!client.blocked) client.raw.write(": ping\n\n");
       }
+    }
+  } catch (e) {
+    fastify.log.warn({ err: e }, "Live events poll failed");
+  } finally {
+    liveTicking = false;
+  }
+}
 
-      await conn.commit();
-      reply.send({ ok: true });
-    } catch (e) {
-      await conn.rollback();
-      throw e;
-    } finally {
-      conn.release();
+function dropLiveClient(client) {
+  liveClients.delete(client);
+  if (!liveClients.size && liveTimer) {
+    clearInterval(liveTimer);
+    liveTimer = null;
+  }
+}
+
+fastify.get(CFG.apiPrefix + "/events", { preHandler: requireAuth }, async (req, reply) => {
+  // Watched from the start: a client gone while the cursor is read below must not join liveClients.
+  let gone = false;
+  reply.raw.on("close", () => {
+    gone = true;
+  });
+  const resume = decodeLiveCursor(req.headers["last-event-id"]);
+  const head = await liveHead();
+  const client = {
+    raw: reply.raw,
+    cursor: resume || (await liveStartCursor(head)),
+    userId: req.cagUser.id_user,
+    sessionId: req.cagSessionId,
+    canViewProfit: hasPermission(req, "reports.view_profit"),
+    checkedAt: Date.now(),
+  };
+
+  // The stream outlives the handler: headers set so far (CORS, helmet) are copied by hand.
+  reply.hijack();
+  if (gone || reply.raw.destroyed) return;
+  reply.raw.writeHead(
+    200,
+    Object.assign({}, reply.getHeaders(), {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      // Stops nginx-style proxies from buffering the stream.
+      "X-Accel-Buffering": "no",
+    })
+  );
+  reply.raw.write(`retry: ${LIVE_RETRY_MS}\n\n`);
+  writeLive(client, "ready", { resumed: Boolean(resume), pollMs: CFG.livePollMs });
+  liveClients.add(client);
+  reply.raw.on("close", () => dropLiveClient(client));
+  if (!liveTimer) liveTimer = setInterval(liveTick, CFG.livePollMs);
+
+  // An unreadable Last-Event-ID: the client cannot know what it missed. A tick running meanwhile is
+  // harmless: events at or below the client's cursor are skipped.
+  if (resume === undefined) writeLive(client, "reset", { reason: "cursor" });
+  else if (resume && liveBehind(resume, head)) {
+    // The reply is hijacked: a failure here is only logged, the next tick tries again.
+    await catchUpLive(client, head, new Map()).catch((e) => req.log.warn({ err: e }, "Live events catch-up failed"));
+  }
+});
+
+// Open streams would otherwise keep fastify.close() waiting.
+fastify.addHook("onClose", async () => {
+  for (const client of liveClients) client.raw.end();
+  liveClients.clear();
+  if (liveTimer) clearInterval(liveTimer);
+  liveTimer = null;
+});
+
+// ---- EXPORTS ----
+// Rows are streamed from MySQL straight into the response: exports are not capped like the
+// listings and never hold the whole result set in memory.
+const EXPORT_FORMATS = ["csv", "xlsx"];
+const EXPORT_FORMAT_SCHEMA = { type: "string", enum: EXPORT_FORMATS };
+
+function localDateTime(date) {
+  if (!date) return "";
+  const p = zonedParts(date);
+  const time = [p.hour, p.minute, p.second].map((n) => String(n).padStart(2, "0")).join(":");
+  return `${p.date} ${time}`;
+}
+
+// ";" separator and decimal commas so the file opens as columns in a French Excel. Text starting
+// with = + - @ gets a leading ' so a spreadsheet never evaluates it as a formula.
+function csvCell(v) {
+  if (v == null) return "";
+  if (typeof v === "number") return String(v).replace(".", ",");
+  let str = String(v);
+  if (/^[=+\-@]/.test(str)) str = "'" + str;
+  return /[";\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function saleStatus(totalAmount, refunded, voided) {
+  if (voided) return "Annulée";
+  if (refunded > 0 && refunded >= totalAmount) return "Remboursée";
+  if (refunded > 0) return "Remb. partiel";
+  return "";
+}
+
+// Waits for `promise`, or throws if `stream` closes before it is finished: a stream destroyed under us
+// (client gone) never drains, and a workbook writing to it never commits.
+async function unlessClosed(stream, promise) {
+  let onClose;
+  const closed = new Promise((_, reject) => {
+    onClose = () => {
+      if (!stream.writableFinished) reject(new Error("Export stream closed"));
+    };
+    if (stream.destroyed) onClose();
+    else stream.on("close", onClose);
+  });
+  try {
+    return await Promise.race([promise, closed]);
+  } finally {
+    stream.off("close", onClose);
+  }
+}
+
+// spec: { filename (without extension), sheet, columns: [{ header, key, width? }], sql, params, mapRow(row) -> { [key]: value } }
+async function sendExport(req, reply, spec) {
+  const format = (req.query && req.query.format) || "csv";
+  if (!EXPORT_FORMATS.includes(format)) {
+    return sendError(reply, 400, `Invalid format (expected ${EXPORT_FORMATS.join(" or ")})`);
+  }
+
+  const conn = await pool.getConnection();
+  const rows = conn.connection.query(spec.sql, spec.params).stream({ highWaterMark: 500 });
+  // A connection left mid-result (client gone, write error) cannot go back to the pool.
+  const done = (err) => {
+    if (!err) return conn.release();
+    req.log.warn({ err }, "Export aborted");
+    conn.destroy();
+  };
+
+  reply.header("Content-Disposition", `attachment; filename="${spec.filename}.${format}"`);
+
+  if (format === "csv") {
+    const toCsv = new Transform({
+      writableObjectMode: true,
+      transform(row, _enc, cb) {
+        const values = spec.mapRow(row);
+        cb(null, spec.columns.map((c) => csvCell(values[c.key])).join(";") + "\r\n");
+      },
+    });
+    // BOM so Excel reads the file as UTF-8.
+    toCsv.push("\ufeff" + spec.columns.map((c) => csvCell(c.header)).join(";") + "\r\n");
+    pipeline(rows, toCsv, done);
+    return reply.type("text/csv; charset=utf-8").send(toCsv);
+  }
+
+  const out = new PassThrough();
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(spec.sheet);
+  sheet.columns = spec.columns.map((c) => ({ header: c.header, key: c.key, width: c.width || 14 }));
+  (async () => {
+    for await (const row of rows) {
+      if (out.destroyed) throw new Error("Export stream closed");
+      sheet.addRow(spec.mapRow(row)).commit();
+      if (out.writableNeedDrain) await unlessClosed(out, once(out, "drain"));
+    }
+    sheet.commit();
+    await unlessClosed(out, workbook.commit());
+  })().then(
+    () => done(),
+    (err) => {
+      done(err);
+      out.destroy(err);
     }
+  );
+  return reply.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet").send(out);
+}
+
+fastify.get(
+  CFG.apiPrefix + "/sales/export",
+  {
+    preHandler: requireAuth,
+    schema: { querystring: objectSchema(Object.assign({ format: EXPORT_FORMAT_SCHEMA }, SALES_QUERY_PROPERTIES), ["from", "to"]) },
+  },
+  async (req, reply) => {
+    const f = salesFilter(req.query || {});
+    if (!f) return sendError(reply, 400, "Invalid from/to (expected YYYY-MM-DD)");
+
+    return sendExport(req, reply, {
+      filename: `ventes_${req.query.from}_${req.query.to}`,
+      sheet: "Ventes",
+      columns: [
+        { header: "Vente", key: "id", width: 10 },
+        { header: "Date", key: "date", width: 20 },
+        { header: "Journée", key: "day", width: 12 },
+        { header: "Vendeur", key: "username" },
+        { header: "Articles", key: "items", width: 10 },
+        { header: "Total", key: "total" },
+        { header: "Remboursé", key: "refunded" },
+        { header: "Net", key: "net" },
+        { header: "Statut", key: "status" },
+        { header: "Notes", key: "notes", width: 40 },
+      ],
+      sql: `SELECT
+              s.id_sale,
+              s.last_updated,
+              u.username,
+              s.total_amount,
+              s.notes,
+              COALESCE(rf.refunded, 0) AS refunded_amount,
+              COALESCE(rf.voided, 0) AS voided,
+              (
+                SELECT COALESCE(SUM(sd.quantity), 0)
+                FROM sales_details sd
+                WHERE sd.sale_id = s.id_sale
+              ) AS items_count
+            FROM sales s
+            LEFT JOIN users u ON u.id_user = s.user_id
+            ${SALE_REFUNDS_JOIN}
+            WHERE ${f.where}
+            ORDER BY s.last_updated ASC, s.id_sale ASC`,
+      params: f.params,
+      mapRow: (x) => {
+        const total = Number(x.total_amount);
+        const refunded = Number(x.refunded_amount);
+        return {
+          id: x.id_sale,
+          date: localDateTime(x.last_updated),
+          day: x.last_updated ? businessParts(x.last_updated).date : "",
+          username: x.username || "",
+          items: Number(x.items_count),
+          total,
+          refunded,
+          net: round2(total - refunded),
+          status: saleStatus(total, refunded, Number(x.voided)),
+          notes: x.notes || "",
+        };
+      },
+    });
   }
 );
 
-fastify.delete(
-  CFG.apiPrefix + "/offers/:id",
+fastify.get(
+  CFG.apiPrefix + "/sales/lines/export",
   {
-    preHandler: [requireAuth, requireWrite],
+    preHandler: requireAuth,
+    schema: { querystring: objectSchema(Object.assign({ format: EXPORT_FORMAT_SCHEMA }, SALES_QUERY_PROPERTIES), ["from", "to"]) },
   },
   async (req, reply) => {
-    const idRaw = req.params && req.params.id;
-    const id = /^\d+$/.test(String(idRaw)) ? Number(idRaw) : null;
-    if (!id) return sendError(reply, 400, "Invalid id");
+    const f = salesFilter(req.query || {});
+    if (!f) return sendError(reply, 400, "Invalid from/to (expected YYYY-MM-DD)");
 
-    const conn = await pool.getConnection();
-    try {
-      await conn.beginTransaction();
-      await conn.query(`DELETE FROM product_offers_products WHERE offer_id = ?`, [id]);
-      const [res] = await conn.query(`DELETE FROM product_offers WHERE id_offer = ?`, [id]);
-      await conn.commit();
-      if (!res.affectedRows) return sendError(reply, 404, "Not found");
-      reply.send({ ok: true });
-    } catch (e) {
-      await conn.rollback();
-      throw e;
-    } finally {
-      conn.release();
-    }
+    return sendExport(req, reply, {
+      filename: `lignes-ventes_${req.query.from}_${req.query.to}`,
+      sheet: "Lignes de vente",
+      columns: [
+        { header: "Vente", key: "saleId", width: 10 },
+        { header: "Date", key: "date", width: 20 },
+        { header: "Journée", key: "day", width: 12 },
+        { header: "Vendeur", key: "username" },
+        { header: "Produit", key: "productId", width: 10 },
+        { header: "Nom", key: "name", width: 30 },
+        { header: "Référence", key: "reference" },
+        { header: "Quantité", key: "quantity", width: 10 },
+        { header: "Prix unitaire", key: "price" },
+        { header: "Total", key: "total" },
+        { header: "Qté remboursée", key: "refundedQty" },
+        { header: "Montant remboursé", key: "refunded" },
+      ],
+      sql: `SELECT
+              s.id_sale,
+              s.last_updated,
+              u.username,
+              sd.product_id,
+              COALESCE(p.name, CONCAT('Produit #', sd.product_id)) AS product_name,
+              p.reference,
+              sd.quantity,
+              sd.price,
+              COALESCE(sd.total_price, sd.price * sd.quantity) AS total_price,
+              COALESCE(rl.qty, 0) AS refunded_quantity,
+              COALESCE(rl.amount, 0) AS refunded_amount
+            FROM sales_details sd
+            JOIN sales s ON s.id_sale = sd.sale_id
+            LEFT JOIN users u ON u.id_user = s.user_id
+            LEFT JOIN products p ON p.id_product = sd.product_id
+            ${DETAIL_REFUNDS_JOIN}
+            WHERE ${f.where}
+            ORDER BY s.last_updated ASC, s.id_sale ASC, sd.id_sale_detail ASC`,
+      params: f.params,
+      mapRow: (x) => ({
+        saleId: x.id_sale,
+        date: localDateTime(x.last_updated),
+        day: x.last_updated ? businessParts(x.last_updated).date : "",
+        username: x.username || "",
+        productId: x.product_id,
+        name: x.product_name,
+        reference: x.reference || "",
+        quantity: Number(x.quantity),
+        price: Number(x.price),
+        total: Number(x.total_price),
+        refundedQty: Number(x.refunded_quantity),
+        refunded: Number(x.refunded_amount),
+      }),
+    });
+  }
+);
+
+fastify.get(
+  CFG.apiPrefix + "/products/export",
+  {
+    preHandler: requireAuth,
+    schema: { querystring: objectSchema(Object.assign({ format: EXPORT_FORMAT_SCHEMA }, PRODUCTS_QUERY_PROPERTIES)) },
+  },
+  async (req, reply) => {
+    const f = productsFilter(req.query || {});
+    if (!f) return sendError(reply, 400, `Invalid status (expected ${ARCHIVE_STATUSES.join(", ")})`);
+    const showPurchase = hasPermission(req, "reports.view_profit");
+
+    return sendExport(req, reply, {
+      filename: `produits_${zonedParts(new Date()).date}`,
+      sheet: "Produits",
+      columns: [
+        { header: "ID", key: "id", width: 8 },
+        { header: "Code-barres", key: "barcode", width: 16 },
+        { header: "Référence", key: "reference" },
+        { header: "Nom", key: "name", width: 30 },
+        { header: "Type", key: "type" },
+        { header: "Stock", key: "quantity", width: 10 },
+        { header: "Stock min", key: "minStock", width: 10 },
+        { header: "Qté réappro", key: "reorderQty", width: 12 },
+        { header: "Prix d'achat", key: "purchasePrice" },
+        { header: "Prix", key: "price" },
+        { header: "Mis à jour", key: "updated", width: 20 },
+      ].filter((c) => showPurchase || c.key !== "purchasePrice"),
+      sql: `SELECT
+              p.id_product,
+              p.barcode,
+              p.reference,
+              p.name,
+              p.productType,
+              p.quantity,
+              p.purchasePrice,
+              p.price,
+              p.last_updated,
+              sl.min_stock,
+              sl.reorder_qty
+            FROM products p
+            LEFT JOIN product_stock_levels sl ON sl.product_id = p.id_product
+            LEFT JOIN product_archive pa ON pa.product_id = p.id_product
+            WHERE ${f.where}
+            ORDER BY p.name ASC, p.id_product ASC`,
+      params: f.params,
+      mapRow: (x) => ({
+        id: x.id_product,
+        barcode: x.barcode || "",
+        reference: x.reference || "",
+        name: x.name || "",
+        type: x.productType || "",
+        quantity: x.quantity == null ? null : Number(x.quantity),
+        minStock: x.min_stock == null ? null : Number(x.min_stock),
+        reorderQty: x.reorder_qty == null ? null : Number(x.reorder_qty),
+        purchasePrice: x.purchasePrice == null ? null : Number(x.purchasePrice),
+        price: x.price == null ? null : Number(x.price),
+        updated: localDateTime(x.last_updated),
+      }),
+    });
   }
 );
 
 fastify.setErrorHandler((err, req, reply) => {
+  if (err && err.validation && !reply.sent) return sendValidationError(reply, validationFields(err));
   req.log.error({ err }, "Unhandled error");
   if (reply.sent) return;
   const status = err && err.statusCode ? err.statusCode : 500;
@@ -850,6 +5383,214 @@ fastify.setErrorHandler((err, req, reply) => {
   sendError(reply, status, status >= 500 ? "Server error" : String(err.message || "Error"));
 });
 
+// Tables owned by this API (the legacy POS never reads them). Created on startup if missing.
+const SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS sale_refunds (
+     id_refund INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+     sale_id INT NOT NULL,
+     kind VARCHAR(16) NOT NULL,
+     amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+     reason VARCHAR(255) NOT NULL DEFAULT '',
+     restock TINYINT(1) NOT NULL DEFAULT 1,
+     user_id INT NULL,
+     created_at DATETIME NOT NULL,
+     KEY idx_sale_refunds_sale (sale_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS sale_refund_lines (
+     id_refund_line INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+     refund_id INT NOT NULL,
+     sale_detail_id INT NULL,
+     product_id INT NULL,
+     quantity INT NOT NULL,
+     amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+     KEY idx_sale_refund_lines_refund (refund_id),
+     KEY idx_sale_refund_lines_detail (sale_detail_id)
+   )`,
+
+  `CREATE TABLE IF NOT EXISTS stock_movements (
+     id_movement INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+     product_id INT NOT NULL,
+     kind VARCHAR(16) NOT NULL,
+     delta INT NOT NULL,
+     quantity_before INT NOT NULL,
+     quantity_after INT NOT NULL,
+     reason VARCHAR(255) NOT NULL DEFAULT '',
+     user_id INT NULL,
+     sale_id INT NULL,
+     refund_id INT NULL,
+     created_at DATETIME NOT NULL,
+     KEY idx_stock_movements_product (product_id, id_movement)
+   )`,
+  `CREATE TABLE IF NOT EXISTS product_stock_levels (
+     product_id INT NOT NULL PRIMARY KEY,
+     min_stock INT NULL,
+     reorder_qty INT NULL,
+     updated_at DATETIME NOT NULL
+   )`,
+
+  `CREATE TABLE IF NOT EXISTS auth_sessions (
+     id_session INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+     user_id INT NOT NULL,
+     token_hash CHAR(64) NOT NULL,
+     prev_token_hash CHAR(64) NULL,
+     created_at DATETIME NOT NULL,
+     last_used_at DATETIME NOT NULL,
+     rotated_at DATETIME NULL,
+     expires_at DATETIME NOT NULL,
+     revoked_at DATETIME NULL,
+     user_agent VARCHAR(255) NOT NULL DEFAULT '',
+     ip VARCHAR(64) NOT NULL DEFAULT '',
+     UNIQUE KEY uq_auth_sessions_token (token_hash),
+     KEY idx_auth_sessions_prev (prev_token_hash),
+     KEY idx_auth_sessions_user (user_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS login_attempts (
+     id_attempt INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+     username VARCHAR(64) NOT NULL,
+     user_id INT NULL,
+     ip VARCHAR(64) NOT NULL DEFAULT '',
+     user_agent VARCHAR(255) NOT NULL DEFAULT '',
+     outcome VARCHAR(16) NOT NULL,
+     created_at DATETIME NOT NULL,
+     KEY idx_login_attempts_user (username, created_at),
+     KEY idx_login_attempts_ip (ip, created_at)
+   )`,
+  `CREATE TABLE IF NOT EXISTS user_totp (
+     user_id INT NOT NULL PRIMARY KEY,
+     secret VARCHAR(64) NOT NULL,
+     enabled_at DATETIME NULL,
+     last_step BIGINT NULL,
+     created_at DATETIME NOT NULL
+   )`,
+  `CREATE TABLE IF NOT EXISTS user_recovery_codes (
+     id_code INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+     user_id INT NOT NULL,
+     code_hash CHAR(64) NOT NULL,
+     created_at DATETIME NOT NULL,
+     used_at DATETIME NULL,
+     KEY idx_user_recovery_codes_user (user_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS product_archive (
+     product_id INT NOT NULL PRIMARY KEY,
+     archived_at DATETIME NOT NULL,
+     user_id INT NULL
+   )`,
+  `CREATE TABLE IF NOT EXISTS offer_archive (
+     offer_id INT NOT NULL PRIMARY KEY,
+     archived_at DATETIME NOT NULL,
+     user_id INT NULL
+   )`,
+  `CREATE TABLE IF NOT EXISTS audit_log (
+     id_audit BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+     created_at DATETIME NOT NULL,
+     user_id INT NULL,
+     username VARCHAR(64) NULL,
+     method VARCHAR(8) NOT NULL,
+     route VARCHAR(128) NOT NULL,
+     action VARCHAR(32) NOT NULL,
+     entity VARCHAR(32) NOT NULL,
+     entity_id VARCHAR(64) NULL,
+     before_json MEDIUMTEXT NULL,
+     after_json MEDIUMTEXT NULL,
+     ip VARCHAR(64) NOT NULL DEFAULT '',
+     user_agent VARCHAR(255) NOT NULL DEFAULT '',
+     KEY idx_audit_log_entity (entity, entity_id, id_audit),
+     KEY idx_audit_log_user (user_id, id_audit),
+     KEY idx_audit_log_created (created_at)
+   )`,
+  `CREATE TABLE IF NOT EXISTS user_password_state (
+     user_id INT NOT NULL PRIMARY KEY,
+     must_change TINYINT(1) NOT NULL DEFAULT 0,
+     reason VARCHAR(32) NOT NULL DEFAULT '',
+     changed_at DATETIME NULL,
+     updated_at DATETIME NOT NULL
+   )`,
+  `CREATE TABLE IF NOT EXISTS role_permissions (
+     role VARCHAR(64) NOT NULL,
+     permission VARCHAR(64) NOT NULL,
+     PRIMARY KEY (role, permission)
+   )`,
+
+  `CREATE TABLE IF NOT EXISTS idempotency_keys (
+     user_id INT NOT NULL,
+     idem_key VARCHAR(128) NOT NULL,
+     request_hash CHAR(64) NOT NULL,
+     method VARCHAR(8) NOT NULL,
+     url VARCHAR(255) NOT NULL,
+     status_code INT NULL,
+     content_type VARCHAR(128) NULL,
+     response_body MEDIUMTEXT NULL,
+     created_at DATETIME NOT NULL,
+     completed_at DATETIME NULL,
+     PRIMARY KEY (user_id, idem_key),
+     KEY idx_idempotency_keys_created (created_at)
+   )`,
+
+  `CREATE TABLE IF NOT EXISTS sync_devices (
+     device_id VARCHAR(64) NOT NULL PRIMARY KEY,
+     user_id INT NULL,
+     last_pull_at DATETIME NULL,
+     last_ack_at DATETIME NULL,
+     last_push_at DATETIME NULL
+   )`,
+  `CREATE TABLE IF NOT EXISTS sync_batches (
+     id_batch INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+     device_id VARCHAR(64) NOT NULL,
+     user_id INT NULL,
+     status VARCHAR(16) NOT NULL,
+     product_count INT NOT NULL DEFAULT 0,
+     offer_count INT NOT NULL DEFAULT 0,
+     created_at DATETIME NOT NULL,
+     acked_at DATETIME NULL,
+     KEY idx_sync_batches_device (device_id, status)
+   )`,
+  `CREATE TABLE IF NOT EXISTS sync_batch_items (
+     batch_id INT NOT NULL,
+     entity VARCHAR(16) NOT NULL,
+     entity_id INT NOT NULL,
+     version DATETIME NULL,
+     PRIMARY KEY (batch_id, entity, entity_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS sync_refs (
+     device_id VARCHAR(64) NOT NULL,
+     entity VARCHAR(16) NOT NULL,
+     client_ref VARCHAR(64) NOT NULL,
+     entity_id INT NOT NULL,
+     created_at DATETIME NOT NULL,
+     PRIMARY KEY (device_id, entity, client_ref)
+   )`,
+  `CREATE TABLE IF NOT EXISTS sync_failures (
+     id_failure INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+     device_id VARCHAR(64) NOT NULL,
+     entity VARCHAR(16) NOT NULL,
+     client_ref VARCHAR(64) NOT NULL,
+     entity_id INT NULL,
+     kind VARCHAR(16) NOT NULL,
+     message VARCHAR(255) NOT NULL DEFAULT '',
+     payload_json MEDIUMTEXT NULL,
+     server_json MEDIUMTEXT NULL,
+     created_at DATETIME NOT NULL,
+     resolved_at DATETIME NULL,
+     resolved_by INT NULL,
+     KEY idx_sync_failures_open (resolved_at, id_failure),
+     KEY idx_sync_failures_ref (device_id, entity, client_ref)
+   )`,
+];
+
+// An empty role_permissions gets what WRITE_ROLES / SALE_ROLES / ADMIN_ROLES used to allow.
+async function seedRolePermissions() {
+  const [rows] = await pool.query(`SELECT COUNT(*) AS n FROM role_permissions`);
+  if (rows && rows[0] && Number(rows[0].n) > 0) return;
+  const values = [];
+  for (const [role, perms] of defaultRolePermissions()) for (const perm of perms) values.push([role, perm]);
+  if (values.length) await pool.query(`INSERT IGNORE INTO role_permissions (role, permission) VALUES ?`, [values]);
+}
+
+async function ensureSchema() {
+  for (const sql of SCHEMA_STATEMENTS) await pool.query(sql);
+  await seedRolePermissions();
+}
+
 async function main() {
   // Optional schema feature: keep legacy users.password for POS and use users.password_hash (bcrypt) for dashboard.
   try {
@@ -860,6 +5601,14 @@ async function main() {
     HAS_PASSWORD_HASH_COLUMN = false;
     fastify.log.warn({ err: e }, "Schema detection failed (password_hash disabled)");
   }
+  // Fatal: sessions, login attempts, password state and idempotency keys are read by every login or write,
+  // so an API started without them would only answer 500.
+  try {
+    await ensureSchema();
+  } catch (e) {
+    fastify.log.error({ err: e }, "Schema bootstrap failed, not starting");
+    throw e;
+  }
   await fastify.listen({ port: CFG.port, host: CFG.host });
 }
 